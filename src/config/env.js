@@ -1,9 +1,38 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
 
 /**
  * Parse MinIO configuration from environment variables
  * Supports both Docker (minio:9000) and local (localhost:9000) environments
  */
+/**
+ * Endpoint browsers use to reach MinIO when it differs from AWS_ENDPOINT
+ * (e.g. the API talks to http://minio:9000 inside Docker). Presigned URLs are
+ * signed for this host.
+ */
+function parsePublicEndpoint(endpoint) {
+  if (!endpoint) return null;
+  try {
+    const url = new URL(endpoint);
+    return {
+      endPoint: url.hostname,
+      port: parseInt(url.port, 10) || (url.protocol === 'https:' ? 443 : 80),
+      useSSL: url.protocol === 'https:',
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Non-negative integer setting; unset, empty or invalid values use the fallback
+ */
+function parseCount(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : Math.max(parsed, 0);
+}
+
 function parseMinioConfig() {
   const endpoint = process.env.AWS_ENDPOINT || 'http://localhost:9000';
   
@@ -16,6 +45,7 @@ function parseMinioConfig() {
       accessKey: process.env.AWS_ACCESS_KEY_ID || 'minioadmin',
       secretKey: process.env.AWS_SECRET_ACCESS_KEY || 'minioadmin',
       bucket: process.env.AWS_S3_BUCKET || 'notu-recordings',
+      publicEndpoint: parsePublicEndpoint(process.env.AWS_PUBLIC_ENDPOINT),
     };
   } catch (error) {
     // Fallback to localhost if URL parsing fails
@@ -47,17 +77,136 @@ module.exports = {
   // WhisperX
   WHISPERX_API_URL: process.env.WHISPERX_API_URL || 'http://localhost:5005',
 
+  // LLM providers (whisperx, openai, openrouter, stub)
+  LLM: {
+    PROVIDER: process.env.LLM_PROVIDER || 'whisperx',
+    // Tried in order when the primary provider fails (comma separated)
+    FALLBACK_PROVIDERS: (process.env.LLM_FALLBACK_PROVIDERS ?? (process.env.OPENROUTER_API_KEY ? 'openrouter' : ''))
+      .split(',').map(p => p.trim()).filter(Boolean),
+    // Provider used for transcript analysis (summary, highlights, action items)
+    ANALYZE_PROVIDER: process.env.LLM_ANALYZE_PROVIDER || process.env.LLM_PROVIDER || 'whisperx',
+    MAX_TOKENS: parseInt(process.env.LLM_MAX_TOKENS, 10) || 1000,
+    MAX_RETRIES: parseCount(process.env.LLM_MAX_RETRIES, 1), // 0 disables retries
+    RETRY_DELAY_MS: parseInt(process.env.LLM_RETRY_DELAY_MS, 10) || 1000,
+    WHISPERX: {
+      TIMEOUT: parseInt(process.env.WHISPERX_CHAT_TIMEOUT, 10) || 60000,
+      ANALYZE_TIMEOUT: parseInt(process.env.WHISPERX_ANALYZE_TIMEOUT, 10) || 1800000, // 30 minutes
+    },
+    OPENAI: {
+      BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      API_KEY: process.env.OPENAI_API_KEY || '',
+      MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      TIMEOUT: parseInt(process.env.OPENAI_TIMEOUT, 10) || 60000,
+    },
+    OPENROUTER: {
+      BASE_URL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+      API_KEY: process.env.OPENROUTER_API_KEY || '',
+      MODEL: process.env.LLM_MODEL || 'google/gemma-3-4b-it:free',
+      TIMEOUT: parseInt(process.env.OPENROUTER_TIMEOUT, 10) || 60000,
+    },
+  },
+
+  // AI analysis jobs (summary, highlights, action items) run in their own queue
+  AI_ANALYSIS: {
+    CONCURRENCY: parseInt(process.env.AI_ANALYSIS_CONCURRENCY, 10) || 1,
+    // Re-run the analysis after transcript edits, once the transcript was left alone for EDIT_DEBOUNCE_MS
+    REANALYZE_AFTER_EDIT: process.env.AI_ANALYSIS_REANALYZE_AFTER_EDIT === 'true',
+    EDIT_DEBOUNCE_MS: parseInt(process.env.AI_ANALYSIS_EDIT_DEBOUNCE_MS, 10) || 300000, // 5 minutes
+  },
+
+  // Ask-AI transcript retrieval (bm25, or a custom registered retriever)
+  ASK_AI_RETRIEVER: process.env.ASK_AI_RETRIEVER || 'bm25',
+  ASK_AI_MAX_SEGMENTS: parseInt(process.env.ASK_AI_MAX_SEGMENTS, 10) || 200,
+
+  // Per-user fair scheduling in the transcription queue
+  QUEUE_FAIRNESS: {
+    ENABLED: process.env.QUEUE_FAIRNESS_ENABLED !== 'false',
+    // Jobs of one user that may run before other users' pending jobs get a turn
+    JOBS_PER_TURN: parseInt(process.env.QUEUE_FAIRNESS_JOBS_PER_TURN, 10) || 1,
+  },
+
+  // Stalled transcription detection (see workers/jobSupervisor.js)
+  JOB_SUPERVISOR: {
+    ENABLED: process.env.JOB_SUPERVISOR_ENABLED !== 'false',
+    INTERVAL_MS: parseInt(process.env.JOB_SUPERVISOR_INTERVAL_MS, 10) || 60000,
+    // A processing meeting without a heartbeat for this long is considered stalled
+    STALE_AFTER_MS: parseInt(process.env.JOB_SUPERVISOR_STALE_AFTER_MS, 10) || 180000,
+    // How often the worker writes processingMeta.lastHeartbeat
+    HEARTBEAT_PERSIST_MS: parseInt(process.env.HEARTBEAT_PERSIST_MS, 10) || 30000,
+  },
+
+  // Speech-to-text engine (whisperx, openai, fake; see services/transcription)
+  TRANSCRIPTION: {
+    ENGINE: process.env.TRANSCRIPTION_ENGINE || 'whisperx',
+    OPENAI: {
+      BASE_URL: process.env.TRANSCRIPTION_OPENAI_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      API_KEY: process.env.TRANSCRIPTION_OPENAI_API_KEY || process.env.OPENAI_API_KEY || '',
+      MODEL: process.env.TRANSCRIPTION_OPENAI_MODEL || 'whisper-1',
+      TIMEOUT: parseInt(process.env.TRANSCRIPTION_OPENAI_TIMEOUT, 10) || 1800000, // 30 minutes
+    },
+    FAKE: {
+      FIXTURE: process.env.TRANSCRIPTION_FAKE_FIXTURE || '',
+      STEP_DELAY_MS: parseInt(process.env.TRANSCRIPTION_FAKE_STEP_DELAY_MS, 10) || 0,
+    },
+  },
+
+  // Worker-side chunking of long uploads (see services/chunkedTranscriptionService.js)
+  TRANSCRIPTION_CHUNKING: {
+    ENABLED: process.env.TRANSCRIPTION_CHUNKING_ENABLED !== 'false',
+    CHUNK_SECONDS: parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS, 10) || 600,
+    // Audio shared by neighbouring chunks, used to match speakers across them
+    OVERLAP_SECONDS: parseInt(process.env.TRANSCRIPTION_CHUNK_OVERLAP_SECONDS, 10) || 30,
+  },
+
+  // Import recordings from a URL (POST /api/upload/from-url)
+  URL_IMPORT: {
+    // Hosts that may resolve to private/internal addresses: names, *.suffix wildcards or CIDRs (comma separated)
+    ALLOWED_HOSTS: (process.env.URL_IMPORT_ALLOWED_HOSTS || '')
+      .split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+    MAX_REDIRECTS: parseInt(process.env.URL_IMPORT_MAX_REDIRECTS, 10) || 5,
+    TIMEOUT_MS: parseInt(process.env.URL_IMPORT_TIMEOUT_MS, 10) || 1800000, // 30 minutes
+    CONCURRENCY: parseInt(process.env.URL_IMPORT_CONCURRENCY, 10) || 2,
+  },
+
+  // Media handling (ffmpeg comes from ffmpeg-static; ffprobe from the system unless set)
+  MEDIA: {
+    FFPROBE_PATH: process.env.FFPROBE_PATH || null,
+    // Transcode every upload to 16kHz mono WAV before transcription (original is kept for playback)
+    NORMALIZE_AUDIO: process.env.MEDIA_NORMALIZE_AUDIO !== 'false',
+  },
+
   // Bot Service
   BOT_SERVICE_URL: process.env.BOT_SERVICE_URL || 'http://localhost:3001',
 
   // Upload
   UPLOAD_DIR: process.env.UPLOAD_DIR || './uploads',
-  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE, 10) || 104857600, // 100MB
+  // Partial uploads and worker scratch files; must not be under UPLOAD_DIR, which is served publicly
+  WORK_DIR: process.env.WORK_DIR || path.join(os.tmpdir(), 'notu-work'),
+  // Uploads are spooled to disk end-to-end, so the limit is bounded by disk space rather than memory
+  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE, 10) || 2147483648, // 2GB
+
+  // Resumable uploads (POST/PATCH/HEAD /api/upload/resumable)
+  RESUMABLE_UPLOAD: {
+    // Unfinished uploads are discarded this long after their last received chunk
+    EXPIRES_HOURS: parseInt(process.env.RESUMABLE_UPLOAD_EXPIRES_HOURS, 10) || 24,
+    CLEANUP_INTERVAL_MS: parseInt(process.env.RESUMABLE_UPLOAD_CLEANUP_INTERVAL_MS, 10) || 3600000, // 1 hour
+    // A completion running longer than this is taken as crashed and may be resumed
+    COMPLETING_TIMEOUT_MS: parseInt(process.env.UPLOAD_COMPLETING_TIMEOUT_MS, 10) || 1800000, // 30 minutes
+  },
+
+  // Direct-to-MinIO uploads (POST /api/upload/presigned); sessions expire like resumable uploads
+  PRESIGNED_UPLOAD: {
+    URL_EXPIRY_SECONDS: parseInt(process.env.PRESIGNED_UPLOAD_URL_EXPIRY_SECONDS, 10) || 3600,
+  },
 
   // Security
   RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 15,
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
 
+  // Emails granted admin access in addition to users with role 'admin' (comma separated)
+  ADMIN_EMAILS: (process.env.ADMIN_EMAILS || '')
+    .split(',').map(e => e.trim().toLowerCase()).filter(Boolean),
+
   // CORS
   CORS_ORIGIN: process.env.CORS_ORIGIN || 'http://localhost:3000',
 
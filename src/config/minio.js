@@ -3,6 +3,10 @@ const config = require('./env');
 const logger = require('../utils/logger');
 
 let minioClient = null;
+let presignClient = null;
+
+// Region of the bucket created by ensureBucket; passed so presigning never looks it up
+const BUCKET_REGION = 'us-east-1';
 
 function createMinioClient() {
   if (minioClient) {
@@ -28,6 +32,25 @@ function getMinioClient() {
   return minioClient;
 }
 
+/**
+ * Client used to sign URLs handed to browsers: the public endpoint if one is
+ * configured, otherwise the regular client
+ */
+function getPresignClient() {
+  if (!config.MINIO.publicEndpoint) {
+    return getMinioClient();
+  }
+  if (!presignClient) {
+    presignClient = new Minio.Client({
+      ...config.MINIO.publicEndpoint,
+      accessKey: config.MINIO.accessKey,
+      secretKey: config.MINIO.secretKey,
+      region: BUCKET_REGION,
+    });
+  }
+  return presignClient;
+}
+
 /**
  * Ensure bucket exists, create if it doesn't
  */
@@ -39,7 +62,7 @@ async function ensureBucket() {
     const exists = await client.bucketExists(bucketName);
     
     if (!exists) {
-      await client.makeBucket(bucketName, 'us-east-1');
+      await client.makeBucket(bucketName, BUCKET_REGION);
       logger.info(`MinIO bucket created: ${bucketName}`);
       
       // Set bucket policy for public read access
@@ -68,13 +91,19 @@ async function ensureBucket() {
 
 /**
  * Upload file stream to MinIO
+ * Passing `size` lets the client pick small multipart parts instead of buffering
+ * parts sized for the largest possible object.
  */
-async function uploadFile(stream, filename, metadata = {}) {
+async function uploadFile(stream, filename, metadata = {}, size = undefined) {
   const client = getMinioClient();
   const bucketName = config.MINIO.bucket;
 
   try {
-    await client.putObject(bucketName, filename, stream, metadata);
+    if (size !== undefined) {
+      await client.putObject(bucketName, filename, stream, size, metadata);
+    } else {
+      await client.putObject(bucketName, filename, stream, metadata);
+    }
     logger.info(`File uploaded to MinIO: ${filename}`);
     return {
       bucket: bucketName,
@@ -136,6 +165,40 @@ async function getPresignedUrl(filename, expirySeconds = 3600) {
   }
 }
 
+/**
+ * Get presigned URL a client can PUT a file to
+ */
+async function getPresignedUploadUrl(filename, expirySeconds = 3600) {
+  const client = getPresignClient();
+  const bucketName = config.MINIO.bucket;
+
+  try {
+    return await client.presignedPutObject(bucketName, filename, expirySeconds);
+  } catch (error) {
+    logger.error('Error generating presigned upload URL:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get size and metadata of a stored file; null when it does not exist
+ * @returns {Promise<Object|null>} { size, etag, lastModified, metaData }
+ */
+async function statFile(filename) {
+  const client = getMinioClient();
+  const bucketName = config.MINIO.bucket;
+
+  try {
+    return await client.statObject(bucketName, filename);
+  } catch (error) {
+    if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+      return null;
+    }
+    logger.error('Error reading file stats from MinIO:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   createMinioClient,
   getMinioClient,
@@ -144,4 +207,6 @@ module.exports = {
   downloadFile,
   deleteFile,
   getPresignedUrl,
+  getPresignedUploadUrl,
+  statFile,
 };
@@ -0,0 +1,212 @@
+const Meeting = require('../models/Meeting');
+const {
+  updateCandidate,
+  acceptCandidate,
+  rejectCandidate,
+  bulkAcceptCandidates,
+} = require('../services/actionItemService');
+const { emitMeetingActionItemSynced, emitToBoard } = require('../services/socketService');
+const { getResourcePermission } = require('../utils/permissions');
+const { isValidObjectId } = require('../utils/idEquals');
+const logger = require('../utils/logger');
+
+/**
+ * Load a meeting and check the user's permission.
+ * Sends the error response itself and returns null when access is not allowed.
+ */
+async function loadMeetingForReview(req, res, { requireEdit = true } = {}) {
+  const meeting = await Meeting.findById(req.params.id).select('userId collaborators actionItems');
+
+  if (!meeting) {
+    res.status(404).json({ success: false, message: 'Meeting not found' });
+    return null;
+  }
+
+  const permission = getResourcePermission(meeting, req.user?.id || req.user?._id);
+  const allowed = requireEdit ? permission.canEdit : permission.canView;
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: requireEdit
+        ? 'You do not have permission to review action items of this meeting'
+        : 'Access denied',
+    });
+    return null;
+  }
+
+  if (req.params.itemId && !isValidObjectId(req.params.itemId)) {
+    res.status(400).json({ success: false, message: 'Invalid action item ID' });
+    return null;
+  }
+
+  return meeting;
+}
+
+/**
+ * Announce created tasks on the meeting's board
+ */
+function emitTasksCreated(req, boardId, tasks) {
+  if (!boardId) return;
+  for (const task of tasks) {
+    emitToBoard(String(boardId), 'task_created', {
+      task,
+      userName: req.user.name || 'Collaborator',
+      taskTitle: task.title,
+      userId: req.user.id,
+    });
+  }
+}
+
+/**
+ * List AI action item candidates with their review state
+ * GET /api/meetings/:id/action-items
+ */
+async function listActionItems(req, res, next) {
+  try {
+    const meeting = await loadMeetingForReview(req, res, { requireEdit: false });
+    if (!meeting) return;
+
+    const { state } = req.query;
+    const items = (meeting.actionItems || [])
+      .map(item => item.toObject())
+      .filter(item => !state || item.state === state);
+
+    res.json({ success: true, data: items });
+  } catch (error) {
+    logger.error('Error listing action items:', error);
+    next(error);
+  }
+}
+
+/**
+ * Edit a pending or rejected candidate
+ * PATCH /api/meetings/:id/action-items/:itemId
+ */
+async function updateActionItem(req, res, next) {
+  try {
+    const meeting = await loadMeetingForReview(req, res);
+    if (!meeting) return;
+
+    const item = await updateCandidate(meeting, req.params.itemId, req.body);
+
+    emitMeetingActionItemSynced(req.params.id, null, req.user?.name || 'Unknown', {
+      action: 'updated',
+      items: [item],
+    });
+
+    res.json({ success: true, data: item });
+  } catch (error) {
+    logger.error('Error updating action item:', error);
+    next(error);
+  }
+}
+
+/**
+ * Accept a candidate into a real Task (optionally with edits)
+ * POST /api/meetings/:id/action-items/:itemId/accept
+ */
+async function acceptActionItem(req, res, next) {
+  try {
+    const meeting = await loadMeetingForReview(req, res);
+    if (!meeting) return;
+
+    const { candidate, task, boardId } = await acceptCandidate(meeting, req.params.itemId, {
+      userId: req.user.id,
+      overrides: req.body,
+    });
+
+    logger.info(`Action item ${candidate._id} accepted as task ${task._id} by user ${req.user.id}`);
+
+    emitMeetingActionItemSynced(req.params.id, boardId, req.user?.name || 'Unknown', {
+      action: 'accepted',
+      items: [candidate],
+      tasks: [task],
+    });
+    emitTasksCreated(req, boardId, [task]);
+
+    res.status(201).json({
+      success: true,
+      data: { item: candidate, task },
+      message: 'Action item accepted',
+    });
+  } catch (error) {
+    logger.error('Error accepting action item:', error);
+    next(error);
+  }
+}
+
+/**
+ * Reject a candidate
+ * POST /api/meetings/:id/action-items/:itemId/reject
+ */
+async function rejectActionItem(req, res, next) {
+  try {
+    const meeting = await loadMeetingForReview(req, res);
+    if (!meeting) return;
+
+    const item = await rejectCandidate(meeting, req.params.itemId, { userId: req.user.id });
+
+    emitMeetingActionItemSynced(req.params.id, null, req.user?.name || 'Unknown', {
+      action: 'rejected',
+      items: [item],
+    });
+
+    res.json({ success: true, data: item, message: 'Action item rejected' });
+  } catch (error) {
+    logger.error('Error rejecting action item:', error);
+    next(error);
+  }
+}
+
+/**
+ * Accept several candidates at once (default: all pending)
+ * POST /api/meetings/:id/action-items/accept
+ * Body: { itemIds? }
+ */
+async function bulkAcceptActionItems(req, res, next) {
+  try {
+    const meeting = await loadMeetingForReview(req, res);
+    if (!meeting) return;
+
+    const { itemIds } = req.body;
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || !itemIds.every(isValidObjectId))) {
+      return res.status(400).json({ success: false, message: 'itemIds must be an array of action item IDs' });
+    }
+
+    const { accepted, skipped, boardId } = await bulkAcceptCandidates(meeting, {
+      userId: req.user.id,
+      itemIds,
+    });
+
+    if (accepted.length > 0) {
+      const tasks = accepted.map(a => a.task);
+      emitMeetingActionItemSynced(req.params.id, boardId, req.user?.name || 'Unknown', {
+        action: 'accepted',
+        items: accepted.map(a => a.candidate),
+        tasks,
+      });
+      emitTasksCreated(req, boardId, tasks);
+    }
+
+    res.status(accepted.length > 0 ? 201 : 200).json({
+      success: true,
+      data: {
+        items: accepted.map(a => a.candidate),
+        tasks: accepted.map(a => a.task),
+        skipped,
+      },
+      message: `${accepted.length} action item(s) accepted`,
+    });
+  } catch (error) {
+    logger.error('Error bulk accepting action items:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  listActionItems,
+  updateActionItem,
+  acceptActionItem,
+  rejectActionItem,
+  bulkAcceptActionItems,
+};
@@ -0,0 +1,107 @@
+const {
+  listDeadLetters,
+  getDeadLetter,
+  retryDeadLetters,
+  discardDeadLetters,
+} = require('../services/deadLetterService');
+const logger = require('../utils/logger');
+
+/**
+ * List dead-lettered transcriptions
+ * GET /api/admin/dlq?offset=&limit=
+ */
+async function listDeadLetterEntries(req, res, next) {
+  try {
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { entries, total } = await listDeadLetters({ offset, limit });
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { offset, limit, total },
+    });
+  } catch (error) {
+    logger.error('Error listing dead-letter entries:', error);
+    next(error);
+  }
+}
+
+/**
+ * Inspect a dead-lettered transcription (failure reason, WhisperX excerpt, stack trace)
+ * GET /api/admin/dlq/:entryId
+ */
+async function getDeadLetterEntry(req, res, next) {
+  try {
+    const entry = await getDeadLetter(req.params.entryId);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    logger.error('Error getting dead-letter entry:', error);
+    next(error);
+  }
+}
+
+/**
+ * Re-enqueue dead-lettered transcriptions
+ * POST /api/admin/dlq/retry
+ * Body: { ids } or { all: true }
+ */
+async function retryDeadLetterEntries(req, res, next) {
+  try {
+    const result = await retryDeadLetters(req.body);
+    logger.info(`Admin ${req.user.email} retried ${result.retried.length} dead-letter entr(ies)`);
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.retried.length} transcription(s) re-enqueued`,
+    });
+  } catch (error) {
+    logger.error('Error retrying dead-letter entries:', error);
+    next(error);
+  }
+}
+
+/**
+ * Discard dead-lettered transcriptions (meetings stay failed)
+ * POST /api/admin/dlq/discard
+ * Body: { ids } or { all: true }
+ */
+async function discardDeadLetterEntries(req, res, next) {
+  try {
+    const result = await discardDeadLetters(req.body);
+    logger.info(`Admin ${req.user.email} discarded ${result.discarded.length} dead-letter entr(ies)`);
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.discarded.length} entr(ies) discarded`,
+    });
+  } catch (error) {
+    logger.error('Error discarding dead-letter entries:', error);
+    next(error);
+  }
+}
+
+/**
+ * Discard one dead-lettered transcription
+ * DELETE /api/admin/dlq/:entryId
+ */
+async function deleteDeadLetterEntry(req, res, next) {
+  try {
+    const { discarded } = await discardDeadLetters({ ids: [req.params.entryId] });
+    if (discarded.length === 0) {
+      return res.status(404).json({ success: false, message: 'Dead-letter entry not found' });
+    }
+    res.json({ success: true, message: 'Dead-letter entry discarded' });
+  } catch (error) {
+    logger.error('Error discarding dead-letter entry:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  listDeadLetterEntries,
+  getDeadLetterEntry,
+  retryDeadLetterEntries,
+  discardDeadLetterEntries,
+  deleteDeadLetterEntry,
+};
@@ -295,7 +295,9 @@ const getGlobalAnalytics = async (req, res) => {
         }
       ]),
       
-      // Top speakers (aggregated from all meetings' segments)
+      // Top speakers (aggregated from all meetings' segments).
+      // Labels linked to a speaker profile are grouped by profile; other labels
+      // are grouped case-insensitively.
       Meeting.aggregate([
         { $match: { userId, status: 'completed' } },
         { $unwind: { path: '$transcription.segments', preserveNullAndEmptyArrays: false } },
@@ -305,11 +307,27 @@ const getGlobalAnalytics = async (req, res) => {
               $size: { 
                 $split: [{ $ifNull: ['$transcription.segments.text', ''] }, ' '] 
               } 
+            },
+            speakerLink: {
+              $arrayElemAt: [{
+                $filter: {
+                  input: { $ifNull: ['$speakerLinks', []] },
+                  as: 'link',
+                  cond: { $eq: ['$$link.label', '$transcription.segments.speaker'] }
+                }
+              }, 0]
             }
           }
         },
         { $group: {
-            _id: '$transcription.segments.speaker',
+            _id: {
+              $ifNull: [
+                '$speakerLink.profileId',
+                { $toLower: { $trim: { input: { $ifNull: ['$transcription.segments.speaker', ''] } } } }
+              ]
+            },
+            name: { $first: '$transcription.segments.speaker' },
+            profileId: { $first: '$speakerLink.profileId' },
             totalTime: { $sum: '$segmentDuration' },
             totalWords: { $sum: '$segmentWords' },
             meetingCount: { $addToSet: '$_id' }
@@ -317,7 +335,15 @@ const getGlobalAnalytics = async (req, res) => {
         },
         { $addFields: { meetingCount: { $size: '$meetingCount' } } },
         { $sort: { totalWords: -1 } },
-        { $limit: 10 }
+        { $limit: 10 },
+        { $lookup: {
+            from: 'speakerprofiles',
+            localField: 'profileId',
+            foreignField: '_id',
+            as: 'profile'
+          }
+        },
+        { $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } }
       ]),
       
       // Top topics/keywords (from highlights object keys)
@@ -424,7 +450,9 @@ const getGlobalAnalytics = async (req, res) => {
           total: participantStats[0]?.totalUniqueParticipants || 0
         },
         topSpeakers: speakerStats.map(s => ({
-          name: s._id,
+          name: s.profile?.name || s.name,
+          profileId: s.profile?._id || null,
+          userId: s.profile?.userId || null,
           totalTime: s.totalTime,
           totalWords: s.totalWords,
           meetingCount: s.meetingCount
@@ -587,7 +615,7 @@ const getMeetingDetailAnalytics = async (req, res) => {
     const meeting = await Meeting.findOne({ 
       _id: meetingId, 
       userId 
-    }).select('title description createdAt duration type status platform participants transcription actionItems boardId');
+    }).select('title description createdAt duration type status platform participants transcription actionItems boardId speakerLinks');
     
     if (!meeting) {
       return res.status(404).json({
@@ -620,6 +648,7 @@ const getMeetingDetailAnalytics = async (req, res) => {
     // Convert to array with percentages
     const speakers = Object.values(speakerMap).map(s => ({
       speaker: s.speaker,
+      profileId: (meeting.speakerLinks || []).find(link => link.label === s.speaker)?.profileId || null,
       total: totalDurationSec > 0 ? Math.round((s.time / totalDurationSec) * 100) : 0,
       words: s.words,
       talks: s.talks
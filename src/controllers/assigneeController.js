@@ -0,0 +1,107 @@
+const Meeting = require('../models/Meeting');
+const Task = require('../models/Task');
+const {
+  getCandidateUsers,
+  getMeetingSuggestions,
+  confirmMapping,
+  applyMappingToMeetingTasks,
+} = require('../services/assigneeResolver');
+const { emitToBoard } = require('../services/socketService');
+const { getResourcePermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * Suggest users for the AI assignee names and speaker labels of a meeting
+ * GET /api/meetings/:id/assignees/suggestions
+ */
+async function getAssigneeSuggestions(req, res, next) {
+  try {
+    const meeting = await Meeting.findById(req.params.id)
+      .select('userId collaborators actionItems transcription.segments.speaker');
+
+    if (!meeting) {
+      return res.status(404).json({ success: false, message: 'Meeting not found' });
+    }
+
+    if (!getResourcePermission(meeting, req.user?.id || req.user?._id).canView) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const suggestions = await getMeetingSuggestions(meeting);
+
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    logger.error('Error getting assignee suggestions:', error);
+    next(error);
+  }
+}
+
+/**
+ * Confirm that a name refers to a user. The mapping is remembered for all
+ * meetings of the owner; unassigned tasks of this meeting can be updated too.
+ * POST /api/meetings/:id/assignees/confirm
+ * Body: { name, userId, applyToTasks? }
+ */
+async function confirmAssignee(req, res, next) {
+  try {
+    const { name, userId, applyToTasks = true } = req.body;
+
+    const meeting = await Meeting.findById(req.params.id).select('userId collaborators');
+    if (!meeting) {
+      return res.status(404).json({ success: false, message: 'Meeting not found' });
+    }
+
+    if (!getResourcePermission(meeting, req.user?.id || req.user?._id).canManageCollaborators) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the meeting owner can confirm assignees',
+      });
+    }
+
+    const candidates = await getCandidateUsers(meeting);
+    if (!candidates.some(user => String(user._id) === String(userId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a collaborator of this meeting or its board',
+      });
+    }
+
+    const mapping = await confirmMapping({
+      ownerId: meeting.userId,
+      name,
+      userId,
+      confirmedBy: req.user.id,
+    });
+
+    let updatedTasks = [];
+    if (applyToTasks) {
+      updatedTasks = await applyMappingToMeetingTasks(meeting, name, userId);
+
+      for (const task of updatedTasks.filter(t => t.boardId)) {
+        const populatedTask = await Task.findById(task._id).populate('assignee', 'name email image');
+        emitToBoard(String(task.boardId), 'task_updated', {
+          task: populatedTask,
+          userName: req.user.name || 'Collaborator',
+          taskTitle: populatedTask.title,
+          userId: req.user.id,
+        });
+      }
+    }
+
+    logger.info(`Assignee "${name}" mapped to user ${userId} for owner ${meeting.userId}`);
+
+    res.json({
+      success: true,
+      data: { mapping, updatedTasks },
+      message: `Assignee confirmed; ${updatedTasks.length} task(s) assigned`,
+    });
+  } catch (error) {
+    logger.error('Error confirming assignee:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  getAssigneeSuggestions,
+  confirmAssignee,
+};
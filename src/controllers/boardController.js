@@ -8,7 +8,7 @@ const { getResourcePermission, isValidRole, canAssignRole } = require('../utils/
 const User = require('../models/User');
 const crypto = require('crypto');
 const nanoid = (size = 10) => crypto.randomBytes(size).toString('hex').slice(0, size);
-const { COLLABORATOR_ROLES } = require('../utils/constants');
+const { COLLABORATOR_ROLES, ACTION_ITEM_STATE } = require('../utils/constants');
 const logger = require('../utils/logger');
 
 exports.getBoards = async (req, res) => {
@@ -387,31 +387,48 @@ exports.createFromMeeting = async (req, res) => {
       var tasksMigratedCount = 0;
     }
 
-    // If no existing Task documents were found, but the meeting has AI action item candidates,
-    // create Task records for them so the Kanban board isn't empty.
+    // Create Task records for AI action item candidates that are still pending, also when
+    // some were accepted already. Rejected candidates are skipped; accepted ones have their task.
     try {
-      if ((tasksMigratedCount || 0) === 0) {
-        const candidateCount = meeting.actionItems && meeting.actionItems.length ? meeting.actionItems.length : 0;
-        if (candidateCount > 0) {
-          console.info(`No existing tasks; creating ${candidateCount} tasks from meeting.actionItems`);
-          const createdTasks = [];
-          for (const item of meeting.actionItems) {
-            const t = await Task.create({
-              userId: req.user.id,
-              meetingId: meeting._id,
-              boardId: board._id,
-              source: 'ai',
-              title: item.title || item.text || 'Untitled Task',
-              description: item.description || '',
-              priority: item.priority || 'medium',
-              dueDate: item.dueDate || null,
-              assignee: null,
-            });
-            createdTasks.push(t);
-          }
-          tasksMigratedCount = createdTasks.length;
-          console.info(`Created ${createdTasks.length} tasks from actionItems`);
+      const candidates = (meeting.actionItems || []).filter(item =>
+        !item.taskId && item.state !== ACTION_ITEM_STATE.REJECTED && item.state !== ACTION_ITEM_STATE.ACCEPTED
+      );
+      if (candidates.length > 0) {
+        console.info(`Creating ${candidates.length} tasks from pending meeting.actionItems`);
+        const createdTasks = [];
+        const assigneeResolver = require('../services/assigneeResolver');
+        const assigneeContext = {
+          candidates: await assigneeResolver.getCandidateUsers(meeting),
+          mappings: await assigneeResolver.getMappings(meeting.userId),
+        };
+        for (const item of candidates) {
+          const t = await Task.create({
+            userId: req.user.id,
+            meetingId: meeting._id,
+            boardId: board._id,
+            candidateId: item._id,
+            source: 'ai',
+            title: item.title || item.text || 'Untitled Task',
+            description: item.description || '',
+            priority: item.priority || 'medium',
+            dueDate: item.dueDate || null,
+            assignee: await assigneeResolver.resolveAssignee(meeting, item.assigneeName, assigneeContext),
+            assigneeName: item.assigneeName || undefined,
+          });
+          item.state = ACTION_ITEM_STATE.ACCEPTED;
+          item.taskId = t._id;
+          item.reviewedBy = req.user.id;
+          item.reviewedAt = new Date();
+          createdTasks.push(t);
         }
+        await meeting.save();
+        tasksMigratedCount = (tasksMigratedCount || 0) + createdTasks.length;
+        console.info(`Created ${createdTasks.length} tasks from actionItems`);
+        const { emitMeetingActionItemSynced } = require('../services/socketService');
+        emitMeetingActionItemSynced(meeting._id.toString(), board._id.toString(), req.user?.name || 'Unknown', {
+          action: 'accepted',
+          items: candidates.map(item => item.toObject()),
+        });
       }
     } catch (err) {
       console.error('Error creating tasks from actionItems for meeting', meeting._id.toString(), err);
@@ -9,6 +9,7 @@ const config = require('../config/env');
 const logger = require('../utils/logger');
 const botSessionService = require('../services/botSessionService');
 const audioService = require('../services/audioService');
+const { clearTranscriptRevisions } = require('../services/transcriptRevisionService');
 const { emitToMeeting, emitBotStatus, emitCaptionAdded } = require('../services/socketService');
 
 /**
@@ -439,39 +440,6 @@ async function finalizeBotSession(req, res, next) {
             
             if (!meeting.duration || meeting.duration === 0) meeting.duration = extractedDuration || duration || 60; // fallback
 
-            if (transcriptText) {
-                // Trigger AI analysis
-                try {
-                    const { analyzeTranscript } = require('../services/whisperxService');
-                    // Ensure we request specific fields in prompt through the service (handled in service/LLM)
-                    const aiResult = await analyzeTranscript(transcriptText);
-                    
-                    if (aiResult) {
-                         if (!meeting.transcription) meeting.transcription = {};
-                         // Basic fields
-                         meeting.transcription.summary = aiResult.summary || "No summary generated.";
-                         if (aiResult.conclusion) meeting.transcription.conclusion = aiResult.conclusion;
-                         if (aiResult.highlights) meeting.transcription.highlights = aiResult.highlights;
-                         
-                         // Action Items & Topics
-                         if (aiResult.actionItems) meeting.actionItems = aiResult.actionItems;
-                         if (aiResult.action_items) meeting.actionItems = aiResult.action_items;
-                         if (aiResult.topics || aiResult.tags) meeting.topics = aiResult.topics || aiResult.tags;
-                         
-                         // Metadata - Update title if it's a default placeholder
-                         const isDefaultTitle = !meeting.title || 
-                             meeting.title === 'Untitled Meeting' || 
-                             meeting.title === 'Online Meeting';
-                         if (isDefaultTitle && aiResult.suggestedTitle) {
-                             meeting.title = aiResult.suggestedTitle;
-                         }
-                         meeting.description = aiResult.suggestedDescription || aiResult.summary || "";
-                    }
-                } catch (aiErr) {
-                    logger.error(`[BotController] AI Analysis failed: ${aiErr.message}`);
-                }
-            }
-            
             // Populate transcription.speakers with calculated stats
             if (typeof speakerStats !== 'undefined' && speakerStats && Object.keys(speakerStats).length > 0) {
                if (!meeting.transcription) meeting.transcription = {};
@@ -516,6 +484,19 @@ async function finalizeBotSession(req, res, next) {
 
         // Use findByIdAndUpdate instead of save() to avoid version conflicts
         await Meeting.findByIdAndUpdate(meetingId, finalUpdate, { new: true });
+        // The captured transcript replaces the segments; older edit history no longer applies
+        await clearTranscriptRevisions(meetingId);
+
+        // AI analysis (summary, highlights, action items) runs as its own queue job
+        if (meeting.transcription?.transcript) {
+            try {
+                const { addAnalysisJob } = require('../services/analysisService');
+                const { ANALYSIS_TRIGGER } = require('../utils/constants');
+                await addAnalysisJob(meetingId, { trigger: ANALYSIS_TRIGGER.TRANSCRIPTION, userName: 'System' });
+            } catch (aiErr) {
+                logger.error(`[BotController] Could not queue AI analysis: ${aiErr.message}`);
+            }
+        }
         
         // Emit final status to ensure frontend updates
         emitBotStatus(meetingId, 'completed', {
@@ -6,19 +6,49 @@ const Task = require('../models/Task');
 const Board = require('../models/Board');
 const ChatMessage = require('../models/ChatMessage');
 const { removeFile, getFileUrl } = require('../services/storageService');
-const { getJobStatus } = require('../services/queueService');
-const { emitToMeeting, emitMeetingContentUpdated, emitMeetingActionItemSynced, emitMeetingAiRegenerated } = require('../services/socketService');
+const { getJobStatus, cancelTranscriptionJob, clearCancellation } = require('../services/queueService');
+const { addUrlImportJob, cancelUrlImport, getUrlImportState, getUrlImportSource } = require('../services/urlImportService');
+const { addAnalysisJob } = require('../services/analysisService');
+const { getOwnedTemplate, toMeetingTemplate } = require('../services/summaryTemplateService');
+const { cleanupMeetingTempFiles } = require('../services/audioService');
+const { getQueueEstimate } = require('../services/queueEtaService');
+const { clearTranscriptionChunks } = require('../services/chunkedTranscriptionService');
+const { searchTranscripts } = require('../services/searchService');
+const { syncSpeakerRename } = require('../services/speakerProfileService');
+const { getSegments, commitSegmentRewrite, clearTranscriptRevisions } = require('../services/transcriptRevisionService');
+const {
+  buildMeetingContext,
+  parseCitations,
+  callLLMForQuestion,
+  streamLLMForQuestion,
+  buildResponseMetadata,
+} = require('../services/askAiService');
+const { emitToMeeting, emitMeetingContentUpdated, emitMeetingActionItemSynced } = require('../services/socketService');
 const crypto = require('crypto');
 const nanoid = (size = 10) => crypto.randomBytes(size).toString('hex').slice(0, size);
-const { MEETING_STATUS, MEETING_TYPE, PLATFORM, COLLABORATOR_ROLES } = require('../utils/constants');
+const {
+  MEETING_STATUS,
+  MEETING_TYPE,
+  PLATFORM,
+  COLLABORATOR_ROLES,
+  PAGINATION,
+  ANALYSIS_TRIGGER,
+  ACTION_ITEM_STATE,
+} = require('../utils/constants');
 const config = require('../config/env');
 const axios = require('axios');
 const logger = require('../utils/logger');
-const { normalizeDate, extractDateFromText } = require('../utils/dateUtils');
 const { idEquals } = require('../utils/idEquals');
+const { buildTranscriptionOptions } = require('../utils/helpers');
 const { getResourcePermission } = require('../utils/permissions');
 const User = require('../models/User');
 
+// Meeting states in which a transcription job may still be queued or running
+const CANCELLABLE_STATUSES = [MEETING_STATUS.PENDING, MEETING_STATUS.QUEUED, MEETING_STATUS.PROCESSING];
+
+// Statuses for which getMeetingStatus reports queue position and ETA
+const QUEUE_ESTIMATE_STATUSES = CANCELLABLE_STATUSES;
+
 /**
  * Helper to add a log message to the meeting
  */
@@ -33,6 +63,14 @@ async function addProcessingLog(meeting, message) {
   }
 }
 
+/**
+ * Number of AI action item candidates still pending review (no Task yet, not rejected)
+ */
+function countPendingCandidates(actionItems) {
+  if (!Array.isArray(actionItems)) return 0;
+  return actionItems.filter(item => item && !item.taskId && item.state !== ACTION_ITEM_STATE.REJECTED).length;
+}
+
 /**
  * Helper to calculate meeting analytics
  */
@@ -259,8 +297,8 @@ async function getAllMeetings(req, res, next) {
         updatedAt: obj.updatedAt,
         userRole,
         isUpload: obj.type === MEETING_TYPE.UPLOAD,
-        // Count from both Task collection and meeting.actionItems (AI-generated, not yet migrated)
-        actionItemsCount: (actionMap.get(String(obj._id)) || 0) + (Array.isArray(obj.actionItems) ? obj.actionItems.length : 0),
+        // Tasks plus AI candidates still pending review (accepted ones are counted as their Task)
+        actionItemsCount: (actionMap.get(String(obj._id)) || 0) + countPendingCandidates(obj.actionItems),
         hasBoard: boardMap.has(String(obj._id)),
         processingProgress: (obj.processingMeta && obj.processingMeta.progress) || 0,
         processingStage: (obj.processingMeta && obj.processingMeta.stage) || null,
@@ -292,6 +330,58 @@ async function getAllMeetings(req, res, next) {
   }
 }
 
+/**
+ * Full-text search across transcript segments, summaries, highlights and conclusions
+ * GET /api/meetings/search?q=
+ */
+async function searchMeetings(req, res, next) {
+  try {
+    const query = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, PAGINATION.MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const meetingId = req.query.meetingId;
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Search query (q) is required',
+      });
+    }
+
+    if (meetingId && !mongoose.Types.ObjectId.isValid(meetingId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID',
+        message: 'The provided meetingId is not valid',
+      });
+    }
+
+    const result = await searchTranscripts({
+      userId: req.user.id,
+      query,
+      limit,
+      offset,
+      meetingId,
+    });
+
+    res.json({
+      success: true,
+      query,
+      terms: result.terms,
+      hits: result.hits,
+      pagination: {
+        total: result.total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    logger.error('Error searching meetings:', error);
+    next(error);
+  }
+}
+
 /**
  * Get meeting by ID
  */
@@ -550,7 +640,7 @@ async function getMeetingStatus(req, res, next) {
   try {
     const { id } = req.params;
 
-    const meeting = await Meeting.findById(id).select('status errorMessage retryCount processingLogs processingMeta');
+    const meeting = await Meeting.findById(id).select('status errorMessage retryCount processingLogs processingMeta analysis');
 
     if (!meeting) {
       return res.status(404).json({
@@ -564,6 +654,11 @@ async function getMeetingStatus(req, res, next) {
     const jobId = `transcription-${id}`;
     const jobStatus = await getJobStatus(jobId);
 
+    // Position and ETA while the meeting waits in or is processed by the queue
+    const queue = QUEUE_ESTIMATE_STATUSES.includes(meeting.status)
+      ? await getQueueEstimate(id)
+      : null;
+
     // Get latest stage and progress from logs
     const latestLog = meeting.processingLogs && meeting.processingLogs.length > 0 
       ? meeting.processingLogs[meeting.processingLogs.length - 1] 
@@ -580,6 +675,8 @@ async function getMeetingStatus(req, res, next) {
         processingStage: latestLog?.stage || null,
         processingProgress: latestLog?.progress || jobStatus?.progress || 0,
         job: jobStatus,
+        queue,
+        analysis: meeting.analysis?.status ? meeting.analysis : null,
       },
     });
   } catch (error) {
@@ -719,6 +816,16 @@ async function deleteMeeting(req, res, next) {
       });
     }
 
+    // Stop any queued or running transcription so the worker does not write to a deleted meeting
+    if (CANCELLABLE_STATUSES.includes(meeting.status)) {
+      try {
+        await cancelTranscriptionJob(id, { jobId: meeting.processingMeta?.jobId });
+        if (meeting.importSource?.url) await cancelUrlImport(id);
+      } catch (error) {
+        logger.warn(`Could not cancel transcription job of meeting ${id}:`, error);
+      }
+    }
+
     // Delete file from MinIO if exists
     if (meeting.originalFile && meeting.originalFile.filename) {
       try {
@@ -749,6 +856,11 @@ async function deleteMeeting(req, res, next) {
     const orphanTaskDelResult = await Task.deleteMany({ meetingId: meetingObjectId });
     logger.info(`Deleted ${orphanTaskDelResult.deletedCount} orphan tasks for meeting ${id}`);
 
+    // Partial results of a chunked transcription, the transcript edit history and local temp files
+    await clearTranscriptionChunks(meetingObjectId);
+    await clearTranscriptRevisions(meetingObjectId);
+    await cleanupMeetingTempFiles(id);
+
     // Emit socket event for real-time update
     try {
       const { emitToMeeting } = require('../services/socketService');
@@ -983,7 +1095,11 @@ async function exportTranscript(req, res, next) {
 
 
 /**
- * Regenerate AI metadata (summary, action items, etc) from existing transcript
+ * Regenerate AI metadata (summary, action items, etc) from existing transcript.
+ * The analysis runs as a queue job; progress arrives as analysis_progress events
+ * and meeting_ai_regenerated is emitted when it is done.
+ * POST /api/meetings/:id/regenerate-ai
+ * Body: { summaryTemplateId? }
  */
 async function regenerateMetadata(req, res, next) {
   let meeting;
@@ -1012,145 +1128,34 @@ async function regenerateMetadata(req, res, next) {
       return res.status(400).json({ success: false, message: 'No transcript available to regenerate from' });
     }
 
-    await addProcessingLog(meeting, 'Mengulangi analisis AI pada transkrip...');
-    
-    // Sync logic: Delete existing Kanban board if it exists for this meeting
-    // We do this BEFORE regeneration so the user can start fresh
-    const meetingObjectId = new mongoose.Types.ObjectId(id);
-
-    const boardCount = await Board.countDocuments({ meetingId: meetingObjectId });
-    if (boardCount > 0) {
-      // Delete all tasks associated with this meeting
-      await Task.deleteMany({ meetingId: meetingObjectId });
-      // Delete all boards associated with this meeting
-      await Board.deleteMany({ meetingId: meetingObjectId });
-      
-      await addProcessingLog(meeting, `Semua ${boardCount} board Kanban dan tugas lama dihapus untuk sinkronisasi ulang.`);
-    } else {
-      // Still clear tasks just in case there are orphan ones
-      await Task.deleteMany({ meetingId: meetingObjectId });
-    }
-
-    const { analyzeTranscript } = require('../services/whisperxService');
-    const result = await analyzeTranscript(meeting.transcription.transcript);
-    // Persist a one-time raw snapshot of the analyze result for debugging/audit
-    try {
-      await addProcessingLog(meeting, `Raw analyze result snapshot: ${JSON.stringify(result).slice(0,2000)}`);
-    } catch (e) {
-      logger.debug('Failed to persist raw analyze snapshot', e.message);
-    }
-    // Log diagnostics from LLM and the action_items payload to aid debugging
-    try {
-      if (result.__llm_diagnostics) logger.debug('LLM diagnostics:', result.__llm_diagnostics);
-      const aiPayload = result.actionItems || result.action_items || [];
-      logger.debug('Regenerate analyze result action_items sample:', JSON.stringify((Array.isArray(aiPayload) ? aiPayload.slice(0,5) : aiPayload)));
-    } catch (e) {
-      // ignore logging errors
-    }
-
-    // Update transcription fields
-    meeting.transcription.summary = result.summary || meeting.transcription.summary;
-    meeting.transcription.highlights = result.highlights || meeting.transcription.highlights;
-    meeting.transcription.conclusion = result.conclusion || meeting.transcription.conclusion;
-    
-    if (result.suggestedDescription) {
-      meeting.description = result.suggestedDescription;
-    }
-    
-    // Update tags if available
-    if (result.tags && Array.isArray(result.tags)) {
-      meeting.tags = result.tags;
-    }
-    
-    if (result.suggestedTitle) {
-      meeting.suggestedTitle = result.suggestedTitle;
-      // Always apply to main title if it looks like a placeholder
-      const isPlaceholder = !meeting.title || 
-        meeting.title.includes('Meeting') || 
-        meeting.title.includes('Upload') || 
-        meeting.title.includes('video_') || 
-        meeting.title.includes('audio_') ||
-        (meeting.originalFile?.originalName && meeting.originalFile.originalName.toLowerCase().startsWith(meeting.title.toLowerCase()));
-      
-      if (isPlaceholder) {
-        meeting.title = result.suggestedTitle;
-      }
-    }
-
-    if (result.suggestedDescription) {
-      meeting.description = result.suggestedDescription;
-    } else if (!meeting.description && result.summary && !result.summary.includes('tidak tersedia')) {
-      // Fallback: use first sentence of summary
-      const firstSentence = result.summary.split('.')[0].replace(/[*#]/g, '').trim();
-      meeting.description = firstSentence + '.';
-    }
-
-    // Merge/Update action items (candidates)
-    const rawActionItems = Array.isArray(result.actionItems)
-      ? result.actionItems
-      : (Array.isArray(result.action_items) ? result.action_items : []);
-
-
-    if (rawActionItems.length > 0) {
-      const newCandidates = [];
-      for (const item of rawActionItems) {
-        const dueRaw = item.dueDate ?? item.due_date ?? item.dueDateRaw ?? item.due ?? null;
-        let norm = normalizeDate(dueRaw);
-
-        let needsDate = false;
-        // If backend couldn't parse due date, try extracting from transcript near the task text
-        if ((!norm || !norm.date) && meeting.transcription && meeting.transcription.transcript) {
-          try {
-            const query = (item.title || item.text || item.description || '').slice(0, 200);
-            const ext = extractDateFromText(meeting.transcription.transcript, query);
-            if (ext && ext.date) {
-              norm = ext;
-            }
-          } catch (e) {
-            // ignore extraction errors
-          }
-        }
-
-        if (!norm || !norm.date) needsDate = true;
-
-        newCandidates.push({
-          title: item.title || item.text || 'Untitled Task',
-          description: item.description || '',
-          priority: item.priority || 'medium',
-          dueDate: norm && norm.date ? norm.date : null,
-          dueDateRaw: norm && norm.raw ? norm.raw : (dueRaw || null),
-          assigneeName: item.assigneeName || item.assignee_name || null,
-          labels: item.labels || item.labels || [],
-          status: 'todo',
-          needsDate,
-        });
-      }
-
-      // Only overwrite candidates if new items were actually returned
-      meeting.actionItems = newCandidates;
+    // Another summary template, or null for the standard summary; left out keeps the current one
+    const { summaryTemplateId } = req.body || {};
+    if (summaryTemplateId !== undefined) {
+      meeting.summaryTemplate = summaryTemplateId
+        ? toMeetingTemplate(await getOwnedTemplate(currentUserId, summaryTemplateId))
+        : undefined;
+      await meeting.save();
     }
 
-    await addProcessingLog(meeting, 'Analisis AI berhasil diperbarui.');
-    await meeting.save();
-
-    // Emit socket event for realtime updates
-    const userName = req.user?.name || 'Unknown';
-    emitMeetingAiRegenerated(id, userName);
+    await addProcessingLog(meeting, meeting.summaryTemplate?.name
+      ? `Analisis AI ulang dijadwalkan dengan template "${meeting.summaryTemplate.name}".`
+      : 'Analisis AI ulang dijadwalkan.');
 
-    // Harmonize response (same as in getMeetingById)
-    const meetingObj = meeting.toObject();
-    delete meetingObj.suggestedTitle;
-    delete meetingObj.suggestedDescription;
-    const aiCandidates = meetingObj.actionItems || [];
-    delete meetingObj.actionItems;
-    delete meetingObj.summarySnippet;
+    // Tasks and the board stay: the analysis only replaces candidates still pending
+    // review, so accepted candidates keep their Task and rejected ones stay rejected
+    const job = await addAnalysisJob(id, {
+      trigger: ANALYSIS_TRIGGER.MANUAL,
+      requestedBy: currentUserId,
+      userName: req.user?.name || 'Unknown',
+    });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'AI metadata regenerated successfully',
-      meeting: meetingObj,
-      actionItems: aiCandidates, // On regeneration, we return the new candidates
-      hasSyncedTasks: false,     // Regeneration usually means tasks aren't synced yet or we want to show new ones
+      message: 'AI analysis queued',
+      data: {
+        jobId: job.id,
+        analysis: (await Meeting.findById(id).select('analysis').lean())?.analysis || null,
+      },
     });
   } catch (error) {
     logger.error('Error regenerating metadata:', error);
@@ -1193,6 +1198,7 @@ async function updateSpeakerName(req, res, next) {
       return res.status(400).json({ success: false, message: 'No transcription segments found' });
     }
 
+    const originalSegments = getSegments(meeting);
     let updatedCount = 0;
     if (applyToAll) {
       meeting.transcription.segments.forEach(seg => {
@@ -1218,10 +1224,17 @@ async function updateSpeakerName(req, res, next) {
     }
 
     if (updatedCount > 0) {
-      // Mark as modified for Mongoose Mixed types if necessary, though segments is a schema
-      meeting.markModified('transcription.segments');
-      meeting.markModified('transcription.speakers');
-      await meeting.save();
+      // Link the new name to a cross-meeting speaker profile
+      await syncSpeakerRename(meeting, oldSpeakerName, newSpeakerName, { applyToAll });
+      // Recorded as a revision so restore/undo account for the rename
+      await commitSegmentRewrite(meeting, originalSegments, {
+        action: 'rename',
+        userId: currentUserId,
+        set: {
+          'transcription.speakers': meeting.transcription.speakers,
+          speakerLinks: meeting.speakerLinks,
+        },
+      });
 
       // Emit socket event for realtime updates
       const userName = req.user?.name || 'Unknown';
@@ -1273,9 +1286,6 @@ async function askAI(req, res, next) {
       return res.status(403).json({ success: false, message: 'Access denied' });
     }
 
-    // Build context from meeting data
-    const meetingContext = buildMeetingContext(meeting);
-    
     // Get recent chat history for context (last 10 messages)
     let chatHistory = [];
     try {
@@ -1288,6 +1298,9 @@ async function askAI(req, res, next) {
       logger.warn('Could not fetch chat history:', chatErr.message);
     }
 
+    // Build context from meeting data, retrieving the transcript parts relevant to the question
+    const meetingContext = await buildMeetingContext(meeting, { question: question.trim(), chatHistory });
+
     // Save user's question to chat history (non-blocking)
     let userMessage = null;
     try {
@@ -1297,10 +1310,9 @@ async function askAI(req, res, next) {
     }
 
     // Call LLM service
-    const startTime = Date.now();
-    let aiResponse;
+    let result;
     try {
-      aiResponse = await callLLMForQuestion(meetingContext, chatHistory, question.trim());
+      result = await callLLMForQuestion(meetingContext, chatHistory, question.trim());
     } catch (llmError) {
       logger.error('LLM service error:', llmError.message);
       
@@ -1318,15 +1330,16 @@ async function askAI(req, res, next) {
         error: llmError.message,
       });
     }
-    const responseTime = Date.now() - startTime;
+
+    const aiResponse = result.content;
+    const citations = parseCitations(aiResponse, meeting.transcription?.segments);
 
     // Save AI response to chat history (non-blocking)
     let assistantMessage = { content: aiResponse, _id: null };
     try {
-      assistantMessage = await ChatMessage.addMessage(id, null, 'assistant', aiResponse, {
-        responseTime,
-        model: process.env.LLM_MODEL || 'google/gemma-3-4b-it:free',
-      });
+      assistantMessage = await ChatMessage.addMessage(id, null, 'assistant', aiResponse,
+        buildResponseMetadata(result, { citations })
+      );
     } catch (saveErr) {
       logger.warn('Could not save assistant message:', saveErr.message);
     }
@@ -1336,8 +1349,10 @@ async function askAI(req, res, next) {
       data: {
         question: question.trim(),
         answer: aiResponse,
+        citations,
         messageId: assistantMessage?._id || null,
-        responseTime,
+        responseTime: result.responseTime,
+        usage: result.usage,
       },
     });
   } catch (error) {
@@ -1350,6 +1365,131 @@ async function askAI(req, res, next) {
   }
 }
 
+/**
+ * Ask AI a question and stream the answer over Server-Sent Events
+ * POST /api/meetings/:id/ask/stream
+ * Events: token { text }, citations { citations }, done { messageId, responseTime, usage }, error { message }
+ */
+async function askAIStream(req, res, next) {
+  try {
+    const { id } = req.params;
+    const { question } = req.body;
+    const userId = req.user?.id || req.user?._id;
+
+    if (!question || typeof question !== 'string' || question.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is required',
+      });
+    }
+
+    // Find meeting and check permissions
+    const meeting = await Meeting.findById(id);
+    if (!meeting) {
+      return res.status(404).json({ success: false, message: 'Meeting not found' });
+    }
+
+    const permission = getResourcePermission(meeting, userId);
+    if (!permission.canView) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    // Get recent chat history for context (last 10 messages)
+    let chatHistory = [];
+    try {
+      chatHistory = await ChatMessage.find({ meetingId: id })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean();
+      chatHistory.reverse(); // Oldest first
+    } catch (chatErr) {
+      logger.warn('Could not fetch chat history:', chatErr.message);
+    }
+
+    const meetingContext = await buildMeetingContext(meeting, { question: question.trim(), chatHistory });
+
+    try {
+      await ChatMessage.addMessage(id, userId, 'user', question.trim());
+    } catch (saveErr) {
+      logger.warn('Could not save user message:', saveErr.message);
+    }
+
+    // Switch to SSE; errors from here on are reported as events
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop the upstream LLM request when the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) abortController.abort();
+    });
+
+    let result;
+    try {
+      result = await streamLLMForQuestion(meetingContext, chatHistory, question.trim(), {
+        onToken: (text) => sendEvent('token', { text }),
+        signal: abortController.signal,
+      });
+    } catch (llmError) {
+      if (abortController.signal.aborted) {
+        logger.info(`Ask AI stream aborted by client for meeting ${id}`);
+        return;
+      }
+      logger.error('LLM streaming error:', llmError.message);
+
+      try {
+        await ChatMessage.addMessage(id, null, 'assistant',
+          'Maaf, terjadi kesalahan saat memproses pertanyaan Anda. Silakan coba lagi.',
+          { error: llmError.message }
+        );
+      } catch (e) { /* ignore */ }
+
+      sendEvent('error', { message: 'Failed to process question', error: llmError.message });
+      return res.end();
+    }
+
+    const citations = parseCitations(result.content, meeting.transcription?.segments);
+    sendEvent('citations', { citations });
+
+    let assistantMessage = null;
+    try {
+      assistantMessage = await ChatMessage.addMessage(id, null, 'assistant', result.content,
+        buildResponseMetadata(result, { citations })
+      );
+    } catch (saveErr) {
+      logger.warn('Could not save assistant message:', saveErr.message);
+    }
+
+    sendEvent('done', {
+      messageId: assistantMessage?._id || null,
+      responseTime: result.responseTime,
+      usage: result.usage,
+    });
+    res.end();
+  } catch (error) {
+    logger.error('Ask AI stream error:', error);
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        res.write(`event: error\ndata: ${JSON.stringify({ message: 'Internal server error' })}\n\n`);
+        res.end();
+      }
+      return;
+    }
+    next(error);
+  }
+}
+
 /**
  * Get chat history for a meeting
  * GET /api/meetings/:id/chat
@@ -1413,231 +1553,9 @@ async function clearChatHistory(req, res, next) {
   }
 }
 
-/**
- * Build meeting context for LLM
- */
-function buildMeetingContext(meeting) {
-  let context = `# Meeting: ${meeting.title || 'Untitled Meeting'}\n\n`;
-  
-  if (meeting.description) {
-    context += `## Deskripsi\n${meeting.description}\n\n`;
-  }
-
-  // Meeting metadata
-  if (meeting.createdAt) {
-    context += `**Tanggal:** ${new Date(meeting.createdAt).toLocaleDateString('id-ID', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}\n`;
-  }
-  if (meeting.duration) {
-    const mins = Math.floor(meeting.duration / 60);
-    context += `**Durasi:** ${mins} menit\n`;
-  }
-  if (meeting.tags && meeting.tags.length > 0) {
-    context += `**Topik:** ${meeting.tags.join(', ')}\n`;
-  }
-  context += '\n';
-
-  // Use transcription object (correct structure)
-  const transcription = meeting.transcription || {};
-
-  if (transcription.summary) {
-    context += `## Ringkasan\n${transcription.summary}\n\n`;
-  }
-
-  if (transcription.highlights && typeof transcription.highlights === 'object') {
-    context += `## Poin-Poin Penting\n`;
-    for (const [topic, content] of Object.entries(transcription.highlights)) {
-      context += `### ${topic}\n${content}\n\n`;
-    }
-  }
-
-  if (transcription.conclusion) {
-    context += `## Kesimpulan\n${transcription.conclusion}\n\n`;
-  }
-
-  // Include action items from meeting.actionItems (AI candidates)
-  const actionItems = meeting.actionItems || [];
-  if (actionItems.length > 0) {
-    context += `## Action Items / Tugas\n`;
-    actionItems.forEach((item, i) => {
-      context += `${i + 1}. **${item.title}**`;
-      if (item.description) context += `: ${item.description}`;
-      if (item.priority) context += ` (Prioritas: ${item.priority})`;
-      if (item.dueDate) context += ` - Deadline: ${item.dueDate}`;
-      context += '\n';
-    });
-    context += '\n';
-  }
-
-  // Include full transcript with speakers for better Q&A context
-  if (transcription.segments && transcription.segments.length > 0) {
-    context += `## Transkrip Lengkap\n`;
-    // Include all segments for comprehensive context (up to 200 to avoid excessive tokens)
-    const segments = transcription.segments.slice(0, 200);
-    segments.forEach(seg => {
-      const speaker = seg.speaker || 'Speaker';
-      const timestamp = seg.start ? `[${formatSeconds(seg.start)}]` : '';
-      context += `${timestamp} **${speaker}**: ${seg.text}\n`;
-    });
-    
-    if (transcription.segments.length > 200) {
-      context += `\n... (${transcription.segments.length - 200} segmen lainnya tidak ditampilkan)\n`;
-    }
-  }
-
-  return context;
-}
-
-/**
- * Format seconds to MM:SS or HH:MM:SS
- */
-function formatSeconds(seconds) {
-  const h = Math.floor(seconds / 3600);
-  const m = Math.floor((seconds % 3600) / 60);
-  const s = Math.floor(seconds % 60);
-  if (h > 0) {
-    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
-  }
-  return `${m}:${s.toString().padStart(2, '0')}`;
-}
-
-/**
- * Call LLM service for question answering
- */
-async function callLLMForQuestion(meetingContext, chatHistory, question) {
-  const WHISPER_URL = config.WHISPERX_API_URL || 'http://localhost:5005';
-  
-  // Build messages array for chat completion
-  const messages = [
-    {
-      role: 'system',
-      content: `Kamu adalah asisten AI cerdas yang membantu menjawab pertanyaan tentang notulensi rapat.
-
-KEMAMPUANMU:
-- Menjawab pertanyaan tentang isi rapat (siapa bilang apa, keputusan apa yang diambil, dll)
-- Meringkas bagian tertentu dari rapat
-- Mencari informasi spesifik dari transkrip
-- Menjelaskan konteks dan hubungan antar topik yang dibahas
-- Mengidentifikasi tugas dan action items
-- Menganalisis sentimen dan dinamika diskusi
-
-PANDUAN MENJAWAB:
-1. Jawab dengan jelas, ringkas, dan terstruktur
-2. Jika ada kutipan relevan dari transkrip, sertakan dengan menyebut pembicara
-3. Jika informasi tidak ada dalam konteks rapat, katakan dengan jujur
-4. Gunakan format markdown untuk memperjelas (bold, bullet points, dll)
-5. Jawab dalam bahasa Indonesia
-
-Konteks rapat di bawah ini berisi ringkasan, poin-poin penting, kesimpulan, action items, dan transkrip lengkap.`
-    },
-    {
-      role: 'user',
-      content: `Berikut adalah konteks lengkap rapat:\n\n${meetingContext}`
-    }
-  ];
-
-  // Add chat history
-  chatHistory.forEach(msg => {
-    if (msg.role === 'user' || msg.role === 'assistant') {
-      messages.push({ role: msg.role, content: msg.content });
-    }
-  });
-
-  // Add current question (if not already in history)
-  const lastMsg = messages[messages.length - 1];
-  if (lastMsg.role !== 'user' || lastMsg.content !== question) {
-    messages.push({ role: 'user', content: question });
-  }
-
-  try {
-    const response = await axios.post(`${WHISPER_URL}/api/chat`, {
-      messages,
-      max_tokens: 1000,
-    }, {
-      timeout: 60000,
-      validateStatus: () => true, // Don't throw on non-2xx status
-    });
-
-    // Check if faster-whisper returned success
-    if (response.data?.success && response.data?.response) {
-      return response.data.response;
-    }
-    
-    // If faster-whisper returned error, log and try fallback
-    const errorMsg = response.data?.error || response.data?.response || `HTTP ${response.status}: ${response.statusText}`;
-    logger.warn(`Faster-whisper chat error (${WHISPER_URL}): ${errorMsg}, trying fallback...`);
-    
-    // Fallback: Try direct OpenRouter
-    if (process.env.OPENROUTER_API_KEY) {
-      logger.info('Trying OpenRouter direct fallback...');
-      return await callOpenRouterDirect(messages);
-    }
-    
-    throw new Error(`Faster-whisper error: ${errorMsg}. OpenRouter API key not configured.`);
-  } catch (error) {
-    logger.error('Error calling LLM service:', {
-      message: error.message,
-      code: error.code,
-      url: `${WHISPER_URL}/api/chat`,
-      hasOpenRouterKey: !!process.env.OPENROUTER_API_KEY
-    });
-    
-    // Fallback: Try direct OpenRouter if faster-whisper endpoint fails
-    if (process.env.OPENROUTER_API_KEY) {
-      logger.info('Trying OpenRouter fallback after connection error...');
-      try {
-        return await callOpenRouterDirect(messages);
-      } catch (fallbackError) {
-        logger.error('OpenRouter fallback also failed:', fallbackError.message);
-        throw new Error(`LLM service unavailable. Faster-whisper: ${error.message}. OpenRouter: ${fallbackError.message}`);
-      }
-    }
-    
-    // No fallback available
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error(`Faster-whisper service is not running at ${WHISPER_URL}. Please start the service or configure OPENROUTER_API_KEY.`);
-    }
-    
-    throw new Error(`LLM service error: ${error.message}. Please configure OPENROUTER_API_KEY as fallback.`);
-  }
-}
-
-/**
- * Direct OpenRouter call as fallback
- */
-async function callOpenRouterDirect(messages) {
-  try {
-    const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-      model: process.env.LLM_MODEL || 'google/gemma-3-4b-it:free',
-      messages,
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      timeout: 60000,
-      validateStatus: () => true,
-    });
-
-    if (response.status !== 200) {
-      const errorMsg = response.data?.error?.message || response.data?.error || `HTTP ${response.status}`;
-      throw new Error(`OpenRouter API error: ${errorMsg}`);
-    }
-
-    if (response.data?.choices?.[0]?.message?.content) {
-      return response.data.choices[0].message.content;
-    }
-    
-    throw new Error('OpenRouter returned empty response');
-  } catch (error) {
-    if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
-      throw new Error('Cannot connect to OpenRouter API. Check your internet connection.');
-    }
-    throw error;
-  }
-}
-
 module.exports = {
   getAllMeetings,
+  searchMeetings,
   getMeetingById,
   getMeetingStatus,
   updateMeeting,
@@ -1647,6 +1565,7 @@ module.exports = {
   createOnlineMeeting,
   createRealtimeMeeting,
   retryTranscription,
+  cancelTranscription,
   getMeetingAnalytics,
   regenerateMetadata,
   generateShareLink,
@@ -1656,6 +1575,7 @@ module.exports = {
   removeCollaborator,
   updateSpeakerName,
   askAI,
+  askAIStream,
   getChatHistory,
   clearChatHistory,
   togglePin,
@@ -2118,18 +2038,54 @@ async function retryTranscription(req, res, next) {
       });
     }
     
-    if (meeting.status !== MEETING_STATUS.FAILED) {
+    if (meeting.status !== MEETING_STATUS.FAILED && meeting.status !== MEETING_STATUS.CANCELLED) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'Only failed meetings can be retried',
+        message: 'Only failed or cancelled meetings can be retried',
       });
     }
     
+    // A cancelled run stays active until its worker notices the cancellation. Queueing
+    // now would reuse that job, which then finishes as cancelled and drops the retry.
+    const previousJob = await getJobStatus(meeting.processingMeta?.jobId || `transcription-${meeting._id}`);
+    const importState = meeting.importSource?.url ? await getUrlImportState(meeting._id) : null;
+    if (previousJob?.state === 'active' || importState === 'active') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'The previous run is still stopping. Try again in a few seconds.',
+      });
+    }
+
+    // Only the import job keeps the full URL; once it has been cleaned up the download cannot be repeated
+    const importUrl = !meeting.originalFile?.filename && meeting.importSource?.url
+      ? await getUrlImportSource(meeting._id)
+      : null;
+    if (!meeting.originalFile?.filename && meeting.importSource?.url && !importUrl) {
+      return res.status(410).json({
+        success: false,
+        error: 'Gone',
+        message: 'The import URL is no longer available. Import the recording again.',
+      });
+    }
+
+    // Options not given in the request keep the values of the previous run
+    const previousOptions = buildTranscriptionOptions({}, meeting.transcriptionOptions?.toObject?.() || {});
+    const transcriptionOptions = buildTranscriptionOptions(req.body, previousOptions);
+
+    // Chunks saved by the previous run were recognised with the old language/vocabulary
+    const recognitionChanged = ['language', 'numSpeakers', 'vocabulary'].some(key =>
+      JSON.stringify(transcriptionOptions[key]) !== JSON.stringify(previousOptions[key]));
+    if (recognitionChanged) {
+      await clearTranscriptionChunks(meeting._id);
+    }
+
     // Reset meeting status
     meeting.status = MEETING_STATUS.PENDING;
     meeting.errorMessage = null;
     meeting.retryCount = (meeting.retryCount || 0) + 1;
+    meeting.transcriptionOptions = transcriptionOptions;
     await meeting.save();
     
     // Re-queue for transcription if file exists
@@ -2138,7 +2094,12 @@ async function retryTranscription(req, res, next) {
       await addTranscriptionJob({
         meetingId: meeting._id.toString(),
         filename: meeting.originalFile.filename,
+        transcriptionOptions,
       });
+    } else if (meeting.importSource?.url) {
+      // The import itself failed or was cancelled: download again
+      await Meeting.updateOne({ _id: meeting._id }, { $set: { 'importSource.status': 'pending', 'importSource.error': null } });
+      await addUrlImportJob(meeting._id.toString(), importUrl);
     }
     
     logger.info(`Retry transcription for meeting: ${meeting._id}`);
@@ -2154,6 +2115,74 @@ async function retryTranscription(req, res, next) {
   }
 }
 
+/**
+ * Cancel a queued or running transcription
+ * POST /api/meetings/:id/cancel
+ */
+async function cancelTranscription(req, res, next) {
+  try {
+    const { id } = req.params;
+
+    const meeting = await Meeting.findById(id).select('userId collaborators status processingMeta importSource.url');
+    if (!meeting) {
+      return res.status(404).json({ success: false, message: 'Meeting not found' });
+    }
+
+    if (!getResourcePermission(meeting, req.user?.id || req.user?._id).canEdit) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to cancel this transcription',
+      });
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(meeting.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Transcription cannot be cancelled while the meeting is ${meeting.status}`,
+      });
+    }
+
+    const job = await cancelTranscriptionJob(id, { jobId: meeting.processingMeta?.jobId });
+    // A meeting imported from a URL has no transcription job until its download finishes
+    const importJob = meeting.importSource?.url ? await cancelUrlImport(id) : null;
+    const signalled = job.signalled || !!importJob?.signalled;
+
+    await Meeting.findByIdAndUpdate(id, {
+      $set: {
+        status: MEETING_STATUS.CANCELLED,
+        errorMessage: null,
+        'processingMeta.lastUpdatedAt': new Date(),
+        'processingMeta.currentStage': 'cancelled',
+      },
+      $push: {
+        processingLogs: { message: 'Transkripsi dibatalkan oleh pengguna.', timestamp: new Date(), stage: 'cancelled' },
+      },
+    });
+
+    // Nothing is running: clean up now (an active run cleans up when it stops)
+    if (!signalled) {
+      await clearCancellation(id);
+      await cleanupMeetingTempFiles(id);
+    }
+
+    emitToMeeting(id, 'transcription_cancelled', { meetingId: id, cancelledBy: req.user?.name || 'Unknown' });
+    logger.info(`Transcription of meeting ${id} cancelled by user ${req.user.id} (job state: ${job.state || 'none'})`);
+
+    res.json({
+      success: true,
+      message: signalled ? 'Cancellation requested; processing is stopping' : 'Transcription cancelled',
+      data: {
+        status: MEETING_STATUS.CANCELLED,
+        job,
+        ...(importJob ? { importJob } : {}),
+      },
+    });
+  } catch (error) {
+    logger.error('Error cancelling transcription:', error);
+    next(error);
+  }
+}
+
 /**
  * Sharing & Collaboration
  */
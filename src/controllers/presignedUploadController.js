@@ -0,0 +1,113 @@
+const {
+  createPresignedUpload,
+  getPresignedUpload,
+  completePresignedUpload,
+  deletePresignedUpload,
+} = require('../services/presignedUploadService');
+const { pickUploadFields, toUploadResponse } = require('../services/uploadService');
+const logger = require('../utils/logger');
+
+/**
+ * Shape a presigned upload session for API responses
+ */
+function toUploadSession(upload) {
+  return {
+    id: upload._id,
+    filename: upload.filename,
+    size: upload.size,
+    status: upload.status,
+    meetingId: upload.meetingId,
+    expiresAt: upload.expiresAt,
+  };
+}
+
+/**
+ * Start a direct-to-storage upload. The client PUTs the file to `url` with the
+ * given headers, then calls the completion endpoint.
+ * POST /api/upload/presigned
+ */
+async function startPresignedUpload(req, res, next) {
+  try {
+    const { filename, mimetype, size } = req.body;
+
+    const { upload, url, urlExpiresAt } = await createPresignedUpload({
+      userId: req.user.id,
+      filename,
+      mimetype,
+      size: Number(size),
+      fields: pickUploadFields(req.body),
+    });
+
+    res.status(201).json({
+      success: true,
+      upload: {
+        ...toUploadSession(upload),
+        method: 'PUT',
+        url,
+        urlExpiresAt,
+        headers: { 'Content-Type': upload.mimetype },
+        completeUrl: `${req.baseUrl}/presigned/${upload._id}/complete`,
+      },
+    });
+  } catch (error) {
+    logger.error('Error starting presigned upload:', error);
+    next(error);
+  }
+}
+
+/**
+ * Verify the uploaded object, create the meeting and queue the transcription
+ * POST /api/upload/presigned/:uploadId/complete
+ */
+async function completeUpload(req, res, next) {
+  try {
+    const upload = await getPresignedUpload(req.params.uploadId, req.user.id);
+    const { upload: completed, meeting, created } = await completePresignedUpload(upload);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'File uploaded successfully and queued for transcription',
+      upload: toUploadSession(completed),
+      meeting: toUploadResponse(meeting),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a presigned upload's status, and its meeting ID once completed
+ * GET /api/upload/presigned/:uploadId
+ */
+async function getUploadStatus(req, res, next) {
+  try {
+    const upload = await getPresignedUpload(req.params.uploadId, req.user.id);
+    res.json({
+      success: true,
+      upload: toUploadSession(upload),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Abort a presigned upload
+ * DELETE /api/upload/presigned/:uploadId
+ */
+async function cancelUpload(req, res, next) {
+  try {
+    const upload = await getPresignedUpload(req.params.uploadId, req.user.id);
+    await deletePresignedUpload(upload);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  startPresignedUpload,
+  completeUpload,
+  getUploadStatus,
+  cancelUpload,
+};
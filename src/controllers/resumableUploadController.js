@@ -0,0 +1,191 @@
+const {
+  createUpload,
+  getUpload,
+  getOffset,
+  appendChunk,
+  completeUpload,
+  deleteUpload,
+} = require('../services/resumableUploadService');
+const { pickUploadFields, toUploadResponse } = require('../services/uploadService');
+const logger = require('../utils/logger');
+
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+function uploadLocation(req, uploadId) {
+  return `${req.baseUrl}/resumable/${uploadId}`;
+}
+
+/**
+ * Progress headers shared by HEAD and PATCH responses
+ */
+function setUploadHeaders(res, upload, offset) {
+  res.set({
+    'Upload-Offset': String(offset),
+    'Upload-Length': String(upload.size),
+    'Upload-Expires': upload.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store',
+  });
+}
+
+/**
+ * Shape an upload session for API responses
+ */
+function toUploadSession(req, upload, offset) {
+  return {
+    id: upload._id,
+    filename: upload.filename,
+    size: upload.size,
+    offset,
+    status: upload.status,
+    meetingId: upload.meetingId,
+    expiresAt: upload.expiresAt,
+    location: uploadLocation(req, upload._id),
+  };
+}
+
+/**
+ * Finish a fully received upload and reply with the new meeting
+ */
+async function sendCompleted(req, res, upload) {
+  const { upload: completed, meeting, fileInfo } = await completeUpload(upload);
+  setUploadHeaders(res, completed, completed.size);
+  res.status(201).json({
+    success: true,
+    message: 'File uploaded successfully and queued for transcription',
+    upload: toUploadSession(req, completed, completed.size),
+    meeting: toUploadResponse(meeting, fileInfo),
+  });
+}
+
+/**
+ * Start a resumable upload
+ * POST /api/upload/resumable
+ */
+async function createResumableUpload(req, res, next) {
+  try {
+    const { filename, mimetype, size } = req.body;
+
+    const upload = await createUpload({
+      userId: req.user.id,
+      filename,
+      mimetype,
+      size: Number(size),
+      fields: pickUploadFields(req.body),
+    });
+
+    setUploadHeaders(res, upload, 0);
+    res.location(uploadLocation(req, upload._id));
+    res.status(201).json({
+      success: true,
+      upload: toUploadSession(req, upload, 0),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Report how many bytes of an upload were received
+ * HEAD /api/upload/resumable/:uploadId
+ */
+async function headResumableUpload(req, res, next) {
+  try {
+    const upload = await getUpload(req.params.uploadId, req.user.id);
+    setUploadHeaders(res, upload, await getOffset(upload));
+    res.status(200).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get an upload's progress, and its meeting once completed
+ * GET /api/upload/resumable/:uploadId
+ */
+async function getResumableUpload(req, res, next) {
+  try {
+    const upload = await getUpload(req.params.uploadId, req.user.id);
+    const offset = await getOffset(upload);
+    setUploadHeaders(res, upload, offset);
+    res.json({
+      success: true,
+      upload: toUploadSession(req, upload, offset),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Append a chunk at Upload-Offset. The meeting is created and queued for
+ * transcription with the request that delivers the last byte.
+ * PATCH /api/upload/resumable/:uploadId
+ */
+async function patchResumableUpload(req, res, next) {
+  try {
+    if (!req.is(CHUNK_CONTENT_TYPE)) {
+      return res.status(415).json({
+        success: false,
+        message: `Content-Type must be ${CHUNK_CONTENT_TYPE}`,
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Offset header must be a non-negative integer',
+      });
+    }
+
+    const upload = await getUpload(req.params.uploadId, req.user.id);
+
+    // All bytes arrived but completing failed part-way: an (empty) PATCH resumes it
+    if (upload.status === 'completing') {
+      return await sendCompleted(req, res, upload);
+    }
+
+    const newOffset = await appendChunk(upload, offset, req);
+
+    if (newOffset === upload.size) {
+      return await sendCompleted(req, res, upload);
+    }
+
+    setUploadHeaders(res, upload, newOffset);
+    res.status(204).end();
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      logger.error(`Resumable upload chunk failed for ${req.params.uploadId}:`, error);
+    }
+    next(error);
+  }
+}
+
+/**
+ * Abort an upload and discard the received bytes
+ * DELETE /api/upload/resumable/:uploadId
+ */
+async function deleteResumableUpload(req, res, next) {
+  try {
+    const upload = await getUpload(req.params.uploadId, req.user.id);
+    if (upload.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is already complete; delete the meeting instead',
+      });
+    }
+
+    await deleteUpload(upload);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  createResumableUpload,
+  headResumableUpload,
+  getResumableUpload,
+  patchResumableUpload,
+  deleteResumableUpload,
+};
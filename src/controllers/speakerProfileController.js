@@ -0,0 +1,267 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const SpeakerProfile = require('../models/SpeakerProfile');
+const {
+  findProfileByName,
+  findOrCreateProfile,
+  getOwnedProfile,
+  getMeetingSpeakers,
+  linkSpeaker,
+  unlinkSpeaker,
+  renameProfile,
+  mergeProfiles,
+  deleteProfile,
+  listProfiles,
+} = require('../services/speakerProfileService');
+const { emitMeetingContentUpdated } = require('../services/socketService');
+const { getResourcePermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+/**
+ * Notify open meetings that their speaker labels changed
+ */
+function emitSpeakersUpdated(meetingIds, data, userName) {
+  for (const meetingId of meetingIds) {
+    emitMeetingContentUpdated(meetingId, 'speakers_updated', data, userName);
+  }
+}
+
+async function ensureUserExists(res, userId) {
+  if (!userId) return true;
+  const exists = await User.exists({ _id: userId });
+  if (!exists) {
+    res.status(400).json({ success: false, message: 'Linked user not found' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Load a meeting and check the user's permission.
+ * Sends the error response itself and returns null when access is not allowed.
+ */
+async function loadMeetingForSpeakers(req, res, { requireEdit = false } = {}) {
+  const meeting = await Meeting.findById(req.params.id);
+  if (!meeting) {
+    res.status(404).json({ success: false, message: 'Meeting not found' });
+    return null;
+  }
+
+  const permission = getResourcePermission(meeting, req.user?.id || req.user?._id);
+  if (!(requireEdit ? permission.canEdit : permission.canView)) {
+    res.status(403).json({
+      success: false,
+      message: requireEdit
+        ? 'You do not have permission to update speakers of this meeting'
+        : 'Access denied',
+    });
+    return null;
+  }
+
+  return meeting;
+}
+
+/**
+ * List the user's speaker profiles
+ * GET /api/speakers
+ */
+async function listSpeakerProfiles(req, res, next) {
+  try {
+    const profiles = await listProfiles(req.user.id, { q: req.query.q });
+    res.json({ success: true, data: profiles, count: profiles.length });
+  } catch (error) {
+    logger.error('Error listing speaker profiles:', error);
+    next(error);
+  }
+}
+
+/**
+ * Create a speaker profile
+ * POST /api/speakers
+ * Body: { name, userId? }
+ */
+async function createSpeakerProfile(req, res, next) {
+  try {
+    const { name, userId = null } = req.body;
+
+    if (!(await ensureUserExists(res, userId))) return;
+
+    if (await findProfileByName(req.user.id, name)) {
+      return res.status(409).json({ success: false, message: 'A speaker profile with this name already exists' });
+    }
+
+    const profile = await findOrCreateProfile(req.user.id, name, { userId });
+    res.status(201).json({ success: true, data: profile, message: 'Speaker profile created' });
+  } catch (error) {
+    logger.error('Error creating speaker profile:', error);
+    next(error);
+  }
+}
+
+/**
+ * Rename a profile (propagated to linked meetings) and/or link it to a user
+ * PATCH /api/speakers/:profileId
+ * Body: { name?, userId? }
+ */
+async function updateSpeakerProfile(req, res, next) {
+  try {
+    const { name, userId } = req.body;
+    let profile = await getOwnedProfile(req.user.id, req.params.profileId);
+
+    if (userId !== undefined) {
+      if (!(await ensureUserExists(res, userId))) return;
+      profile.userId = userId;
+      await profile.save();
+    }
+
+    let meetingsUpdated = [];
+    if (name !== undefined && name.trim() !== profile.name) {
+      const duplicate = await findProfileByName(req.user.id, name);
+      if (duplicate && String(duplicate._id) !== String(profile._id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another speaker profile already uses this name; merge the profiles instead',
+        });
+      }
+
+      ({ profile, meetingsUpdated } = await renameProfile(profile, name));
+      emitSpeakersUpdated(meetingsUpdated, { profileId: profile._id, name: profile.name }, req.user?.name || 'Unknown');
+    }
+
+    res.json({
+      success: true,
+      data: { profile, meetingsUpdated },
+      message: 'Speaker profile updated',
+    });
+  } catch (error) {
+    logger.error('Error updating speaker profile:', error);
+    next(error);
+  }
+}
+
+/**
+ * Merge duplicate profiles into this one
+ * POST /api/speakers/:profileId/merge
+ * Body: { sourceIds }
+ */
+async function mergeSpeakerProfiles(req, res, next) {
+  try {
+    const target = await getOwnedProfile(req.user.id, req.params.profileId);
+    const sourceIds = [...new Set(req.body.sourceIds.map(String))].filter(id => id !== String(target._id));
+
+    if (sourceIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'Select at least one other profile to merge' });
+    }
+
+    const sources = await SpeakerProfile.find({ _id: { $in: sourceIds }, ownerId: req.user.id });
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({ success: false, message: 'Speaker profile not found' });
+    }
+
+    const result = await mergeProfiles(target, sources);
+    emitSpeakersUpdated(result.meetingsUpdated, { profileId: target._id, name: target.name }, req.user?.name || 'Unknown');
+
+    logger.info(`Merged speaker profiles ${sourceIds.join(', ')} into ${target._id}`);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${sources.length} speaker profile(s) merged`,
+    });
+  } catch (error) {
+    logger.error('Error merging speaker profiles:', error);
+    next(error);
+  }
+}
+
+/**
+ * Delete a profile; meetings keep their labels
+ * DELETE /api/speakers/:profileId
+ */
+async function deleteSpeakerProfile(req, res, next) {
+  try {
+    const profile = await getOwnedProfile(req.user.id, req.params.profileId);
+    await deleteProfile(profile);
+    res.json({ success: true, message: 'Speaker profile deleted' });
+  } catch (error) {
+    logger.error('Error deleting speaker profile:', error);
+    next(error);
+  }
+}
+
+/**
+ * List the speakers of a meeting with their linked profiles
+ * GET /api/meetings/:id/speakers
+ */
+async function getMeetingSpeakerProfiles(req, res, next) {
+  try {
+    const meeting = await loadMeetingForSpeakers(req, res);
+    if (!meeting) return;
+
+    const speakers = await getMeetingSpeakers(meeting);
+    res.json({ success: true, data: speakers });
+  } catch (error) {
+    logger.error('Error getting meeting speakers:', error);
+    next(error);
+  }
+}
+
+/**
+ * Link a speaker label to a profile (by ID, or by name creating the profile if needed)
+ * PUT /api/meetings/:id/speakers/link
+ * Body: { label, profileId? , name? }
+ */
+async function linkMeetingSpeaker(req, res, next) {
+  try {
+    const meeting = await loadMeetingForSpeakers(req, res, { requireEdit: true });
+    if (!meeting) return;
+
+    const { label, profileId, name } = req.body;
+    const result = await linkSpeaker(meeting, label, { profileId, name, userId: req.user.id });
+
+    emitMeetingContentUpdated(req.params.id, 'speakers_updated', {
+      oldSpeakerName: label,
+      newSpeakerName: result.label,
+      profileId: result.profile._id,
+      updatedCount: result.updatedCount,
+    }, req.user?.name || 'Unknown');
+
+    res.json({ success: true, data: result, message: 'Speaker linked' });
+  } catch (error) {
+    logger.error('Error linking meeting speaker:', error);
+    next(error);
+  }
+}
+
+/**
+ * Remove the profile link of a speaker label
+ * POST /api/meetings/:id/speakers/unlink
+ * Body: { label }
+ */
+async function unlinkMeetingSpeaker(req, res, next) {
+  try {
+    const meeting = await loadMeetingForSpeakers(req, res, { requireEdit: true });
+    if (!meeting) return;
+
+    const removed = await unlinkSpeaker(meeting, req.body.label);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Speaker is not linked to a profile' });
+    }
+
+    res.json({ success: true, message: 'Speaker unlinked' });
+  } catch (error) {
+    logger.error('Error unlinking meeting speaker:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  listSpeakerProfiles,
+  createSpeakerProfile,
+  updateSpeakerProfile,
+  mergeSpeakerProfiles,
+  deleteSpeakerProfile,
+  getMeetingSpeakerProfiles,
+  linkMeetingSpeaker,
+  unlinkMeetingSpeaker,
+};
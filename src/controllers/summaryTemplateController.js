@@ -0,0 +1,92 @@
+const {
+  getOwnedTemplate,
+  createTemplate,
+  updateTemplate,
+  listTemplates,
+} = require('../services/summaryTemplateService');
+const logger = require('../utils/logger');
+
+/**
+ * List the user's summary templates
+ * GET /api/summary-templates
+ */
+async function listSummaryTemplates(req, res, next) {
+  try {
+    const templates = await listTemplates(req.user.id);
+    res.json({ success: true, data: templates, count: templates.length });
+  } catch (error) {
+    logger.error('Error listing summary templates:', error);
+    next(error);
+  }
+}
+
+/**
+ * Get a summary template
+ * GET /api/summary-templates/:templateId
+ */
+async function getSummaryTemplate(req, res, next) {
+  try {
+    const template = await getOwnedTemplate(req.user.id, req.params.templateId);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a summary template
+ * POST /api/summary-templates
+ * Body: { name, description?, sections: [{ key, instruction? }], summaryInstruction?, isDefault? }
+ */
+async function createSummaryTemplate(req, res, next) {
+  try {
+    const { name, description, sections, summaryInstruction, isDefault } = req.body;
+    const template = await createTemplate(req.user.id, { name, description, sections, summaryInstruction, isDefault });
+
+    logger.info(`Summary template ${template._id} created by user ${req.user.id}`);
+    res.status(201).json({ success: true, data: template, message: 'Summary template created' });
+  } catch (error) {
+    logger.error('Error creating summary template:', error);
+    next(error);
+  }
+}
+
+/**
+ * Update a summary template; meetings already analyzed with it keep their notes
+ * PATCH /api/summary-templates/:templateId
+ */
+async function updateSummaryTemplate(req, res, next) {
+  try {
+    const { name, description, sections, summaryInstruction, isDefault } = req.body;
+    let template = await getOwnedTemplate(req.user.id, req.params.templateId);
+    template = await updateTemplate(template, { name, description, sections, summaryInstruction, isDefault });
+
+    res.json({ success: true, data: template, message: 'Summary template updated' });
+  } catch (error) {
+    logger.error('Error updating summary template:', error);
+    next(error);
+  }
+}
+
+/**
+ * Delete a summary template; meetings keep the copy they were analyzed with
+ * DELETE /api/summary-templates/:templateId
+ */
+async function deleteSummaryTemplate(req, res, next) {
+  try {
+    const template = await getOwnedTemplate(req.user.id, req.params.templateId);
+    await template.deleteOne();
+    res.json({ success: true, message: 'Summary template deleted' });
+  } catch (error) {
+    logger.error('Error deleting summary template:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  listSummaryTemplates,
+  getSummaryTemplate,
+  createSummaryTemplate,
+  updateSummaryTemplate,
+  deleteSummaryTemplate,
+};
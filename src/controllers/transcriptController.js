@@ -0,0 +1,381 @@
+const Meeting = require('../models/Meeting');
+const TranscriptRevision = require('../models/TranscriptRevision');
+const { emitMeetingContentUpdated } = require('../services/socketService');
+const {
+  getSegments,
+  commitSegmentChange,
+  restoreBeforeRevision,
+  undoLastRevision,
+} = require('../services/transcriptRevisionService');
+const { getResourcePermission } = require('../utils/permissions');
+const { isValidObjectId } = require('../utils/idEquals');
+const logger = require('../utils/logger');
+
+/**
+ * Load a meeting with transcript segments and check the user's permission.
+ * Sends the error response itself and returns null when access is not allowed.
+ */
+async function loadMeetingForTranscript(req, res, { requireEdit = true, requireSegments = true } = {}) {
+  const { id } = req.params;
+  const meeting = await Meeting.findById(id).select('userId collaborators transcription updatedAt');
+
+  if (!meeting) {
+    res.status(404).json({ success: false, message: 'Meeting not found' });
+    return null;
+  }
+
+  const currentUserId = req.user?.id || req.user?._id;
+  const permission = getResourcePermission(meeting, currentUserId);
+  const allowed = requireEdit ? permission.canEdit : permission.canView;
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      message: requireEdit
+        ? 'You do not have permission to edit the transcript of this meeting'
+        : 'Access denied',
+    });
+    return null;
+  }
+
+  const segmentCount = meeting.transcription?.segments?.length || 0;
+  if (!meeting.transcription || (requireSegments && segmentCount === 0)) {
+    res.status(400).json({ success: false, message: 'No transcription segments found' });
+    return null;
+  }
+
+  return meeting;
+}
+
+/**
+ * Parse and validate a segment index route parameter
+ * @returns {number|null}
+ */
+function parseSegmentIndex(value, segmentCount) {
+  if (!/^\d+$/.test(String(value))) return null;
+  const index = parseInt(value, 10);
+  return index < segmentCount ? index : null;
+}
+
+function isValidTime(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Shape a revision for API responses
+ */
+function formatRevision(revision) {
+  const obj = typeof revision.toObject === 'function' ? revision.toObject() : revision;
+  return {
+    id: String(obj._id),
+    action: obj.action,
+    index: obj.index,
+    before: obj.before,
+    after: obj.after,
+    restoredFrom: obj.restoredFrom ? String(obj.restoredFrom) : null,
+    user: obj.userId && typeof obj.userId === 'object' && obj.userId.name
+      ? { _id: String(obj.userId._id), name: obj.userId.name, image: obj.userId.image || null }
+      : (obj.userId ? { _id: String(obj.userId) } : null),
+    createdAt: obj.createdAt,
+  };
+}
+
+/**
+ * Emit the change to collaborators and send the response
+ */
+function respondWithChange(req, res, updateType, { revision, segments }) {
+  const userName = req.user?.name || 'Unknown';
+  const payload = {
+    revisionId: String(revision._id),
+    action: revision.action,
+    index: revision.index,
+    removedCount: revision.before.length,
+    segments: revision.after,
+    totalSegments: segments.length,
+  };
+
+  emitMeetingContentUpdated(req.params.id, updateType, payload, userName);
+
+  res.json({
+    success: true,
+    data: {
+      ...payload,
+      revision: formatRevision(revision),
+    },
+  });
+}
+
+/**
+ * Edit a single transcript segment (text, speaker and/or timestamps)
+ * PATCH /api/meetings/:id/segments/:index
+ */
+async function editSegment(req, res, next) {
+  try {
+    const meeting = await loadMeetingForTranscript(req, res);
+    if (!meeting) return;
+
+    const segments = getSegments(meeting);
+    const index = parseSegmentIndex(req.params.index, segments.length);
+    if (index === null) {
+      return res.status(400).json({ success: false, message: 'Invalid segment index' });
+    }
+
+    const { text, speaker, start, end } = req.body;
+    const updated = { ...segments[index] };
+
+    if (text !== undefined) {
+      if (typeof text !== 'string' || text.trim().length === 0) {
+        return res.status(400).json({ success: false, message: 'Segment text cannot be empty' });
+      }
+      updated.text = text.trim();
+    }
+    if (speaker !== undefined) {
+      if (typeof speaker !== 'string' || speaker.trim().length === 0) {
+        return res.status(400).json({ success: false, message: 'Speaker cannot be empty' });
+      }
+      updated.speaker = speaker.trim();
+    }
+    if (start !== undefined) {
+      if (!isValidTime(start)) {
+        return res.status(400).json({ success: false, message: 'Invalid start time' });
+      }
+      updated.start = start;
+    }
+    if (end !== undefined) {
+      if (!isValidTime(end)) {
+        return res.status(400).json({ success: false, message: 'Invalid end time' });
+      }
+      updated.end = end;
+    }
+    if (updated.start > updated.end) {
+      return res.status(400).json({ success: false, message: 'Segment start must not be after its end' });
+    }
+
+    const current = segments[index];
+    if (updated.text === current.text && updated.speaker === current.speaker &&
+        updated.start === current.start && updated.end === current.end) {
+      return res.status(400).json({ success: false, message: 'No changes to apply' });
+    }
+
+    const result = await commitSegmentChange(meeting, {
+      action: 'edit',
+      index,
+      removeCount: 1,
+      insert: [updated],
+      userId: req.user.id,
+    });
+
+    respondWithChange(req, res, 'segment_edited', result);
+  } catch (error) {
+    logger.error('Error editing segment:', error);
+    next(error);
+  }
+}
+
+/**
+ * Merge a contiguous range of segments into one
+ * POST /api/meetings/:id/segments/merge
+ * Body: { startIndex, endIndex, speaker? }
+ */
+async function mergeSegments(req, res, next) {
+  try {
+    const meeting = await loadMeetingForTranscript(req, res);
+    if (!meeting) return;
+
+    const segments = getSegments(meeting);
+    const startIndex = parseSegmentIndex(req.body.startIndex, segments.length);
+    const endIndex = parseSegmentIndex(req.body.endIndex, segments.length);
+
+    if (startIndex === null || endIndex === null || endIndex <= startIndex) {
+      return res.status(400).json({
+        success: false,
+        message: 'startIndex and endIndex must be valid segment indexes with endIndex > startIndex',
+      });
+    }
+
+    const range = segments.slice(startIndex, endIndex + 1);
+    const speaker = typeof req.body.speaker === 'string' && req.body.speaker.trim()
+      ? req.body.speaker.trim()
+      : range[0].speaker;
+
+    const merged = {
+      start: Math.min(...range.map(seg => seg.start)),
+      end: Math.max(...range.map(seg => seg.end)),
+      text: range.map(seg => seg.text.trim()).filter(Boolean).join(' '),
+      speaker,
+    };
+
+    const result = await commitSegmentChange(meeting, {
+      action: 'merge',
+      index: startIndex,
+      removeCount: range.length,
+      insert: [merged],
+      userId: req.user.id,
+    });
+
+    respondWithChange(req, res, 'segments_merged', result);
+  } catch (error) {
+    logger.error('Error merging segments:', error);
+    next(error);
+  }
+}
+
+/**
+ * Split a segment in two at a character offset
+ * POST /api/meetings/:id/segments/:index/split
+ * Body: { textOffset, splitTime?, speaker? }
+ * splitTime defaults to a time proportional to the text offset;
+ * speaker optionally overrides the speaker of the second half.
+ */
+async function splitSegment(req, res, next) {
+  try {
+    const meeting = await loadMeetingForTranscript(req, res);
+    if (!meeting) return;
+
+    const segments = getSegments(meeting);
+    const index = parseSegmentIndex(req.params.index, segments.length);
+    if (index === null) {
+      return res.status(400).json({ success: false, message: 'Invalid segment index' });
+    }
+
+    const segment = segments[index];
+    const textOffset = Number(req.body.textOffset);
+    if (!Number.isInteger(textOffset) || textOffset <= 0 || textOffset >= segment.text.length) {
+      return res.status(400).json({ success: false, message: 'textOffset must fall inside the segment text' });
+    }
+
+    const firstText = segment.text.slice(0, textOffset).trim();
+    const secondText = segment.text.slice(textOffset).trim();
+    if (!firstText || !secondText) {
+      return res.status(400).json({ success: false, message: 'Both halves of the split must contain text' });
+    }
+
+    let splitTime = req.body.splitTime;
+    if (splitTime === undefined) {
+      const ratio = textOffset / segment.text.length;
+      splitTime = Math.round((segment.start + (segment.end - segment.start) * ratio) * 1000) / 1000;
+    } else if (!isValidTime(splitTime) || splitTime < segment.start || splitTime > segment.end) {
+      return res.status(400).json({ success: false, message: 'splitTime must fall inside the segment time range' });
+    }
+
+    const secondSpeaker = typeof req.body.speaker === 'string' && req.body.speaker.trim()
+      ? req.body.speaker.trim()
+      : segment.speaker;
+
+    const result = await commitSegmentChange(meeting, {
+      action: 'split',
+      index,
+      removeCount: 1,
+      insert: [
+        { start: segment.start, end: splitTime, text: firstText, speaker: segment.speaker },
+        { start: splitTime, end: segment.end, text: secondText, speaker: secondSpeaker },
+      ],
+      userId: req.user.id,
+    });
+
+    respondWithChange(req, res, 'segment_split', result);
+  } catch (error) {
+    logger.error('Error splitting segment:', error);
+    next(error);
+  }
+}
+
+/**
+ * Delete a transcript segment
+ * DELETE /api/meetings/:id/segments/:index
+ */
+async function deleteSegment(req, res, next) {
+  try {
+    const meeting = await loadMeetingForTranscript(req, res);
+    if (!meeting) return;
+
+    const segments = getSegments(meeting);
+    const index = parseSegmentIndex(req.params.index, segments.length);
+    if (index === null) {
+      return res.status(400).json({ success: false, message: 'Invalid segment index' });
+    }
+
+    const result = await commitSegmentChange(meeting, {
+      action: 'delete',
+      index,
+      removeCount: 1,
+      insert: [],
+      userId: req.user.id,
+    });
+
+    respondWithChange(req, res, 'segment_deleted', result);
+  } catch (error) {
+    logger.error('Error deleting segment:', error);
+    next(error);
+  }
+}
+
+/**
+ * Get transcript revision history (newest first)
+ * GET /api/meetings/:id/revisions
+ */
+async function getRevisions(req, res, next) {
+  try {
+    const meeting = await loadMeetingForTranscript(req, res, { requireEdit: false, requireSegments: false });
+    if (!meeting) return;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const revisions = await TranscriptRevision.getHistory(meeting._id, limit);
+
+    res.json({
+      success: true,
+      data: revisions.map(formatRevision),
+    });
+  } catch (error) {
+    logger.error('Error getting transcript revisions:', error);
+    next(error);
+  }
+}
+
+/**
+ * Restore the transcript to the version before a revision
+ * POST /api/meetings/:id/revisions/:revisionId/restore
+ */
+async function restoreRevision(req, res, next) {
+  try {
+    if (!isValidObjectId(req.params.revisionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid revision ID' });
+    }
+
+    const meeting = await loadMeetingForTranscript(req, res, { requireSegments: false });
+    if (!meeting) return;
+
+    const result = await restoreBeforeRevision(meeting, req.params.revisionId, req.user.id);
+    respondWithChange(req, res, 'transcript_restored', result);
+  } catch (error) {
+    logger.error('Error restoring transcript revision:', error);
+    next(error);
+  }
+}
+
+/**
+ * Undo the latest transcript change
+ * POST /api/meetings/:id/revisions/undo
+ */
+async function undoRevision(req, res, next) {
+  try {
+    const meeting = await loadMeetingForTranscript(req, res, { requireSegments: false });
+    if (!meeting) return;
+
+    const result = await undoLastRevision(meeting, req.user.id);
+    respondWithChange(req, res, 'transcript_restored', result);
+  } catch (error) {
+    logger.error('Error undoing transcript revision:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  editSegment,
+  mergeSegments,
+  splitSegment,
+  deleteSegment,
+  getRevisions,
+  restoreRevision,
+  undoRevision,
+};
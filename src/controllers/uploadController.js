@@ -1,9 +1,14 @@
-const fs = require('fs');
-const Meeting = require('../models/Meeting');
-const { storeFile, cleanupTempFile } = require('../services/storageService');
-const { addTranscriptionJob } = require('../services/queueService');
-const { checkHealth: checkWhisperHealth } = require('../services/whisperxService');
-const { MEETING_STATUS, MEETING_TYPE, PLATFORM } = require('../utils/constants');
+const { cleanupTempFile } = require('../services/storageService');
+const {
+  pickUploadFields,
+  createMeetingFromUpload,
+  createUrlImportMeeting,
+  assertSummaryTemplate,
+  toUploadResponse,
+} = require('../services/uploadService');
+const { assertUrlAllowed } = require('../services/urlImportService');
+const { createMeetingFromTranscript } = require('../services/transcriptImportService');
+const { buildTranscriptionOptions } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 /**
@@ -22,77 +27,139 @@ async function uploadMeeting(req, res, next) {
       });
     }
 
-    const { title, description, tags } = req.body;
     tempFilePath = req.file.path;
 
     logger.info(`Processing upload: ${req.file.originalname}`);
 
-    // Upload file to MinIO
-    const fileStream = fs.createReadStream(tempFilePath);
-    const fileInfo = await storeFile(fileStream, req.file.originalname, {
-      mimetype: req.file.mimetype,
-    });
+    await assertSummaryTemplate(req.user.id, req.body);
 
-    // Create meeting record in database
-    const meeting = await Meeting.create({
+    const { meeting, fileInfo } = await createMeetingFromUpload({
       userId: req.user.id,
-      title: title || `Meeting - ${new Date().toLocaleDateString()}`,
-      description: description || '',
-      platform: PLATFORM.UPLOAD,
-      type: MEETING_TYPE.UPLOAD,
-      status: MEETING_STATUS.PENDING,
-      tags: tags ? (Array.isArray(tags) ? tags : [tags]) : [],
-      originalFile: {
-        filename: fileInfo.filename,
-        originalName: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        path: fileInfo.path,
-        uploadedAt: new Date(),
-      },
+      filePath: tempFilePath,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size,
+      fields: req.body,
     });
 
     // Clean up temporary file
     cleanupTempFile(tempFilePath);
 
-    // Check WhisperX health before enqueueing
-    const whisperHealth = await checkWhisperHealth();
-    if (whisperHealth.status === 'unhealthy') {
-      logger.warn('WhisperX service is unhealthy, but still enqueueing job for later processing');
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully and queued for transcription',
+      meeting: toUploadResponse(meeting, fileInfo),
+    });
+  } catch (error) {
+    // Clean up temporary file on error
+    if (tempFilePath) {
+      cleanupTempFile(tempFilePath);
     }
 
-    // Add transcription job to queue
-    await addTranscriptionJob(meeting._id.toString(), {
-      priority: 5,
+    logger.error('Upload error:', error);
+    next(error);
+  }
+}
+
+/**
+ * Import a recording from a URL. The file is downloaded in the background;
+ * progress arrives as transcription_progress events with stage "importing".
+ * POST /api/upload/from-url
+ */
+async function importFromUrl(req, res, next) {
+  try {
+    const { url } = req.body;
+
+    // Early feedback for URLs that cannot be imported; the download checks again
+    await assertUrlAllowed(url);
+
+    const meeting = await createUrlImportMeeting({
+      userId: req.user.id,
+      url,
+      fields: pickUploadFields(req.body),
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Recording queued for import and transcription',
+      meeting: {
+        _id: meeting._id,
+        title: meeting.title,
+        status: meeting.status,
+        platform: meeting.platform,
+        createdAt: meeting.createdAt,
+        importSource: {
+          url: meeting.importSource.url,
+          status: meeting.importSource.status,
+        },
+        transcriptionOptions: meeting.transcriptionOptions,
+      },
     });
+  } catch (error) {
+    logger.error('URL import error:', error.message);
+    next(error);
+  }
+}
 
-    logger.info(`Meeting created and queued for transcription: ${meeting._id}`);
+/**
+ * Import an existing SRT, WebVTT or JSON transcript as a completed meeting,
+ * without transcribing. Summary and action items are generated in the
+ * background unless `enableSummary` is false or the file already has them.
+ * POST /api/upload/transcript
+ */
+async function importTranscript(req, res, next) {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        error: 'No transcript uploaded',
+        message: 'Please upload an SRT, VTT or JSON transcript file, or send its text as "content"',
+      });
+    }
+
+    const { enableSummary } = buildTranscriptionOptions(req.body);
+    const { meeting, analyzing } = await createMeetingFromTranscript({
+      userId: req.user.id,
+      content,
+      filename: req.file?.originalname,
+      fields: {
+        title: req.body.title,
+        description: req.body.description,
+        tags: req.body.tags,
+        format: req.body.format?.toLowerCase(),
+        language: req.body.language?.toLowerCase(),
+        summaryTemplateId: req.body.summaryTemplateId,
+      },
+      analyze: enableSummary,
+    });
 
     res.status(201).json({
       success: true,
-      message: 'File uploaded successfully and queued for transcription',
+      message: analyzing
+        ? 'Transcript imported; AI summary is being generated'
+        : 'Transcript imported successfully',
       meeting: {
         _id: meeting._id,
         title: meeting.title,
         status: meeting.status,
         platform: meeting.platform,
         createdAt: meeting.createdAt,
-        filename: fileInfo.originalName,
-        size: req.file.size,
-        uploadedAt: meeting.originalFile.uploadedAt,
+        duration: meeting.duration,
+        segmentsCount: meeting.transcription.segments.length,
+        speakers: meeting.transcription.speakers.map(s => s.speaker),
+        actionItemsCount: meeting.actionItems.length,
+        analyzing,
       },
     });
   } catch (error) {
-    // Clean up temporary file on error
-    if (tempFilePath) {
-      cleanupTempFile(tempFilePath);
-    }
-    
-    logger.error('Upload error:', error);
+    logger.error('Transcript import error:', error.message);
     next(error);
   }
 }
 
 module.exports = {
   uploadMeeting,
+  importFromUrl,
+  importTranscript,
 };
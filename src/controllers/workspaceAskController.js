@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const ChatMessage = require('../models/ChatMessage');
+const { askAcrossMeetings } = require('../services/workspaceAskService');
+const { buildResponseMetadata } = require('../services/askAiService');
+const logger = require('../utils/logger');
+
+const CONVERSATION_ID_PATTERN = /^conv_[a-f0-9]{24}$/;
+
+function generateConversationId() {
+  return `conv_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Ask AI a question across all accessible meetings
+ * POST /api/meetings/ask
+ * Body: { question, conversationId?, tags?, from?, to?, boardId? }
+ */
+async function askWorkspace(req, res, next) {
+  try {
+    const { question, conversationId: requestedConversationId, tags, from, to, boardId } = req.body;
+    const userId = req.user?.id || req.user?._id;
+
+    if (!question || typeof question !== 'string' || question.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is required',
+      });
+    }
+
+    // Continue an existing conversation only if this user started it
+    let conversationId = requestedConversationId;
+    let chatHistory = [];
+    if (conversationId) {
+      if (!CONVERSATION_ID_PATTERN.test(conversationId) ||
+          !(await ChatMessage.isConversationOwner(conversationId, userId))) {
+        return res.status(404).json({ success: false, message: 'Conversation not found' });
+      }
+
+      chatHistory = await ChatMessage.find({ conversationId })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean();
+      chatHistory.reverse(); // Oldest first
+    } else {
+      conversationId = generateConversationId();
+    }
+
+    const filters = { tags, from, to, boardId };
+
+    try {
+      await ChatMessage.addConversationMessage(conversationId, userId, 'user', question.trim(), { filters });
+    } catch (saveErr) {
+      logger.warn('Could not save user message:', saveErr.message);
+    }
+
+    let result;
+    try {
+      result = await askAcrossMeetings({
+        userId,
+        question: question.trim(),
+        filters,
+        chatHistory,
+      });
+    } catch (llmError) {
+      // Scope errors (invalid/forbidden board) carry their own status
+      if (llmError.statusCode) throw llmError;
+
+      logger.error('Cross-meeting LLM error:', llmError.message);
+      try {
+        await ChatMessage.addConversationMessage(conversationId, null, 'assistant',
+          'Maaf, terjadi kesalahan saat memproses pertanyaan Anda. Silakan coba lagi.',
+          { error: llmError.message }
+        );
+      } catch (e) { /* ignore */ }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to process question',
+        error: llmError.message,
+      });
+    }
+
+    let assistantMessage = null;
+    try {
+      const metadata = result.llm
+        ? buildResponseMetadata(result.llm, { sources: result.sources })
+        : { sources: result.sources };
+      assistantMessage = await ChatMessage.addConversationMessage(conversationId, null, 'assistant', result.answer, metadata);
+    } catch (saveErr) {
+      logger.warn('Could not save assistant message:', saveErr.message);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        conversationId,
+        question: question.trim(),
+        answer: result.answer,
+        sources: result.sources,
+        meetingsSearched: result.meetingsSearched,
+        meetingsUsed: result.meetingsUsed,
+        messageId: assistantMessage?._id || null,
+        responseTime: result.llm?.responseTime ?? null,
+        usage: result.llm?.usage ?? null,
+      },
+    });
+  } catch (error) {
+    logger.error('Cross-meeting Ask AI error:', error);
+    next(error);
+  }
+}
+
+/**
+ * Get the messages of a cross-meeting conversation
+ * GET /api/meetings/conversations/:conversationId
+ */
+async function getConversation(req, res, next) {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user?.id || req.user?._id;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (!CONVERSATION_ID_PATTERN.test(conversationId) ||
+        !(await ChatMessage.isConversationOwner(conversationId, userId))) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    const messages = await ChatMessage.getConversationHistory(conversationId, limit);
+
+    res.json({
+      success: true,
+      data: messages,
+    });
+  } catch (error) {
+    logger.error('Get conversation error:', error);
+    next(error);
+  }
+}
+
+/**
+ * Delete a cross-meeting conversation
+ * DELETE /api/meetings/conversations/:conversationId
+ */
+async function clearConversation(req, res, next) {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user?.id || req.user?._id;
+
+    if (!CONVERSATION_ID_PATTERN.test(conversationId) ||
+        !(await ChatMessage.isConversationOwner(conversationId, userId))) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    await ChatMessage.clearConversation(conversationId);
+
+    res.json({
+      success: true,
+      message: 'Conversation cleared',
+    });
+  } catch (error) {
+    logger.error('Clear conversation error:', error);
+    next(error);
+  }
+}
+
+module.exports = {
+  askWorkspace,
+  getConversation,
+  clearConversation,
+};
@@ -10,6 +10,11 @@ const { createRedisClient } = require('./config/redis');
 const { ensureBucket } = require('./config/minio');
 const { createTranscriptionQueue } = require('./services/queueService');
 const { startTranscriptionWorker } = require('./workers/transcriptionWorker');
+const { startJobSupervisor } = require('./workers/jobSupervisor');
+const { startUrlImportWorker } = require('./workers/urlImportWorker');
+const { startAnalysisWorker } = require('./workers/analysisWorker');
+const { startUploadCleanup } = require('./services/resumableUploadService');
+const { startPresignedUploadCleanup } = require('./services/presignedUploadService');
 const { apiLimiter } = require('./middleware/rateLimiter');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const routes = require('./routes');
@@ -34,6 +39,8 @@ app.use(helmet());
 app.use(cors({
   origin: config.CORS_ORIGIN,
   credentials: true,
+  // Read by resumable upload clients
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires'],
 }));
 
 // Body parsing middleware
@@ -107,6 +114,19 @@ async function startServer() {
     startTranscriptionWorker();
     logger.info('✓ Transcription worker started');
 
+    // Download recordings imported from a URL
+    startUrlImportWorker();
+
+    // AI analysis (summary, highlights, action items) of saved transcripts
+    startAnalysisWorker();
+
+    // Detect and recover transcriptions whose worker stopped heartbeating
+    startJobSupervisor();
+
+    // Discard resumable and presigned uploads that were abandoned
+    startUploadCleanup();
+    startPresignedUploadCleanup();
+
     // Start Express server
     const PORT = config.PORT;
     const http = require('http');
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/env');
+const User = require('../models/User');
 const logger = require('../utils/logger');
 
 /**
@@ -95,7 +96,36 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Admin authorization middleware (use after authenticate)
+ * Allows active users with role 'admin' or whose stored email is listed in
+ * ADMIN_EMAILS. The token's own claims are not trusted for this.
+ */
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?.id).select('email role isActive').lean();
+    const isAdmin = user?.role === 'admin' ||
+      (!!user?.email && config.ADMIN_EMAILS.includes(user.email.toLowerCase()));
+
+    if (!user || !user.isActive || !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required.',
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Admin middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authorization failed.',
+    });
+  }
+};
+
 module.exports = {
   authenticate,
   optionalAuth,
+  requireAdmin,
 };
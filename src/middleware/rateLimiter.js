@@ -10,10 +10,14 @@ const skipIfAuthenticated = (req) => {
   return req.user && req.user.id;
 };
 
+// Chunk and offset requests of a resumable upload; one upload can take hundreds of them
+const RESUMABLE_CHUNK_PATH = /^\/upload\/resumable\/[^/]+$/;
+
 /**
  * General API rate limiter - stricter for unauthenticated requests
  */
 const apiLimiter = rateLimit({
+  skip: (req) => (req.method === 'PATCH' || req.method === 'HEAD') && RESUMABLE_CHUNK_PATH.test(req.path),
   windowMs: config.RATE_LIMIT_WINDOW * 60 * 1000, // Convert to milliseconds
   max: (req) => {
     // Authenticated users get 5x the limit
@@ -2,8 +2,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config/env');
-const { ALLOWED_MIME_TYPES, ALLOWED_EXTENSIONS } = require('../utils/constants');
-const { sanitizeFilename, isValidFileExtension } = require('../utils/helpers');
+const { ALLOWED_EXTENSIONS, TRANSCRIPT_IMPORT_FORMATS, TRANSCRIPT_IMPORT_LIMITS } = require('../utils/constants');
+const { sanitizeFilename, isAllowedMediaType } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 // Ensure upload directory exists
@@ -23,12 +23,9 @@ const storage = multer.diskStorage({
   },
 });
 
-// File filter
+// File filter (the content itself is checked with ffprobe once the file is on disk)
 const fileFilter = (req, file, cb) => {
-  const isValidMime = ALLOWED_MIME_TYPES.includes(file.mimetype);
-  const isValidExt = isValidFileExtension(file.originalname);
-
-  if (isValidMime && isValidExt) {
+  if (isAllowedMediaType(file.originalname, file.mimetype)) {
     cb(null, true);
   } else {
     logger.warn(`Invalid file upload attempt: ${file.originalname} (${file.mimetype})`);
@@ -73,14 +70,34 @@ const realtimeUpload = multer({
   },
 });
 
+// Transcript files (SRT, VTT, JSON) are parsed in memory
+const transcriptFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).slice(1).toLowerCase();
+  if (TRANSCRIPT_IMPORT_FORMATS.includes(ext)) {
+    cb(null, true);
+  } else {
+    logger.warn(`Invalid transcript upload attempt: ${file.originalname} (${file.mimetype})`);
+    cb(new Error(`Invalid transcript type. Allowed types: ${TRANSCRIPT_IMPORT_FORMATS.map(f => `.${f}`).join(', ')}`), false);
+  }
+};
+
+const transcriptUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: transcriptFileFilter,
+  limits: {
+    fileSize: TRANSCRIPT_IMPORT_LIMITS.MAX_FILE_SIZE,
+  },
+});
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxSize = err.field === 'transcript' ? TRANSCRIPT_IMPORT_LIMITS.MAX_FILE_SIZE : config.MAX_FILE_SIZE;
       return res.status(413).json({
         success: false,
         error: 'File too large',
-        message: `Maximum file size is ${config.MAX_FILE_SIZE / (1024 * 1024)}MB`,
+        message: `Maximum file size is ${maxSize / (1024 * 1024)}MB`,
       });
     }
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
@@ -111,5 +128,6 @@ const handleMulterError = (err, req, res, next) => {
 module.exports = {
   upload,
   realtimeUpload,
+  transcriptUpload,
   handleMulterError,
 };
@@ -1,4 +1,10 @@
 const Joi = require('joi');
+const {
+  TRANSCRIPTION_OPTION_LIMITS,
+  TRANSCRIPT_IMPORT_FORMATS,
+  TRANSCRIPT_IMPORT_LIMITS,
+  SUMMARY_TEMPLATE_LIMITS,
+} = require('../utils/constants');
 
 /**
  * Validate request using Joi schema
@@ -23,6 +29,32 @@ function validate(schema) {
   };
 }
 
+// Transcription options accepted on upload and retry. Multipart forms send
+// strings, so numbers/booleans rely on Joi conversion and the vocabulary may
+// also be one comma/newline separated string.
+const transcriptionOptions = {
+  language: Joi.string().lowercase().pattern(/^(auto|[a-z]{2,3})$/).optional()
+    .messages({ 'string.pattern.base': '"language" must be an ISO 639-1 code such as "id" or "en", or "auto"' }),
+  numSpeakers: Joi.number().integer().min(0).max(TRANSCRIPTION_OPTION_LIMITS.MAX_SPEAKERS).optional(),
+  vocabulary: Joi.alternatives().try(
+    Joi.array()
+      .items(Joi.string().trim().max(TRANSCRIPTION_OPTION_LIMITS.MAX_TERM_LENGTH))
+      .max(TRANSCRIPTION_OPTION_LIMITS.MAX_VOCABULARY_TERMS),
+    Joi.string().allow('').max(TRANSCRIPTION_OPTION_LIMITS.MAX_VOCABULARY_TERMS * (TRANSCRIPTION_OPTION_LIMITS.MAX_TERM_LENGTH + 1))
+  ).optional(),
+  enableSummary: Joi.boolean().optional(),
+};
+
+// Summary template of a new meeting; null or '' opts out of the user's default template
+const summaryTemplateId = Joi.string().hex().length(24).allow(null, '').optional();
+
+// Template sections; the heading becomes a highlights key, so no '.' or leading '$'
+const summaryTemplateSection = Joi.object({
+  key: Joi.string().trim().min(1).max(SUMMARY_TEMPLATE_LIMITS.MAX_KEY_LENGTH).pattern(/^[^.$][^.]*$/).required()
+    .messages({ 'string.pattern.base': 'Section "key" must not contain "." or start with "$"' }),
+  instruction: Joi.string().allow('').max(SUMMARY_TEMPLATE_LIMITS.MAX_INSTRUCTION_LENGTH).optional(),
+});
+
 /**
  * Validation schemas
  */
@@ -32,6 +64,69 @@ const schemas = {
     title: Joi.string().min(1).max(200).required(),
     description: Joi.string().max(1000).optional(),
     tags: Joi.array().items(Joi.string().max(50)).optional(),
+    ...transcriptionOptions,
+    summaryTemplateId,
+  }),
+
+  // Start a resumable or presigned upload (file type and size limits are checked by the service)
+  startUpload: Joi.object({
+    filename: Joi.string().min(1).max(255).required(),
+    mimetype: Joi.string().max(100).required(),
+    size: Joi.number().integer().min(1).required(),
+    title: Joi.string().min(1).max(200).required(),
+    description: Joi.string().max(1000).optional(),
+    tags: Joi.array().items(Joi.string().max(50)).optional(),
+    ...transcriptionOptions,
+    summaryTemplateId,
+  }),
+
+  // Import a recording from a URL (where the URL may point is checked by the service)
+  importFromUrl: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+    title: Joi.string().min(1).max(200).optional(),
+    description: Joi.string().max(1000).optional(),
+    tags: Joi.array().items(Joi.string().max(50)).optional(),
+    ...transcriptionOptions,
+    summaryTemplateId,
+  }),
+
+  // Import an SRT/VTT/JSON transcript (multipart `transcript` file, or `content` in a JSON body)
+  importTranscript: Joi.object({
+    content: Joi.string().max(TRANSCRIPT_IMPORT_LIMITS.MAX_FILE_SIZE).optional(),
+    format: Joi.string().lowercase().valid(...TRANSCRIPT_IMPORT_FORMATS).optional(),
+    title: Joi.string().min(1).max(200).optional(),
+    description: Joi.string().max(1000).optional(),
+    tags: Joi.array().items(Joi.string().max(50)).optional(),
+    language: transcriptionOptions.language,
+    enableSummary: transcriptionOptions.enableSummary,
+    summaryTemplateId,
+  }),
+
+  // Regenerate AI notes, optionally with another summary template (null = standard summary)
+  regenerateMetadata: Joi.object({
+    summaryTemplateId: Joi.string().hex().length(24).allow(null).optional(),
+  }),
+
+  // Summary templates
+  summaryTemplate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().allow('').max(500).optional(),
+    sections: Joi.array().items(summaryTemplateSection).min(1).max(SUMMARY_TEMPLATE_LIMITS.MAX_SECTIONS).required(),
+    summaryInstruction: Joi.string().allow('').max(SUMMARY_TEMPLATE_LIMITS.MAX_INSTRUCTION_LENGTH).optional(),
+    isDefault: Joi.boolean().optional(),
+  }),
+
+  summaryTemplateUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().allow('').max(500).optional(),
+    sections: Joi.array().items(summaryTemplateSection).min(1).max(SUMMARY_TEMPLATE_LIMITS.MAX_SECTIONS).optional(),
+    summaryInstruction: Joi.string().allow('').max(SUMMARY_TEMPLATE_LIMITS.MAX_INSTRUCTION_LENGTH).optional(),
+    isDefault: Joi.boolean().optional(),
+  }).min(1),
+
+  // Retry a failed/cancelled transcription, optionally with new options
+  retryTranscription: Joi.object({
+    ...transcriptionOptions,
   }),
 
   // Update meeting validation
@@ -42,6 +137,65 @@ const schemas = {
     isPublic: Joi.boolean().optional(),
   }),
 
+  // Cross-meeting Ask-AI validation
+  askWorkspace: Joi.object({
+    question: Joi.string().trim().min(1).max(2000).required(),
+    conversationId: Joi.string().max(64).optional(),
+    tags: Joi.array().items(Joi.string().max(50)).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    boardId: Joi.string().hex().length(24).optional(),
+  }),
+
+  // AI action item candidate edits (also accepted as overrides when accepting)
+  actionItem: Joi.object({
+    title: Joi.string().trim().min(1).max(200).optional(),
+    description: Joi.string().allow('').max(2000).optional(),
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
+    dueDate: Joi.date().allow(null).optional(),
+    assigneeName: Joi.string().allow(null, '').max(100).optional(),
+    labels: Joi.array().items(Joi.string().max(50)).optional(),
+  }),
+
+  // Confirm that a name used in a meeting refers to a user
+  assigneeConfirm: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    userId: Joi.string().hex().length(24).required(),
+    applyToTasks: Joi.boolean().optional(),
+  }),
+
+  // Speaker profiles
+  speakerProfile: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    userId: Joi.string().hex().length(24).allow(null).optional(),
+  }),
+
+  speakerProfileUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    userId: Joi.string().hex().length(24).allow(null).optional(),
+  }).or('name', 'userId'),
+
+  speakerProfileMerge: Joi.object({
+    sourceIds: Joi.array().items(Joi.string().hex().length(24)).min(1).required(),
+  }),
+
+  // Retry or discard dead-lettered transcriptions (explicit IDs or all)
+  deadLetterAction: Joi.object({
+    ids: Joi.array().items(Joi.string().max(100)).min(1).max(500),
+    all: Joi.boolean().valid(true),
+  }).xor('ids', 'all'),
+
+  // Link a meeting speaker label to a profile (by ID or by name)
+  speakerLink: Joi.object({
+    label: Joi.string().min(1).max(100).required(),
+    profileId: Joi.string().hex().length(24).optional(),
+    name: Joi.string().trim().min(1).max(100).optional(),
+  }).xor('profileId', 'name'),
+
+  speakerUnlink: Joi.object({
+    label: Joi.string().min(1).max(100).required(),
+  }),
+
   // Online meeting validation
   onlineMeeting: Joi.object({
     title: Joi.string().min(1).max(200).required(),
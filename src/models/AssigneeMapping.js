@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * AssigneeMapping Model
+ * Remembers that a name the AI extracted (or a speaker label) refers to a real user,
+ * so future meetings of the same owner auto-assign tasks to that user.
+ */
+const assigneeMappingSchema = new mongoose.Schema({
+  // Meeting owner whose meetings this mapping applies to
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Normalized name used for lookups (see assigneeResolver.normalizeName)
+  alias: {
+    type: String,
+    required: true,
+  },
+
+  // Name as it was first confirmed, for display
+  displayName: {
+    type: String,
+    trim: true,
+  },
+
+  // User the name resolves to
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+
+  // How many tasks were auto-assigned through this mapping
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+  lastUsedAt: Date,
+}, {
+  timestamps: true,
+});
+
+assigneeMappingSchema.index({ ownerId: 1, alias: 1 }, { unique: true });
+
+const AssigneeMapping = mongoose.model('AssigneeMapping', assigneeMappingSchema);
+
+module.exports = AssigneeMapping;
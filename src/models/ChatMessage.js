@@ -9,7 +9,13 @@ const chatMessageSchema = new mongoose.Schema({
   meetingId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Meeting',
-    required: true,
+    required: function() { return !this.conversationId; },
+    index: true,
+  },
+
+  // Cross-meeting conversations are not tied to one meeting and use this ID instead
+  conversationId: {
+    type: String,
     index: true,
   },
   
@@ -36,15 +42,40 @@ const chatMessageSchema = new mongoose.Schema({
   
   // Optional metadata
   metadata: {
-    // Model used for AI response
+    // Provider and model used for AI response
+    provider: String,
     model: String,
     // Tokens used
     promptTokens: Number,
     completionTokens: Number,
+    totalTokens: Number,
     // Response time in ms
     responseTime: Number,
     // Error if any
     error: String,
+    // Transcript segments the answer cites
+    citations: [{
+      _id: false,
+      segmentIndex: Number,
+      speaker: String,
+      start: Number,
+      end: Number,
+      text: String,
+    }],
+    // Cross-meeting answers: sources across meetings
+    sources: [{
+      _id: false,
+      meetingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Meeting' },
+      meetingTitle: String,
+      meetingDate: Date,
+      segmentIndex: Number,
+      speaker: String,
+      start: Number,
+      end: Number,
+      text: String,
+    }],
+    // Cross-meeting questions: filters applied when retrieving meetings
+    filters: mongoose.Schema.Types.Mixed,
   },
   
 }, {
@@ -53,6 +84,7 @@ const chatMessageSchema = new mongoose.Schema({
 
 // Compound index for efficient queries
 chatMessageSchema.index({ meetingId: 1, createdAt: 1 });
+chatMessageSchema.index({ conversationId: 1, createdAt: 1 });
 
 // Instance method to format for frontend
 chatMessageSchema.methods.toJSON = function() {
@@ -81,11 +113,42 @@ chatMessageSchema.statics.addMessage = async function(meetingId, userId, role, c
   });
 };
 
+// Static method to get a cross-meeting conversation
+chatMessageSchema.statics.getConversationHistory = async function(conversationId, limit = 50) {
+  return this.find({ conversationId })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .populate('userId', 'name email image')
+    .lean();
+};
+
+// Static method to add a message to a cross-meeting conversation
+chatMessageSchema.statics.addConversationMessage = async function(conversationId, userId, role, content, metadata = {}) {
+  return this.create({
+    conversationId,
+    userId: role === 'user' ? userId : null,
+    role,
+    content,
+    metadata,
+  });
+};
+
+// Static method to check that a user started a conversation
+chatMessageSchema.statics.isConversationOwner = async function(conversationId, userId) {
+  const exists = await this.exists({ conversationId, role: 'user', userId });
+  return !!exists;
+};
+
 // Static method to clear chat history for a meeting
 chatMessageSchema.statics.clearHistory = async function(meetingId) {
   return this.deleteMany({ meetingId });
 };
 
+// Static method to clear a cross-meeting conversation
+chatMessageSchema.statics.clearConversation = async function(conversationId) {
+  return this.deleteMany({ conversationId });
+};
+
 const ChatMessage = mongoose.model('ChatMessage', chatMessageSchema);
 
 module.exports = ChatMessage;
@@ -1,13 +1,6 @@
 const mongoose = require('mongoose');
-const { MEETING_STATUS, MEETING_TYPE, PLATFORM } = require('../utils/constants');
-const { collaboratorSchema } = require('../utils/schemas');
-
-const segmentSchema = new mongoose.Schema({
-  start: { type: Number, required: true },
-  end: { type: Number, required: true },
-  text: { type: String, required: true },
-  speaker: { type: String, required: true },
-}, { _id: false });
+const { MEETING_STATUS, MEETING_TYPE, PLATFORM, ACTION_ITEM_STATE, ANALYSIS_TRIGGER } = require('../utils/constants');
+const { collaboratorSchema, segmentSchema } = require('../utils/schemas');
 
 const speakerSchema = new mongoose.Schema({
   speaker: { type: String, required: true },
@@ -34,6 +27,8 @@ const originalFileSchema = new mongoose.Schema({
   mimetype: String,
   size: Number,
   path: String, // MinIO path
+  format: String, // Container detected by ffprobe (e.g. "matroska,webm")
+  hasVideo: Boolean,
   uploadedAt: { type: Date, default: Date.now },
 }, { _id: false });
 
@@ -89,17 +84,83 @@ const meetingSchema = new mongoose.Schema({
     dueDateRaw: String,
     assigneeName: String,
     labels: [String],
-    status: { type: String, default: 'todo' } 
+    status: { type: String, default: 'todo' },
+    // Review workflow: pending until a user accepts (creates a Task) or rejects it
+    state: {
+      type: String,
+      enum: Object.values(ACTION_ITEM_STATE),
+      default: ACTION_ITEM_STATE.PENDING,
+    },
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
   }],
 
   suggestedTitle: String,
 
+  // Links between speaker labels used in this transcript and cross-meeting speaker profiles
+  speakerLinks: [{
+    label: { type: String, required: true },
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'SpeakerProfile', required: true },
+  }],
+
   
   // Sharing & collaboration
   isPublic: { type: Boolean, default: false },
   shareToken: { type: String, unique: true, sparse: true },
   collaborators: [collaboratorSchema],
   tags: [String],
+
+  // Latest AI analysis job (summary, highlights, action items), see workers/analysisWorker.js
+  analysis: {
+    status: { type: String, enum: ['queued', 'processing', 'completed', 'failed'] },
+    trigger: { type: String, enum: Object.values(ANALYSIS_TRIGGER) },
+    jobId: String,
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+    // Run requested while a run was in progress (that run read the older transcript)
+    rerun: {
+      type: new mongoose.Schema({
+        trigger: { type: String, enum: Object.values(ANALYSIS_TRIGGER) },
+        requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        userName: String,
+        runAfter: Date,
+      }, { _id: false }),
+      default: null,
+    },
+  },
+
+  // Set for meetings imported from a URL (POST /api/upload/from-url)
+  importSource: {
+    url: String,
+    finalUrl: String,   // After redirects
+    status: { type: String, enum: ['pending', 'downloading', 'completed', 'failed'] },
+    bytesReceived: Number,
+    totalBytes: Number, // From Content-Length, when sent
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+  },
+
+  // Options the meeting is transcribed with (set on upload, changeable on retry)
+  transcriptionOptions: {
+    language: { type: String, default: null }, // null = auto-detect
+    numSpeakers: { type: Number, default: 0 }, // 0 = auto-detect
+    vocabulary: [String],                        // Names/terms to bias recognition towards
+    enableSummary: { type: Boolean, default: true },
+  },
+
+  // Summary template the AI notes follow (copied from SummaryTemplate when selected,
+  // so editing or deleting the template does not change existing meetings)
+  summaryTemplate: {
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'SummaryTemplate' },
+    name: String,
+    sections: [{ _id: false, key: String, instruction: String }],
+    summaryInstruction: String,
+  },
   
   // Error tracking
   errorMessage: String,
@@ -112,9 +173,11 @@ const meetingSchema = new mongoose.Schema({
     lastUpdatedAt: Date,
     lastHeartbeat: Date,  // For detecting hung workers
     currentStage: String, // Current processing stage
+    engine: String,       // Transcription engine of the last run
     chunkInfo: {          // For chunked transcription
       currentChunk: Number,
       totalChunks: Number,
+      completedChunks: Number, // Chunks whose segments are saved (resume point)
       chunkingEnabled: Boolean,
     },
   },
@@ -146,6 +209,7 @@ meetingSchema.index({ type: 1 });
 meetingSchema.index({ 'originalFile.filename': 1 });
 // Index collaborators.user for efficient shared queries
 meetingSchema.index({ 'collaborators.user': 1 });
+meetingSchema.index({ 'speakerLinks.profileId': 1 });
 // Text index for searching title and description
 meetingSchema.index({ title: 'text', description: 'text' });
 
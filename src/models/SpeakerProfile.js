@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * SpeakerProfile Model
+ * A person who speaks in meetings. Per-meeting speaker labels are linked to a
+ * profile (Meeting.speakerLinks) so the same person is recognised across meetings.
+ */
+const speakerProfileSchema = new mongoose.Schema({
+  // Workspace owner the profile belongs to (meeting owner)
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Display name; linked meetings use it as the speaker label
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Normalized name used for lookups (see assigneeResolver.normalizeName)
+  normalizedName: {
+    type: String,
+    required: true,
+  },
+
+  // Other normalized names this speaker was known as (previous names, merged profiles)
+  aliases: {
+    type: [String],
+    default: [],
+  },
+
+  // Optional link to a registered user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+speakerProfileSchema.index({ ownerId: 1, normalizedName: 1 });
+speakerProfileSchema.index({ ownerId: 1, aliases: 1 });
+
+const SpeakerProfile = mongoose.model('SpeakerProfile', speakerProfileSchema);
+
+module.exports = SpeakerProfile;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * SummaryTemplate Model
+ * A user-defined shape for AI meeting notes, e.g. "Sprint retro: went well /
+ * went badly / actions". Each section becomes a key of transcription.highlights.
+ */
+const summaryTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+
+  // Kind of meeting the template is for, e.g. "Sprint retro", "Sales call"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  description: {
+    type: String,
+    default: '',
+  },
+
+  // Ordered sections; `key` is the heading, `instruction` tells the AI what goes in it
+  sections: [{
+    _id: false,
+    key: { type: String, required: true, trim: true },
+    instruction: { type: String, default: '' },
+  }],
+
+  // Extra guidance for the summary itself (tone, length, focus)
+  summaryInstruction: {
+    type: String,
+    default: '',
+  },
+
+  // Applied to new meetings of the user that do not select a template
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+summaryTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const SummaryTemplate = mongoose.model('SummaryTemplate', summaryTemplateSchema);
+
+module.exports = SummaryTemplate;
@@ -14,6 +14,10 @@ const taskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Board',
   },
+  // Meeting.actionItems candidate this task was accepted from
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
   // Source of the task
   source: {
     type: String,
@@ -74,6 +78,7 @@ taskSchema.index({ userId: 1, status: 1 });
 taskSchema.index({ userId: 1, meetingId: 1 });
 taskSchema.index({ userId: 1, order: 1 });
 taskSchema.index({ meetingId: 1, source: 1 });
+taskSchema.index({ meetingId: 1, candidateId: 1 });
 
 // Virtual for formatted due date
 taskSchema.virtual('isOverdue').get(function() {
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { segmentSchema } = require('../utils/schemas');
+
+/**
+ * TranscriptRevision Model
+ * Records every manual change to a meeting's transcript segments as a splice:
+ * at `index`, the `before` segments were replaced by the `after` segments.
+ * Applying the inverse splices newest-first restores any earlier version.
+ */
+const transcriptRevisionSchema = new mongoose.Schema({
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true,
+    index: true,
+  },
+
+  // Editor who made the change
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+
+  action: {
+    type: String,
+    enum: ['edit', 'merge', 'split', 'delete', 'rename', 'restore'],
+    required: true,
+  },
+
+  // Splice position in transcription.segments
+  index: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+
+  // Segments removed at `index`
+  before: [segmentSchema],
+
+  // Segments inserted at `index`
+  after: [segmentSchema],
+
+  // For restore actions: the revision whose prior state was restored
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TranscriptRevision',
+  },
+}, {
+  timestamps: true,
+});
+
+transcriptRevisionSchema.index({ meetingId: 1, createdAt: -1 });
+
+// Static method to get revision history for a meeting (newest first)
+transcriptRevisionSchema.statics.getHistory = async function(meetingId, limit = 50) {
+  return this.find({ meetingId })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .populate('userId', 'name email image')
+    .lean();
+};
+
+const TranscriptRevision = mongoose.model('TranscriptRevision', transcriptRevisionSchema);
+
+module.exports = TranscriptRevision;
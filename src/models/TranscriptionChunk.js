@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { segmentSchema } = require('../utils/schemas');
+
+/**
+ * TranscriptionChunk Model
+ * Result of one audio chunk of a long upload, saved as soon as WhisperX returns it
+ * so a retried job resumes after the last finished chunk. Segment times are
+ * relative to the chunk; `offset` places the chunk in the recording.
+ * Removed once the stitched transcript is saved on the meeting.
+ */
+const transcriptionChunkSchema = new mongoose.Schema({
+  meetingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true,
+  },
+
+  // Position of the chunk (0-based)
+  index: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+
+  // Chunk start and length in the recording (seconds)
+  offset: { type: Number, required: true },
+  duration: { type: Number, required: true },
+
+  // Chunking parameters the chunk was cut with; results cut differently are discarded
+  chunkSeconds: { type: Number, required: true },
+  overlapSeconds: { type: Number, required: true },
+
+  language: String,
+  segments: [segmentSchema],
+  speakers: [String],
+  processingTime: Number, // in seconds
+}, {
+  timestamps: true,
+});
+
+transcriptionChunkSchema.index({ meetingId: 1, index: 1 }, { unique: true });
+
+const TranscriptionChunk = mongoose.model('TranscriptionChunk', transcriptionChunkSchema);
+
+module.exports = TranscriptionChunk;
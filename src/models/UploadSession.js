@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * UploadSession Model
+ * An upload in progress, either
+ * - resumable: the received bytes live in a part file under WORK_DIR/resumable;
+ *   its size is the upload offset, or
+ * - presigned: the client PUTs the file straight to MinIO as `objectName`.
+ * Once the file is complete it is stored, the meeting is created and queued;
+ * `objectName` and `meetingId` are recorded as those steps succeed so a failed
+ * completion resumes, and the session keeps the meeting ID so a client that lost
+ * the final response can still find the meeting.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+
+  kind: {
+    type: String,
+    enum: ['resumable', 'presigned'],
+    default: 'resumable',
+  },
+
+  filename: { type: String, required: true },
+  mimetype: { type: String, required: true },
+  size: { type: Number, required: true, min: 1 }, // Total bytes announced on creation
+
+  // MinIO object a presigned upload is written to
+  objectName: { type: String, default: null },
+
+  // Meeting fields and transcription options sent on creation
+  fields: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  status: {
+    type: String,
+    enum: ['uploading', 'completing', 'completed'],
+    default: 'uploading',
+  },
+  meetingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Meeting', default: null },
+  // When the current completion attempt started; null while no request is completing it
+  completingAt: { type: Date, default: null },
+
+  expiresAt: { type: Date, required: true },
+}, {
+  timestamps: true,
+});
+
+// Documents are dropped a day after expiry; part files and objects are removed by the cleanup sweeps
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+module.exports = UploadSession;
@@ -30,6 +30,13 @@ const userSchema = new mongoose.Schema({
     default: 'free',
   },
   
+  // Access level; admins can manage the transcription dead-letter queue
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user',
+  },
+  
   // Usage tracking
   meetingsCount: {
     type: Number,
@@ -75,6 +82,7 @@ userSchema.methods.toPublicJSON = function() {
     name: this.name,
     image: this.image,
     plan: this.plan,
+    role: this.role,
     meetingsCount: this.meetingsCount,
     preferences: this.preferences,
     createdAt: this.createdAt,
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate, schemas } = require('../middleware/validator');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+// All admin routes require an authenticated admin
+router.use(authenticate, requireAdmin);
+
+/**
+ * @route   GET /api/admin/dlq
+ * @desc    List transcriptions in the dead-letter queue
+ * @access  Admin
+ */
+router.get('/dlq', asyncHandler(adminController.listDeadLetterEntries));
+
+/**
+ * @route   POST /api/admin/dlq/retry
+ * @desc    Re-enqueue dead-lettered transcriptions ({ ids } or { all: true })
+ * @access  Admin
+ */
+router.post('/dlq/retry', validate(schemas.deadLetterAction), asyncHandler(adminController.retryDeadLetterEntries));
+
+/**
+ * @route   POST /api/admin/dlq/discard
+ * @desc    Discard dead-lettered transcriptions ({ ids } or { all: true })
+ * @access  Admin
+ */
+router.post('/dlq/discard', validate(schemas.deadLetterAction), asyncHandler(adminController.discardDeadLetterEntries));
+
+/**
+ * @route   GET /api/admin/dlq/:entryId
+ * @desc    Inspect a dead-letter entry
+ * @access  Admin
+ */
+router.get('/dlq/:entryId', asyncHandler(adminController.getDeadLetterEntry));
+
+/**
+ * @route   DELETE /api/admin/dlq/:entryId
+ * @desc    Discard a dead-letter entry
+ * @access  Admin
+ */
+router.delete('/dlq/:entryId', asyncHandler(adminController.deleteDeadLetterEntry));
+
+module.exports = router;
@@ -7,6 +7,9 @@ const taskRoutes = require('./tasks');
 const boardRoutes = require('./boardRoutes');
 const analyticsRoutes = require('./analytics');
 const botRoutes = require('./botRoutes');
+const speakerRoutes = require('./speakers');
+const summaryTemplateRoutes = require('./summaryTemplates');
+const adminRoutes = require('./admin');
 
 const router = express.Router();
 
@@ -19,6 +22,9 @@ router.use('/tasks', taskRoutes);
 router.use('/boards', boardRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/bot', botRoutes);
+router.use('/speakers', speakerRoutes);
+router.use('/summary-templates', summaryTemplateRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
 
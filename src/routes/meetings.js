@@ -7,6 +7,7 @@ const { authenticate, optionalAuth } = require('../middleware/auth');
 const { realtimeUpload, handleMulterError } = require('../middleware/upload');
 const {
   getAllMeetings,
+  searchMeetings,
   getMeetingById,
   getMeetingStatus,
   updateMeeting,
@@ -16,6 +17,7 @@ const {
   createOnlineMeeting,
   createRealtimeMeeting,
   retryTranscription,
+  cancelTranscription,
   getMeetingAnalytics,
   regenerateMetadata,
   generateShareLink,
@@ -25,12 +27,43 @@ const {
   removeCollaborator,
   updateSpeakerName,
   askAI,
+  askAIStream,
   getChatHistory,
   clearChatHistory,
   togglePin,
   getPinnedMeetings,
   getMeetingStats,
 } = require('../controllers/meetingController');
+const {
+  editSegment,
+  mergeSegments,
+  splitSegment,
+  deleteSegment,
+  getRevisions,
+  restoreRevision,
+  undoRevision,
+} = require('../controllers/transcriptController');
+const {
+  askWorkspace,
+  getConversation,
+  clearConversation,
+} = require('../controllers/workspaceAskController');
+const {
+  listActionItems,
+  updateActionItem,
+  acceptActionItem,
+  rejectActionItem,
+  bulkAcceptActionItems,
+} = require('../controllers/actionItemController');
+const {
+  getAssigneeSuggestions,
+  confirmAssignee,
+} = require('../controllers/assigneeController');
+const {
+  getMeetingSpeakerProfiles,
+  linkMeetingSpeaker,
+  unlinkMeetingSpeaker,
+} = require('../controllers/speakerProfileController');
 
 const router = express.Router();
 
@@ -46,6 +79,25 @@ router.get('/pinned', authenticate, asyncHandler(getPinnedMeetings));
  */
 router.get('/stats', authenticate, asyncHandler(getMeetingStats));
 
+/**
+ * GET /api/meetings/search?q=
+ * Search transcripts, summaries, highlights and conclusions with timestamped hits
+ */
+router.get('/search', authenticate, asyncHandler(searchMeetings));
+
+/**
+ * POST /api/meetings/ask
+ * Ask AI across all accessible meetings (optionally filtered by tags, date range or board)
+ */
+router.post('/ask', authenticate, validate(schemas.askWorkspace), asyncHandler(askWorkspace));
+
+/**
+ * GET/DELETE /api/meetings/conversations/:conversationId
+ * Cross-meeting Ask-AI conversation history
+ */
+router.get('/conversations/:conversationId', authenticate, asyncHandler(getConversation));
+router.delete('/conversations/:conversationId', authenticate, asyncHandler(clearConversation));
+
 /**
  * GET /api/meetings
  * Get all meetings with pagination
@@ -86,10 +138,16 @@ router.get('/:id/status', optionalAuth, asyncHandler(getMeetingStatus));
 
 /**
  * POST /api/meetings/:id/retry
- * Retry failed transcription
+ * Retry failed transcription (optionally with new transcription options)
  */
-router.post('/:id/retry', authenticate, asyncHandler(retryTranscription));
-router.post('/:id/regenerate-ai', authenticate, asyncHandler(regenerateMetadata));
+router.post('/:id/retry', authenticate, validate(schemas.retryTranscription), asyncHandler(retryTranscription));
+
+/**
+ * POST /api/meetings/:id/cancel
+ * Cancel a queued or running transcription
+ */
+router.post('/:id/cancel', authenticate, asyncHandler(cancelTranscription));
+router.post('/:id/regenerate-ai', authenticate, validate(schemas.regenerateMetadata), asyncHandler(regenerateMetadata));
 
 /**
  * PATCH /api/meetings/:id
@@ -130,10 +188,44 @@ router.patch('/:id/collaborators/:userId', authenticate, asyncHandler(updateColl
 router.delete('/:id/collaborators/:userId', authenticate, asyncHandler(removeCollaborator));
 router.patch('/:id/segments/speaker', authenticate, asyncHandler(updateSpeakerName));
 
+/**
+ * Speaker profiles (link per-meeting speaker labels to cross-meeting profiles)
+ */
+router.get('/:id/speakers', authenticate, asyncHandler(getMeetingSpeakerProfiles));
+router.put('/:id/speakers/link', authenticate, validate(schemas.speakerLink), asyncHandler(linkMeetingSpeaker));
+router.post('/:id/speakers/unlink', authenticate, validate(schemas.speakerUnlink), asyncHandler(unlinkMeetingSpeaker));
+
+/**
+ * AI action item candidates review (accept into Task / reject / edit)
+ */
+router.get('/:id/action-items', authenticate, asyncHandler(listActionItems));
+router.post('/:id/action-items/accept', authenticate, asyncHandler(bulkAcceptActionItems));
+router.patch('/:id/action-items/:itemId', authenticate, validate(schemas.actionItem), asyncHandler(updateActionItem));
+router.post('/:id/action-items/:itemId/accept', authenticate, validate(schemas.actionItem), asyncHandler(acceptActionItem));
+router.post('/:id/action-items/:itemId/reject', authenticate, asyncHandler(rejectActionItem));
+
+/**
+ * Assignee resolution (AI assigneeName / speaker label -> user)
+ */
+router.get('/:id/assignees/suggestions', authenticate, asyncHandler(getAssigneeSuggestions));
+router.post('/:id/assignees/confirm', authenticate, validate(schemas.assigneeConfirm), asyncHandler(confirmAssignee));
+
+/**
+ * Transcript editing with revision history
+ */
+router.post('/:id/segments/merge', authenticate, asyncHandler(mergeSegments));
+router.patch('/:id/segments/:index', authenticate, asyncHandler(editSegment));
+router.delete('/:id/segments/:index', authenticate, asyncHandler(deleteSegment));
+router.post('/:id/segments/:index/split', authenticate, asyncHandler(splitSegment));
+router.get('/:id/revisions', authenticate, asyncHandler(getRevisions));
+router.post('/:id/revisions/undo', authenticate, asyncHandler(undoRevision));
+router.post('/:id/revisions/:revisionId/restore', authenticate, asyncHandler(restoreRevision));
+
 /**
  * Ask AI - Chat with meeting context
  */
 router.post('/:id/ask', authenticate, asyncHandler(askAI));
+router.post('/:id/ask/stream', authenticate, asyncHandler(askAIStream));
 router.get('/:id/chat', authenticate, asyncHandler(getChatHistory));
 router.delete('/:id/chat', authenticate, asyncHandler(clearChatHistory));
 
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const speakerProfileController = require('../controllers/speakerProfileController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate, schemas } = require('../middleware/validator');
+const { authenticate } = require('../middleware/auth');
+
+// All speaker profile routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/speakers
+ * @desc    List speaker profiles of the authenticated user
+ * @access  Private
+ */
+router.get('/', asyncHandler(speakerProfileController.listSpeakerProfiles));
+
+/**
+ * @route   POST /api/speakers
+ * @desc    Create speaker profile
+ * @access  Private
+ */
+router.post('/', validate(schemas.speakerProfile), asyncHandler(speakerProfileController.createSpeakerProfile));
+
+/**
+ * @route   PATCH /api/speakers/:profileId
+ * @desc    Rename speaker profile (propagated to linked meetings) or link it to a user
+ * @access  Private
+ */
+router.patch('/:profileId', validate(schemas.speakerProfileUpdate), asyncHandler(speakerProfileController.updateSpeakerProfile));
+
+/**
+ * @route   POST /api/speakers/:profileId/merge
+ * @desc    Merge duplicate speaker profiles into this one
+ * @access  Private
+ */
+router.post('/:profileId/merge', validate(schemas.speakerProfileMerge), asyncHandler(speakerProfileController.mergeSpeakerProfiles));
+
+/**
+ * @route   DELETE /api/speakers/:profileId
+ * @desc    Delete speaker profile
+ * @access  Private
+ */
+router.delete('/:profileId', asyncHandler(speakerProfileController.deleteSpeakerProfile));
+
+module.exports = router;
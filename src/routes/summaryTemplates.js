@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const summaryTemplateController = require('../controllers/summaryTemplateController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validate, schemas } = require('../middleware/validator');
+const { authenticate } = require('../middleware/auth');
+
+// All summary template routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/summary-templates
+ * @desc    List summary templates of the authenticated user
+ * @access  Private
+ */
+router.get('/', asyncHandler(summaryTemplateController.listSummaryTemplates));
+
+/**
+ * @route   POST /api/summary-templates
+ * @desc    Create summary template
+ * @access  Private
+ */
+router.post('/', validate(schemas.summaryTemplate), asyncHandler(summaryTemplateController.createSummaryTemplate));
+
+/**
+ * @route   GET /api/summary-templates/:templateId
+ * @desc    Get summary template
+ * @access  Private
+ */
+router.get('/:templateId', asyncHandler(summaryTemplateController.getSummaryTemplate));
+
+/**
+ * @route   PATCH /api/summary-templates/:templateId
+ * @desc    Update summary template
+ * @access  Private
+ */
+router.patch('/:templateId', validate(schemas.summaryTemplateUpdate), asyncHandler(summaryTemplateController.updateSummaryTemplate));
+
+/**
+ * @route   DELETE /api/summary-templates/:templateId
+ * @desc    Delete summary template
+ * @access  Private
+ */
+router.delete('/:templateId', asyncHandler(summaryTemplateController.deleteSummaryTemplate));
+
+module.exports = router;
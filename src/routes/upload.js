@@ -1,10 +1,23 @@
 const express = require('express');
-const { upload, handleMulterError } = require('../middleware/upload');
+const { upload, transcriptUpload, handleMulterError } = require('../middleware/upload');
 const { uploadLimiter } = require('../middleware/rateLimiter');
 const { validate, schemas } = require('../middleware/validator');
 const { authenticate } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { uploadMeeting } = require('../controllers/uploadController');
+const { uploadMeeting, importFromUrl, importTranscript } = require('../controllers/uploadController');
+const {
+  createResumableUpload,
+  headResumableUpload,
+  getResumableUpload,
+  patchResumableUpload,
+  deleteResumableUpload,
+} = require('../controllers/resumableUploadController');
+const {
+  startPresignedUpload,
+  completeUpload,
+  getUploadStatus,
+  cancelUpload,
+} = require('../controllers/presignedUploadController');
 
 const router = express.Router();
 
@@ -23,4 +36,100 @@ router.post(
   asyncHandler(uploadMeeting)
 );
 
+/**
+ * POST /api/upload/from-url
+ * Import a recording from an http(s) URL: { url, title, ... }.
+ * Downloaded in the background, then queued for transcription.
+ */
+router.post(
+  '/from-url',
+  authenticate,
+  uploadLimiter,
+  validate(schemas.importFromUrl),
+  asyncHandler(importFromUrl)
+);
+
+/**
+ * POST /api/upload/transcript
+ * Import an SRT/VTT/JSON transcript (multipart field "transcript", or
+ * { content } as JSON) as a completed meeting, without transcribing
+ */
+router.post(
+  '/transcript',
+  authenticate,
+  uploadLimiter,
+  transcriptUpload.single('transcript'),
+  handleMulterError,
+  validate(schemas.importTranscript),
+  asyncHandler(importTranscript)
+);
+
+/**
+ * POST /api/upload/resumable
+ * Start a resumable upload: { filename, mimetype, size, title, ... }.
+ * Replies with the upload's Location.
+ */
+router.post(
+  '/resumable',
+  authenticate,
+  uploadLimiter,
+  validate(schemas.startUpload),
+  asyncHandler(createResumableUpload)
+);
+
+/**
+ * HEAD /api/upload/resumable/:uploadId
+ * Bytes received so far (Upload-Offset header)
+ */
+router.head('/resumable/:uploadId', authenticate, asyncHandler(headResumableUpload));
+
+/**
+ * GET /api/upload/resumable/:uploadId
+ * Upload progress, and the meeting ID once completed
+ */
+router.get('/resumable/:uploadId', authenticate, asyncHandler(getResumableUpload));
+
+/**
+ * PATCH /api/upload/resumable/:uploadId
+ * Append bytes (application/offset+octet-stream) at Upload-Offset
+ */
+router.patch('/resumable/:uploadId', authenticate, asyncHandler(patchResumableUpload));
+
+/**
+ * DELETE /api/upload/resumable/:uploadId
+ * Abort an upload
+ */
+router.delete('/resumable/:uploadId', authenticate, asyncHandler(deleteResumableUpload));
+
+/**
+ * POST /api/upload/presigned
+ * Start a direct-to-storage upload: { filename, mimetype, size, title, ... }.
+ * Replies with a presigned PUT URL for MinIO.
+ */
+router.post(
+  '/presigned',
+  authenticate,
+  uploadLimiter,
+  validate(schemas.startUpload),
+  asyncHandler(startPresignedUpload)
+);
+
+/**
+ * POST /api/upload/presigned/:uploadId/complete
+ * Verify the stored file, create the meeting and queue transcription
+ */
+router.post('/presigned/:uploadId/complete', authenticate, asyncHandler(completeUpload));
+
+/**
+ * GET /api/upload/presigned/:uploadId
+ * Upload status, and the meeting ID once completed
+ */
+router.get('/presigned/:uploadId', authenticate, asyncHandler(getUploadStatus));
+
+/**
+ * DELETE /api/upload/presigned/:uploadId
+ * Abort an upload and remove the stored file
+ */
+router.delete('/presigned/:uploadId', authenticate, asyncHandler(cancelUpload));
+
 module.exports = router;
@@ -0,0 +1,260 @@
+const Meeting = require('../models/Meeting');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const { ACTION_ITEM_STATE, TASK_STATUS } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+const assigneeResolver = require('./assigneeResolver');
+
+// Candidate fields a reviewer may edit before accepting
+const EDITABLE_FIELDS = ['title', 'description', 'priority', 'dueDate', 'assigneeName', 'labels'];
+
+/**
+ * Pick the editable fields present in `updates`
+ */
+function pickEditableFields(updates = {}) {
+  const picked = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (updates[field] !== undefined) picked[field] = updates[field];
+  }
+  return picked;
+}
+
+/**
+ * Build a positional $set for a matched actionItems entry
+ */
+function toPositionalSet(fields) {
+  const set = {};
+  for (const [key, value] of Object.entries(fields)) {
+    set[`actionItems.$.${key}`] = value;
+  }
+  return set;
+}
+
+function getCandidate(meeting, itemId) {
+  const candidate = meeting.actionItems?.id(itemId);
+  if (!candidate) {
+    throw createHttpError(404, 'Action item not found');
+  }
+  return candidate;
+}
+
+/**
+ * Next order value at the end of the board's "todo" column (same rule as task creation)
+ */
+async function getNextTaskOrder(boardId, userId) {
+  const query = { status: TASK_STATUS.TODO };
+  if (boardId) query.boardId = boardId;
+  else query.userId = userId;
+
+  const maxOrderTask = await Task.findOne(query).sort({ order: -1 }).select('order');
+  return maxOrderTask ? maxOrderTask.order + 1 : 0;
+}
+
+/**
+ * Build Task fields from a candidate
+ */
+function buildTaskFromCandidate(meeting, candidate, { userId, boardId, order, assignee = null }) {
+  return {
+    userId,
+    meetingId: meeting._id,
+    boardId: boardId || undefined,
+    candidateId: candidate._id,
+    source: 'ai',
+    title: candidate.title || 'Untitled Task',
+    description: candidate.description || '',
+    priority: candidate.priority || 'medium',
+    dueDate: candidate.dueDate || null,
+    assignee,
+    assigneeName: candidate.assigneeName || undefined,
+    labels: candidate.labels || [],
+    status: TASK_STATUS.TODO,
+    order,
+  };
+}
+
+/**
+ * Edit a candidate that has not been accepted yet
+ * @returns {Promise<Object>} Updated candidate
+ */
+async function updateCandidate(meeting, itemId, updates) {
+  const candidate = getCandidate(meeting, itemId);
+  const fields = pickEditableFields(updates);
+
+  if (Object.keys(fields).length === 0) {
+    throw createHttpError(400, 'No changes to apply');
+  }
+
+  const result = await Meeting.updateOne(
+    {
+      _id: meeting._id,
+      actionItems: { $elemMatch: { _id: candidate._id, state: { $ne: ACTION_ITEM_STATE.ACCEPTED } } },
+    },
+    { $set: toPositionalSet(fields) }
+  );
+
+  if (result.matchedCount === 0) {
+    throw createHttpError(409, 'Accepted action items cannot be edited; edit the task instead');
+  }
+
+  return { ...candidate.toObject(), ...fields };
+}
+
+/**
+ * Accept a candidate: create a Task referencing it and mark it accepted.
+ * The state change is claimed atomically first so two reviewers cannot
+ * create duplicate tasks for the same candidate.
+ *
+ * @param {Object} meeting - Meeting document
+ * @param {string} itemId - actionItems subdocument ID
+ * @param {Object} options
+ * @param {string} options.userId - Reviewer user ID (becomes the task owner)
+ * @param {Object} options.overrides - Field edits applied before accepting
+ * @param {Object} options.assigneeContext - Preloaded assignee resolver { candidates, mappings }
+ * @returns {Promise<Object>} { candidate, task, boardId }
+ */
+async function acceptCandidate(meeting, itemId, { userId, overrides = {}, assigneeContext = {} }) {
+  const candidate = getCandidate(meeting, itemId);
+  const previousState = candidate.state || ACTION_ITEM_STATE.PENDING;
+  const fields = pickEditableFields(overrides);
+  const reviewedAt = new Date();
+
+  const claimed = await Meeting.updateOne(
+    {
+      _id: meeting._id,
+      actionItems: { $elemMatch: { _id: candidate._id, state: { $ne: ACTION_ITEM_STATE.ACCEPTED } } },
+    },
+    {
+      $set: toPositionalSet({
+        ...fields,
+        state: ACTION_ITEM_STATE.ACCEPTED,
+        reviewedBy: userId,
+        reviewedAt,
+      }),
+    }
+  );
+
+  if (claimed.matchedCount === 0) {
+    throw createHttpError(409, 'Action item has already been accepted');
+  }
+
+  const accepted = { ...candidate.toObject(), ...fields };
+  const board = await Board.findOne({ meetingId: meeting._id }).select('_id');
+  const boardId = board?._id || null;
+
+  let task;
+  try {
+    const order = await getNextTaskOrder(boardId, userId);
+    const assignee = await assigneeResolver.resolveAssignee(meeting, accepted.assigneeName, assigneeContext);
+    task = await Task.create(buildTaskFromCandidate(meeting, accepted, { userId, boardId, order, assignee }));
+  } catch (error) {
+    // Release the claim so the candidate can be accepted again
+    await Meeting.updateOne(
+      { _id: meeting._id, 'actionItems._id': candidate._id },
+      {
+        $set: { 'actionItems.$.state': previousState },
+        $unset: { 'actionItems.$.reviewedBy': '', 'actionItems.$.reviewedAt': '' },
+      }
+    );
+    throw error;
+  }
+
+  await Meeting.updateOne(
+    { _id: meeting._id, 'actionItems._id': candidate._id },
+    { $set: { 'actionItems.$.taskId': task._id } }
+  );
+
+  return {
+    candidate: {
+      ...accepted,
+      state: ACTION_ITEM_STATE.ACCEPTED,
+      taskId: task._id,
+      reviewedBy: userId,
+      reviewedAt,
+    },
+    task,
+    boardId,
+  };
+}
+
+/**
+ * Reject a candidate (can still be accepted later)
+ * @returns {Promise<Object>} Updated candidate
+ */
+async function rejectCandidate(meeting, itemId, { userId }) {
+  const candidate = getCandidate(meeting, itemId);
+  const reviewedAt = new Date();
+
+  const result = await Meeting.updateOne(
+    {
+      _id: meeting._id,
+      actionItems: { $elemMatch: { _id: candidate._id, state: { $ne: ACTION_ITEM_STATE.ACCEPTED } } },
+    },
+    {
+      $set: toPositionalSet({
+        state: ACTION_ITEM_STATE.REJECTED,
+        reviewedBy: userId,
+        reviewedAt,
+      }),
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw createHttpError(409, 'Accepted action items cannot be rejected; delete the task instead');
+  }
+
+  return {
+    ...candidate.toObject(),
+    state: ACTION_ITEM_STATE.REJECTED,
+    reviewedBy: userId,
+    reviewedAt,
+  };
+}
+
+/**
+ * Accept several candidates. Defaults to every pending candidate.
+ * Candidates that are already accepted (or fail) are reported, not thrown.
+ *
+ * @returns {Promise<Object>} { accepted: [{ candidate, task }], skipped: [{ itemId, reason }], boardId }
+ */
+async function bulkAcceptCandidates(meeting, { userId, itemIds = null }) {
+  const ids = Array.isArray(itemIds) && itemIds.length > 0
+    ? itemIds
+    : (meeting.actionItems || [])
+      .filter(item => (item.state || ACTION_ITEM_STATE.PENDING) === ACTION_ITEM_STATE.PENDING)
+      .map(item => String(item._id));
+
+  const accepted = [];
+  const skipped = [];
+  let boardId = null;
+
+  const [candidates, mappings] = await Promise.all([
+    assigneeResolver.getCandidateUsers(meeting),
+    assigneeResolver.getMappings(meeting.userId),
+  ]);
+
+  for (const itemId of ids) {
+    try {
+      const result = await acceptCandidate(meeting, itemId, {
+        userId,
+        assigneeContext: { candidates, mappings },
+      });
+      accepted.push({ candidate: result.candidate, task: result.task });
+      boardId = result.boardId;
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      skipped.push({ itemId, reason: error.message });
+    }
+  }
+
+  return { accepted, skipped, boardId };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  buildTaskFromCandidate,
+  getNextTaskOrder,
+  updateCandidate,
+  acceptCandidate,
+  rejectCandidate,
+  bulkAcceptCandidates,
+};
@@ -0,0 +1,319 @@
+const { Queue, Worker } = require('bullmq');
+const Meeting = require('../models/Meeting');
+const config = require('../config/env');
+const { getRedisClient } = require('../config/redis');
+const { QUEUE_NAMES, MAX_RETRIES, RETRY_DELAY, ANALYSIS_TRIGGER, ACTION_ITEM_STATE } = require('../utils/constants');
+const { renderTemplateHighlights } = require('./summaryTemplateService');
+const { normalizeDate, extractDateFromText } = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+
+let analysisQueue = null;
+
+/**
+ * Whether a meeting title is a placeholder the suggested title may replace
+ */
+function isPlaceholderTitle(meeting) {
+  const title = meeting.title || '';
+  return !title ||
+    title.includes('Meeting') ||
+    title.includes('Upload') ||
+    title.includes('video_') ||
+    title.includes('audio_') ||
+    !!(meeting.originalFile?.originalName && meeting.originalFile.originalName.toLowerCase().startsWith(title.toLowerCase()));
+}
+
+/**
+ * Fields to $set from an LLM analysis result: summary, highlights, conclusion,
+ * tags and suggested title/description. Fields the analysis left empty keep
+ * their current value. With a summary template the highlights get exactly the
+ * template's section keys.
+ */
+function buildAnalysisFields(meeting, result) {
+  const sections = meeting.summaryTemplate?.sections;
+  const set = {};
+
+  if (result.summary) set['transcription.summary'] = result.summary;
+  if (sections?.length > 0) {
+    set['transcription.highlights'] = renderTemplateHighlights(result.highlights, sections);
+  } else if (result.highlights) {
+    set['transcription.highlights'] = result.highlights;
+  }
+  if (result.conclusion) set['transcription.conclusion'] = result.conclusion;
+
+  if (result.suggestedTitle) {
+    set.suggestedTitle = result.suggestedTitle;
+    if (isPlaceholderTitle(meeting)) {
+      set.title = result.suggestedTitle;
+    }
+  }
+
+  if (Array.isArray(result.tags)) {
+    set.tags = result.tags;
+  }
+
+  if (result.suggestedDescription) {
+    set.description = result.suggestedDescription;
+  } else if (!meeting.description && result.summary && !result.summary.includes('tidak tersedia')) {
+    // Use first paragraph of summary as description
+    const firstPara = result.summary.split('\n').find(line => line.trim().length > 0) || '';
+    set.description = firstPara.replace(/\*\*|__|\*/g, '').replace(/^#+\s/, '').trim().slice(0, 500);
+  }
+
+  const summary = result.summary || meeting.transcription?.summary;
+  if (summary) {
+    set.summarySnippet = String(summary).slice(0, 200);
+  }
+  return set;
+}
+
+/**
+ * Action item candidates of an LLM analysis result, pending review
+ */
+function buildActionItemCandidates(meeting, result) {
+  const rawActionItems = Array.isArray(result.actionItems)
+    ? result.actionItems
+    : (Array.isArray(result.action_items) ? result.action_items : []);
+
+  return rawActionItems.map((item) => {
+    const dueRaw = item.dueDate ?? item.due_date ?? item.dueDateRaw ?? null;
+    let norm = normalizeDate(dueRaw);
+    if (!norm.date && item.description) {
+      const descExtract = normalizeDate(item.description);
+      if (descExtract.date) norm = descExtract;
+    }
+    // Else look for a date in the transcript near the task text
+    if (!norm.date && meeting.transcription?.transcript) {
+      const query = (item.title || item.text || item.description || '').slice(0, 200);
+      const extracted = extractDateFromText(meeting.transcription.transcript, query);
+      if (extracted?.date) norm = extracted;
+    }
+
+    return {
+      title: item.title || item.text || 'Untitled Task',
+      description: item.description || '',
+      priority: item.priority || 'medium',
+      dueDate: norm.date || null,
+      dueDateRaw: norm.raw || dueRaw || null,
+      assigneeName: item.assigneeName || item.assignee_name || null,
+      labels: item.labels || [],
+      status: 'todo',
+      state: ACTION_ITEM_STATE.PENDING,
+    };
+  });
+}
+
+const titleKey = (title) => String(title || '').trim().toLowerCase();
+
+/**
+ * Store an LLM analysis result on a meeting with targeted updates, so edits and
+ * action item reviews made while the LLM ran are kept. Only candidates still
+ * pending review are replaced; accepted and rejected candidates stay, and new
+ * candidates titled like one of them are dropped instead of coming back.
+ *
+ * @param {string} meetingId
+ * @param {Object} result - llm.analyze() result
+ * @returns {Promise<Object|null>} { actionItemsAdded }, or null when the meeting no longer exists
+ */
+async function applyAnalysisResult(meetingId, result) {
+  const meeting = await Meeting.findById(meetingId)
+    .select('title description originalFile.originalName transcription.summary transcription.transcript summaryTemplate')
+    .lean();
+  if (!meeting) return null;
+
+  await Meeting.updateOne({ _id: meetingId }, { $set: buildAnalysisFields(meeting, result) });
+
+  // Only replace candidates if new items were actually returned
+  const candidates = buildActionItemCandidates(meeting, result);
+  if (candidates.length === 0) return { actionItemsAdded: 0 };
+
+  await Meeting.updateOne({ _id: meetingId }, {
+    $pull: { actionItems: { taskId: null, state: { $nin: [ACTION_ITEM_STATE.ACCEPTED, ACTION_ITEM_STATE.REJECTED] } } },
+  });
+  const reviewed = (await Meeting.findById(meetingId).select('actionItems.title').lean())?.actionItems || [];
+  const reviewedTitles = new Set(reviewed.map(item => titleKey(item.title)));
+  const fresh = candidates.filter(item => !reviewedTitles.has(titleKey(item.title)));
+
+  if (fresh.length > 0) {
+    await Meeting.updateOne({ _id: meetingId }, { $push: { actionItems: { $each: fresh } } });
+  }
+  return { actionItemsAdded: fresh.length };
+}
+
+/**
+ * Initialize AI analysis queue
+ */
+function getAnalysisQueue() {
+  if (analysisQueue) {
+    return analysisQueue;
+  }
+
+  analysisQueue = new Queue(QUEUE_NAMES.ANALYSIS, {
+    connection: getRedisClient(),
+    defaultJobOptions: {
+      attempts: MAX_RETRIES,
+      backoff: {
+        type: 'exponential',
+        delay: RETRY_DELAY,
+      },
+      removeOnComplete: { count: 100, age: 86400 },
+      removeOnFail: { count: 200, age: 172800 },
+    },
+  });
+
+  analysisQueue.on('error', (error) => {
+    logger.error('Analysis queue error:', error);
+  });
+
+  return analysisQueue;
+}
+
+/**
+ * Queue AI analysis of a meeting's transcript. One job per meeting: a waiting
+ * job is reused, and a delayed (debounced) job is run now, or pushed back when
+ * `delay` is given again. While a job is running the request is recorded on the
+ * meeting and queued as a follow-up run once that job ends (see runRequestedRerun).
+ *
+ * @param {string} meetingId
+ * @param {Object} options
+ * @param {string} options.trigger - ANALYSIS_TRIGGER value
+ * @param {string} options.requestedBy - User who asked for it (manual runs)
+ * @param {string} options.userName - Shown in the meeting_ai_regenerated event
+ * @param {number} options.delay - Milliseconds before the job may run
+ * @returns {Promise<Object>} BullMQ job
+ */
+async function addAnalysisJob(meetingId, { trigger = ANALYSIS_TRIGGER.MANUAL, requestedBy = null, userName = null, delay = 0 } = {}) {
+  const queue = getAnalysisQueue();
+  const jobId = `analysis-${meetingId}`;
+  const data = { meetingId: String(meetingId), trigger, requestedBy: requestedBy ? String(requestedBy) : null, userName };
+
+  let job = await queue.getJob(jobId);
+  const state = job ? await job.getState() : null;
+
+  if (state === 'delayed') {
+    await job.updateData(data);
+    if (delay > 0) await job.changeDelay(delay);
+    else await job.promote();
+  } else if (state === 'active') {
+    await Meeting.updateOne({ _id: meetingId }, {
+      $set: {
+        'analysis.rerun': {
+          trigger,
+          requestedBy: data.requestedBy,
+          userName,
+          runAfter: new Date(Date.now() + delay),
+        },
+      },
+    });
+    logger.info(`Analysis job ${jobId} is running; follow-up run requested (trigger ${trigger})`);
+    return job;
+  } else if (job && state !== 'completed' && state !== 'failed') {
+    logger.info(`Analysis job already exists: ${jobId} (${state})`);
+    return job;
+  } else {
+    if (job) await job.remove();
+    job = await queue.add('analyze', data, { jobId, delay });
+  }
+
+  await Meeting.updateOne({ _id: meetingId }, {
+    $set: {
+      analysis: {
+        status: 'queued',
+        trigger,
+        jobId,
+        requestedBy: data.requestedBy,
+        queuedAt: new Date(),
+      },
+    },
+  });
+
+  logger.info(`Analysis job queued: ${jobId} (trigger ${trigger}${delay ? `, in ${Math.round(delay / 1000)}s` : ''})`);
+  return job;
+}
+
+/**
+ * Queue the follow-up run requested while the meeting's analysis job was
+ * running. Called once that job has finished, so it is not reused.
+ *
+ * @returns {Promise<Object|null>} BullMQ job, null when none was requested
+ */
+async function runRequestedRerun(meetingId) {
+  const meeting = await Meeting.findOneAndUpdate(
+    { _id: meetingId, 'analysis.rerun': { $ne: null } },
+    { $set: { 'analysis.rerun': null } }
+  ).select('analysis.rerun').lean();
+  const rerun = meeting?.analysis?.rerun;
+  if (!rerun) return null;
+
+  return addAnalysisJob(meetingId, {
+    trigger: rerun.trigger,
+    requestedBy: rerun.requestedBy,
+    userName: rerun.userName,
+    delay: Math.max(new Date(rerun.runAfter).getTime() - Date.now(), 0),
+  });
+}
+
+/**
+ * Queue a requested follow-up run; failures are logged only
+ */
+function queueRequestedRerun(job) {
+  const meetingId = job?.data?.meetingId;
+  if (!meetingId) return;
+  runRequestedRerun(meetingId).catch((error) => {
+    logger.warn(`Could not queue follow-up analysis of meeting ${meetingId}: ${error.message}`);
+  });
+}
+
+/**
+ * Re-run the analysis after a transcript edit, when enabled. Further edits
+ * within the debounce window push the run back, so one run covers a session of edits.
+ */
+async function scheduleAnalysisAfterEdit(meetingId, userId) {
+  if (!config.AI_ANALYSIS.REANALYZE_AFTER_EDIT) return null;
+  try {
+    return await addAnalysisJob(meetingId, {
+      trigger: ANALYSIS_TRIGGER.EDIT,
+      requestedBy: userId,
+      delay: config.AI_ANALYSIS.EDIT_DEBOUNCE_MS,
+    });
+  } catch (error) {
+    logger.warn(`Could not schedule analysis after edit of meeting ${meetingId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Create AI analysis worker
+ */
+function createAnalysisWorker(processor) {
+  const worker = new Worker(QUEUE_NAMES.ANALYSIS, processor, {
+    connection: getRedisClient(),
+    concurrency: config.AI_ANALYSIS.CONCURRENCY,
+  });
+
+  worker.on('completed', (job) => {
+    logger.info(`Analysis job completed: ${job.id}`);
+    queueRequestedRerun(job);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`Analysis job failed: ${job?.id}`, error);
+    // A job with attempts left is retried and reads the latest transcript anyway
+    if (job && job.attemptsMade >= (job.opts?.attempts || 1)) queueRequestedRerun(job);
+  });
+
+  worker.on('error', (error) => {
+    logger.error('Analysis worker error:', error);
+  });
+
+  logger.info('Analysis worker started');
+  return worker;
+}
+
+module.exports = {
+  applyAnalysisResult,
+  getAnalysisQueue,
+  addAnalysisJob,
+  runRequestedRerun,
+  scheduleAnalysisAfterEdit,
+  createAnalysisWorker,
+};
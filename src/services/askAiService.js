@@ -0,0 +1,251 @@
+const config = require('../config/env');
+const llm = require('./llm');
+const { selectRelevantSegments } = require('./retrievalService');
+
+const SYSTEM_PROMPT = `Kamu adalah asisten AI cerdas yang membantu menjawab pertanyaan tentang notulensi rapat.
+
+KEMAMPUANMU:
+- Menjawab pertanyaan tentang isi rapat (siapa bilang apa, keputusan apa yang diambil, dll)
+- Meringkas bagian tertentu dari rapat
+- Mencari informasi spesifik dari transkrip
+- Menjelaskan konteks dan hubungan antar topik yang dibahas
+- Mengidentifikasi tugas dan action items
+- Menganalisis sentimen dan dinamika diskusi
+
+PANDUAN MENJAWAB:
+1. Jawab dengan jelas, ringkas, dan terstruktur
+2. Jika ada kutipan relevan dari transkrip, sertakan dengan menyebut pembicara
+3. Jika informasi tidak ada dalam konteks rapat, katakan dengan jujur
+4. Gunakan format markdown untuk memperjelas (bold, bullet points, dll)
+5. Jawab dalam bahasa Indonesia
+6. Setiap baris transkrip diawali penanda seperti [#12]. Untuk setiap klaim yang berasal dari transkrip, cantumkan penanda segmen sumbernya persis dalam format [#12] (boleh lebih dari satu, misal [#3][#7])
+
+Konteks rapat di bawah ini berisi ringkasan, poin-poin penting, kesimpulan, action items, dan transkrip lengkap.`;
+
+/**
+ * Format seconds to MM:SS or HH:MM:SS
+ */
+function formatSeconds(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  if (h > 0) {
+    return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+  }
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Build meeting context for LLM.
+ * Transcript lines are prefixed with a [#index] marker the model uses for citations.
+ * Long transcripts are narrowed to the windows most relevant to the question.
+ *
+ * @param {Object} meeting - Meeting document
+ * @param {Object} options
+ * @param {string} options.question - Question used to retrieve relevant segments
+ * @param {Object[]} options.chatHistory - Previous messages (oldest first)
+ * @returns {Promise<string>}
+ */
+async function buildMeetingContext(meeting, { question = '', chatHistory = [] } = {}) {
+  let context = `# Meeting: ${meeting.title || 'Untitled Meeting'}\n\n`;
+
+  if (meeting.description) {
+    context += `## Deskripsi\n${meeting.description}\n\n`;
+  }
+
+  // Meeting metadata
+  if (meeting.createdAt) {
+    context += `**Tanggal:** ${new Date(meeting.createdAt).toLocaleDateString('id-ID', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}\n`;
+  }
+  if (meeting.duration) {
+    const mins = Math.floor(meeting.duration / 60);
+    context += `**Durasi:** ${mins} menit\n`;
+  }
+  if (meeting.tags && meeting.tags.length > 0) {
+    context += `**Topik:** ${meeting.tags.join(', ')}\n`;
+  }
+  context += '\n';
+
+  // Use transcription object (correct structure)
+  const transcription = meeting.transcription || {};
+
+  if (transcription.summary) {
+    context += `## Ringkasan\n${transcription.summary}\n\n`;
+  }
+
+  if (transcription.highlights && typeof transcription.highlights === 'object') {
+    // Templated meetings list the template's sections under its name
+    context += meeting.summaryTemplate?.name ? `## ${meeting.summaryTemplate.name}\n` : `## Poin-Poin Penting\n`;
+    for (const [topic, content] of Object.entries(transcription.highlights)) {
+      context += `### ${topic}\n${content}\n\n`;
+    }
+  }
+
+  if (transcription.conclusion) {
+    context += `## Kesimpulan\n${transcription.conclusion}\n\n`;
+  }
+
+  // Include action items from meeting.actionItems (AI candidates)
+  const actionItems = meeting.actionItems || [];
+  if (actionItems.length > 0) {
+    context += `## Action Items / Tugas\n`;
+    actionItems.forEach((item, i) => {
+      context += `${i + 1}. **${item.title}**`;
+      if (item.description) context += `: ${item.description}`;
+      if (item.priority) context += ` (Prioritas: ${item.priority})`;
+      if (item.dueDate) context += ` - Deadline: ${item.dueDate}`;
+      context += '\n';
+    });
+    context += '\n';
+  }
+
+  // Include transcript with speakers; long meetings only get the relevant windows
+  if (transcription.segments && transcription.segments.length > 0) {
+    const segments = transcription.segments;
+    const { indexes, truncated } = await selectRelevantSegments(segments, question, {
+      chatHistory,
+      maxSegments: config.ASK_AI_MAX_SEGMENTS,
+    });
+
+    if (truncated) {
+      context += `## Kutipan Transkrip (bagian paling relevan dari ${segments.length} segmen)\n`;
+    } else {
+      context += `## Transkrip Lengkap\n`;
+    }
+
+    let previous = -1;
+    for (const index of indexes) {
+      if (previous !== -1 && index > previous + 1) {
+        context += `...\n`;
+      }
+      context += `${formatSegmentLine(segments[index], index)}\n`;
+      previous = index;
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Format one transcript line with its citation marker, e.g. "[#12 03:45] **Budi**: ..."
+ */
+function formatSegmentLine(seg, index) {
+  const speaker = seg.speaker || 'Speaker';
+  const timestamp = typeof seg.start === 'number' ? ` ${formatSeconds(seg.start)}` : '';
+  return `[#${index}${timestamp}] **${speaker}**: ${seg.text}`;
+}
+
+/**
+ * Build the chat completion messages for a question
+ * @param {string} context - Meeting (or workspace) context
+ * @param {Object[]} chatHistory - Previous messages (oldest first)
+ * @param {string} question - User question
+ * @param {Object} options
+ * @param {string} options.systemPrompt - System prompt (default: single-meeting prompt)
+ * @param {string} options.contextIntro - Sentence introducing the context
+ */
+function buildQuestionMessages(context, chatHistory, question, {
+  systemPrompt = SYSTEM_PROMPT,
+  contextIntro = 'Berikut adalah konteks lengkap rapat:',
+} = {}) {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: `${contextIntro}\n\n${context}` },
+  ];
+
+  // Add chat history
+  chatHistory.forEach(msg => {
+    if (msg.role === 'user' || msg.role === 'assistant') {
+      messages.push({ role: msg.role, content: msg.content });
+    }
+  });
+
+  // Add current question (if not already in history)
+  const lastMsg = messages[messages.length - 1];
+  if (lastMsg.role !== 'user' || lastMsg.content !== question) {
+    messages.push({ role: 'user', content: question });
+  }
+
+  return messages;
+}
+
+/**
+ * Extract segment citations ([#12], [#3, #7]) from an answer
+ * @param {string} answer - LLM answer text
+ * @param {Object[]} segments - Meeting transcript segments
+ * @returns {Object[]} Unique citations in order of first appearance
+ */
+function parseCitations(answer, segments = []) {
+  if (!answer) return [];
+
+  const seen = new Set();
+  const citations = [];
+  const markerRe = /\[((?:#\d+[^\]#]*)+)\]/g;
+  let match;
+
+  while ((match = markerRe.exec(answer)) !== null) {
+    for (const ref of match[1].matchAll(/#(\d+)/g)) {
+      const segmentIndex = parseInt(ref[1], 10);
+      const seg = segments[segmentIndex];
+      if (!seg || seen.has(segmentIndex)) continue;
+      seen.add(segmentIndex);
+      citations.push({
+        segmentIndex,
+        speaker: seg.speaker || null,
+        start: seg.start ?? null,
+        end: seg.end ?? null,
+        text: seg.text,
+      });
+    }
+  }
+
+  return citations;
+}
+
+/**
+ * Call LLM service for question answering
+ * @returns {Promise<Object>} { content, provider, model, usage, responseTime }
+ */
+async function callLLMForQuestion(meetingContext, chatHistory, question) {
+  return llm.chat(buildQuestionMessages(meetingContext, chatHistory, question));
+}
+
+/**
+ * Stream an answer to a question, token by token
+ *
+ * @param {string} meetingContext - Context built by buildMeetingContext
+ * @param {Object[]} chatHistory - Previous messages (oldest first)
+ * @param {string} question - User question
+ * @param {Object} options
+ * @param {Function} options.onToken - Called with each text delta
+ * @param {AbortSignal} options.signal - Aborts the upstream request (e.g. client disconnect)
+ * @returns {Promise<Object>} { content, provider, model, usage, responseTime }
+ */
+async function streamLLMForQuestion(meetingContext, chatHistory, question, { onToken, signal } = {}) {
+  return llm.streamChat(buildQuestionMessages(meetingContext, chatHistory, question), { onToken, signal });
+}
+
+/**
+ * Build ChatMessage metadata (model, token usage, timing) from an LLM result
+ */
+function buildResponseMetadata(result, extra = {}) {
+  return {
+    provider: result.provider,
+    model: result.model,
+    promptTokens: result.usage?.promptTokens ?? undefined,
+    completionTokens: result.usage?.completionTokens ?? undefined,
+    totalTokens: result.usage?.totalTokens ?? undefined,
+    responseTime: result.responseTime,
+    ...extra,
+  };
+}
+
+module.exports = {
+  formatSeconds,
+  buildMeetingContext,
+  buildQuestionMessages,
+  parseCitations,
+  callLLMForQuestion,
+  streamLLMForQuestion,
+  buildResponseMetadata,
+};
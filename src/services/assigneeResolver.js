@@ -0,0 +1,321 @@
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const AssigneeMapping = require('../models/AssigneeMapping');
+const SpeakerProfile = require('../models/SpeakerProfile');
+const { normalizeText } = require('../utils/textSearch');
+const { extractId } = require('../utils/permissions');
+const { createHttpError } = require('../utils/helpers');
+
+// Only matches at or above this confidence are assigned without confirmation
+const AUTO_ASSIGN_CONFIDENCE = 0.95;
+// Suggestions below this confidence are not shown
+const MIN_SUGGESTION_CONFIDENCE = 0.4;
+const MAX_SUGGESTIONS = 3;
+
+// Honorifics commonly prefixed to names in Indonesian / English meetings
+const HONORIFICS = new Set([
+  'pak', 'bapak', 'bu', 'ibu', 'mas', 'mbak', 'kak', 'bang', 'dik', 'om', 'tante',
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir',
+]);
+
+// Diarization labels like "SPEAKER_00" / "Speaker 1" are not names
+const GENERIC_SPEAKER_RE = /^(speaker|pembicara)[\s_-]*\d+$/i;
+
+/**
+ * Normalize a person name for matching: lowercase, no diacritics/punctuation, no honorifics
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return normalizeText(name)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token && !HONORIFICS.has(token))
+    .join(' ');
+}
+
+/**
+ * Whether a speaker label is a diarization placeholder rather than a name
+ */
+function isGenericSpeakerLabel(label) {
+  return !label || GENERIC_SPEAKER_RE.test(String(label).trim());
+}
+
+/**
+ * Levenshtein-based similarity in [0, 1]
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = temp;
+    }
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Score how well a normalized alias matches a user
+ * @returns {Object|null} { confidence, reason }
+ */
+function scoreUser(alias, user) {
+  const fullName = normalizeName(user.name);
+  const nameTokens = fullName.split(' ').filter(Boolean);
+  const emailLocal = normalizeName(String(user.email || '').split('@')[0]);
+  const emailCompact = emailLocal.replace(/\s+/g, '');
+  const aliasTokens = alias.split(' ');
+  const aliasCompact = alias.replace(/\s+/g, '');
+
+  if (fullName && alias === fullName) return { confidence: 0.95, reason: 'full_name' };
+  if (emailCompact && aliasCompact === emailCompact) return { confidence: 0.9, reason: 'email' };
+
+  // All alias tokens appear in the name ("budi" -> "Budi Santoso", "budi s" -> ...)
+  const tokensMatch = aliasTokens.every(token =>
+    nameTokens.some(nameToken => nameToken === token || (token.length >= 3 && nameToken.startsWith(token)))
+  );
+  if (tokensMatch && aliasTokens.length > 0) {
+    const coverage = aliasTokens.length / Math.max(nameTokens.length, 1);
+    const firstNameBonus = nameTokens[0] === aliasTokens[0] ? 0.05 : 0;
+    return { confidence: Math.min(0.85, 0.7 + 0.15 * coverage + firstNameBonus), reason: 'partial_name' };
+  }
+
+  if (emailCompact && aliasCompact.length >= 3 && emailCompact.includes(aliasCompact)) {
+    return { confidence: 0.65, reason: 'email' };
+  }
+
+  // Typos in transcription ("Budy" vs "Budi")
+  const best = Math.max(
+    similarity(alias, fullName),
+    ...nameTokens.map(token => similarity(aliasTokens[0], token))
+  );
+  if (best >= 0.75) {
+    return { confidence: Math.round(best * 0.7 * 100) / 100, reason: 'similar_name' };
+  }
+
+  return null;
+}
+
+/**
+ * Users an item of this meeting may be assigned to:
+ * meeting owner, meeting collaborators and collaborators of the meeting's board
+ * @returns {Promise<Object[]>} Lean users { _id, name, email, image }
+ */
+async function getCandidateUsers(meeting) {
+  const ids = new Set();
+  const addId = (value) => {
+    const id = extractId(value);
+    if (id) ids.add(id);
+  };
+
+  addId(meeting.userId);
+  (meeting.collaborators || []).forEach(c => addId(c.user));
+
+  const boards = await Board.find({ meetingId: meeting._id }).select('userId collaborators').lean();
+  for (const board of boards) {
+    addId(board.userId);
+    (board.collaborators || []).forEach(c => addId(c.user));
+  }
+
+  if (ids.size === 0) return [];
+  return User.find({ _id: { $in: [...ids] }, isActive: { $ne: false } })
+    .select('name email image')
+    .lean();
+}
+
+/**
+ * Load confirmed mappings of a meeting owner keyed by alias.
+ * Speaker profiles linked to a user count as mappings for their names
+ * unless an explicit mapping exists.
+ */
+async function getMappings(ownerId) {
+  const [mappings, profiles] = await Promise.all([
+    AssigneeMapping.find({ ownerId }).lean(),
+    SpeakerProfile.find({ ownerId, userId: { $ne: null } }).select('normalizedName aliases userId').lean(),
+  ]);
+
+  const byAlias = new Map(mappings.map(m => [m.alias, m]));
+  for (const profile of profiles) {
+    for (const alias of [profile.normalizedName, ...(profile.aliases || [])]) {
+      if (!byAlias.has(alias)) byAlias.set(alias, { alias, userId: profile.userId, speakerProfileId: profile._id });
+    }
+  }
+  return byAlias;
+}
+
+/**
+ * Rank candidate users for a name
+ * @param {string} name - Free-text name (assigneeName or speaker label)
+ * @param {Object[]} candidates - Output of getCandidateUsers
+ * @param {Map} mappings - Output of getMappings
+ * @returns {Object[]} Suggestions { userId, name, email, image, confidence, reason }, best first
+ */
+function rankCandidates(name, candidates, mappings) {
+  const alias = normalizeName(name);
+  if (!alias) return [];
+
+  const suggestions = [];
+  const mapping = mappings.get(alias);
+
+  for (const user of candidates) {
+    if (mapping && String(mapping.userId) === String(user._id)) {
+      suggestions.push({ user, confidence: 1, reason: 'confirmed_mapping' });
+      continue;
+    }
+    const score = scoreUser(alias, user);
+    if (score && score.confidence >= MIN_SUGGESTION_CONFIDENCE) {
+      suggestions.push({ user, ...score });
+    }
+  }
+
+  suggestions.sort((a, b) => b.confidence - a.confidence);
+
+  // Two people sharing a first name: neither match is certain
+  if (suggestions.length > 1 && suggestions[0].reason !== 'confirmed_mapping' &&
+      suggestions[1].confidence >= suggestions[0].confidence - 0.05) {
+    suggestions.forEach(s => { s.confidence = Math.min(s.confidence, 0.6); s.ambiguous = true; });
+  }
+
+  return suggestions.slice(0, MAX_SUGGESTIONS).map(({ user, confidence, reason, ambiguous }) => ({
+    userId: String(user._id),
+    name: user.name,
+    email: user.email,
+    image: user.image || null,
+    confidence: Math.round(confidence * 100) / 100,
+    reason,
+    ...(ambiguous ? { ambiguous: true } : {}),
+  }));
+}
+
+/**
+ * Resolve a single name to a user ID when the match is certain enough to
+ * auto-assign (a confirmed mapping or an unambiguous exact match).
+ *
+ * @param {Object} meeting - Meeting (needs _id, userId, collaborators)
+ * @param {string} name - assigneeName to resolve
+ * @param {Object} context - Optional preloaded { candidates, mappings }
+ * @returns {Promise<string|null>} User ID or null
+ */
+async function resolveAssignee(meeting, name, context = {}) {
+  if (!name) return null;
+  const candidates = context.candidates || await getCandidateUsers(meeting);
+  const mappings = context.mappings || await getMappings(meeting.userId);
+
+  const [best] = rankCandidates(name, candidates, mappings);
+  if (!best || best.confidence < AUTO_ASSIGN_CONFIDENCE) return null;
+
+  if (best.reason === 'confirmed_mapping' && !mappings.get(normalizeName(name))?.speakerProfileId) {
+    await AssigneeMapping.updateOne(
+      { ownerId: meeting.userId, alias: normalizeName(name) },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+  }
+  return best.userId;
+}
+
+/**
+ * Collect every name in a meeting that may need resolving: action item
+ * assignees, unassigned AI task assignees and renamed speaker labels.
+ */
+async function collectMeetingNames(meeting) {
+  const names = new Map(); // alias -> { name, sources:Set }
+  const add = (name, source) => {
+    const alias = normalizeName(name);
+    if (!alias) return;
+    if (!names.has(alias)) names.set(alias, { name: String(name).trim(), sources: new Set() });
+    names.get(alias).sources.add(source);
+  };
+
+  (meeting.actionItems || []).forEach(item => item.assigneeName && add(item.assigneeName, 'action_item'));
+
+  const tasks = await Task.find({ meetingId: meeting._id, assigneeName: { $nin: [null, ''] } })
+    .select('assigneeName')
+    .lean();
+  tasks.forEach(task => add(task.assigneeName, 'task'));
+
+  for (const seg of meeting.transcription?.segments || []) {
+    if (!isGenericSpeakerLabel(seg.speaker)) add(seg.speaker, 'speaker');
+  }
+
+  return [...names.entries()].map(([alias, entry]) => ({ alias, name: entry.name, sources: [...entry.sources] }));
+}
+
+/**
+ * Suggest users for every name found in a meeting
+ * @returns {Promise<Object[]>} [{ name, alias, sources, mappedUserId, suggestions }]
+ */
+async function getMeetingSuggestions(meeting) {
+  const [names, candidates, mappings] = await Promise.all([
+    collectMeetingNames(meeting),
+    getCandidateUsers(meeting),
+    getMappings(meeting.userId),
+  ]);
+
+  return names.map(({ alias, name, sources }) => ({
+    name,
+    alias,
+    sources,
+    mappedUserId: mappings.has(alias) ? String(mappings.get(alias).userId) : null,
+    suggestions: rankCandidates(name, candidates, mappings),
+  }));
+}
+
+/**
+ * Remember that `name` refers to `userId` for all meetings of the owner
+ * @returns {Promise<Object>} Mapping document
+ */
+async function confirmMapping({ ownerId, name, userId, confirmedBy }) {
+  const alias = normalizeName(name);
+  // An empty alias (e.g. only an honorific) would match every other such name
+  if (!alias) {
+    throw createHttpError(400, 'Name has no identifying part to remember');
+  }
+  return AssigneeMapping.findOneAndUpdate(
+    { ownerId, alias },
+    {
+      $set: { userId, confirmedBy, displayName: String(name).trim() },
+      $setOnInsert: { ownerId, alias },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Assign unassigned tasks of a meeting whose assigneeName matches `name`
+ * @returns {Promise<Object[]>} Updated tasks
+ */
+async function applyMappingToMeetingTasks(meeting, name, userId) {
+  const alias = normalizeName(name);
+  const tasks = await Task.find({
+    meetingId: meeting._id,
+    assignee: null,
+    assigneeName: { $nin: [null, ''] },
+  });
+
+  const updated = [];
+  for (const task of tasks) {
+    if (normalizeName(task.assigneeName) !== alias) continue;
+    task.assignee = userId;
+    await task.save();
+    updated.push(task);
+  }
+  return updated;
+}
+
+module.exports = {
+  AUTO_ASSIGN_CONFIDENCE,
+  normalizeName,
+  isGenericSpeakerLabel,
+  getCandidateUsers,
+  getMappings,
+  rankCandidates,
+  resolveAssignee,
+  getMeetingSuggestions,
+  confirmMapping,
+  applyMappingToMeetingTasks,
+};
@@ -165,3 +165,35 @@ exports.processMeetingAudio = async (meetingId) => {
     audioPath: `/uploads/meetings/${meetingId}.webm`,
   };
 };
+
+/**
+ * Remove local working files of a meeting (recorded audio chunks, merge lists and
+ * the worker's transcription source and chunk files).
+ * Used when processing is cancelled; the stored original file is kept.
+ * @returns {Promise<string[]>} Removed paths
+ */
+exports.cleanupMeetingTempFiles = async (meetingId) => {
+  const removed = [];
+  const dirs = [
+    path.join(process.cwd(), 'uploads', 'audio_chunks', String(meetingId)),
+    path.join(config.WORK_DIR, 'transcription_chunks', String(meetingId)),
+    path.join(config.WORK_DIR, 'transcription_source', String(meetingId)),
+    path.join(config.WORK_DIR, 'url_imports', String(meetingId)),
+  ];
+
+  for (const dir of dirs) {
+    try {
+      if (fs.existsSync(dir)) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        removed.push(dir);
+      }
+    } catch (error) {
+      logger.warn(`[AudioService] Could not remove ${dir}: ${error.message}`);
+    }
+  }
+
+  if (removed.length > 0) {
+    logger.info(`[AudioService] Cleaned up temporary files for meeting ${meetingId}`);
+  }
+  return removed;
+};
@@ -0,0 +1,369 @@
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('ffmpeg-static');
+const fs = require('fs');
+const path = require('path');
+const Meeting = require('../models/Meeting');
+const TranscriptionChunk = require('../models/TranscriptionChunk');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+const { extractAudioFromVideo, probeMedia } = require('./videoService');
+const { rebuildTranscript } = require('./transcriptRevisionService');
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Minimum shared speaking time (seconds) in an overlap to treat two labels as the same speaker
+const MIN_SPEAKER_MATCH_SECONDS = 1;
+
+/**
+ * Working directory for a meeting's chunk files
+ */
+function getChunkDir(meetingId) {
+  return path.join(config.WORK_DIR, 'transcription_chunks', String(meetingId));
+}
+
+/**
+ * Run an ffmpeg command, killing it when the signal aborts
+ */
+function runFfmpeg(command, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    command
+      .on('end', () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      })
+      .on('error', (err) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+/**
+ * Duration of a PCM WAV file in seconds, read from its fmt and data chunks
+ */
+async function readWavDuration(wavPath) {
+  const handle = await fs.promises.open(wavPath, 'r');
+  try {
+    const header = Buffer.alloc(4096);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    let byteRate = null;
+    let offset = 12; // after "RIFF" <size> "WAVE"
+
+    while (offset + 8 <= bytesRead) {
+      const id = header.toString('ascii', offset, offset + 4);
+      const size = header.readUInt32LE(offset + 4);
+      if (id === 'fmt ') {
+        byteRate = header.readUInt32LE(offset + 16);
+      } else if (id === 'data' && byteRate) {
+        return size / byteRate;
+      }
+      offset += 8 + size + (size % 2);
+    }
+    throw new Error(`Could not read WAV duration of ${wavPath}`);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Split [0, duration) into chunks of `chunkSeconds` that each extend
+ * `overlapSeconds` into the next one
+ * @returns {Object[]} [{ index, offset, duration }]
+ */
+function planChunks(duration, { chunkSeconds, overlapSeconds }) {
+  const chunks = [];
+  for (let offset = 0; ; offset += chunkSeconds) {
+    const length = Math.min(chunkSeconds + overlapSeconds, duration - offset);
+    chunks.push({ index: chunks.length, offset, duration: length });
+    if (offset + length >= duration) break;
+  }
+  return chunks;
+}
+
+/**
+ * Shift chunk-relative segments to recording time
+ */
+function toRecordingTime(segments, offset) {
+  return (segments || []).map(seg => ({
+    start: seg.start + offset,
+    end: seg.end + offset,
+    text: seg.text,
+    speaker: seg.speaker,
+  }));
+}
+
+/**
+ * Map the speaker labels of a chunk to labels already used in the recording,
+ * by how long they speak at the same time in the overlap with the previous chunk.
+ * Labels without a match get a new recording-wide label.
+ *
+ * @param {Object[]} previous - Previous chunk segments (recording time, recording labels)
+ * @param {Object[]} current - Current chunk segments (recording time, chunk labels)
+ * @param {Object} window - { start, end } of the overlap
+ * @param {Function} nextLabel - Allocates a new recording-wide label
+ * @returns {Map<string, string>} Chunk label → recording label
+ */
+function matchSpeakers(previous, current, window, nextLabel) {
+  const shared = new Map();
+  for (const a of previous) {
+    for (const b of current) {
+      const start = Math.max(a.start, b.start, window.start);
+      const end = Math.min(a.end, b.end, window.end);
+      if (end <= start) continue;
+      const key = `${b.speaker}\u0000${a.speaker}`;
+      shared.set(key, (shared.get(key) || 0) + (end - start));
+    }
+  }
+
+  const mapping = new Map();
+  const taken = new Set();
+  const pairs = [...shared.entries()]
+    .filter(([, seconds]) => seconds >= MIN_SPEAKER_MATCH_SECONDS)
+    .sort((x, y) => y[1] - x[1]);
+
+  for (const [key] of pairs) {
+    const [chunkLabel, recordingLabel] = key.split('\u0000');
+    if (mapping.has(chunkLabel) || taken.has(recordingLabel)) continue;
+    mapping.set(chunkLabel, recordingLabel);
+    taken.add(recordingLabel);
+  }
+
+  for (const seg of current) {
+    if (!mapping.has(seg.speaker)) mapping.set(seg.speaker, nextLabel());
+  }
+  return mapping;
+}
+
+/**
+ * Stitch chunk results into one transcript.
+ * Overlapping audio is cut halfway: segments starting before the cut come from
+ * the earlier chunk, the rest from the later one.
+ *
+ * @param {Object[]} chunks - [{ offset, duration, segments, speakers }] in order
+ * @returns {Object} { segments, speakers }
+ */
+function stitchChunks(chunks) {
+  let speakerCount = 0;
+  const nextLabel = () => `SPEAKER_${speakerCount++}`;
+
+  let segments = [];
+  let previous = null;
+
+  for (const chunk of chunks) {
+    const current = toRecordingTime(chunk.segments, chunk.offset);
+
+    if (!previous) {
+      const mapping = new Map();
+      for (const seg of current) {
+        if (!mapping.has(seg.speaker)) mapping.set(seg.speaker, nextLabel());
+        seg.speaker = mapping.get(seg.speaker);
+      }
+      segments = current;
+      previous = { chunk, segments: current };
+      continue;
+    }
+
+    const window = {
+      start: chunk.offset,
+      end: Math.min(previous.chunk.offset + previous.chunk.duration, chunk.offset + chunk.duration),
+    };
+    const mapping = matchSpeakers(previous.segments, current, window, nextLabel);
+    for (const seg of current) {
+      seg.speaker = mapping.get(seg.speaker);
+    }
+
+    const cut = window.start + (window.end - window.start) / 2;
+    segments = segments.filter(seg => seg.start < cut);
+    const coveredUntil = segments.length > 0 ? segments[segments.length - 1].end : -Infinity;
+    segments.push(...current.filter(seg => seg.start >= cut && seg.end > coveredUntil));
+
+    previous = { chunk, segments: current };
+  }
+
+  const speakers = [...new Set(segments.map(seg => seg.speaker))];
+  return { segments, speakers };
+}
+
+/**
+ * Duration of a media file from ffprobe; null when it cannot be probed
+ */
+async function probeDuration(filePath) {
+  try {
+    const duration = Number((await probeMedia(filePath)).format?.duration);
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Transcribe a long recording chunk by chunk.
+ * Each finished chunk is saved to TranscriptionChunk right away; on a retry the
+ * saved chunks are reused and only the remaining ones are sent to WhisperX.
+ * Returns null when the recording fits in a single chunk, so the caller can use
+ * the regular single-request transcription.
+ *
+ * @param {Object} params
+ * @param {string} params.meetingId
+ * @param {Object} params.engine - Transcription engine (see services/transcription)
+ * @param {string} params.filePath - Local copy of the upload
+ * @param {boolean} params.normalized - filePath is already 16kHz mono WAV (see mediaService.normalizeAudio)
+ * @param {Object} params.options - Transcription options of the meeting (language, vocabulary, ...)
+ * @param {AbortSignal} params.signal
+ * @param {Function} params.onProgress - (stage, progress, message, data) like engine progress
+ * @param {Function} params.mapChunkProgress - (completedChunks, totalChunks) → overall progress
+ * @returns {Promise<Object|null>} { language, segments, speakers, transcript, metadata, processingTime }
+ */
+async function transcribeInChunks({ meetingId, engine, filePath, normalized = false, options = {}, signal, onProgress, mapChunkProgress }) {
+  const { ENABLED, CHUNK_SECONDS, OVERLAP_SECONDS } = config.TRANSCRIPTION_CHUNKING;
+  if (!ENABLED) return null;
+
+  const params = { chunkSeconds: CHUNK_SECONDS, overlapSeconds: OVERLAP_SECONDS };
+
+  // Probe first so recordings that fit in one chunk are not converted just to learn their length
+  if (!normalized) {
+    const probed = await probeDuration(filePath);
+    if (probed !== null && planChunks(probed, params).length === 1) return null;
+  }
+
+  const startTime = Date.now();
+  const dir = getChunkDir(meetingId);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  try {
+    const wavPath = normalized ? filePath : path.join(dir, 'audio.wav');
+    let duration;
+    try {
+      if (!normalized) await extractAudioFromVideo(filePath, wavPath, { signal });
+      duration = await readWavDuration(wavPath);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // WhisperX may still decode what ffmpeg here could not; send the file as a whole
+      logger.warn(`Could not prepare chunks for meeting ${meetingId}, transcribing in one request: ${error.message}`);
+      return null;
+    }
+
+    const plan = planChunks(duration, params);
+    if (plan.length === 1) return null;
+
+    // Results cut with other chunking parameters cannot be stitched with new ones
+    await TranscriptionChunk.deleteMany({
+      meetingId,
+      $or: [{ chunkSeconds: { $ne: CHUNK_SECONDS } }, { overlapSeconds: { $ne: OVERLAP_SECONDS } }],
+    });
+    const saved = await TranscriptionChunk.find({ meetingId }).sort({ index: 1 }).lean();
+    const savedByIndex = new Map(saved.map(c => [c.index, c]));
+    const resumedChunks = plan.filter(c => savedByIndex.has(c.index)).length;
+
+    if (resumedChunks > 0) {
+      logger.info(`Resuming chunked transcription of meeting ${meetingId}: ${resumedChunks}/${plan.length} chunks already done`);
+      onProgress?.('transcribing', mapChunkProgress(resumedChunks, plan.length),
+        `Melanjutkan transkripsi dari bagian ${resumedChunks + 1} dari ${plan.length}...`,
+        { chunk: resumedChunks, totalChunks: plan.length });
+    }
+
+    let language = saved.find(c => c.language)?.language || null;
+    let completed = resumedChunks;
+
+    for (const chunk of plan) {
+      if (savedByIndex.has(chunk.index)) continue;
+
+      const chunkPath = path.join(dir, `chunk-${chunk.index}.wav`);
+      await runFfmpeg(
+        ffmpeg(wavPath)
+          .setStartTime(chunk.offset)
+          .setDuration(chunk.duration)
+          .audioCodec('copy')
+          .output(chunkPath),
+        signal
+      );
+
+      onProgress?.('transcribing', mapChunkProgress(completed, plan.length),
+        `Mentranskripsi bagian ${chunk.index + 1} dari ${plan.length}...`,
+        { chunk: chunk.index + 1, totalChunks: plan.length });
+
+      const result = await engine.transcribe(chunkPath, {
+        filename: `chunk-${chunk.index}.wav`,
+        meetingId,
+        // A chunk may hold fewer voices than the whole recording; let the engine count them
+        numSpeakers: 0,
+        language: options.language || language,
+        vocabulary: options.vocabulary,
+        enableSummary: false,
+        signal,
+      });
+      await fs.promises.rm(chunkPath, { force: true });
+
+      const doc = await TranscriptionChunk.findOneAndUpdate(
+        { meetingId, index: chunk.index },
+        {
+          ...chunk,
+          ...params,
+          language: result.language,
+          segments: result.segments || [],
+          speakers: result.speakers || [],
+          processingTime: result.processingTime,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).lean();
+      savedByIndex.set(chunk.index, doc);
+      language = language || result.language;
+      completed++;
+
+      await Meeting.updateOne({ _id: meetingId }, {
+        $set: {
+          'processingMeta.chunkInfo': {
+            currentChunk: chunk.index + 1,
+            totalChunks: plan.length,
+            completedChunks: completed,
+            chunkingEnabled: true,
+          },
+        },
+      });
+      onProgress?.('transcribing', mapChunkProgress(completed, plan.length),
+        `Bagian ${chunk.index + 1} dari ${plan.length} selesai.`,
+        { chunk: chunk.index + 1, totalChunks: plan.length });
+    }
+
+    const { segments, speakers } = stitchChunks(plan.map(c => ({ ...c, segments: savedByIndex.get(c.index).segments })));
+
+    return {
+      language,
+      segments,
+      speakers,
+      transcript: rebuildTranscript(segments),
+      processingTime: Math.floor((Date.now() - startTime) / 1000),
+      metadata: {
+        duration,
+        total_speakers: speakers.length,
+        chunking: {
+          chunking_used: true,
+          total_chunks: plan.length,
+          resumed_chunks: resumedChunks,
+          chunk_seconds: CHUNK_SECONDS,
+          overlap_seconds: OVERLAP_SECONDS,
+        },
+      },
+    };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Drop saved chunk results of a meeting (after the transcript is saved, or when it is deleted)
+ */
+async function clearTranscriptionChunks(meetingId) {
+  await TranscriptionChunk.deleteMany({ meetingId });
+}
+
+module.exports = {
+  planChunks,
+  stitchChunks,
+  transcribeInChunks,
+  clearTranscriptionChunks,
+};
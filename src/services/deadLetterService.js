@@ -0,0 +1,268 @@
+const { Queue } = require('bullmq');
+const Meeting = require('../models/Meeting');
+const { getRedisClient } = require('../config/redis');
+const { addTranscriptionJob } = require('./queueService');
+const { hasEngine } = require('./transcription');
+const { QUEUE_NAMES, MEETING_STATUS } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Stack traces are trimmed to keep DLQ entries small
+const MAX_STACKTRACE_LENGTH = 4000;
+
+let deadLetterQueue = null;
+
+/**
+ * Dead-letter queue for transcription jobs that exhausted their retries.
+ * No worker consumes it: entries stay until an admin retries or discards them.
+ */
+function getDeadLetterQueue() {
+  if (!deadLetterQueue) {
+    deadLetterQueue = new Queue(QUEUE_NAMES.TRANSCRIPTION_DLQ, {
+      connection: getRedisClient(),
+    });
+    deadLetterQueue.on('error', (error) => {
+      logger.error('Dead-letter queue error:', error);
+    });
+  }
+  return deadLetterQueue;
+}
+
+function entryIdFor(meetingId) {
+  return `dlq-${meetingId}`;
+}
+
+/**
+ * Move a failed transcription job to the dead-letter queue and remove it from
+ * the transcription queue. One entry is kept per meeting (latest failure wins).
+ *
+ * @param {Object} job - Failed BullMQ job (may be null when the job was lost)
+ * @param {Object} details - { meetingId, failedReason, whisperxStatus, whisperxResponse, source }
+ * @returns {Promise<Object>} Dead-letter job
+ */
+async function moveToDeadLetter(job, details = {}) {
+  const queue = getDeadLetterQueue();
+  const meetingId = details.meetingId || job?.data?.meetingId;
+  const lastFailure = job?.data?.lastFailure || {};
+  const id = entryIdFor(meetingId);
+
+  const existing = await queue.getJob(id);
+  if (existing) await existing.remove();
+
+  const entry = await queue.add('dead-letter', {
+    meetingId,
+    originalJobId: job?.id || null,
+    originalData: job?.data ? { ...job.data, lastFailure: undefined } : { meetingId },
+    failedReason: details.failedReason || job?.failedReason || lastFailure.message || 'Unknown error',
+    attemptsMade: job?.attemptsMade ?? 0,
+    engine: lastFailure.engine ?? job?.data?.engine ?? null,
+    whisperxStatus: details.whisperxStatus ?? lastFailure.whisperxStatus ?? null,
+    whisperxResponse: details.whisperxResponse ?? lastFailure.whisperxResponse ?? null,
+    stacktrace: (job?.stacktrace || []).join('\n').slice(0, MAX_STACKTRACE_LENGTH),
+    source: details.source || 'worker',
+    failedAt: new Date().toISOString(),
+  }, {
+    jobId: id,
+    removeOnComplete: true,
+    removeOnFail: true,
+  });
+
+  if (job) {
+    try {
+      await job.remove();
+    } catch (error) {
+      logger.warn(`Could not remove failed job ${job.id} after dead-lettering: ${error.message}`);
+    }
+  }
+
+  logger.warn(`Transcription job for meeting ${meetingId} moved to dead-letter queue`);
+  return entry;
+}
+
+/**
+ * Shape a dead-letter job for API responses
+ */
+function toEntry(job, { detailed = false } = {}) {
+  const { stacktrace, originalData, ...data } = job.data;
+  return {
+    id: job.id,
+    ...data,
+    ...(detailed ? { stacktrace, originalData } : {}),
+  };
+}
+
+/**
+ * List dead-letter entries, newest first
+ * @returns {Promise<Object>} { entries, total }
+ */
+async function listDeadLetters({ offset = 0, limit = 50 } = {}) {
+  const queue = getDeadLetterQueue();
+  const [listed, total] = await Promise.all([
+    queue.getJobs(['waiting', 'prioritized', 'delayed'], offset, offset + limit - 1, false),
+    queue.getJobCountByTypes('waiting', 'prioritized', 'delayed'),
+  ]);
+  // Entries removed between listing and fetching come back as null
+  const jobs = listed.filter(Boolean);
+
+  const meetingIds = jobs.map(job => job.data.meetingId);
+  const meetings = await Meeting.find({ _id: { $in: meetingIds } })
+    .select('title status userId retryCount')
+    .lean();
+  const meetingsById = new Map(meetings.map(m => [String(m._id), m]));
+
+  return {
+    entries: jobs.map(job => ({
+      ...toEntry(job),
+      meeting: meetingsById.get(String(job.data.meetingId)) || null,
+    })),
+    total,
+  };
+}
+
+/**
+ * Get one dead-letter entry with stack trace and original job data
+ */
+async function getDeadLetter(entryId) {
+  const job = await getDeadLetterQueue().getJob(entryId);
+  if (!job) {
+    throw createHttpError(404, 'Dead-letter entry not found');
+  }
+  const meeting = await Meeting.findById(job.data.meetingId)
+    .select('title status userId retryCount errorMessage originalFile processingLogs')
+    .lean();
+  return {
+    ...toEntry(job, { detailed: true }),
+    meeting: meeting
+      ? { ...meeting, processingLogs: (meeting.processingLogs || []).slice(-20) }
+      : null,
+  };
+}
+
+/**
+ * Resolve the entries an action applies to: explicit IDs or every entry
+ */
+async function resolveEntries({ ids, all }) {
+  const queue = getDeadLetterQueue();
+  if (all) {
+    return (await queue.getJobs(['waiting', 'prioritized', 'delayed'])).filter(Boolean);
+  }
+  const jobs = await Promise.all((ids || []).map(id => queue.getJob(id)));
+  return jobs.map((job, i) => job || { id: ids[i], missing: true });
+}
+
+/**
+ * Options to re-enqueue a dead-lettered job with: its engine, transcription
+ * options and any other payload fields. Owner and plan are looked up again.
+ */
+function toRequeueOptions(originalData = {}) {
+  const {
+    meetingId, userId, plan, lastFailure, engine, transcriptionOptions, ...payload
+  } = originalData;
+  return {
+    ...(engine ? { engine } : {}),
+    ...(transcriptionOptions ? { transcriptionOptions } : {}),
+    ...(Object.keys(payload).length > 0 ? { payload } : {}),
+  };
+}
+
+/**
+ * Re-enqueue dead-lettered meetings with their original job data. Only failed
+ * meetings are retried, so a meeting already queued or processing again is
+ * never transcribed twice. The retry counter is reset so the worker gets a
+ * full set of attempts again.
+ *
+ * @returns {Promise<Object>} { retried: [{ id, meetingId }], skipped: [{ id, reason }] }
+ */
+async function retryDeadLetters({ ids, all = false }) {
+  const retried = [];
+  const skipped = [];
+
+  for (const job of await resolveEntries({ ids, all })) {
+    if (job.missing) {
+      skipped.push({ id: job.id, reason: 'Entry not found' });
+      continue;
+    }
+
+    const { meetingId } = job.data;
+    const meeting = await Meeting.findById(meetingId).select('status originalFile');
+    if (!meeting) {
+      await job.remove();
+      skipped.push({ id: job.id, reason: 'Meeting no longer exists; entry discarded' });
+      continue;
+    }
+    if (!meeting.originalFile?.filename) {
+      skipped.push({ id: job.id, reason: 'Meeting has no stored file to transcribe' });
+      continue;
+    }
+    if (meeting.status === MEETING_STATUS.COMPLETED) {
+      await job.remove();
+      skipped.push({ id: job.id, reason: 'Meeting is already completed; entry discarded' });
+      continue;
+    }
+    if (meeting.status !== MEETING_STATUS.FAILED) {
+      skipped.push({ id: job.id, reason: `Meeting is ${meeting.status}, not failed` });
+      continue;
+    }
+
+    const requeueOptions = toRequeueOptions(job.data.originalData);
+    if (requeueOptions.engine && !hasEngine(requeueOptions.engine)) {
+      skipped.push({ id: job.id, reason: `Transcription engine "${requeueOptions.engine}" is no longer available` });
+      continue;
+    }
+
+    // Claim the meeting only while it is still failed (another retry may have won the race)
+    const claimed = await Meeting.updateOne({ _id: meetingId, status: MEETING_STATUS.FAILED }, {
+      $set: { status: MEETING_STATUS.QUEUED, errorMessage: null, retryCount: 0 },
+      $push: { processingLogs: { message: 'Dijadwalkan ulang oleh admin.', timestamp: new Date(), stage: 'requeued' } },
+    });
+    if (claimed.modifiedCount === 0) {
+      skipped.push({ id: job.id, reason: 'Meeting is no longer failed' });
+      continue;
+    }
+    await addTranscriptionJob({ meetingId: String(meetingId), ...requeueOptions });
+    await job.remove();
+    retried.push({ id: job.id, meetingId: String(meetingId) });
+  }
+
+  if (retried.length > 0) {
+    logger.info(`Re-enqueued ${retried.length} dead-lettered transcription(s)`);
+  }
+  return { retried, skipped };
+}
+
+/**
+ * Drop dead-letter entries (meetings stay failed)
+ * @returns {Promise<Object>} { discarded: [id], skipped: [{ id, reason }] }
+ */
+async function discardDeadLetters({ ids, all = false }) {
+  const discarded = [];
+  const skipped = [];
+
+  for (const job of await resolveEntries({ ids, all })) {
+    if (job.missing) {
+      skipped.push({ id: job.id, reason: 'Entry not found' });
+      continue;
+    }
+    await job.remove();
+    discarded.push(job.id);
+  }
+
+  return { discarded, skipped };
+}
+
+async function closeDeadLetterQueue() {
+  if (deadLetterQueue) {
+    await deadLetterQueue.close();
+    deadLetterQueue = null;
+  }
+}
+
+module.exports = {
+  getDeadLetterQueue,
+  moveToDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  retryDeadLetters,
+  discardDeadLetters,
+  closeDeadLetterQueue,
+};
@@ -0,0 +1,181 @@
+/**
+ * LLM Provider Layer
+ * Single entry point for chat, streaming chat and transcript analysis.
+ * The provider is selected via config.LLM (LLM_PROVIDER / LLM_FALLBACK_PROVIDERS);
+ * each call retries transient failures and then falls through the fallback chain.
+ */
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+const { withRetry, parseJsonContent } = require('./utils');
+const { createWhisperXProvider } = require('./providers/whisperx');
+const { createOpenAICompatibleProvider } = require('./providers/openaiCompatible');
+const { createOpenRouterProvider } = require('./providers/openrouter');
+const { createStubProvider } = require('./providers/stub');
+
+const factories = {
+  whisperx: () => createWhisperXProvider(),
+  openai: () => createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: config.LLM.OPENAI.BASE_URL,
+    apiKey: config.LLM.OPENAI.API_KEY,
+    model: config.LLM.OPENAI.MODEL,
+    timeout: config.LLM.OPENAI.TIMEOUT,
+  }),
+  openrouter: () => createOpenRouterProvider(),
+  stub: () => createStubProvider(),
+};
+
+const instances = new Map();
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - whisperx | openai | openrouter | stub
+ */
+function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(factories).join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Provider names to try, in order, without duplicates
+ */
+function resolveChain(primary) {
+  return [...new Set([primary, ...config.LLM.FALLBACK_PROVIDERS])];
+}
+
+/**
+ * Try each provider in the chain until one succeeds
+ */
+async function runWithFallback(chain, run, { signal, canFallback = () => true } = {}) {
+  const errors = [];
+  for (const name of chain) {
+    const provider = getProvider(name);
+    try {
+      return await run(provider);
+    } catch (error) {
+      if (error.aborted || signal?.aborted) throw error;
+      errors.push(error);
+      if (!canFallback()) throw error;
+      logger.warn(`LLM provider "${name}" failed: ${error.message}`);
+    }
+  }
+
+  const error = new Error(`LLM service unavailable. ${errors.map(e => e.message).join(' | ')}`);
+  error.causes = errors;
+  throw error;
+}
+
+/**
+ * Chat completion
+ * @param {Object[]} messages - Chat messages ({ role, content })
+ * @param {Object} options
+ * @param {string} options.provider - Provider name (default: config.LLM.PROVIDER)
+ * @param {number} options.maxTokens - Max completion tokens (default: config.LLM.MAX_TOKENS)
+ * @param {AbortSignal} options.signal - Abort signal
+ * @returns {Promise<Object>} { content, provider, model, usage, responseTime }
+ */
+async function chat(messages, { provider = config.LLM.PROVIDER, maxTokens = config.LLM.MAX_TOKENS, signal } = {}) {
+  const startTime = Date.now();
+  return runWithFallback(resolveChain(provider), async (llm) => {
+    const result = await withRetry(() => llm.chat(messages, { maxTokens, signal }), { signal });
+    return { ...result, provider: llm.name, responseTime: Date.now() - startTime };
+  }, { signal });
+}
+
+/**
+ * Streaming chat completion. Retries and fallbacks only happen before the
+ * first token, so the caller never receives a mixed answer.
+ * @param {Object[]} messages - Chat messages
+ * @param {Object} options - Same as chat(), plus onToken(text)
+ * @returns {Promise<Object>} { content, provider, model, usage, responseTime }
+ */
+async function streamChat(messages, { provider = config.LLM.PROVIDER, maxTokens = config.LLM.MAX_TOKENS, signal, onToken } = {}) {
+  const startTime = Date.now();
+  let emitted = false;
+  const emit = (token) => {
+    emitted = true;
+    if (onToken) onToken(token);
+  };
+
+  return runWithFallback(resolveChain(provider), async (llm) => {
+    const result = await withRetry(
+      () => llm.stream(messages, { onToken: emit, maxTokens, signal }),
+      { signal, shouldRetry: () => !emitted }
+    );
+    return { ...result, provider: llm.name, responseTime: Date.now() - startTime };
+  }, { signal, canFallback: () => !emitted });
+}
+
+const ANALYZE_PROMPT = `Kamu adalah asisten notulen rapat. Analisis transkrip rapat yang diberikan dan balas HANYA dengan satu objek JSON valid (tanpa teks lain) dengan struktur:
+{
+  "summary": "ringkasan rapat dalam markdown",
+  "highlights": { "Judul Topik": "poin-poin penting topik tersebut" },
+  "conclusion": "kesimpulan rapat",
+  "actionItems": [{ "title": "", "description": "", "priority": "low|medium|high", "dueDate": "tanggal atau null", "assigneeName": "nama atau null" }],
+  "tags": ["topik"],
+  "suggestedTitle": "judul singkat rapat",
+  "suggestedDescription": "deskripsi satu kalimat"
+}
+Gunakan bahasa yang sama dengan transkrip.`;
+
+/**
+ * Analysis prompt for a summary template: its sections replace the free-form
+ * highlights topics, in the given order
+ */
+function buildTemplatePrompt(template) {
+  const sections = template.sections
+    .map(({ key, instruction }) => `- "${key}": ${instruction || 'poin-poin penting untuk bagian ini'}`)
+    .join('\n');
+  const highlights = Object.fromEntries(template.sections.map(({ key }) => [key, '...']));
+
+  return ANALYZE_PROMPT.replace('{ "Judul Topik": "poin-poin penting topik tersebut" }', JSON.stringify(highlights)) +
+    `\n\nIni adalah rapat jenis "${template.name}". Isi "highlights" dengan TEPAT bagian-bagian berikut (gunakan kunci persis seperti tertulis, markdown sebagai isi, tulis "-" jika tidak dibahas):\n${sections}` +
+    (template.summaryInstruction ? `\n\nPetunjuk untuk ringkasan: ${template.summaryInstruction}` : '');
+}
+
+/**
+ * Analyze a transcript into summary, highlights, conclusion, action items and tags.
+ * Providers with a native analyze() (WhisperX, stub) use it; chat-only providers
+ * are prompted for a JSON reply. With a summary template, only providers whose
+ * analyze() supports templates use it, the others are prompted with its sections.
+ *
+ * @param {string} transcript - Plain transcript text
+ * @param {Object} options
+ * @param {string} options.provider - Provider name (default: config.LLM.ANALYZE_PROVIDER)
+ * @param {Object} options.template - Summary template ({ name, sections: [{ key, instruction }], summaryInstruction })
+ * @returns {Promise<Object>} Analysis result with an `llm` field ({ provider, model, usage })
+ */
+async function analyze(transcript, { provider = config.LLM.ANALYZE_PROVIDER, template = null } = {}) {
+  const startTime = Date.now();
+  const templated = template?.sections?.length > 0;
+
+  return runWithFallback(resolveChain(provider), async (llm) => {
+    if (typeof llm.analyze === 'function' && (!templated || llm.supportsTemplates)) {
+      const result = await llm.analyze(transcript, templated ? { template } : {});
+      return { ...result, llm: { provider: llm.name, model: llm.model, usage: null } };
+    }
+
+    const reply = await withRetry(() => llm.chat([
+      { role: 'system', content: templated ? buildTemplatePrompt(template) : ANALYZE_PROMPT },
+      { role: 'user', content: transcript },
+    ], { maxTokens: Math.max(config.LLM.MAX_TOKENS, 4000) }));
+
+    return {
+      ...parseJsonContent(reply.content),
+      processingTime: Math.floor((Date.now() - startTime) / 1000),
+      llm: { provider: llm.name, model: reply.model, usage: reply.usage },
+    };
+  });
+}
+
+module.exports = {
+  getProvider,
+  chat,
+  streamChat,
+  analyze,
+};
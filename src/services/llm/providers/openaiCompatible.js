@@ -0,0 +1,134 @@
+const axios = require('axios');
+const {
+  createLLMError,
+  fromAxiosError,
+  readEventStream,
+  readStreamError,
+  normalizeUsage,
+} = require('../utils');
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ * (OpenAI, OpenRouter, vLLM, Ollama, LM Studio, ...)
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name used in logs and metadata
+ * @param {string} options.baseUrl - API base URL (without /chat/completions)
+ * @param {string} options.apiKey - Bearer token
+ * @param {string} options.model - Model ID
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {Object} options.headers - Extra request headers
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey, model, timeout = 60000, headers = {} }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const requestHeaders = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+    ...headers,
+  };
+
+  /**
+   * Single chat completion
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  async function chat(messages, { maxTokens, signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(url, {
+        model,
+        messages,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      }, {
+        headers: requestHeaders,
+        timeout,
+        signal,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      throw fromAxiosError(name, error);
+    }
+
+    if (response.status !== 200) {
+      const errorMsg = response.data?.error?.message || response.data?.error || `HTTP ${response.status}`;
+      throw createLLMError(name, `API error: ${errorMsg}`, { status: response.status });
+    }
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw createLLMError(name, 'Empty response');
+    }
+
+    return {
+      content,
+      model: response.data.model || model,
+      usage: normalizeUsage(response.data.usage),
+    };
+  }
+
+  /**
+   * Streaming chat completion; calls onToken for each text delta
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  async function stream(messages, { onToken, maxTokens, signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(url, {
+        model,
+        messages,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      }, {
+        headers: requestHeaders,
+        responseType: 'stream',
+        timeout,
+        signal,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      throw fromAxiosError(name, error);
+    }
+
+    if (response.status !== 200) {
+      const errorMsg = await readStreamError(response.data, response.status);
+      throw createLLMError(name, `API error: ${errorMsg}`, { status: response.status });
+    }
+
+    let content = '';
+    let usage = null;
+    let responseModel = model;
+    try {
+      await readEventStream(response.data, (data) => {
+        if (data?.error) {
+          throw createLLMError(name, `API error: ${data.error.message || data.error}`);
+        }
+        if (data?.model) responseModel = data.model;
+        if (data?.usage) usage = normalizeUsage(data.usage);
+        const token = data?.choices?.[0]?.delta?.content || '';
+        if (token) {
+          content += token;
+          if (onToken) onToken(token);
+        }
+      }, { requireDone: true });
+    } catch (error) {
+      throw fromAxiosError(name, error);
+    }
+
+    if (!content) {
+      throw createLLMError(name, 'Empty response');
+    }
+
+    return { content, model: responseModel, usage };
+  }
+
+  return {
+    name,
+    model,
+    chat,
+    stream,
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
@@ -0,0 +1,24 @@
+const config = require('../../../config/env');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+/**
+ * OpenRouter provider (OpenAI-compatible API with attribution headers)
+ */
+function createOpenRouterProvider(options = {}) {
+  const settings = config.LLM.OPENROUTER;
+  return createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseUrl: options.baseUrl || settings.BASE_URL,
+    apiKey: options.apiKey || settings.API_KEY,
+    model: options.model || settings.MODEL,
+    timeout: options.timeout || settings.TIMEOUT,
+    headers: {
+      'HTTP-Referer': config.CORS_ORIGIN,
+      'X-Title': 'notu.ai',
+    },
+  });
+}
+
+module.exports = {
+  createOpenRouterProvider,
+};
@@ -0,0 +1,101 @@
+const { tokenize } = require('../../../utils/textSearch');
+
+const NAME = 'stub';
+
+/**
+ * Rough token estimate (~ words) for usage accounting
+ */
+function estimateTokens(text) {
+  return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Most frequent content words, used for tags and titles
+ */
+function topTerms(text, count) {
+  const freq = new Map();
+  for (const token of tokenize(text)) {
+    if (token.length < 4) continue;
+    freq.set(token, (freq.get(token) || 0) + 1);
+  }
+  return [...freq.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, count)
+    .map(([term]) => term);
+}
+
+/**
+ * Local deterministic provider for tests and offline development.
+ * Echoes the question, cites the first transcript marker found in the context
+ * and derives a simple analysis from the transcript text. No network calls.
+ */
+function createStubProvider() {
+  function buildAnswer(messages) {
+    const userMessages = messages.filter(m => m.role === 'user');
+    const question = userMessages[userMessages.length - 1]?.content || '';
+    const context = messages.map(m => m.content).join('\n');
+    const marker = context.match(/\[(M\d+#\d+|#\d+)[^\]]*\]/);
+    const citation = marker ? ` [${marker[1]}]` : '';
+    return `Stub answer: ${question}${citation}`;
+  }
+
+  function usageFor(messages, content) {
+    const promptTokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completionTokens = estimateTokens(content);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  async function chat(messages) {
+    const content = buildAnswer(messages);
+    return { content, model: NAME, usage: usageFor(messages, content) };
+  }
+
+  async function stream(messages, { onToken } = {}) {
+    const content = buildAnswer(messages);
+    if (onToken) {
+      for (const piece of content.match(/\S+\s*/g) || []) onToken(piece);
+    }
+    return { content, model: NAME, usage: usageFor(messages, content) };
+  }
+
+  async function analyze(transcript, { template = null } = {}) {
+    const sentences = splitSentences(transcript);
+    const terms = topTerms(transcript, 3);
+    const title = terms.length > 0 ? `Rapat ${terms.join(', ')}` : 'Rapat';
+    // One sentence per template section, in order
+    const highlights = template
+      ? Object.fromEntries(template.sections.map(({ key }, i) => [key, sentences[i] || '-']))
+      : (sentences.length > 0 ? { 'Poin Utama': sentences[0] } : {});
+
+    return {
+      summary: sentences.slice(0, 2).join(' ') || 'Ringkasan tidak tersedia.',
+      highlights,
+      conclusion: sentences[sentences.length - 1] || '',
+      actionItems: [],
+      tags: terms,
+      suggestedTitle: title,
+      suggestedDescription: sentences[0] || '',
+      processingTime: 0,
+    };
+  }
+
+  return {
+    name: NAME,
+    model: NAME,
+    supportsTemplates: true,
+    chat,
+    stream,
+    analyze,
+  };
+}
+
+module.exports = {
+  createStubProvider,
+};
@@ -0,0 +1,135 @@
+const axios = require('axios');
+const config = require('../../../config/env');
+const { analyzeTranscript } = require('../../whisperxService');
+const {
+  createLLMError,
+  fromAxiosError,
+  readEventStream,
+  readStreamBody,
+  readStreamError,
+  normalizeUsage,
+} = require('../utils');
+
+const NAME = 'whisperx';
+
+/**
+ * Provider for the WhisperX service's own LLM endpoints (/api/chat and /analyze)
+ */
+function createWhisperXProvider(options = {}) {
+  const baseUrl = options.baseUrl || config.WHISPERX_API_URL || 'http://localhost:5005';
+  const timeout = options.timeout || config.LLM.WHISPERX.TIMEOUT;
+  const analyzeTimeout = options.analyzeTimeout || config.LLM.WHISPERX.ANALYZE_TIMEOUT;
+
+  /**
+   * Parse a { success, response, usage } reply
+   */
+  function parseChatReply(data, status) {
+    if (data?.success && data?.response) {
+      return {
+        content: data.response,
+        model: data.model || NAME,
+        usage: normalizeUsage(data.usage),
+      };
+    }
+    const errorMsg = data?.error || data?.response || `HTTP ${status}`;
+    throw createLLMError(NAME, `Chat error: ${errorMsg}`, { status: status !== 200 ? status : null });
+  }
+
+  async function chat(messages, { maxTokens = config.LLM.MAX_TOKENS, signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(`${baseUrl}/api/chat`, {
+        messages,
+        max_tokens: maxTokens,
+      }, {
+        timeout,
+        signal,
+        validateStatus: () => true, // Don't throw on non-2xx status
+      });
+    } catch (error) {
+      throw fromAxiosError(NAME, error);
+    }
+
+    return parseChatReply(response.data, response.status);
+  }
+
+  /**
+   * Streaming chat. Falls back to emitting the full answer as a single token
+   * when the service does not support streaming and replies with plain JSON.
+   */
+  async function stream(messages, { onToken, maxTokens = config.LLM.MAX_TOKENS, signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(`${baseUrl}/api/chat`, {
+        messages,
+        max_tokens: maxTokens,
+        stream: true,
+      }, {
+        responseType: 'stream',
+        timeout,
+        signal,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      throw fromAxiosError(NAME, error);
+    }
+
+    if (response.status !== 200) {
+      const errorMsg = await readStreamError(response.data, response.status);
+      throw createLLMError(NAME, `Chat error: ${errorMsg}`, { status: response.status });
+    }
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (!contentType.includes('text/event-stream')) {
+      const result = parseChatReply(JSON.parse(await readStreamBody(response.data)), response.status);
+      if (onToken) onToken(result.content);
+      return result;
+    }
+
+    let content = '';
+    let usage = null;
+    try {
+      await readEventStream(response.data, (data) => {
+        if (data?.type === 'error' || (data?.error && !data?.choices)) {
+          throw createLLMError(NAME, `Chat error: ${data.error?.message || data.error}`);
+        }
+        if (data?.usage) usage = normalizeUsage(data.usage);
+        const token = typeof data?.token === 'string' ? data.token : (data?.choices?.[0]?.delta?.content || '');
+        if (token) {
+          content += token;
+          if (onToken) onToken(token);
+        }
+      });
+    } catch (error) {
+      throw fromAxiosError(NAME, error);
+    }
+
+    if (!content) {
+      throw createLLMError(NAME, 'Empty response');
+    }
+    return { content, model: NAME, usage };
+  }
+
+  /**
+   * Transcript analysis via the dedicated /analyze endpoint
+   */
+  async function analyze(transcript) {
+    try {
+      return await analyzeTranscript(transcript, { timeout: analyzeTimeout });
+    } catch (error) {
+      throw createLLMError(NAME, error.message, { code: error.code || null });
+    }
+  }
+
+  return {
+    name: NAME,
+    model: NAME,
+    chat,
+    stream,
+    analyze,
+  };
+}
+
+module.exports = {
+  createWhisperXProvider,
+};
@@ -0,0 +1,219 @@
+const config = require('../../config/env');
+const logger = require('../../utils/logger');
+
+// Network errors worth retrying
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Create an error carrying provider details and whether a retry may help
+ * @param {string} provider - Provider name
+ * @param {string} message - Error message
+ * @param {Object} details
+ * @param {number} details.status - Upstream HTTP status
+ * @param {string} details.code - Network error code
+ * @returns {Error}
+ */
+function createLLMError(provider, message, { status = null, code = null } = {}) {
+  const error = new Error(`${provider}: ${message}`);
+  error.provider = provider;
+  error.status = status;
+  error.code = code;
+  error.retryable = status === 429 || (status !== null && status >= 500) || RETRYABLE_CODES.has(code);
+  return error;
+}
+
+/**
+ * Wrap an axios error into an LLM error
+ */
+function fromAxiosError(provider, error) {
+  if (error.provider) return error;
+  if (error.name === 'CanceledError' || error.code === 'ERR_CANCELED') {
+    const canceled = createLLMError(provider, 'Request aborted', { code: 'ERR_CANCELED' });
+    canceled.aborted = true;
+    return canceled;
+  }
+  return createLLMError(provider, error.message, {
+    status: error.response?.status ?? null,
+    code: error.code ?? null,
+  });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn with retries on retryable errors (exponential backoff)
+ * @param {Function} fn - Async function receiving the attempt number
+ * @param {Object} options
+ * @param {number} options.retries - Extra attempts (default: config.LLM.MAX_RETRIES)
+ * @param {number} options.delayMs - Initial backoff (default: config.LLM.RETRY_DELAY_MS)
+ * @param {Function} options.shouldRetry - Extra check, e.g. "no tokens emitted yet"
+ * @param {AbortSignal} options.signal - Stop retrying once aborted
+ */
+async function withRetry(fn, {
+  retries = config.LLM.MAX_RETRIES,
+  delayMs = config.LLM.RETRY_DELAY_MS,
+  shouldRetry = () => true,
+  signal = null,
+} = {}) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const canRetry = attempt < retries && error.retryable && !signal?.aborted && shouldRetry(error);
+      if (!canRetry) throw error;
+      const wait = delayMs * 2 ** attempt;
+      logger.warn(`LLM request failed (${error.message}), retrying in ${wait}ms (attempt ${attempt + 2}/${retries + 1})`);
+      await sleep(wait);
+      attempt++;
+    }
+  }
+}
+
+/**
+ * Read an SSE response stream and call onData for each parsed `data:` payload.
+ * Resolves when a `[DONE]` sentinel is received or the stream ends. With
+ * `requireDone` (providers that always send the sentinel) a stream that ends
+ * without it was cut off and rejects instead, so a truncated reply is not
+ * taken as complete.
+ *
+ * @param {stream.Readable} stream - Response body
+ * @param {Function} onData - Called with each parsed payload
+ * @param {Object} options
+ * @param {boolean} options.requireDone - Reject when the stream ends before `[DONE]`
+ */
+function readEventStream(stream, onData, { requireDone = false } = {}) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      resolve();
+    };
+
+    const end = () => {
+      if (!requireDone) {
+        finish();
+        return;
+      }
+      if (finished) return;
+      finished = true;
+      const error = new Error('Stream ended before completion');
+      error.code = 'ECONNRESET';
+      reject(error);
+    };
+
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      // Process complete SSE messages
+      const messages = buffer.split(/\r?\n\r?\n/);
+      buffer = messages.pop(); // Keep incomplete message in buffer
+
+      for (const message of messages) {
+        for (const line of message.split(/\r?\n/)) {
+          if (!line.startsWith('data:')) continue; // Skip comments / keep-alives
+          const payload = line.slice(5).trim();
+          if (finished) return;
+          if (payload === '[DONE]') {
+            finish();
+            stream.destroy();
+            return;
+          }
+          let data;
+          try {
+            data = JSON.parse(payload);
+          } catch (parseError) {
+            logger.warn('Failed to parse LLM stream message:', parseError.message);
+            continue;
+          }
+          try {
+            onData(data);
+          } catch (error) {
+            // Error events from upstream abort the stream
+            finished = true;
+            stream.destroy();
+            reject(error);
+            return;
+          }
+        }
+      }
+    });
+
+    stream.on('end', end);
+    stream.on('close', end);
+    stream.on('error', (error) => {
+      if (finished) return;
+      finished = true;
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Collect a streamed body (bounded) as text
+ */
+async function readStreamBody(stream, maxLength = Infinity) {
+  let body = '';
+  for await (const chunk of stream) {
+    body += chunk.toString();
+    if (body.length > maxLength) break;
+  }
+  return body;
+}
+
+/**
+ * Collect a non-2xx streamed body into an error message
+ */
+async function readStreamError(stream, status) {
+  const body = await readStreamBody(stream, 2000);
+  try {
+    const parsed = JSON.parse(body);
+    return parsed?.error?.message || parsed?.error || `HTTP ${status}`;
+  } catch {
+    return body.slice(0, 200) || `HTTP ${status}`;
+  }
+}
+
+/**
+ * Normalize token usage from OpenAI-style ({ prompt_tokens }) or camelCase responses
+ * @returns {Object|null} { promptTokens, completionTokens, totalTokens }
+ */
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const promptTokens = usage.prompt_tokens ?? usage.promptTokens ?? null;
+  const completionTokens = usage.completion_tokens ?? usage.completionTokens ?? null;
+  if (promptTokens === null && completionTokens === null) return null;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens ?? usage.totalTokens ?? ((promptTokens || 0) + (completionTokens || 0)),
+  };
+}
+
+/**
+ * Parse a JSON object out of an LLM reply (tolerates ```json fences and surrounding prose)
+ */
+function parseJsonContent(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : content;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('LLM reply does not contain a JSON object');
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+module.exports = {
+  createLLMError,
+  fromAxiosError,
+  withRetry,
+  readEventStream,
+  readStreamBody,
+  readStreamError,
+  normalizeUsage,
+  parseJsonContent,
+};
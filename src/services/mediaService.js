@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { probeMedia, extractAudioFromVideo } = require('./videoService');
+const { ALLOWED_CONTAINER_FORMATS, ALLOWED_EXTENSIONS } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Whether a probe error means ffprobe itself is unavailable (not a bad file)
+ */
+function isProbeUnavailable(error) {
+  return /Cannot find ffprobe|spawn \S*ffprobe\S* ENOENT/i.test(error?.message || '');
+}
+
+/**
+ * Check the content of an upload with ffprobe: it must be a container we accept
+ * and hold at least one audio stream. The declared mimetype and extension are
+ * not trusted.
+ * When ffprobe is not installed the check is skipped (logged) and null returned,
+ * so uploads keep working on hosts with only ffmpeg-static.
+ *
+ * @param {string} input - Local path or URL of the upload
+ * @returns {Promise<Object|null>} { format, duration, hasVideo, audioCodec }
+ */
+async function sniffMedia(input) {
+  let metadata;
+  try {
+    metadata = await probeMedia(input);
+  } catch (error) {
+    if (isProbeUnavailable(error)) {
+      logger.warn(`ffprobe is not available, skipping media check: ${error.message}`);
+      return null;
+    }
+    logger.warn(`Uploaded file could not be read as media: ${error.message}`);
+    throw createHttpError(415, 'File is not a readable audio or video file');
+  }
+
+  const formatNames = String(metadata.format?.format_name || '').split(',');
+  if (!formatNames.some(name => ALLOWED_CONTAINER_FORMATS.includes(name))) {
+    throw createHttpError(415, `Unsupported media format "${metadata.format?.format_name}". Allowed types: ${ALLOWED_EXTENSIONS.join(', ')}`);
+  }
+
+  const streams = metadata.streams || [];
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  if (!audio) {
+    throw createHttpError(415, 'File has no audio track');
+  }
+
+  const duration = Number(metadata.format?.duration);
+  return {
+    format: metadata.format.format_name,
+    duration: Number.isFinite(duration) ? duration : null,
+    // Cover art in audio files is reported as a video stream
+    hasVideo: streams.some(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic),
+    audioCodec: audio.codec_name || null,
+  };
+}
+
+/**
+ * Transcode any accepted input to 16kHz mono PCM WAV for transcription
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Object} options - { signal }
+ * @returns {Promise<string>} outputPath
+ */
+async function normalizeAudio(inputPath, outputPath, { signal } = {}) {
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  try {
+    return await extractAudioFromVideo(inputPath, outputPath, { signal });
+  } catch (error) {
+    await fs.promises.rm(outputPath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  sniffMedia,
+  normalizeAudio,
+};
@@ -0,0 +1,236 @@
+const UploadSession = require('../models/UploadSession');
+const Meeting = require('../models/Meeting');
+const config = require('../config/env');
+const { getUploadUrl, getFileStats, getFileUrl, removeFile } = require('./storageService');
+const { sniffMedia } = require('./mediaService');
+const {
+  assertUploadAllowed,
+  assertSummaryTemplate,
+  getUploadSession,
+  claimUploadSession,
+  finishUploadSession,
+  releaseUploadSession,
+} = require('./uploadService');
+const { generateUniqueFilename, createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+let cleanupIntervalId = null;
+
+function nextExpiry() {
+  return new Date(Date.now() + config.RESUMABLE_UPLOAD.EXPIRES_HOURS * 3600 * 1000);
+}
+
+/**
+ * Media type without parameters ("audio/mpeg; charset=x" → "audio/mpeg")
+ */
+function baseMimeType(value) {
+  return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Start a direct-to-storage upload: reserve an object name and sign a PUT URL for it.
+ * Type and size are checked like the multer upload, and again against the
+ * stored object on completion (a presigned PUT cannot enforce them).
+ *
+ * @param {Object} params - { userId, filename, mimetype, size, fields }
+ * @returns {Promise<Object>} { upload, url, urlExpiresAt }
+ */
+async function createPresignedUpload({ userId, filename, mimetype, size, fields = {} }) {
+  assertUploadAllowed({ filename, mimetype, size });
+  await assertSummaryTemplate(userId, fields);
+
+  const objectName = generateUniqueFilename(filename);
+  const expirySeconds = config.PRESIGNED_UPLOAD.URL_EXPIRY_SECONDS;
+  const url = await getUploadUrl(objectName, expirySeconds);
+
+  const upload = await UploadSession.create({
+    userId,
+    kind: 'presigned',
+    filename,
+    mimetype,
+    size,
+    objectName,
+    fields,
+    expiresAt: nextExpiry(),
+  });
+
+  logger.info(`Presigned upload ${upload._id} created: ${filename} → ${objectName} (${size} bytes)`);
+  return {
+    upload,
+    url,
+    urlExpiresAt: new Date(Date.now() + expirySeconds * 1000),
+  };
+}
+
+/**
+ * Get a presigned upload of the user
+ */
+function getPresignedUpload(uploadId, userId) {
+  return getUploadSession(uploadId, userId, 'presigned');
+}
+
+/**
+ * Check the stored object against what the upload announced
+ * @returns {Promise<Object>} sniffMedia result
+ */
+async function verifyUploadedObject(upload) {
+  const stats = await getFileStats(upload.objectName);
+  if (!stats) {
+    throw createHttpError(409, 'File has not been uploaded to storage yet');
+  }
+  if (stats.size !== upload.size) {
+    throw createHttpError(400, `Uploaded file is ${stats.size} bytes, expected ${upload.size}`);
+  }
+  if (baseMimeType(stats.contentType) !== baseMimeType(upload.mimetype)) {
+    throw createHttpError(400, `Uploaded file has content type ${stats.contentType || 'none'}, expected ${upload.mimetype}`);
+  }
+
+  // ffprobe reads only the parts of the object it needs over HTTP
+  return sniffMedia(await getFileUrl(upload.objectName, 600));
+}
+
+/**
+ * Verify the object the client uploaded, then create its meeting and queue
+ * the transcription. Completing an already completed upload returns its meeting;
+ * a completion that failed part-way resumes from the recorded meeting.
+ *
+ * @returns {Promise<Object>} { upload, meeting, created }
+ */
+async function completePresignedUpload(upload) {
+  if (upload.status === 'completed') {
+    const meeting = await Meeting.findById(upload.meetingId);
+    if (!meeting) throw createHttpError(404, 'Meeting of this upload no longer exists');
+    return { upload, meeting, created: false };
+  }
+
+  const claimed = await claimUploadSession(upload._id);
+  if (!claimed) {
+    throw createHttpError(409, 'Upload is already being completed');
+  }
+
+  try {
+    // The object name was reserved on creation, so nothing is stored here
+    const meeting = await finishUploadSession(claimed, {
+      inspect: () => verifyUploadedObject(claimed),
+      store: async () => claimed.objectName,
+    });
+
+    logger.info(`Presigned upload ${upload._id} completed as meeting ${meeting._id}`);
+    return { upload: claimed, meeting, created: true };
+  } catch (error) {
+    await releaseUploadSession(claimed, { progressed: Boolean(claimed.meetingId) });
+    throw error;
+  }
+}
+
+/**
+ * Abort a presigned upload and remove anything already written to storage.
+ * An object a meeting was created for is never removed here.
+ */
+async function deletePresignedUpload(upload) {
+  if (upload.status !== 'uploading' || upload.meetingId) {
+    throw createHttpError(409, upload.status === 'completed' || upload.meetingId
+      ? 'Upload is already complete; delete the meeting instead'
+      : 'Upload is being completed');
+  }
+  if (await getFileStats(upload.objectName)) {
+    await removeFile(upload.objectName);
+  }
+  await UploadSession.deleteOne({ _id: upload._id });
+}
+
+/**
+ * Resume completions that failed part-way or whose process crashed. Ones that
+ * still fail after the upload expired are dropped with their object, unless
+ * their meeting was already created: that meeting owns the object.
+ */
+async function recoverStaleCompletions() {
+  const staleBefore = new Date(Date.now() - config.RESUMABLE_UPLOAD.COMPLETING_TIMEOUT_MS);
+  const stale = await UploadSession.find({
+    kind: 'presigned',
+    status: 'completing',
+    $or: [
+      { completingAt: null, expiresAt: { $lt: new Date() } },
+      { completingAt: { $lt: staleBefore } },
+    ],
+  });
+
+  let removed = 0;
+  for (const upload of stale) {
+    try {
+      await completePresignedUpload(upload);
+      continue;
+    } catch (error) {
+      logger.warn(`Could not resume completion of presigned upload ${upload._id}: ${error.message}`);
+    }
+
+    const current = await UploadSession.findById(upload._id);
+    if (!current || current.status !== 'completing' || current.expiresAt >= new Date()) continue;
+    if (current.meetingId) {
+      await UploadSession.updateOne({ _id: current._id }, { $set: { status: 'completed', completingAt: null } });
+    } else {
+      if (await getFileStats(current.objectName)) await removeFile(current.objectName);
+      await UploadSession.deleteOne({ _id: current._id });
+    }
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Remove expired presigned uploads and their objects, and recover stale completions
+ * @returns {Promise<number>} Uploads removed
+ */
+async function cleanupExpiredPresignedUploads() {
+  let removed = 0;
+  try {
+    removed += await recoverStaleCompletions();
+
+    const expired = await UploadSession.find({
+      kind: 'presigned',
+      status: 'uploading',
+      meetingId: null,
+      expiresAt: { $lt: new Date() },
+    });
+    for (const upload of expired) {
+      try {
+        await deletePresignedUpload(upload);
+        removed++;
+      } catch (error) {
+        logger.warn(`Could not remove expired presigned upload ${upload._id}: ${error.message}`);
+      }
+    }
+
+    if (removed > 0) logger.info(`Removed ${removed} expired presigned upload(s)`);
+  } catch (error) {
+    logger.error('Presigned upload cleanup failed:', error);
+  }
+  return removed;
+}
+
+/**
+ * Start periodic removal of expired presigned uploads
+ */
+function startPresignedUploadCleanup() {
+  if (cleanupIntervalId) return cleanupIntervalId;
+  cleanupIntervalId = setInterval(cleanupExpiredPresignedUploads, config.RESUMABLE_UPLOAD.CLEANUP_INTERVAL_MS);
+  cleanupIntervalId.unref?.();
+  return cleanupIntervalId;
+}
+
+function stopPresignedUploadCleanup() {
+  if (cleanupIntervalId) {
+    clearInterval(cleanupIntervalId);
+    cleanupIntervalId = null;
+  }
+}
+
+module.exports = {
+  createPresignedUpload,
+  getPresignedUpload,
+  completePresignedUpload,
+  deletePresignedUpload,
+  cleanupExpiredPresignedUploads,
+  startPresignedUploadCleanup,
+  stopPresignedUploadCleanup,
+};
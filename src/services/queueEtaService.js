@@ -0,0 +1,241 @@
+const Meeting = require('../models/Meeting');
+const { getTranscriptionQueue, TRANSCRIPTION_CONCURRENCY } = require('./queueService');
+const { MEETING_STATUS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Used until enough meetings have been transcribed to learn from
+const DEFAULT_SECONDS_PER_AUDIO_MINUTE = 30;
+const DEFAULT_AUDIO_SECONDS = 600;
+
+// Recent completed transcriptions used for the processing rate
+const SAMPLE_SIZE = 50;
+const STATS_TTL_MS = 5 * 60 * 1000;
+
+// Coalesce queue change bursts into one broadcast
+const BROADCAST_DELAY_MS = 2000;
+
+// Status polls reuse the last queue simulation for this long instead of scanning the queue each time
+const ESTIMATE_TTL_MS = 10000;
+
+let emitToMeeting;
+try {
+  emitToMeeting = require('./socketService').emitToMeeting;
+} catch (e) {
+  emitToMeeting = () => {};
+}
+
+let cachedStats = null;
+let cachedEstimates = null;
+let pendingEstimates = null;
+let broadcastTimer = null;
+
+/**
+ * Processing rate learnt from recent queue-processed transcriptions
+ * @returns {Promise<Object>} { secondsPerAudioMinute, bytesPerAudioSecond, averageAudioSeconds, samples }
+ */
+async function getProcessingStats() {
+  if (cachedStats && cachedStats.expiresAt > Date.now()) {
+    return cachedStats.value;
+  }
+
+  const samples = await Meeting.find({
+    status: MEETING_STATUS.COMPLETED,
+    'processingMeta.jobId': { $exists: true, $ne: null },
+    'transcription.processingTime': { $gt: 0 },
+    duration: { $gt: 0 },
+  })
+    .sort({ updatedAt: -1 })
+    .limit(SAMPLE_SIZE)
+    .select('duration originalFile.size transcription.processingTime')
+    .lean();
+
+  let processingSeconds = 0;
+  let audioSeconds = 0;
+  let sizedBytes = 0;
+  let sizedSeconds = 0;
+  for (const meeting of samples) {
+    processingSeconds += meeting.transcription.processingTime;
+    audioSeconds += meeting.duration;
+    if (meeting.originalFile?.size > 0) {
+      sizedBytes += meeting.originalFile.size;
+      sizedSeconds += meeting.duration;
+    }
+  }
+
+  const value = {
+    secondsPerAudioMinute: audioSeconds > 0
+      ? processingSeconds / (audioSeconds / 60)
+      : DEFAULT_SECONDS_PER_AUDIO_MINUTE,
+    bytesPerAudioSecond: sizedSeconds > 0 ? sizedBytes / sizedSeconds : null,
+    averageAudioSeconds: samples.length > 0 ? audioSeconds / samples.length : DEFAULT_AUDIO_SECONDS,
+    samples: samples.length,
+  };
+
+  cachedStats = { value, expiresAt: Date.now() + STATS_TTL_MS };
+  return value;
+}
+
+/**
+ * Audio length of a meeting that has not been transcribed yet.
+ * Uses the known duration, else the file size at the historical bitrate, else the average.
+ */
+function estimateAudioSeconds(meeting, stats) {
+  if (meeting?.duration > 0) return meeting.duration;
+  if (meeting?.originalFile?.size > 0 && stats.bytesPerAudioSecond) {
+    return meeting.originalFile.size / stats.bytesPerAudioSecond;
+  }
+  return stats.averageAudioSeconds;
+}
+
+/**
+ * Pending transcription jobs in the order the worker will pick them up
+ */
+async function getOrderedJobs() {
+  const queue = getTranscriptionQueue();
+  const [active, waiting, prioritized, delayed] = await Promise.all([
+    queue.getJobs(['active'], 0, -1, true),
+    queue.getJobs(['waiting'], 0, -1, true),
+    queue.getJobs(['prioritized'], 0, -1, true),
+    queue.getJobs(['delayed'], 0, -1, true),
+  ]);
+  return {
+    active: active.filter(Boolean),
+    pending: [...waiting, ...prioritized, ...delayed].filter(Boolean),
+  };
+}
+
+/**
+ * Estimate start and finish times of every job in the transcription queue
+ * by simulating the worker slots.
+ *
+ * @returns {Promise<Object>} { estimates: Map of meeting ID to estimate, stats }
+ */
+async function estimateQueue() {
+  const [{ active, pending }, stats] = await Promise.all([getOrderedJobs(), getProcessingStats()]);
+  const jobs = [...active, ...pending];
+
+  const meetings = await Meeting.find({ _id: { $in: jobs.map(job => job.data.meetingId) } })
+    .select('duration originalFile.size')
+    .lean();
+  const meetingsById = new Map(meetings.map(m => [String(m._id), m]));
+
+  const now = Date.now();
+  const processingMs = (meetingId) =>
+    (estimateAudioSeconds(meetingsById.get(String(meetingId)), stats) / 60) * stats.secondsPerAudioMinute * 1000;
+
+  const estimates = new Map();
+  const slots = [];
+
+  for (const job of active) {
+    const startedAt = job.processedOn || now;
+    const finishAt = Math.max(startedAt + processingMs(job.data.meetingId), now);
+    slots.push(finishAt);
+    estimates.set(String(job.data.meetingId), {
+      position: 0,
+      jobsAhead: 0,
+      estimatedStartAt: new Date(startedAt),
+      estimatedFinishAt: new Date(finishAt),
+    });
+  }
+  while (slots.length < TRANSCRIPTION_CONCURRENCY) slots.push(now);
+
+  pending.forEach((job, index) => {
+    slots.sort((a, b) => a - b);
+    const readyAt = job.delay ? job.timestamp + job.delay : now;
+    const startAt = Math.max(slots[0], readyAt);
+    const finishAt = startAt + processingMs(job.data.meetingId);
+    slots[0] = finishAt;
+
+    estimates.set(String(job.data.meetingId), {
+      position: index + 1,
+      jobsAhead: active.length + index,
+      estimatedStartAt: new Date(startAt),
+      estimatedFinishAt: new Date(finishAt),
+    });
+  });
+
+  return { estimates, stats };
+}
+
+/**
+ * Run the queue simulation and keep its result for ESTIMATE_TTL_MS
+ */
+function refreshEstimates() {
+  if (!pendingEstimates) {
+    pendingEstimates = estimateQueue()
+      .then((value) => {
+        cachedEstimates = { value, expiresAt: Date.now() + ESTIMATE_TTL_MS };
+        return value;
+      })
+      .finally(() => {
+        pendingEstimates = null;
+      });
+  }
+  return pendingEstimates;
+}
+
+/**
+ * Latest queue simulation; concurrent callers share one run
+ */
+function getCachedEstimates() {
+  if (cachedEstimates && cachedEstimates.expiresAt > Date.now()) {
+    return cachedEstimates.value;
+  }
+  return refreshEstimates();
+}
+
+/**
+ * Queue position and ETA of one meeting; null when it has no pending job
+ * @returns {Promise<Object|null>} { position, jobsAhead, estimatedStartAt, estimatedFinishAt, basis }
+ */
+async function getQueueEstimate(meetingId) {
+  try {
+    const { estimates, stats } = await getCachedEstimates();
+    const estimate = estimates.get(String(meetingId));
+    if (!estimate) return null;
+
+    return {
+      ...estimate,
+      basis: {
+        secondsPerAudioMinute: Math.round(stats.secondsPerAudioMinute * 10) / 10,
+        samples: stats.samples,
+      },
+    };
+  } catch (error) {
+    logger.error('Error estimating queue position:', error);
+    return null;
+  }
+}
+
+/**
+ * Emit `queue_position` to every meeting in the queue (with a fresh simulation)
+ */
+async function broadcastQueuePositions() {
+  try {
+    const { estimates } = await refreshEstimates();
+    for (const [meetingId, estimate] of estimates) {
+      emitToMeeting(meetingId, 'queue_position', { meetingId, ...estimate, timestamp: new Date() });
+    }
+  } catch (error) {
+    logger.warn(`Failed to broadcast queue positions: ${error.message}`);
+  }
+}
+
+/**
+ * Schedule a broadcast after the queue changed (debounced)
+ */
+function scheduleQueueBroadcast() {
+  if (broadcastTimer) return;
+  broadcastTimer = setTimeout(() => {
+    broadcastTimer = null;
+    broadcastQueuePositions();
+  }, BROADCAST_DELAY_MS);
+  broadcastTimer.unref?.();
+}
+
+module.exports = {
+  getProcessingStats,
+  getQueueEstimate,
+  broadcastQueuePositions,
+  scheduleQueueBroadcast,
+};
@@ -1,10 +1,46 @@
 const { Queue, Worker } = require('bullmq');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const config = require('../config/env');
+const { hasEngine } = require('./transcription');
 const { getRedisClient } = require('../config/redis');
 const logger = require('../utils/logger');
-const { QUEUE_NAMES, MAX_RETRIES, RETRY_DELAY } = require('../utils/constants');
+const { QUEUE_NAMES, MAX_RETRIES, RETRY_DELAY, JOB_PRIORITY, PLAN_JOB_PRIORITY } = require('../utils/constants');
 
 let transcriptionQueue = null;
 
+// Jobs processed at a time (Critical for 8GB RAM)
+const TRANSCRIPTION_CONCURRENCY = 1;
+
+// Cancellation flags live in Redis so a worker in another process can see them
+const CANCEL_KEY_PREFIX = 'transcription:cancel:';
+const CANCEL_FLAG_TTL = 3600; // seconds
+
+// Each fairness turn pushes a job behind every plan's base priority of the previous turn
+const PRIORITY_TURN_STEP = JOB_PRIORITY.LOW;
+const MAX_PRIORITY = 2097152; // BullMQ upper bound
+
+// States in which a job counts towards its owner's share of the queue
+const PENDING_STATES = ['active', 'waiting', 'prioritized', 'delayed'];
+
+// Per-user sets of queued job IDs, so fair priority never scans the whole queue
+const PENDING_KEY_PREFIX = 'transcription:pending:';
+const PENDING_SET_TTL = 7 * 24 * 3600; // seconds
+
+// AbortControllers of transcription runs active in this process, by meeting ID
+const activeRuns = new Map();
+
+/**
+ * Error thrown inside a transcription run that was cancelled by the user
+ */
+class JobCancelledError extends Error {
+  constructor(message = 'Transcription cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+    this.cancelled = true;
+  }
+}
+
 /**
  * Initialize transcription queue
  */
@@ -54,7 +90,84 @@ function getTranscriptionQueue() {
 }
 
 /**
- * Add transcription job to queue
+ * Look up the owner, plan and stored transcription options of a meeting
+ * @returns {Promise<Object>} { userId, plan, transcriptionOptions }
+ */
+async function getJobContext(meetingId) {
+  const meeting = await Meeting.findById(meetingId).select('userId transcriptionOptions').lean();
+  const transcriptionOptions = meeting?.transcriptionOptions || null;
+  if (!meeting?.userId) return { userId: null, plan: 'free', transcriptionOptions };
+
+  const user = await User.findById(meeting.userId).select('plan').lean();
+  return { userId: String(meeting.userId), plan: user?.plan || 'free', transcriptionOptions };
+}
+
+/**
+ * Remember a queued job in its owner's pending set
+ */
+async function trackPendingJob(userId, jobId) {
+  if (!userId) return;
+  const key = `${PENDING_KEY_PREFIX}${userId}`;
+  await getRedisClient().multi().sadd(key, jobId).expire(key, PENDING_SET_TTL).exec();
+}
+
+/**
+ * Drop a finished job from its owner's pending set
+ */
+async function untrackPendingJob(job) {
+  const userId = job?.data?.userId;
+  if (!userId) return;
+  try {
+    await getRedisClient().srem(`${PENDING_KEY_PREFIX}${userId}`, job.id);
+  } catch (error) {
+    logger.warn(`Could not update pending jobs of user ${userId}: ${error.message}`);
+  }
+}
+
+/**
+ * Number of the user's jobs still pending. Only the user's own job IDs are
+ * checked; IDs of jobs that finished or were removed are pruned from the set.
+ */
+async function countPendingJobs(userId) {
+  const redis = getRedisClient();
+  const key = `${PENDING_KEY_PREFIX}${userId}`;
+  const jobIds = await redis.smembers(key);
+  if (jobIds.length === 0) return 0;
+
+  const queue = getTranscriptionQueue();
+  const states = await Promise.all(jobIds.map(jobId => queue.getJobState(jobId)));
+  const stale = jobIds.filter((jobId, i) => !PENDING_STATES.includes(states[i]));
+  if (stale.length > 0) await redis.srem(key, ...stale);
+
+  return jobIds.length - stale.length;
+}
+
+/**
+ * Compute a job priority from the owner's plan and their pending jobs.
+ * Lower is sooner. Every JOBS_PER_TURN jobs a user already has pending push the
+ * new job one turn back, so users take turns instead of one user's batch
+ * blocking everyone; within a turn, higher plans go first.
+ *
+ * @param {Object} owner - { userId, plan }
+ * @returns {Promise<number>} BullMQ priority
+ */
+async function getFairPriority({ userId, plan }) {
+  const base = PLAN_JOB_PRIORITY[plan] || JOB_PRIORITY.NORMAL;
+  if (!config.QUEUE_FAIRNESS.ENABLED || !userId) return base;
+
+  const pending = await countPendingJobs(userId);
+  const turn = Math.floor(pending / Math.max(config.QUEUE_FAIRNESS.JOBS_PER_TURN, 1));
+
+  return Math.min(base + turn * PRIORITY_TURN_STEP, MAX_PRIORITY);
+}
+
+/**
+ * Add transcription job to queue.
+ * Priority is derived from the meeting owner's plan and fair share unless
+ * `priority` is given explicitly. `engine` selects the transcription engine for
+ * this job (default: config.TRANSCRIPTION.ENGINE). `transcriptionOptions`
+ * (language, numSpeakers, vocabulary, enableSummary) default to the options
+ * stored on the meeting, so re-queued jobs keep them.
  */
 async function addTranscriptionJob(meetingId, options = {}) {
   try {
@@ -68,23 +181,40 @@ async function addTranscriptionJob(meetingId, options = {}) {
     }
 
     if (!payloadMeetingId) throw new Error('meetingId is required to enqueue transcription job');
+    if (jobOptions.engine && !hasEngine(jobOptions.engine)) {
+      throw new Error(`Unknown transcription engine "${jobOptions.engine}"`);
+    }
 
     const jobId = jobOptions.jobId || `transcription-${payloadMeetingId}`;
 
-    // If a job with same id already exists, return it (idempotency)
+    // If a job with same id already exists, return it (idempotency).
+    // Finished jobs are kept for a while; remove them so the meeting can be re-queued.
     const existing = await queue.getJob(jobId);
     if (existing) {
-      logger.info(`Transcription job already exists: ${jobId}`);
-      return existing;
+      const state = await existing.getState();
+      if (state !== 'completed' && state !== 'failed') {
+        logger.info(`Transcription job already exists: ${jobId}`);
+        return existing;
+      }
+      await existing.remove();
     }
+    await clearCancellation(payloadMeetingId);
+
+    const owner = await getJobContext(payloadMeetingId);
+    const priority = jobOptions.priority || await getFairPriority(owner);
+    const transcriptionOptions = jobOptions.transcriptionOptions || owner.transcriptionOptions;
 
     const jobPayload = {
       meetingId: payloadMeetingId,
+      userId: owner.userId,
+      plan: owner.plan,
+      ...(jobOptions.engine ? { engine: jobOptions.engine } : {}),
+      ...(transcriptionOptions ? { transcriptionOptions } : {}),
       ...(jobOptions.payload || {}),
     };
 
     const addOpts = {
-      priority: jobOptions.priority || 5,
+      priority,
       jobId,
       attempts: jobOptions.attempts || MAX_RETRIES,
       backoff: jobOptions.backoff || { type: 'exponential', delay: RETRY_DELAY },
@@ -92,8 +222,9 @@ async function addTranscriptionJob(meetingId, options = {}) {
     };
 
     const job = await queue.add('transcribe', jobPayload, addOpts);
+    await trackPendingJob(owner.userId, job.id);
 
-    logger.info(`Transcription job added to queue: ${job.id}`);
+    logger.info(`Transcription job added to queue: ${job.id} (priority ${priority}, plan ${owner.plan})`);
     return job;
   } catch (error) {
     logger.error('Error adding job to queue:', error);
@@ -122,6 +253,7 @@ async function getJobStatus(jobId) {
       state,
       progress,
       failedReason,
+      priority: job.opts?.priority,
       attemptsMade: job.attemptsMade,
       processedOn: job.processedOn,
       finishedOn: job.finishedOn,
@@ -143,7 +275,7 @@ function createTranscriptionWorker(processor) {
     processor,
     {
       connection,
-      concurrency: 1, // Process 1 job at a time (Critical for 8GB RAM)
+      concurrency: TRANSCRIPTION_CONCURRENCY,
       limiter: {
         max: 5, // Max 5 jobs
         duration: 60000, // per minute
@@ -153,10 +285,13 @@ function createTranscriptionWorker(processor) {
 
   worker.on('completed', (job) => {
     logger.info(`Job completed: ${job.id}`);
+    untrackPendingJob(job);
   });
 
   worker.on('failed', (job, error) => {
     logger.error(`Job failed: ${job.id}`, error);
+    // Jobs with attempts left are retried and stay pending
+    if (job && job.attemptsMade >= (job.opts?.attempts || 1)) untrackPendingJob(job);
   });
 
   worker.on('error', (error) => {
@@ -167,6 +302,77 @@ function createTranscriptionWorker(processor) {
   return worker;
 }
 
+/**
+ * Register the AbortController of a transcription run active in this process
+ */
+function registerActiveRun(meetingId, controller) {
+  activeRuns.set(String(meetingId), controller);
+}
+
+function unregisterActiveRun(meetingId) {
+  activeRuns.delete(String(meetingId));
+}
+
+/**
+ * Whether a transcription run for the meeting is active in this process
+ */
+function isRunActive(meetingId) {
+  return activeRuns.has(String(meetingId));
+}
+
+/**
+ * Whether cancellation was requested for a meeting's transcription
+ */
+async function isCancellationRequested(meetingId) {
+  try {
+    return (await getRedisClient().exists(`${CANCEL_KEY_PREFIX}${meetingId}`)) === 1;
+  } catch (error) {
+    logger.warn(`Could not read cancellation flag for meeting ${meetingId}: ${error.message}`);
+    return false;
+  }
+}
+
+async function clearCancellation(meetingId) {
+  try {
+    await getRedisClient().del(`${CANCEL_KEY_PREFIX}${meetingId}`);
+  } catch (error) {
+    logger.warn(`Could not clear cancellation flag for meeting ${meetingId}: ${error.message}`);
+  }
+}
+
+/**
+ * Cancel a meeting's transcription job.
+ * Waiting/delayed jobs are removed from the queue; an active job is signalled
+ * to abort (immediately when it runs in this process, otherwise on its next check).
+ *
+ * @param {string} meetingId
+ * @param {Object} options
+ * @param {string} options.jobId - Job ID if it differs from the default `transcription-<meetingId>`
+ * @returns {Promise<Object>} { jobId, state, removed, signalled }
+ */
+async function cancelTranscriptionJob(meetingId, { jobId } = {}) {
+  const id = jobId || `transcription-${meetingId}`;
+  const queue = getTranscriptionQueue();
+  const job = await queue.getJob(id);
+  const state = job ? await job.getState() : null;
+
+  if (job && ['waiting', 'delayed', 'prioritized', 'waiting-children'].includes(state)) {
+    await job.remove();
+    await untrackPendingJob(job);
+    logger.info(`Removed queued transcription job ${id}`);
+    return { jobId: id, state, removed: true, signalled: false };
+  }
+
+  await getRedisClient().set(`${CANCEL_KEY_PREFIX}${meetingId}`, '1', 'EX', CANCEL_FLAG_TTL);
+
+  const controller = activeRuns.get(String(meetingId));
+  if (controller) controller.abort();
+
+  const signalled = state === 'active' || !!controller;
+  if (signalled) logger.info(`Cancellation requested for active transcription job ${id}`);
+  return { jobId: id, state, removed: false, signalled };
+}
+
 /**
  * Close queue and worker
  */
@@ -182,7 +388,16 @@ module.exports = {
   createTranscriptionQueue,
   getTranscriptionQueue,
   addTranscriptionJob,
+  getFairPriority,
   getJobStatus,
   createTranscriptionWorker,
   closeQueue,
+  cancelTranscriptionJob,
+  isCancellationRequested,
+  clearCancellation,
+  registerActiveRun,
+  unregisterActiveRun,
+  isRunActive,
+  JobCancelledError,
+  TRANSCRIPTION_CONCURRENCY,
 };
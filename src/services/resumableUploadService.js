@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const config = require('../config/env');
+const { storeFile, removeFile } = require('./storageService');
+const { sniffMedia } = require('./mediaService');
+const {
+  assertUploadAllowed,
+  assertSummaryTemplate,
+  getUploadSession,
+  claimUploadSession,
+  finishUploadSession,
+  releaseUploadSession,
+} = require('./uploadService');
+const { createHttpError, resolveMimeType } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Upload IDs receiving a chunk in this process; a second PATCH would interleave bytes
+const activeAppends = new Set();
+
+let cleanupIntervalId = null;
+
+function getResumableDir() {
+  return path.join(config.WORK_DIR, 'resumable');
+}
+
+function getPartPath(uploadId) {
+  return path.join(getResumableDir(), `${uploadId}.part`);
+}
+
+function nextExpiry() {
+  return new Date(Date.now() + config.RESUMABLE_UPLOAD.EXPIRES_HOURS * 3600 * 1000);
+}
+
+/**
+ * Bytes received so far: the size of the part file
+ */
+async function getOffset(upload) {
+  if (upload.status === 'completed') return upload.size;
+  try {
+    return (await fs.promises.stat(getPartPath(upload._id))).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+/**
+ * Start a resumable upload. Type and size are checked like the multer upload.
+ *
+ * @param {Object} params - { userId, filename, mimetype, size, fields }
+ * @returns {Promise<Object>} UploadSession document
+ */
+async function createUpload({ userId, filename, mimetype, size, fields = {} }) {
+  assertUploadAllowed({ filename, mimetype, size });
+  await assertSummaryTemplate(userId, fields);
+
+  const upload = await UploadSession.create({
+    userId,
+    kind: 'resumable',
+    filename,
+    mimetype,
+    size,
+    fields,
+    expiresAt: nextExpiry(),
+  });
+
+  await fs.promises.mkdir(getResumableDir(), { recursive: true });
+  await fs.promises.writeFile(getPartPath(upload._id), '');
+
+  logger.info(`Resumable upload ${upload._id} created: ${filename} (${size} bytes)`);
+  return upload;
+}
+
+/**
+ * Get a resumable upload of the user
+ */
+function getUpload(uploadId, userId) {
+  return getUploadSession(uploadId, userId, 'resumable');
+}
+
+/**
+ * Fail the stream once it carries more than `maxBytes`
+ */
+function limitBytes(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(createHttpError(413, 'Chunk exceeds the declared upload length'));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Append a chunk at `offset`. Bytes that arrive before the connection drops are
+ * kept, so the client resumes from the offset reported by HEAD.
+ *
+ * @param {Object} upload - UploadSession document
+ * @param {number} offset - Upload-Offset sent by the client
+ * @param {stream.Readable} stream - Request body
+ * @returns {Promise<number>} New offset
+ */
+async function appendChunk(upload, offset, stream) {
+  const uploadId = String(upload._id);
+  if (upload.status !== 'uploading') {
+    throw createHttpError(409, 'Upload is already complete');
+  }
+  if (activeAppends.has(uploadId)) {
+    throw createHttpError(409, 'Upload is already receiving a chunk');
+  }
+
+  activeAppends.add(uploadId);
+  const partPath = getPartPath(uploadId);
+  try {
+    const current = await getOffset(upload);
+    if (offset !== current) {
+      throw createHttpError(409, `Upload-Offset mismatch: expected ${current}`);
+    }
+
+    try {
+      await pipeline(stream, limitBytes(upload.size - current), fs.createWriteStream(partPath, { flags: 'a' }));
+    } catch (error) {
+      // Drop anything written past the declared length; the rest stays as resume point
+      const { size } = await fs.promises.stat(partPath).catch(() => ({ size: 0 }));
+      if (size > upload.size) await fs.promises.truncate(partPath, upload.size);
+      throw error;
+    } finally {
+      upload.expiresAt = nextExpiry();
+      await UploadSession.updateOne({ _id: uploadId }, { $set: { expiresAt: upload.expiresAt } });
+    }
+
+    return getOffset(upload);
+  } finally {
+    activeAppends.delete(uploadId);
+  }
+}
+
+/**
+ * Store a fully received upload, create its meeting and queue its transcription.
+ * Only one request can complete an upload at a time; a completion that failed
+ * part-way resumes from the recorded object and meeting. The part file is
+ * removed once the upload is completed.
+ *
+ * @returns {Promise<Object>} { upload, meeting, fileInfo }
+ */
+async function completeUpload(upload) {
+  const claimed = await claimUploadSession(upload._id);
+  if (!claimed) {
+    throw createHttpError(409, 'Upload is already being completed');
+  }
+
+  const partPath = getPartPath(upload._id);
+  try {
+    const meeting = await finishUploadSession(claimed, {
+      // Reject files whose content is not audio/video before anything is stored
+      inspect: () => sniffMedia(partPath),
+      store: async () => {
+        const fileInfo = await storeFile(fs.createReadStream(partPath), claimed.filename, {
+          mimetype: resolveMimeType(claimed.filename, claimed.mimetype),
+          size: claimed.size,
+        });
+        return fileInfo.filename;
+      },
+    });
+    await fs.promises.rm(partPath, { force: true });
+
+    logger.info(`Resumable upload ${upload._id} completed as meeting ${meeting._id}`);
+    return { upload: claimed, meeting, fileInfo: { filename: claimed.objectName, originalName: claimed.filename } };
+  } catch (error) {
+    // Keep the received bytes so completing can be retried with an empty PATCH
+    await releaseUploadSession(claimed, { progressed: Boolean(claimed.objectName || claimed.meetingId) });
+    throw error;
+  }
+}
+
+/**
+ * Abort an upload and remove its received bytes
+ */
+async function deleteUpload(upload) {
+  if (activeAppends.has(String(upload._id))) {
+    throw createHttpError(409, 'Upload is receiving a chunk');
+  }
+  if (upload.status === 'completing') {
+    throw createHttpError(409, 'Upload is being completed');
+  }
+  await fs.promises.rm(getPartPath(upload._id), { force: true });
+  await UploadSession.deleteOne({ _id: upload._id });
+}
+
+/**
+ * Resume completions that failed part-way or whose process crashed. Ones that
+ * still fail after the upload expired are dropped, unless their meeting was
+ * already created: that meeting owns the stored object.
+ */
+async function recoverStaleCompletions() {
+  const staleBefore = new Date(Date.now() - config.RESUMABLE_UPLOAD.COMPLETING_TIMEOUT_MS);
+  const stale = await UploadSession.find({
+    kind: { $ne: 'presigned' },
+    status: 'completing',
+    $or: [
+      { completingAt: null, expiresAt: { $lt: new Date() } },
+      { completingAt: { $lt: staleBefore } },
+    ],
+  });
+
+  let removed = 0;
+  for (const upload of stale) {
+    try {
+      await completeUpload(upload);
+      continue;
+    } catch (error) {
+      logger.warn(`Could not resume completion of resumable upload ${upload._id}: ${error.message}`);
+    }
+
+    const current = await UploadSession.findById(upload._id);
+    if (!current || current.status !== 'completing' || current.expiresAt >= new Date()) continue;
+    if (current.meetingId) {
+      await UploadSession.updateOne({ _id: current._id }, { $set: { status: 'completed', completingAt: null } });
+    } else {
+      if (current.objectName) await removeFile(current.objectName).catch(() => {});
+      await UploadSession.deleteOne({ _id: current._id });
+    }
+    await fs.promises.rm(getPartPath(current._id), { force: true });
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Remove expired uploads and part files without a session, and recover
+ * stale completions
+ * @returns {Promise<number>} Part files removed
+ */
+async function cleanupExpiredUploads() {
+  let removed = 0;
+  try {
+    removed += await recoverStaleCompletions();
+
+    const expired = await UploadSession.find({
+      kind: { $ne: 'presigned' },
+      status: 'uploading',
+      expiresAt: { $lt: new Date() },
+    }).select('_id');
+    for (const upload of expired) {
+      if (activeAppends.has(String(upload._id))) continue;
+      await fs.promises.rm(getPartPath(upload._id), { force: true });
+      await UploadSession.deleteOne({ _id: upload._id });
+      removed++;
+    }
+
+    const files = await fs.promises.readdir(getResumableDir()).catch(() => []);
+    const ids = files.filter(f => f.endsWith('.part')).map(f => path.basename(f, '.part'));
+    const known = new Set((await UploadSession.find({ _id: { $in: ids.filter(id => /^[a-f0-9]{24}$/i.test(id)) } }).select('_id').lean())
+      .map(upload => String(upload._id)));
+    for (const id of ids) {
+      if (known.has(id) || activeAppends.has(id)) continue;
+      await fs.promises.rm(getPartPath(id), { force: true });
+      removed++;
+    }
+
+    if (removed > 0) logger.info(`Removed ${removed} expired resumable upload(s)`);
+  } catch (error) {
+    logger.error('Resumable upload cleanup failed:', error);
+  }
+  return removed;
+}
+
+/**
+ * Start periodic removal of expired uploads
+ */
+function startUploadCleanup() {
+  if (cleanupIntervalId) return cleanupIntervalId;
+  cleanupIntervalId = setInterval(cleanupExpiredUploads, config.RESUMABLE_UPLOAD.CLEANUP_INTERVAL_MS);
+  cleanupIntervalId.unref?.();
+  return cleanupIntervalId;
+}
+
+function stopUploadCleanup() {
+  if (cleanupIntervalId) {
+    clearInterval(cleanupIntervalId);
+    cleanupIntervalId = null;
+  }
+}
+
+module.exports = {
+  createUpload,
+  getUpload,
+  getOffset,
+  appendChunk,
+  completeUpload,
+  deleteUpload,
+  cleanupExpiredUploads,
+  startUploadCleanup,
+  stopUploadCleanup,
+};
@@ -0,0 +1,267 @@
+const { tokenize, parseQueryTerms, countTermMatches } = require('../utils/textSearch');
+const config = require('../config/env');
+const logger = require('../utils/logger');
+
+// Chunking defaults: windows of consecutive segments with a small overlap
+const WINDOW_SIZE = 8;
+const WINDOW_OVERLAP = 2;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Split transcript segments into overlapping windows of consecutive segments.
+ * Each chunk keeps the original segment indexes so citations stay valid.
+ *
+ * @param {Object[]} segments - Transcript segments
+ * @param {Object} options
+ * @param {number} options.windowSize - Segments per chunk (default: 8)
+ * @param {number} options.overlap - Segments shared with the previous chunk (default: 2)
+ * @returns {Object[]} Chunks { id, startIndex, endIndex, start, end, text }
+ */
+function chunkSegments(segments, { windowSize = WINDOW_SIZE, overlap = WINDOW_OVERLAP } = {}) {
+  const chunks = [];
+  if (!Array.isArray(segments) || segments.length === 0) return chunks;
+
+  const step = Math.max(1, windowSize - overlap);
+  for (let startIndex = 0; startIndex < segments.length; startIndex += step) {
+    const endIndex = Math.min(segments.length - 1, startIndex + windowSize - 1);
+    const window = segments.slice(startIndex, endIndex + 1);
+
+    chunks.push({
+      id: chunks.length,
+      startIndex,
+      endIndex,
+      start: window[0].start ?? null,
+      end: window[window.length - 1].end ?? null,
+      // Speaker names are part of the text so "what did Budi say" can match
+      text: window.map(seg => `${seg.speaker || ''} ${seg.text || ''}`).join('\n'),
+    });
+
+    if (endIndex === segments.length - 1) break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Local lexical retriever using Okapi BM25 over chunk tokens.
+ * Terms match by prefix (see textSearch.tokenMatchesTerm) to tolerate
+ * Indonesian suffixes like "-nya" / "-kan".
+ */
+const bm25Retriever = {
+  name: 'bm25',
+
+  /**
+   * @param {Object[]} chunks - Output of chunkSegments
+   * @param {string} query - Question (optionally expanded with recent history)
+   * @returns {Promise<number[]>} Score per chunk, same order as `chunks`
+   */
+  async score(chunks, query) {
+    const terms = parseQueryTerms(query);
+    if (terms.length === 0 || chunks.length === 0) return chunks.map(() => 0);
+
+    const docs = chunks.map(chunk => {
+      const tokens = tokenize(chunk.text);
+      return { length: tokens.length, counts: countTermMatches(tokens, terms) };
+    });
+    const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+
+    const idf = {};
+    for (const term of terms) {
+      const df = docs.filter(doc => doc.counts[term] > 0).length;
+      idf[term] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    }
+
+    return docs.map(doc => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.counts[term];
+        if (!tf) continue;
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / avgLength));
+        score += idf[term] * ((tf * (BM25_K1 + 1)) / norm);
+      }
+      return score;
+    });
+  },
+};
+
+// Registered retrievers; an embedding-based retriever can be plugged in via registerRetriever
+const retrievers = new Map([[bm25Retriever.name, bm25Retriever]]);
+
+/**
+ * Register a retriever. It must expose `name` and `async score(chunks, query) => number[]`.
+ */
+function registerRetriever(retriever) {
+  if (!retriever || !retriever.name || typeof retriever.score !== 'function') {
+    throw new Error('Retriever must have a name and a score(chunks, query) function');
+  }
+  retrievers.set(retriever.name, retriever);
+}
+
+/**
+ * Get a retriever by name, falling back to BM25
+ */
+function getRetriever(name) {
+  return retrievers.get(name || config.ASK_AI_RETRIEVER) || bm25Retriever;
+}
+
+/**
+ * Build the retrieval query from the question plus the latest user messages,
+ * so follow-ups like "siapa yang bertanggung jawab?" keep their topic.
+ */
+function buildRetrievalQuery(question, chatHistory = []) {
+  const recentQuestions = chatHistory
+    .filter(msg => msg.role === 'user' && msg.content !== question)
+    .slice(-2)
+    .map(msg => msg.content);
+  return [...recentQuestions, question].join(' ');
+}
+
+/**
+ * Choose which transcript segments go into the prompt.
+ * Short transcripts are returned whole; longer ones are chunked, scored against
+ * the question and the best windows are kept (in chronological order) until the
+ * segment budget is used. The opening of the meeting is always included so the
+ * model knows who is speaking and what the agenda is.
+ *
+ * @param {Object[]} segments - Transcript segments
+ * @param {string} question - User question
+ * @param {Object} options
+ * @param {Object[]} options.chatHistory - Previous messages (oldest first)
+ * @param {number} options.maxSegments - Segment budget (default: 200)
+ * @param {number} options.leadingSegments - Opening segments always included (default: 10)
+ * @param {string} options.retriever - Retriever name (default: config.ASK_AI_RETRIEVER)
+ * @returns {Promise<Object>} { indexes, truncated, retriever }
+ */
+async function selectRelevantSegments(segments, question, {
+  chatHistory = [],
+  maxSegments = 200,
+  leadingSegments = 10,
+  retriever: retrieverName = null,
+} = {}) {
+  const total = Array.isArray(segments) ? segments.length : 0;
+  if (total <= maxSegments) {
+    return { indexes: [...Array(total).keys()], truncated: false, retriever: null };
+  }
+
+  const retriever = getRetriever(retrieverName);
+  const chunks = chunkSegments(segments);
+
+  let scores;
+  try {
+    scores = await retriever.score(chunks, buildRetrievalQuery(question, chatHistory));
+  } catch (error) {
+    if (retriever === bm25Retriever) throw error;
+    logger.warn(`Retriever "${retriever.name}" failed (${error.message}), falling back to bm25`);
+    scores = await bm25Retriever.score(chunks, buildRetrievalQuery(question, chatHistory));
+  }
+
+  const selected = new Set();
+  for (let i = 0; i < Math.min(leadingSegments, total); i++) selected.add(i);
+
+  const ranked = chunks
+    .map((chunk, i) => ({ chunk, score: scores[i] || 0 }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.chunk.startIndex - b.chunk.startIndex);
+
+  for (const { chunk } of ranked) {
+    const newIndexes = [];
+    for (let i = chunk.startIndex; i <= chunk.endIndex; i++) {
+      if (!selected.has(i)) newIndexes.push(i);
+    }
+    if (selected.size + newIndexes.length > maxSegments) continue;
+    newIndexes.forEach(i => selected.add(i));
+  }
+
+  // Nothing matched (e.g. a generic question): spread the budget evenly over the meeting
+  if (ranked.length === 0) {
+    const stride = (total - leadingSegments) / (maxSegments - selected.size);
+    for (let pos = leadingSegments; pos < total && selected.size < maxSegments; pos += stride) {
+      selected.add(Math.floor(pos));
+    }
+  }
+
+  return {
+    indexes: [...selected].sort((a, b) => a - b),
+    truncated: true,
+    retriever: retriever.name,
+  };
+}
+
+/**
+ * Choose the most relevant transcript windows across several meetings.
+ * All chunks are scored together so term rarity is judged over the whole set,
+ * then windows are taken best-first until the segment budget is used.
+ *
+ * @param {Object[]} meetings - Meetings with transcription.segments
+ * @param {string} question - User question
+ * @param {Object} options
+ * @param {Object[]} options.chatHistory - Previous messages (oldest first)
+ * @param {number} options.maxSegments - Total segment budget (default: 150)
+ * @param {string} options.retriever - Retriever name (default: config.ASK_AI_RETRIEVER)
+ * @returns {Promise<Object[]>} [{ meeting, indexes, score }] for meetings with at least one window, best first
+ */
+async function selectRelevantAcrossMeetings(meetings, question, {
+  chatHistory = [],
+  maxSegments = 150,
+  retriever: retrieverName = null,
+} = {}) {
+  const chunks = [];
+  meetings.forEach((meeting, meetingIdx) => {
+    for (const chunk of chunkSegments(meeting.transcription?.segments || [])) {
+      chunks.push({ ...chunk, meetingIdx });
+    }
+  });
+  if (chunks.length === 0) return [];
+
+  const retriever = getRetriever(retrieverName);
+  const query = buildRetrievalQuery(question, chatHistory);
+  let scores;
+  try {
+    scores = await retriever.score(chunks, query);
+  } catch (error) {
+    if (retriever === bm25Retriever) throw error;
+    logger.warn(`Retriever "${retriever.name}" failed (${error.message}), falling back to bm25`);
+    scores = await bm25Retriever.score(chunks, query);
+  }
+
+  const ranked = chunks
+    .map((chunk, i) => ({ chunk, score: scores[i] || 0 }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = new Map(); // meetingIdx -> { indexes: Set, score }
+  let used = 0;
+  for (const { chunk, score } of ranked) {
+    const entry = selected.get(chunk.meetingIdx) || { indexes: new Set(), score: 0 };
+    const newIndexes = [];
+    for (let i = chunk.startIndex; i <= chunk.endIndex; i++) {
+      if (!entry.indexes.has(i)) newIndexes.push(i);
+    }
+    if (used + newIndexes.length > maxSegments) continue;
+    newIndexes.forEach(i => entry.indexes.add(i));
+    entry.score = Math.max(entry.score, score);
+    used += newIndexes.length;
+    selected.set(chunk.meetingIdx, entry);
+  }
+
+  return [...selected.entries()]
+    .map(([meetingIdx, entry]) => ({
+      meeting: meetings[meetingIdx],
+      indexes: [...entry.indexes].sort((a, b) => a - b),
+      score: entry.score,
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  chunkSegments,
+  bm25Retriever,
+  registerRetriever,
+  getRetriever,
+  buildRetrievalQuery,
+  selectRelevantSegments,
+  selectRelevantAcrossMeetings,
+};
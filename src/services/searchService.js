@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const { MEETING_STATUS } = require('../utils/constants');
+const {
+  tokenize,
+  parseQueryTerms,
+  buildTermRegex,
+  normalizeText,
+  countTermMatches,
+  buildSnippet,
+} = require('../utils/textSearch');
+
+// Relative weight of each searchable field
+const FIELD_WEIGHTS = {
+  segment: 1.0,
+  summary: 1.2,
+  highlights: 1.1,
+  conclusion: 1.1,
+};
+
+// Upper bound on meetings scanned per query to keep response time predictable
+const MAX_CANDIDATE_MEETINGS = 200;
+
+/**
+ * Build the access filter for meetings a user can see (owner or collaborator)
+ */
+function buildAccessQuery(userId) {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  return {
+    deleted: { $ne: true },
+    $or: [
+      { userId: userObjectId },
+      { 'collaborators.user': userObjectId },
+    ],
+  };
+}
+
+/**
+ * Score a piece of text against query terms.
+ * Rewards term frequency (dampened), coverage of all terms, and exact phrase matches.
+ * @returns {number} 0 when no term matches
+ */
+function scoreText(text, tokens, terms, phrase, idf) {
+  if (!text || tokens.length === 0) return 0;
+
+  const counts = countTermMatches(tokens, terms);
+  let score = 0;
+  let matchedTerms = 0;
+  for (const term of terms) {
+    if (counts[term] > 0) {
+      matchedTerms += 1;
+      score += (1 + Math.log(counts[term])) * (idf[term] || 1);
+    }
+  }
+  if (matchedTerms === 0) return 0;
+
+  // Coverage bonus: hits containing every term rank above partial matches
+  score *= 1 + (matchedTerms / terms.length);
+
+  if (phrase && terms.length > 1 && normalizeText(text).includes(phrase)) {
+    score *= 2;
+  }
+
+  // Mild length normalization so long paragraphs don't dominate short segments
+  return score / Math.sqrt(1 + tokens.length / 50);
+}
+
+/**
+ * Collect every searchable unit (segments, summary, highlight sections, conclusion) of a meeting
+ */
+function collectDocuments(meeting) {
+  const docs = [];
+  const transcription = meeting.transcription || {};
+
+  (transcription.segments || []).forEach((seg, index) => {
+    if (!seg || !seg.text) return;
+    docs.push({
+      field: 'segment',
+      text: seg.text,
+      segmentIndex: index,
+      speaker: seg.speaker || null,
+      start: seg.start ?? null,
+      end: seg.end ?? null,
+    });
+  });
+
+  if (transcription.summary) {
+    docs.push({ field: 'summary', text: transcription.summary });
+  }
+
+  if (transcription.highlights && typeof transcription.highlights === 'object') {
+    for (const [section, content] of Object.entries(transcription.highlights)) {
+      if (typeof content !== 'string' || !content) continue;
+      docs.push({ field: 'highlights', text: content, section });
+    }
+  }
+
+  if (transcription.conclusion) {
+    docs.push({ field: 'conclusion', text: transcription.conclusion });
+  }
+
+  return docs;
+}
+
+/**
+ * Search transcript segments, summaries, highlights and conclusions across
+ * all meetings the user owns or collaborates on.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Requesting user ID
+ * @param {string} params.query - Free-text query
+ * @param {number} params.limit - Max hits to return (default: 20)
+ * @param {number} params.offset - Hits to skip (default: 0)
+ * @param {string} params.meetingId - Optionally restrict to a single meeting
+ * @returns {Promise<Object>} { terms, total, hits }
+ */
+async function searchTranscripts({ userId, query, limit = 20, offset = 0, meetingId = null }) {
+  const terms = parseQueryTerms(query);
+  if (terms.length === 0) {
+    return { terms, total: 0, hits: [] };
+  }
+
+  const termRegex = buildTermRegex(terms);
+  const match = {
+    ...buildAccessQuery(userId),
+    status: MEETING_STATUS.COMPLETED,
+  };
+  if (meetingId) {
+    match._id = new mongoose.Types.ObjectId(meetingId);
+  }
+
+  // Pre-filter candidates in MongoDB; highlights is a dynamic object so its
+  // values are flattened into an array before matching
+  const candidates = await Meeting.aggregate([
+    { $match: match },
+    { $addFields: {
+        _highlightValues: {
+          $cond: [
+            { $eq: [{ $type: '$transcription.highlights' }, 'object'] },
+            { $map: { input: { $objectToArray: '$transcription.highlights' }, in: '$$this.v' } },
+            [],
+          ],
+        },
+      },
+    },
+    { $match: {
+        $or: [
+          { 'transcription.segments.text': termRegex },
+          { 'transcription.summary': termRegex },
+          { 'transcription.conclusion': termRegex },
+          { _highlightValues: termRegex },
+        ],
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    { $limit: MAX_CANDIDATE_MEETINGS },
+    { $project: {
+        title: 1,
+        createdAt: 1,
+        'transcription.segments': 1,
+        'transcription.summary': 1,
+        'transcription.highlights': 1,
+        'transcription.conclusion': 1,
+      },
+    },
+  ]);
+
+  // Gather documents and compute inverse document frequency across them
+  const allDocs = [];
+  for (const meeting of candidates) {
+    for (const doc of collectDocuments(meeting)) {
+      allDocs.push({ meeting, doc, tokens: null });
+    }
+  }
+
+  const docFreq = {};
+  for (const term of terms) docFreq[term] = 0;
+  for (const entry of allDocs) {
+    entry.tokens = tokenize(entry.doc.text, { keepStopwords: true });
+    const counts = countTermMatches(entry.tokens, terms);
+    for (const term of terms) {
+      if (counts[term] > 0) docFreq[term] += 1;
+    }
+  }
+  const idf = {};
+  for (const term of terms) {
+    idf[term] = Math.log(1 + (allDocs.length + 1) / (docFreq[term] + 1));
+  }
+
+  const phrase = terms.join(' ');
+  const hits = [];
+  for (const { meeting, doc, tokens } of allDocs) {
+    const score = scoreText(doc.text, tokens, terms, phrase, idf) * FIELD_WEIGHTS[doc.field];
+    if (score <= 0) continue;
+
+    hits.push({
+      meetingId: String(meeting._id),
+      meetingTitle: meeting.title,
+      meetingCreatedAt: meeting.createdAt,
+      field: doc.field,
+      section: doc.section || null,
+      segmentIndex: doc.segmentIndex ?? null,
+      speaker: doc.speaker ?? null,
+      start: doc.start ?? null,
+      end: doc.end ?? null,
+      snippet: buildSnippet(doc.text, terms),
+      score: Math.round(score * 1000) / 1000,
+    });
+  }
+
+  hits.sort((a, b) => b.score - a.score || new Date(b.meetingCreatedAt) - new Date(a.meetingCreatedAt));
+
+  return {
+    terms,
+    total: hits.length,
+    hits: hits.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  searchTranscripts,
+  buildAccessQuery,
+};
@@ -393,7 +393,8 @@ const emitToBoard = (boardId, event, data) => {
 };
 
 // Helper to emit meeting-scoped events
-// NOTE: transcription_progress is broadcast globally so status-meeting page doesn't need room joins
+// NOTE: transcription_progress is broadcast globally so status-meeting page doesn't need room joins.
+// queue_position carries ETA details of the meeting and stays in the meeting room.
 const emitToMeeting = (meetingId, event, data) => {
   if (io) {
     if (event === 'transcription_progress' || event === 'worker_heartbeat') {
@@ -450,7 +451,7 @@ const emitMeetingContentUpdated = (meetingId, updateType, data, userName) => {
     const roomId = `meeting_${meetingId}`;
     io.to(roomId).emit('meeting_content_updated', {
       meetingId,
-      updateType, // 'segment_edited', 'summary_updated', 'highlights_updated', 'conclusion_updated', 'title_updated', 'description_updated'
+      updateType, // 'segment_edited', 'segments_merged', 'segment_split', 'segment_deleted', 'transcript_restored', 'summary_updated', 'highlights_updated', 'conclusion_updated', 'title_updated', 'description_updated'
       data,
       userName,
       timestamp: new Date(),
@@ -459,13 +460,15 @@ const emitMeetingContentUpdated = (meetingId, updateType, data, userName) => {
 };
 
 // Meeting action item events
-const emitMeetingActionItemSynced = (meetingId, boardId, userName) => {
+// details: optional { action: 'accepted' | 'rejected' | 'updated', items, tasks }
+const emitMeetingActionItemSynced = (meetingId, boardId, userName, details = {}) => {
   if (io) {
     const roomId = `meeting_${meetingId}`;
     io.to(roomId).emit('meeting_action_synced', {
       meetingId,
       boardId,
       userName,
+      ...details,
       timestamp: new Date(),
     });
   }
@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const SpeakerProfile = require('../models/SpeakerProfile');
+const { createHttpError } = require('../utils/helpers');
+const { escapeRegExp } = require('../utils/textSearch');
+const { normalizeName, isGenericSpeakerLabel } = require('./assigneeResolver');
+const { getSegments, commitSegmentRewrite } = require('./transcriptRevisionService');
+
+// Attempts at relabelling a linked meeting that is being edited concurrently
+const RELABEL_ATTEMPTS = 3;
+
+/**
+ * Find the owner's profile whose name or alias matches `name`
+ * @returns {Promise<Object|null>} SpeakerProfile document
+ */
+async function findProfileByName(ownerId, name) {
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+  return SpeakerProfile.findOne({
+    ownerId,
+    $or: [{ normalizedName: normalized }, { aliases: normalized }],
+  }).sort({ createdAt: 1 });
+}
+
+/**
+ * Find a matching profile or create a new one
+ * @returns {Promise<Object>} SpeakerProfile document
+ */
+async function findOrCreateProfile(ownerId, name, { userId = null } = {}) {
+  const existing = await findProfileByName(ownerId, name);
+  if (existing) return existing;
+
+  const normalizedName = normalizeName(name);
+  if (!normalizedName) {
+    throw createHttpError(400, 'Speaker name is required');
+  }
+
+  return SpeakerProfile.create({
+    ownerId,
+    name: String(name).trim(),
+    normalizedName,
+    userId,
+  });
+}
+
+/**
+ * Load a profile owned by `ownerId`
+ */
+async function getOwnedProfile(ownerId, profileId) {
+  if (!mongoose.Types.ObjectId.isValid(profileId)) {
+    throw createHttpError(400, 'Invalid speaker profile ID');
+  }
+  const profile = await SpeakerProfile.findOne({ _id: profileId, ownerId });
+  if (!profile) {
+    throw createHttpError(404, 'Speaker profile not found');
+  }
+  return profile;
+}
+
+/**
+ * Rename a speaker label inside one meeting document (segments, speaker
+ * turns and links). Does not save.
+ * @returns {number} Number of segments changed
+ */
+function renameLabelInMeeting(meeting, oldLabel, newLabel) {
+  if (oldLabel === newLabel) return 0;
+
+  let updatedCount = 0;
+  (meeting.transcription?.segments || []).forEach(seg => {
+    if (seg.speaker === oldLabel) {
+      seg.speaker = newLabel;
+      updatedCount++;
+    }
+  });
+  (meeting.transcription?.speakers || []).forEach(s => {
+    if (s.speaker === oldLabel) s.speaker = newLabel;
+  });
+  (meeting.speakerLinks || []).forEach(link => {
+    if (link.label === oldLabel) link.label = newLabel;
+  });
+  dedupeLinks(meeting);
+
+  if (updatedCount > 0) {
+    meeting.markModified('transcription.segments');
+    meeting.markModified('transcription.speakers');
+  }
+  return updatedCount;
+}
+
+/**
+ * Keep a single link per label (the last one set wins)
+ */
+function dedupeLinks(meeting) {
+  const byLabel = new Map();
+  for (const link of meeting.speakerLinks || []) {
+    byLabel.set(link.label, link);
+  }
+  if (byLabel.size !== (meeting.speakerLinks || []).length) {
+    meeting.speakerLinks = [...byLabel.values()];
+  }
+}
+
+/**
+ * Save speaker label changes made to a meeting document. Segment changes are
+ * recorded as a transcript revision (so restore and undo see them); speaker
+ * turns and links are written along with them.
+ */
+function saveSpeakerChanges(meeting, originalSegments, userId) {
+  return commitSegmentRewrite(meeting, originalSegments, {
+    action: 'rename',
+    userId,
+    set: {
+      'transcription.speakers': meeting.transcription?.speakers || [],
+      speakerLinks: meeting.speakerLinks || [],
+    },
+  });
+}
+
+/**
+ * Apply `relabel` to a linked meeting and save it. Used when a profile change
+ * propagates to many meetings: an edit made meanwhile is retried on the
+ * reloaded meeting instead of failing the whole change.
+ */
+async function relabelMeeting(meetingId, relabel, userId) {
+  for (let attempt = 1; ; attempt++) {
+    const meeting = await Meeting.findById(meetingId);
+    if (!meeting) return;
+
+    const originalSegments = getSegments(meeting);
+    relabel(meeting);
+    try {
+      await saveSpeakerChanges(meeting, originalSegments, userId);
+      return;
+    } catch (error) {
+      if (error.statusCode !== 409 || attempt >= RELABEL_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Point `label` at `profileId` in a meeting document. Does not save.
+ */
+function setLink(meeting, label, profileId) {
+  if (!meeting.speakerLinks) meeting.speakerLinks = [];
+  const existing = meeting.speakerLinks.find(link => link.label === label);
+  if (existing) {
+    existing.profileId = profileId;
+  } else {
+    meeting.speakerLinks.push({ label, profileId });
+  }
+}
+
+/**
+ * List the speaker labels of a meeting with their talk time and linked profile
+ * @returns {Promise<Object[]>} [{ label, segmentCount, totalTime, profile }]
+ */
+async function getMeetingSpeakers(meeting) {
+  const stats = new Map();
+  for (const seg of meeting.transcription?.segments || []) {
+    const label = seg.speaker || 'Unknown';
+    const entry = stats.get(label) || { label, segmentCount: 0, totalTime: 0 };
+    entry.segmentCount++;
+    entry.totalTime += Math.max(0, (seg.end || 0) - (seg.start || 0));
+    stats.set(label, entry);
+  }
+
+  const links = meeting.speakerLinks || [];
+  const profiles = links.length > 0
+    ? await SpeakerProfile.find({ _id: { $in: links.map(l => l.profileId) } })
+      .populate('userId', 'name email image')
+      .lean()
+    : [];
+  const profilesById = new Map(profiles.map(p => [String(p._id), p]));
+
+  return [...stats.values()].map(entry => {
+    const link = links.find(l => l.label === entry.label);
+    return {
+      ...entry,
+      totalTime: Math.round(entry.totalTime * 100) / 100,
+      profile: link ? profilesById.get(String(link.profileId)) || null : null,
+    };
+  });
+}
+
+/**
+ * Link a speaker label of a meeting to a profile (existing, or found/created by name).
+ * The label is renamed to the profile name so the transcript shows the canonical name.
+ *
+ * @param {Object} meeting - Meeting document
+ * @param {string} label - Speaker label currently used in the transcript
+ * @param {Object} target - { profileId } or { name }, and the editing `userId`
+ * @returns {Promise<Object>} { profile, label, updatedCount }
+ */
+async function linkSpeaker(meeting, label, { profileId, name, userId = null }) {
+  const hasLabel = (meeting.transcription?.segments || []).some(seg => seg.speaker === label);
+  if (!hasLabel) {
+    throw createHttpError(404, `Speaker "${label}" not found in this meeting`);
+  }
+
+  const profile = profileId
+    ? await getOwnedProfile(meeting.userId, profileId)
+    : await findOrCreateProfile(meeting.userId, name);
+
+  const originalSegments = getSegments(meeting);
+  const updatedCount = renameLabelInMeeting(meeting, label, profile.name);
+  setLink(meeting, profile.name, profile._id);
+  await saveSpeakerChanges(meeting, originalSegments, userId);
+
+  return { profile, label: profile.name, updatedCount };
+}
+
+/**
+ * Remove the profile link of a speaker label. The label itself is kept.
+ * @returns {Promise<boolean>} Whether a link was removed
+ */
+async function unlinkSpeaker(meeting, label) {
+  const before = (meeting.speakerLinks || []).length;
+  meeting.speakerLinks = (meeting.speakerLinks || []).filter(link => link.label !== label);
+  if (meeting.speakerLinks.length === before) return false;
+  await meeting.save();
+  return true;
+}
+
+/**
+ * Keep speaker links in sync when a label is renamed in a meeting
+ * (PATCH /api/meetings/:id/segments/speaker). Must run after the segments
+ * were renamed and before the meeting is saved.
+ *
+ * Renaming to a real name links the new label to the matching profile,
+ * creating one if needed. When the old label was linked and no other
+ * profile matches, the link follows the rename and the new name is
+ * remembered as an alias.
+ */
+async function syncSpeakerRename(meeting, oldLabel, newLabel, { applyToAll = false } = {}) {
+  if (isGenericSpeakerLabel(newLabel) || oldLabel === newLabel) return null;
+
+  const links = meeting.speakerLinks || [];
+  if (!applyToAll && links.some(link => link.label === newLabel)) return null;
+
+  const oldLink = applyToAll ? links.find(link => link.label === oldLabel) : null;
+  let profile = await findProfileByName(meeting.userId, newLabel);
+
+  if (!profile && oldLink) {
+    profile = await SpeakerProfile.findById(oldLink.profileId);
+    const alias = normalizeName(newLabel);
+    if (profile && alias && alias !== profile.normalizedName && !profile.aliases.includes(alias)) {
+      profile.aliases.push(alias);
+      await profile.save();
+    }
+  }
+  if (!profile) {
+    profile = await findOrCreateProfile(meeting.userId, newLabel);
+  }
+
+  if (applyToAll) {
+    meeting.speakerLinks = links.filter(link => link.label !== oldLabel);
+  }
+  setLink(meeting, newLabel, profile._id);
+  return profile;
+}
+
+/**
+ * Rename a profile and propagate the new name to every linked meeting
+ * @returns {Promise<Object>} { profile, meetingsUpdated }
+ */
+async function renameProfile(profile, newName) {
+  const normalizedName = normalizeName(newName);
+  if (!normalizedName) {
+    throw createHttpError(400, 'Speaker name is required');
+  }
+
+  const previous = profile.normalizedName;
+  profile.name = String(newName).trim();
+  profile.normalizedName = normalizedName;
+  profile.aliases = [...new Set([...profile.aliases, previous])].filter(a => a !== normalizedName);
+  await profile.save();
+
+  const meetings = await Meeting.find({ 'speakerLinks.profileId': profile._id }).select('_id').lean();
+  for (const { _id } of meetings) {
+    await relabelMeeting(_id, (meeting) => {
+      for (const link of meeting.speakerLinks.filter(l => String(l.profileId) === String(profile._id))) {
+        renameLabelInMeeting(meeting, link.label, profile.name);
+      }
+    }, profile.ownerId);
+  }
+
+  return { profile, meetingsUpdated: meetings.map(m => String(m._id)) };
+}
+
+/**
+ * Merge duplicate profiles into `target`. Meetings linked to a source profile
+ * are relinked and relabelled; sources are deleted.
+ * @returns {Promise<Object>} { profile, merged, meetingsUpdated }
+ */
+async function mergeProfiles(target, sources) {
+  const sourceIds = sources.map(s => String(s._id));
+  const meetingsUpdated = new Set();
+
+  const meetings = await Meeting.find({ 'speakerLinks.profileId': { $in: sourceIds } }).select('_id').lean();
+  for (const { _id } of meetings) {
+    await relabelMeeting(_id, (meeting) => {
+      for (const link of [...meeting.speakerLinks]) {
+        if (!sourceIds.includes(String(link.profileId))) continue;
+        link.profileId = target._id;
+        renameLabelInMeeting(meeting, link.label, target.name);
+      }
+    }, target.ownerId);
+    meetingsUpdated.add(String(_id));
+  }
+
+  const aliases = new Set(target.aliases);
+  for (const source of sources) {
+    aliases.add(source.normalizedName);
+    source.aliases.forEach(a => aliases.add(a));
+    if (!target.userId && source.userId) target.userId = source.userId;
+  }
+  aliases.delete(target.normalizedName);
+  target.aliases = [...aliases];
+  await target.save();
+
+  await SpeakerProfile.deleteMany({ _id: { $in: sourceIds } });
+
+  return { profile: target, merged: sourceIds, meetingsUpdated: [...meetingsUpdated] };
+}
+
+/**
+ * Delete a profile and remove its links from meetings (labels are kept)
+ */
+async function deleteProfile(profile) {
+  await Meeting.updateMany(
+    { 'speakerLinks.profileId': profile._id },
+    { $pull: { speakerLinks: { profileId: profile._id } } }
+  );
+  await profile.deleteOne();
+}
+
+/**
+ * List the owner's profiles with the number of linked meetings
+ */
+async function listProfiles(ownerId, { q } = {}) {
+  const filter = { ownerId };
+  const normalized = normalizeName(q);
+  if (normalized) {
+    const pattern = escapeRegExp(normalized);
+    filter.$or = [{ normalizedName: { $regex: pattern } }, { aliases: { $regex: pattern } }];
+  }
+
+  const profiles = await SpeakerProfile.find(filter)
+    .populate('userId', 'name email image')
+    .sort({ name: 1 })
+    .lean();
+
+  const counts = await Meeting.aggregate([
+    { $match: { 'speakerLinks.profileId': { $in: profiles.map(p => p._id) } } },
+    { $unwind: '$speakerLinks' },
+    { $group: { _id: '$speakerLinks.profileId', meetings: { $addToSet: '$_id' } } },
+  ]);
+  const countById = new Map(counts.map(c => [String(c._id), c.meetings.length]));
+
+  return profiles.map(p => ({ ...p, meetingCount: countById.get(String(p._id)) || 0 }));
+}
+
+module.exports = {
+  findProfileByName,
+  findOrCreateProfile,
+  getOwnedProfile,
+  getMeetingSpeakers,
+  linkSpeaker,
+  unlinkSpeaker,
+  syncSpeakerRename,
+  renameProfile,
+  mergeProfiles,
+  deleteProfile,
+  listProfiles,
+};
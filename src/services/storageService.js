@@ -1,6 +1,14 @@
 const fs = require('fs');
 const path = require('path');
-const { uploadFile, downloadFile, deleteFile, getPresignedUrl } = require('../config/minio');
+const { pipeline } = require('stream/promises');
+const {
+  uploadFile,
+  downloadFile,
+  deleteFile,
+  getPresignedUrl,
+  getPresignedUploadUrl,
+  statFile,
+} = require('../config/minio');
 const logger = require('../utils/logger');
 const { generateUniqueFilename } = require('../utils/helpers');
 
@@ -14,7 +22,7 @@ async function storeFile(stream, originalFilename, metadata = {}) {
     const result = await uploadFile(stream, uniqueFilename, {
       'Content-Type': metadata.mimetype || 'application/octet-stream',
       'Original-Name': originalFilename,
-    });
+    }, metadata.size);
 
     logger.info(`File stored successfully: ${uniqueFilename}`);
     
@@ -44,6 +52,29 @@ async function retrieveFile(filename) {
   }
 }
 
+/**
+ * Download a stored file to a local path without holding it in memory
+ * @param {string} filename - Object name in storage
+ * @param {string} destPath - Local file to write
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops the download and removes the partial file
+ * @returns {Promise<number>} Bytes written
+ */
+async function downloadToFile(filename, destPath, { signal } = {}) {
+  await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+  const stream = await retrieveFile(filename);
+
+  try {
+    await pipeline(stream, fs.createWriteStream(destPath), { signal });
+  } catch (error) {
+    await fs.promises.rm(destPath, { force: true });
+    throw error;
+  }
+
+  const { size } = await fs.promises.stat(destPath);
+  return size;
+}
+
 /**
  * Get file stream for download (alias for retrieveFile)
  */
@@ -105,6 +136,32 @@ async function getFileUrl(filename, expirySeconds = 3600) {
   }
 }
 
+/**
+ * Get a URL the client can PUT a file to directly
+ */
+async function getUploadUrl(filename, expirySeconds = 3600) {
+  try {
+    return await getPresignedUploadUrl(filename, expirySeconds);
+  } catch (error) {
+    logger.error('Error getting upload URL:', error);
+    throw new Error(`Failed to get upload URL: ${error.message}`);
+  }
+}
+
+/**
+ * Size and content type of a stored file; null when it does not exist
+ * @returns {Promise<Object|null>} { size, contentType, lastModified }
+ */
+async function getFileStats(filename) {
+  const stat = await statFile(filename);
+  if (!stat) return null;
+  return {
+    size: stat.size,
+    contentType: stat.metaData?.['content-type'] || null,
+    lastModified: stat.lastModified,
+  };
+}
+
 /**
  * Clean up temporary uploaded files
  */
@@ -122,9 +179,12 @@ function cleanupTempFile(filepath) {
 module.exports = {
   storeFile,
   retrieveFile,
+  downloadToFile,
   getFileStream,
   removeFile,
   getFileUrl,
+  getUploadUrl,
+  getFileStats,
   cleanupTempFile,
   copyToQuarantine,
 };
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const SummaryTemplate = require('../models/SummaryTemplate');
+const { SUMMARY_TEMPLATE_LIMITS } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+
+// Shown for sections the analysis did not fill
+const EMPTY_SECTION = '-';
+
+/**
+ * Get a template of the user; 400 for a malformed ID, 404 when unknown
+ */
+async function getOwnedTemplate(userId, templateId) {
+  if (!mongoose.Types.ObjectId.isValid(templateId)) {
+    throw createHttpError(400, 'Invalid summary template ID');
+  }
+  const template = await SummaryTemplate.findOne({ _id: templateId, userId });
+  if (!template) {
+    throw createHttpError(404, 'Summary template not found');
+  }
+  return template;
+}
+
+/**
+ * Reject duplicate section headings (they are highlights keys)
+ */
+function assertUniqueSections(sections) {
+  const seen = new Set();
+  for (const section of sections) {
+    const key = section.key.trim().toLowerCase();
+    if (seen.has(key)) {
+      throw createHttpError(400, `Duplicate section "${section.key}"`);
+    }
+    seen.add(key);
+  }
+}
+
+/**
+ * Make `template` the user's only default template
+ */
+async function clearOtherDefaults(template) {
+  await SummaryTemplate.updateMany(
+    { userId: template.userId, _id: { $ne: template._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+}
+
+/**
+ * Create a template
+ *
+ * @param {string} userId
+ * @param {Object} data - { name, description, sections, summaryInstruction, isDefault }
+ * @returns {Promise<Object>} Template document
+ */
+async function createTemplate(userId, data) {
+  const count = await SummaryTemplate.countDocuments({ userId });
+  if (count >= SUMMARY_TEMPLATE_LIMITS.MAX_TEMPLATES) {
+    throw createHttpError(400, `You can have at most ${SUMMARY_TEMPLATE_LIMITS.MAX_TEMPLATES} summary templates`);
+  }
+  if (await SummaryTemplate.exists({ userId, name: data.name.trim() })) {
+    throw createHttpError(409, 'A summary template with this name already exists');
+  }
+  assertUniqueSections(data.sections);
+
+  const template = await SummaryTemplate.create({ ...data, userId });
+  if (template.isDefault) await clearOtherDefaults(template);
+  return template;
+}
+
+/**
+ * Update a template; meetings keep the copy they were analyzed with
+ */
+async function updateTemplate(template, data) {
+  if (data.name !== undefined && data.name.trim() !== template.name) {
+    const duplicate = await SummaryTemplate.exists({ userId: template.userId, name: data.name.trim(), _id: { $ne: template._id } });
+    if (duplicate) {
+      throw createHttpError(409, 'A summary template with this name already exists');
+    }
+  }
+  if (data.sections !== undefined) assertUniqueSections(data.sections);
+
+  for (const field of ['name', 'description', 'sections', 'summaryInstruction', 'isDefault']) {
+    if (data[field] !== undefined) template[field] = data[field];
+  }
+  await template.save();
+  if (template.isDefault) await clearOtherDefaults(template);
+  return template;
+}
+
+/**
+ * List the user's templates, default first
+ */
+async function listTemplates(userId) {
+  return SummaryTemplate.find({ userId }).sort({ isDefault: -1, name: 1 }).lean();
+}
+
+/**
+ * Meeting `summaryTemplate` copy of a template
+ */
+function toMeetingTemplate(template) {
+  return {
+    templateId: template._id,
+    name: template.name,
+    sections: template.sections.map(({ key, instruction }) => ({ key, instruction: instruction || '' })),
+    summaryInstruction: template.summaryInstruction || '',
+  };
+}
+
+/**
+ * Summary template of a new meeting: the selected one, else the user's
+ * default, else none (the standard analysis shape)
+ *
+ * @param {string} userId
+ * @param {string|null} templateId - Selected template; null opts out of the default
+ * @returns {Promise<Object|null>} Meeting `summaryTemplate` value
+ */
+async function resolveMeetingTemplate(userId, templateId) {
+  if (templateId === null || templateId === '') return null;
+  const template = templateId !== undefined
+    ? await getOwnedTemplate(userId, templateId)
+    : await SummaryTemplate.findOne({ userId, isDefault: true });
+  return template ? toMeetingTemplate(template) : null;
+}
+
+/**
+ * Highlights with exactly the template's section keys, in template order.
+ * Returned keys are matched case-insensitively; list values become bullet lines.
+ *
+ * @param {Object} highlights - Highlights of the analysis result
+ * @param {Object[]} sections - Template sections ({ key })
+ * @returns {Object}
+ */
+function renderTemplateHighlights(highlights, sections) {
+  const byKey = new Map(
+    Object.entries(highlights && typeof highlights === 'object' ? highlights : {})
+      .map(([key, value]) => [key.trim().toLowerCase(), value])
+  );
+
+  const rendered = {};
+  for (const { key } of sections) {
+    const value = byKey.get(key.trim().toLowerCase());
+    if (Array.isArray(value)) {
+      rendered[key] = value.length > 0 ? value.map(item => `- ${String(item).replace(/^[-*]\s+/, '')}`).join('\n') : EMPTY_SECTION;
+    } else {
+      rendered[key] = value ? String(value) : EMPTY_SECTION;
+    }
+  }
+  return rendered;
+}
+
+module.exports = {
+  getOwnedTemplate,
+  createTemplate,
+  updateTemplate,
+  listTemplates,
+  toMeetingTemplate,
+  resolveMeetingTemplate,
+  renderTemplateHighlights,
+};
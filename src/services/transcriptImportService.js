@@ -0,0 +1,279 @@
+const path = require('path');
+const Meeting = require('../models/Meeting');
+const { addAnalysisJob } = require('./analysisService');
+const { rebuildTranscript } = require('./transcriptRevisionService');
+const { resolveMeetingTemplate } = require('./summaryTemplateService');
+const { MEETING_STATUS, MEETING_TYPE, PLATFORM, TRANSCRIPT_IMPORT_LIMITS, ANALYSIS_TRIGGER } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Speaker of cues that do not name one
+const DEFAULT_SPEAKER = 'SPEAKER_00';
+
+// hh:mm:ss,mmm (SRT) or [hh:]mm:ss.mmm (WebVTT)
+const TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// "Speaker: text", as written by the SRT export
+const SPEAKER_PREFIX_PATTERN = /^([^:.!?\n]{1,40}):\s+([\s\S]+)$/;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+/**
+ * Seconds of a cue timestamp
+ */
+function parseTimestamp(value) {
+  const [clock, millis] = value.split(/[.,]/);
+  const parts = clock.split(':').map(Number);
+  while (parts.length < 3) parts.unshift(0);
+  const [h, m, s] = parts;
+  return h * 3600 + m * 60 + s + Number(millis.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Cue text without markup, on a single line
+ */
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[a-z#0-9]+;/gi, entity => ENTITIES[entity.toLowerCase()] ?? entity)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Speaker and text of a cue: a WebVTT voice tag (`<v Name>` as written by the
+ * VTT export), else a "Name: " prefix (SRT export)
+ */
+function splitSpeaker(rawText) {
+  const voice = rawText.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+  if (voice) {
+    return { speaker: voice[1].trim(), text: cleanCueText(rawText) };
+  }
+
+  const text = cleanCueText(rawText);
+  const prefixed = text.match(SPEAKER_PREFIX_PATTERN);
+  if (prefixed) {
+    return { speaker: prefixed[1].trim(), text: prefixed[2].trim() };
+  }
+  return { speaker: DEFAULT_SPEAKER, text };
+}
+
+/**
+ * Segments of SRT or WebVTT cues. Blocks without a timing line (WebVTT header,
+ * NOTE, STYLE and REGION blocks) are skipped.
+ */
+function parseCues(content) {
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const segments = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+    if (timingIndex === -1) continue;
+
+    const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+    const { speaker, text } = splitSpeaker(lines.slice(timingIndex + 1).join('\n'));
+    if (!text) continue;
+
+    segments.push({ start: parseTimestamp(start), end: parseTimestamp(end), text, speaker });
+  }
+  return segments;
+}
+
+/**
+ * Parse our JSON export ({ meeting, transcription, actionItems }), or a bare
+ * `{ segments }` object / segment array as written by Whisper-style tools
+ */
+function parseJsonTranscript(content) {
+  let data;
+  try {
+    data = typeof content === 'string' ? JSON.parse(content.replace(/^\uFEFF/, '')) : content;
+  } catch (error) {
+    throw createHttpError(400, `Transcript is not valid JSON: ${error.message}`);
+  }
+
+  const transcription = Array.isArray(data) ? { segments: data } : (data?.transcription || data || {});
+  if (!Array.isArray(transcription.segments)) {
+    throw createHttpError(400, 'JSON transcript has no segments');
+  }
+
+  const segments = transcription.segments.map(seg => ({
+    start: Number(seg?.start),
+    end: Number(seg?.end),
+    text: String(seg?.text ?? '').trim(),
+    speaker: String(seg?.speaker || DEFAULT_SPEAKER).trim(),
+  }));
+
+  return {
+    segments,
+    language: transcription.language || null,
+    summary: transcription.summary || null,
+    highlights: transcription.highlights || null,
+    conclusion: transcription.conclusion || null,
+    actionItems: Array.isArray(data?.actionItems) ? data.actionItems : [],
+    meeting: data?.meeting || null,
+  };
+}
+
+/**
+ * Format of a transcript file: the given one, else from the file extension,
+ * else from the content
+ */
+function detectFormat(format, filename, content) {
+  if (format) return format;
+  const ext = path.extname(filename || '').slice(1).toLowerCase();
+  if (['srt', 'vtt', 'json'].includes(ext)) return ext;
+
+  const start = content.replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('WEBVTT')) return 'vtt';
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  return 'srt';
+}
+
+/**
+ * Parse an SRT, WebVTT or JSON transcript into segments sorted by start time
+ *
+ * @param {string} content - File content
+ * @param {Object} options - { format, filename }
+ * @returns {Object} { format, segments, language, summary, highlights, conclusion, actionItems, meeting }
+ */
+function parseTranscript(content, { format, filename } = {}) {
+  const resolvedFormat = detectFormat(format, filename, content);
+  const parsed = resolvedFormat === 'json'
+    ? parseJsonTranscript(content)
+    : { segments: parseCues(content), actionItems: [] };
+
+  const segments = parsed.segments
+    .filter(seg => seg.text)
+    .sort((a, b) => a.start - b.start);
+
+  if (segments.length === 0) {
+    throw createHttpError(400, `No transcript segments found in the ${resolvedFormat.toUpperCase()} file`);
+  }
+  if (segments.length > TRANSCRIPT_IMPORT_LIMITS.MAX_SEGMENTS) {
+    throw createHttpError(413, `Transcript has more than ${TRANSCRIPT_IMPORT_LIMITS.MAX_SEGMENTS} segments`);
+  }
+  const invalid = segments.find(seg =>
+    !Number.isFinite(seg.start) || !Number.isFinite(seg.end) || seg.start < 0 || seg.end < seg.start);
+  if (invalid) {
+    throw createHttpError(400, `Invalid segment timing at ${invalid.start} → ${invalid.end}: "${invalid.text.slice(0, 50)}"`);
+  }
+
+  return { ...parsed, format: resolvedFormat, segments };
+}
+
+/**
+ * First and last time each speaker talks
+ */
+function buildSpeakers(segments) {
+  const speakers = new Map();
+  for (const seg of segments) {
+    const entry = speakers.get(seg.speaker);
+    if (entry) {
+      entry.end = Math.max(entry.end, seg.end);
+    } else {
+      speakers.set(seg.speaker, { speaker: seg.speaker, start: seg.start, end: seg.end });
+    }
+  }
+  return [...speakers.values()];
+}
+
+/**
+ * Action item candidates of a JSON export; review state starts over
+ */
+function importActionItems(items) {
+  return items
+    .filter(item => item && (item.title || item.text))
+    .map(item => ({
+      title: item.title || item.text,
+      description: item.description || '',
+      priority: ['low', 'medium', 'high', 'urgent'].includes(item.priority) ? item.priority : 'medium',
+      dueDate: item.dueDate && !Number.isNaN(Date.parse(item.dueDate)) ? new Date(item.dueDate) : null,
+      dueDateRaw: item.dueDateRaw || null,
+      assigneeName: item.assigneeName || null,
+      labels: Array.isArray(item.labels) ? item.labels : [],
+      status: 'todo',
+    }));
+}
+
+/**
+ * Create a completed meeting from an existing transcript file, without
+ * transcribing. AI analysis is queued when `analyze` is set and the file
+ * carries no summary of its own (JSON exports keep theirs) or a summary
+ * template was selected.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.content - SRT, WebVTT or JSON text
+ * @param {string} params.filename - Name of the uploaded file, if any
+ * @param {Object} params.fields - { title, description, tags, format, language, summaryTemplateId }
+ * @param {boolean} params.analyze - Run AI analysis for summary and action items
+ * @returns {Promise<Object>} { meeting, analyzing }
+ */
+async function createMeetingFromTranscript({ userId, content, filename, fields = {}, analyze = true }) {
+  const parsed = parseTranscript(content, { format: fields.format, filename });
+  const { segments } = parsed;
+  const speakers = buildSpeakers(segments);
+  const language = fields.language && fields.language !== 'auto' ? fields.language : parsed.language;
+
+  const title = fields.title
+    || parsed.meeting?.title
+    || (filename && path.basename(filename, path.extname(filename)))
+    || `Meeting - ${new Date().toLocaleDateString()}`;
+  const { tags } = fields;
+
+  const summaryTemplate = await resolveMeetingTemplate(userId, fields.summaryTemplateId);
+
+  // A selected template asks for new notes even when the file carries a summary
+  const analyzing = !!analyze && (!parsed.summary || !!(summaryTemplate && fields.summaryTemplateId));
+  const meeting = await Meeting.create({
+    userId,
+    title,
+    description: fields.description || parsed.meeting?.description || '',
+    platform: PLATFORM.UPLOAD,
+    type: MEETING_TYPE.UPLOAD,
+    status: MEETING_STATUS.COMPLETED,
+    tags: tags ? (Array.isArray(tags) ? tags : [tags]) : [],
+    duration: Math.ceil(parsed.meeting?.duration || segments[segments.length - 1].end),
+    participants: speakers.length,
+    transcription: {
+      language,
+      transcript: rebuildTranscript(segments),
+      segments,
+      speakers,
+      summary: parsed.summary || '',
+      highlights: parsed.highlights || {},
+      conclusion: parsed.conclusion || '',
+      diarizationMethod: 'imported',
+      numSpeakers: speakers.length,
+      processingTime: 0,
+    },
+    actionItems: importActionItems(parsed.actionItems),
+    summarySnippet: String(parsed.summary || rebuildTranscript(segments)).slice(0, 200),
+    transcriptionOptions: { language, enableSummary: analyzing },
+    ...(summaryTemplate ? { summaryTemplate } : {}),
+    processingLogs: [{
+      message: `Transkrip diimpor dari file ${parsed.format.toUpperCase()} (${segments.length} segmen).`,
+      timestamp: new Date(),
+      progress: 100,
+      stage: 'completed',
+    }],
+  });
+
+  logger.info(`Meeting ${meeting._id} imported from ${parsed.format} transcript (${segments.length} segments)`);
+
+  if (analyzing) {
+    // The meeting is usable already; summary and action items follow from the analysis job
+    try {
+      await addAnalysisJob(meeting._id.toString(), { trigger: ANALYSIS_TRIGGER.IMPORT, requestedBy: userId });
+    } catch (error) {
+      logger.warn(`Could not queue analysis of imported meeting ${meeting._id}: ${error.message}`);
+    }
+  }
+  return { meeting, analyzing };
+}
+
+module.exports = {
+  parseTranscript,
+  createMeetingFromTranscript,
+};
@@ -0,0 +1,255 @@
+const Meeting = require('../models/Meeting');
+const TranscriptRevision = require('../models/TranscriptRevision');
+const { scheduleAnalysisAfterEdit } = require('./analysisService');
+const { createHttpError } = require('../utils/helpers');
+
+/**
+ * Copy a segment into a plain object (drops mongoose internals)
+ */
+function cloneSegment(seg) {
+  return {
+    start: seg.start,
+    end: seg.end,
+    text: seg.text,
+    speaker: seg.speaker,
+  };
+}
+
+function segmentsEqual(a, b) {
+  return a.start === b.start && a.end === b.end && a.text === b.text && a.speaker === b.speaker;
+}
+
+/**
+ * Rebuild the plain transcript string from segments
+ */
+function rebuildTranscript(segments) {
+  return segments.map(seg => (seg.text || '').trim()).filter(Boolean).join(' ');
+}
+
+/**
+ * Compute the smallest splice that turns `current` into `target`
+ * @returns {Object|null} { index, before, after } or null if identical
+ */
+function diffSegments(current, target) {
+  let prefix = 0;
+  while (prefix < current.length && prefix < target.length && segmentsEqual(current[prefix], target[prefix])) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < current.length - prefix &&
+    suffix < target.length - prefix &&
+    segmentsEqual(current[current.length - 1 - suffix], target[target.length - 1 - suffix])
+  ) {
+    suffix++;
+  }
+
+  if (prefix === current.length && prefix === target.length) return null;
+
+  return {
+    index: prefix,
+    before: current.slice(prefix, current.length - suffix),
+    after: target.slice(prefix, target.length - suffix),
+  };
+}
+
+/**
+ * Get a plain copy of a meeting's segments
+ */
+function getSegments(meeting) {
+  return (meeting.transcription?.segments || []).map(cloneSegment);
+}
+
+/**
+ * Persist `segments` (and any extra `set` fields) and record the splice as a
+ * revision. Uses the meeting's updatedAt as an optimistic lock so concurrent
+ * editors cannot silently overwrite each other.
+ */
+async function persistRevision(meeting, segments, { action, index, before, after, userId, restoredFrom = null, set = {} }) {
+  const result = await Meeting.updateOne(
+    { _id: meeting._id, updatedAt: meeting.updatedAt },
+    {
+      $set: {
+        ...set,
+        'transcription.segments': segments,
+        'transcription.transcript': rebuildTranscript(segments),
+      },
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw createHttpError(409, 'Transcript was modified by someone else. Reload and try again.');
+  }
+
+  const revision = await TranscriptRevision.create({
+    meetingId: meeting._id,
+    userId,
+    action,
+    index,
+    before,
+    after,
+    restoredFrom,
+  });
+
+  // Summary and action items may be stale now; re-analyze once edits settle (when enabled)
+  await scheduleAnalysisAfterEdit(meeting._id, userId);
+
+  return { revision, segments };
+}
+
+/**
+ * Replace `removeCount` segments at `index` with `insert`, persist the result
+ * and record a revision.
+ *
+ * @param {Object} meeting - Meeting document (as loaded for the request)
+ * @param {Object} change
+ * @param {string} change.action - Revision action (edit, merge, split, delete, restore)
+ * @param {number} change.index - Splice position
+ * @param {number} change.removeCount - Number of segments to remove
+ * @param {Object[]} change.insert - Segments to insert
+ * @param {string} change.userId - Editor user ID
+ * @param {string} change.restoredFrom - Revision ID (restore only)
+ * @returns {Promise<Object>} { revision, segments }
+ */
+async function commitSegmentChange(meeting, { action, index, removeCount, insert, userId, restoredFrom = null }) {
+  const segments = getSegments(meeting);
+  const before = segments.slice(index, index + removeCount);
+  const after = insert.map(cloneSegment);
+  segments.splice(index, removeCount, ...after);
+
+  return persistRevision(meeting, segments, { action, index, before, after, userId, restoredFrom });
+}
+
+/**
+ * Persist segments a caller changed in place on the meeting document (speaker
+ * renames) and record the net change as a revision, so restore and undo see it.
+ * Other fields changed along with them go in `set`; they are written under the
+ * same lock, also when no segment changed.
+ *
+ * @param {Object} meeting - Meeting document, segments already changed in memory
+ * @param {Object[]} original - getSegments(meeting) from before the change
+ * @param {Object} options - { action, userId, set }
+ * @returns {Promise<Object>} { revision, segments }; revision is null when no segment changed
+ */
+async function commitSegmentRewrite(meeting, original, { action = 'rename', userId, set = {} }) {
+  const segments = getSegments(meeting);
+  const diff = diffSegments(original, segments);
+
+  if (!diff) {
+    if (Object.keys(set).length > 0) {
+      const result = await Meeting.updateOne({ _id: meeting._id, updatedAt: meeting.updatedAt }, { $set: set });
+      if (result.matchedCount === 0) {
+        throw createHttpError(409, 'Transcript was modified by someone else. Reload and try again.');
+      }
+    }
+    return { revision: null, segments };
+  }
+
+  return persistRevision(meeting, segments, {
+    action,
+    index: diff.index,
+    before: diff.before,
+    after: diff.after,
+    userId,
+    set,
+  });
+}
+
+/**
+ * Restore the transcript to the state it had right before `revisionId` was applied.
+ * All newer revisions are undone in reverse order and the net change is recorded
+ * as a single `restore` revision, so history stays linear and restorable.
+ *
+ * @returns {Promise<Object>} { revision, segments }
+ */
+async function restoreBeforeRevision(meeting, revisionId, userId) {
+  const target = await TranscriptRevision.findOne({ _id: revisionId, meetingId: meeting._id }).lean();
+  if (!target) {
+    throw createHttpError(404, 'Revision not found');
+  }
+
+  const newer = await TranscriptRevision.find({
+    meetingId: meeting._id,
+    $or: [
+      { createdAt: { $gt: target.createdAt } },
+      { createdAt: target.createdAt, _id: { $gte: target._id } },
+    ],
+  })
+    .sort({ createdAt: -1, _id: -1 })
+    .lean();
+
+  const current = getSegments(meeting);
+  const restored = current.slice();
+  for (const rev of newer) {
+    // Each revision's `after` must still be in place, else the history belongs to another transcript
+    const applied = restored.slice(rev.index, rev.index + rev.after.length);
+    if (applied.length !== rev.after.length || applied.some((seg, i) => !segmentsEqual(seg, rev.after[i]))) {
+      throw createHttpError(409, 'Revision history is inconsistent with the current transcript');
+    }
+    restored.splice(rev.index, rev.after.length, ...rev.before.map(cloneSegment));
+  }
+
+  const diff = diffSegments(current, restored);
+  if (!diff) {
+    throw createHttpError(400, 'Transcript already matches this version');
+  }
+
+  return commitSegmentChange(meeting, {
+    action: 'restore',
+    index: diff.index,
+    removeCount: diff.before.length,
+    insert: diff.after,
+    userId,
+    restoredFrom: target._id,
+  });
+}
+
+/**
+ * Undo the most recent change that is still in effect. Restores are stepped
+ * over together with the revisions they reverted, so repeated undos keep going
+ * back instead of flipping between two versions.
+ */
+async function undoLastRevision(meeting, userId) {
+  const revisions = await TranscriptRevision.find({ meetingId: meeting._id })
+    .select('action restoredFrom')
+    .sort({ createdAt: -1, _id: -1 })
+    .lean();
+
+  // Newest first: a restore reverted every revision back to its restoredFrom (inclusive)
+  let skipUntil = null;
+  for (const rev of revisions) {
+    if (skipUntil) {
+      if (String(rev._id) === skipUntil) skipUntil = null;
+      continue;
+    }
+    if (rev.action === 'restore') {
+      skipUntil = String(rev.restoredFrom);
+      continue;
+    }
+    return restoreBeforeRevision(meeting, rev._id, userId);
+  }
+
+  throw createHttpError(400, 'Nothing to undo');
+}
+
+/**
+ * Drop a meeting's revision history. Called whenever its segments are replaced
+ * wholesale (re-transcription, bot capture) or the meeting is deleted, since the
+ * recorded splices only apply to the transcript they were made on.
+ */
+async function clearTranscriptRevisions(meetingId) {
+  await TranscriptRevision.deleteMany({ meetingId });
+}
+
+module.exports = {
+  cloneSegment,
+  rebuildTranscript,
+  diffSegments,
+  getSegments,
+  commitSegmentChange,
+  commitSegmentRewrite,
+  restoreBeforeRevision,
+  undoLastRevision,
+  clearTranscriptRevisions,
+};
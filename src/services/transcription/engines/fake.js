@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { createAbortedError, listSpeakers } = require('../utils');
+
+const NAME = 'fake';
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'fixtures', 'fake-transcript.json');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Local deterministic engine for tests and offline development.
+ * Ignores the audio and returns the segments of a JSON fixture
+ * ({ language, duration, segments: [{ start, end, text, speaker }] }),
+ * reporting the same progress events on every run. No network calls.
+ *
+ * @param {Object} options
+ * @param {string} options.fixturePath - Fixture file (default: fixtures/fake-transcript.json)
+ * @param {number} options.stepDelayMs - Delay between progress events, to exercise heartbeats and cancellation
+ */
+function createFakeEngine({ fixturePath = DEFAULT_FIXTURE, stepDelayMs = 0 } = {}) {
+  let fixture = null;
+
+  function loadFixture() {
+    if (!fixture) {
+      fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+    return fixture;
+  }
+
+  async function step(signal, onProgress, stage, progress, message) {
+    if (stepDelayMs > 0) await sleep(stepDelayMs);
+    if (signal?.aborted) throw createAbortedError();
+    await onProgress?.(stage, progress, message);
+  }
+
+  async function transcribe(audio, { signal, onProgress } = {}) {
+    if (signal?.aborted) throw createAbortedError();
+    const { language = null, duration, segments: fixtureSegments = [] } = loadFixture();
+
+    await step(signal, onProgress, 'transcribing', 30, 'Mentranskripsi audio (fake)...');
+    await step(signal, onProgress, 'diarization', 70, 'Mengidentifikasi pembicara (fake)...');
+
+    const segments = fixtureSegments.map(seg => ({ ...seg }));
+    return {
+      language,
+      transcript: segments.map(seg => seg.text).join(' '),
+      segments,
+      speakers: listSpeakers(segments),
+      processingTime: 0,
+      metadata: {
+        duration: duration ?? segments[segments.length - 1]?.end ?? 0,
+        total_speakers: listSpeakers(segments).length,
+        engine: NAME,
+      },
+    };
+  }
+
+  return {
+    name: NAME,
+    analyzes: false,
+    transcribe,
+  };
+}
+
+module.exports = {
+  createFakeEngine,
+};
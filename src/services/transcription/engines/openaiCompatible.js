@@ -0,0 +1,106 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const {
+  createEngineError,
+  createAbortedError,
+  appendAudio,
+  formHeaders,
+  listSpeakers,
+  vocabularyPrompt,
+} = require('../utils');
+
+// Speech-to-text APIs of this kind do not diarize
+const SINGLE_SPEAKER = 'SPEAKER_0';
+
+/**
+ * Create an engine for an OpenAI-compatible /audio/transcriptions API
+ * (OpenAI Whisper, faster-whisper-server, LocalAI, Groq, ...)
+ *
+ * @param {Object} options
+ * @param {string} options.name - Engine name used in logs and metadata
+ * @param {string} options.baseUrl - API base URL (without /audio/transcriptions)
+ * @param {string} options.apiKey - Bearer token
+ * @param {string} options.model - Model ID
+ * @param {number} options.timeout - Request timeout in ms
+ */
+function createOpenAICompatibleEngine({ name, baseUrl, apiKey, model, timeout = 1800000 }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`;
+
+  /**
+   * Map a verbose_json reply to the engine result shape
+   */
+  function toResult(data, processingTime) {
+    const segments = Array.isArray(data?.segments) && data.segments.length > 0
+      ? data.segments
+        .map(seg => ({ start: seg.start, end: seg.end, text: String(seg.text || '').trim(), speaker: SINGLE_SPEAKER }))
+        .filter(seg => seg.text)
+      : [{ start: 0, end: data?.duration || 0, text: String(data?.text || '').trim(), speaker: SINGLE_SPEAKER }].filter(seg => seg.text);
+
+    return {
+      language: data?.language || null,
+      transcript: String(data?.text || segments.map(seg => seg.text).join(' ')).trim(),
+      segments,
+      speakers: listSpeakers(segments),
+      processingTime,
+      metadata: {
+        duration: data?.duration || segments[segments.length - 1]?.end || 0,
+        total_speakers: segments.length > 0 ? 1 : 0,
+        engine: name,
+        model,
+      },
+    };
+  }
+
+  async function transcribe(audio, { filename = 'audio', language, vocabulary, signal, onProgress } = {}) {
+    if (signal?.aborted) throw createAbortedError();
+
+    const startTime = Date.now();
+    const formData = new FormData();
+    const sourceStream = appendAudio(formData, audio, filename);
+    formData.append('model', model);
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'segment');
+    if (language) formData.append('language', language);
+    const prompt = vocabularyPrompt(vocabulary);
+    if (prompt) formData.append('prompt', prompt);
+
+    onProgress?.('transcribing', null, 'Mengirim audio ke layanan transkripsi...');
+
+    let response;
+    try {
+      response = await axios.post(url, formData, {
+        headers: {
+          ...formHeaders(formData),
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        },
+        timeout,
+        signal,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      if (signal?.aborted) throw createAbortedError();
+      throw createEngineError(name, `Connection error: ${error.message}`);
+    } finally {
+      if (sourceStream && !sourceStream.destroyed) sourceStream.destroy();
+    }
+
+    if (response.status !== 200) {
+      const errorMsg = response.data?.error?.message || response.data?.error || `HTTP ${response.status}`;
+      throw createEngineError(name, `API error: ${errorMsg}`, { status: response.status, body: response.data });
+    }
+
+    return toResult(response.data, Math.floor((Date.now() - startTime) / 1000));
+  }
+
+  return {
+    name,
+    analyzes: false,
+    transcribe,
+  };
+}
+
+module.exports = {
+  createOpenAICompatibleEngine,
+};
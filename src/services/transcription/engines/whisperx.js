@@ -0,0 +1,38 @@
+const { transcribeAudioWithProgress } = require('../../whisperxService');
+
+const NAME = 'whisperx';
+
+/**
+ * Engine for the WhisperX service (/transcribe/stream).
+ * Diarizes speakers and, unless enableSummary is false, runs AI analysis itself.
+ */
+function createWhisperXEngine() {
+  async function transcribe(audio, {
+    filename,
+    meetingId,
+    numSpeakers,
+    language,
+    vocabulary,
+    enableSummary,
+    signal,
+    onProgress,
+  } = {}) {
+    return transcribeAudioWithProgress(
+      audio,
+      filename,
+      meetingId,
+      { numSpeakers, language, vocabulary, enableSummary, signal },
+      onProgress
+    );
+  }
+
+  return {
+    name: NAME,
+    analyzes: true,
+    transcribe,
+  };
+}
+
+module.exports = {
+  createWhisperXEngine,
+};
@@ -0,0 +1,75 @@
+/**
+ * Transcription Engine Layer
+ * Single entry point for speech-to-text. The engine is selected per deployment
+ * via config.TRANSCRIPTION.ENGINE (TRANSCRIPTION_ENGINE) or per job via the
+ * job payload's `engine`.
+ *
+ * An engine is { name, analyzes, transcribe(audio, options) }:
+ * - audio: Buffer, readable stream or local file path
+ * - options: { filename, meetingId, numSpeakers, language, vocabulary, enableSummary, signal, onProgress }
+ *   where onProgress(stage, progress, message, data) reports intermediate progress
+ * - resolves to { language, transcript, segments: [{ start, end, text, speaker }],
+ *   speakers, metadata: { duration, total_speakers }, processingTime } and, for
+ *   engines with `analyzes: true`, the AI analysis fields (summary, action_items, ...)
+ * - rejects with code 'ABORTED' when the signal aborts
+ */
+const config = require('../../config/env');
+const { createWhisperXEngine } = require('./engines/whisperx');
+const { createOpenAICompatibleEngine } = require('./engines/openaiCompatible');
+const { createFakeEngine } = require('./engines/fake');
+
+const factories = {
+  whisperx: () => createWhisperXEngine(),
+  openai: () => createOpenAICompatibleEngine({
+    name: 'openai',
+    baseUrl: config.TRANSCRIPTION.OPENAI.BASE_URL,
+    apiKey: config.TRANSCRIPTION.OPENAI.API_KEY,
+    model: config.TRANSCRIPTION.OPENAI.MODEL,
+    timeout: config.TRANSCRIPTION.OPENAI.TIMEOUT,
+  }),
+  fake: () => createFakeEngine({
+    fixturePath: config.TRANSCRIPTION.FAKE.FIXTURE || undefined,
+    stepDelayMs: config.TRANSCRIPTION.FAKE.STEP_DELAY_MS,
+  }),
+};
+
+const instances = new Map();
+
+/**
+ * Register an additional engine
+ * @param {string} name - Engine name used in config and job payloads
+ * @param {Function} factory - Returns an engine instance
+ */
+function registerEngine(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+function hasEngine(name) {
+  return Object.prototype.hasOwnProperty.call(factories, name);
+}
+
+function listEngines() {
+  return Object.keys(factories);
+}
+
+/**
+ * Get an engine instance by name
+ * @param {string} name - whisperx | openai | fake (default: config.TRANSCRIPTION.ENGINE)
+ */
+function getEngine(name = config.TRANSCRIPTION.ENGINE) {
+  if (!hasEngine(name)) {
+    throw new Error(`Unknown transcription engine "${name}". Available: ${listEngines().join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+}
+
+module.exports = {
+  getEngine,
+  hasEngine,
+  listEngines,
+  registerEngine,
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+
+// Length of engine response bodies kept on errors (dead-letter diagnostics)
+const RESPONSE_EXCERPT_LENGTH = 2000;
+
+// Characters of custom vocabulary sent as a recognition prompt (~200 tokens)
+const MAX_PROMPT_LENGTH = 800;
+
+function toExcerpt(data) {
+  if (data === undefined || data === null) return null;
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return text.length > RESPONSE_EXCERPT_LENGTH ? `${text.slice(0, RESPONSE_EXCERPT_LENGTH)}…` : text;
+}
+
+/**
+ * Create an error carrying the engine name, HTTP status and a response excerpt
+ * @param {string} engine - Engine name
+ * @param {string} message - Error message
+ * @param {Object} details
+ * @param {number} details.status - Upstream HTTP status
+ * @param {*} details.body - Upstream response body
+ * @returns {Error}
+ */
+function createEngineError(engine, message, { status = null, body = null } = {}) {
+  const error = new Error(`${engine}: ${message}`);
+  error.engine = engine;
+  error.engineStatus = status;
+  error.engineResponse = toExcerpt(body);
+  return error;
+}
+
+/**
+ * Error for a transcription stopped through its AbortSignal
+ */
+function createAbortedError() {
+  const error = new Error('Transcription aborted');
+  error.code = 'ABORTED';
+  return error;
+}
+
+/**
+ * Append the audio to a form without buffering it.
+ * Accepts a Buffer, a readable stream or a local file path; file paths are
+ * streamed with a known length so the request gets a Content-Length.
+ * @returns {Object|null} Stream opened for the request (to close on abort)
+ */
+function appendAudio(formData, audio, filename) {
+  if (typeof audio === 'string') {
+    const stream = fs.createReadStream(audio);
+    formData.append('file', stream, { filename, knownLength: fs.statSync(audio).size });
+    return stream;
+  }
+  formData.append('file', audio, { filename });
+  return typeof audio?.pipe === 'function' ? audio : null;
+}
+
+/**
+ * Request headers for a multipart form, with Content-Length when it can be computed
+ */
+function formHeaders(formData) {
+  return formData.hasKnownLength()
+    ? { ...formData.getHeaders(), 'Content-Length': formData.getLengthSync() }
+    : formData.getHeaders();
+}
+
+/**
+ * Distinct speaker labels in order of first appearance
+ */
+function listSpeakers(segments) {
+  return [...new Set(segments.map(seg => seg.speaker))];
+}
+
+/**
+ * Prompt that biases Whisper-style recognition towards the given terms.
+ * Whisper only reads the last ~224 tokens of a prompt, so the list is capped.
+ * @returns {string|null}
+ */
+function vocabularyPrompt(vocabulary) {
+  if (!Array.isArray(vocabulary) || vocabulary.length === 0) return null;
+  let prompt = '';
+  for (const term of vocabulary) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length > MAX_PROMPT_LENGTH) break;
+    prompt = next;
+  }
+  return prompt || null;
+}
+
+module.exports = {
+  RESPONSE_EXCERPT_LENGTH,
+  toExcerpt,
+  createEngineError,
+  createAbortedError,
+  appendAudio,
+  formHeaders,
+  listSpeakers,
+  vocabularyPrompt,
+};
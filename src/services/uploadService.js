@@ -0,0 +1,351 @@
+const fs = require('fs');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const UploadSession = require('../models/UploadSession');
+const config = require('../config/env');
+const { storeFile } = require('./storageService');
+const { sniffMedia } = require('./mediaService');
+const { addTranscriptionJob } = require('./queueService');
+const { addUrlImportJob, redactUrl } = require('./urlImportService');
+const { getOwnedTemplate, resolveMeetingTemplate } = require('./summaryTemplateService');
+const { checkHealth: checkWhisperHealth } = require('./whisperxService');
+const { MEETING_STATUS, MEETING_TYPE, PLATFORM, ALLOWED_EXTENSIONS } = require('../utils/constants');
+const {
+  buildTranscriptionOptions,
+  isAllowedMediaType,
+  resolveMimeType,
+  createHttpError,
+} = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Meeting fields and transcription options accepted when an upload session is started
+const UPLOAD_FIELDS = ['title', 'description', 'tags', 'language', 'numSpeakers', 'vocabulary', 'enableSummary', 'summaryTemplateId'];
+
+/**
+ * Fields of a start-upload request that are applied to the meeting once the upload completes
+ */
+function pickUploadFields(body = {}) {
+  const fields = {};
+  for (const key of UPLOAD_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+/**
+ * Reject file types and sizes the multer upload would reject
+ */
+function assertUploadAllowed({ filename, mimetype, size }) {
+  if (!isAllowedMediaType(filename, mimetype)) {
+    logger.warn(`Invalid file upload attempt: ${filename} (${mimetype})`);
+    throw createHttpError(415, `Invalid file type. Allowed types: ${ALLOWED_EXTENSIONS.join(', ')}`);
+  }
+  if (size > config.MAX_FILE_SIZE) {
+    throw createHttpError(413, `Maximum file size is ${config.MAX_FILE_SIZE / (1024 * 1024)}MB`);
+  }
+}
+
+/**
+ * Get an upload session of the user; 404 when unknown, of another kind or owned
+ * by someone else, 410 when it expired before completing
+ */
+async function getUploadSession(uploadId, userId, kind) {
+  const upload = /^[a-f0-9]{24}$/i.test(String(uploadId))
+    ? await UploadSession.findById(uploadId)
+    : null;
+  if (!upload || (upload.kind || 'resumable') !== kind || String(upload.userId) !== String(userId)) {
+    throw createHttpError(404, 'Upload not found');
+  }
+  if (upload.status === 'uploading' && upload.expiresAt < new Date()) {
+    throw createHttpError(410, 'Upload has expired');
+  }
+  return upload;
+}
+
+/**
+ * Transcription options of a new meeting; language falls back to the user's
+ * preference when the form leaves it out
+ */
+async function resolveTranscriptionOptions(userId, fields = {}) {
+  const user = await User.findById(userId).select('preferences.language').lean();
+  return buildTranscriptionOptions(fields, {
+    language: user?.preferences?.language,
+  });
+}
+
+/**
+ * Reject a summary template the user cannot select, before anything is stored
+ */
+async function assertSummaryTemplate(userId, fields = {}) {
+  if (fields.summaryTemplateId) {
+    await getOwnedTemplate(userId, fields.summaryTemplateId);
+  }
+}
+
+/**
+ * Summary template copy of a new meeting (see resolveMeetingTemplate). A template
+ * deleted while its upload was in progress falls back to the standard summary
+ * rather than failing an upload that is already stored.
+ */
+async function resolveSummaryTemplate(userId, fields = {}) {
+  try {
+    return await resolveMeetingTemplate(userId, fields.summaryTemplateId);
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+    logger.warn(`Summary template ${fields.summaryTemplateId} no longer exists, using the standard summary`);
+    return null;
+  }
+}
+
+/**
+ * Meeting `originalFile` of a file stored in MinIO
+ *
+ * @param {Object} params - { fileInfo, originalName, mimetype, size, media }
+ */
+function buildOriginalFile({ fileInfo, originalName, mimetype, size, media = null }) {
+  return {
+    filename: fileInfo.filename,
+    originalName,
+    mimetype: resolveMimeType(originalName, mimetype),
+    size,
+    path: fileInfo.path,
+    format: media?.format,
+    hasVideo: media?.hasVideo,
+    uploadedAt: new Date(),
+  };
+}
+
+/**
+ * Create the pending meeting of a file already stored in MinIO, without queueing it
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Object} params.fileInfo - { filename, path } of the stored object
+ * @param {string} params.originalName
+ * @param {string} params.mimetype
+ * @param {number} params.size - Bytes
+ * @param {Object} params.fields - { title, description, tags, summaryTemplateId } and transcription options
+ * @param {Object} params.media - Result of sniffMedia (null when not checked)
+ * @returns {Promise<Object>} Meeting document
+ */
+async function createUploadedMeetingRecord({ userId, fileInfo, originalName, mimetype, size, fields = {}, media = null }) {
+  const { title, description, tags } = fields;
+  const transcriptionOptions = await resolveTranscriptionOptions(userId, fields);
+  const summaryTemplate = await resolveSummaryTemplate(userId, fields);
+
+  // Create meeting record in database
+  const meeting = await Meeting.create({
+    userId,
+    title: title || `Meeting - ${new Date().toLocaleDateString()}`,
+    description: description || '',
+    platform: PLATFORM.UPLOAD,
+    type: MEETING_TYPE.UPLOAD,
+    status: MEETING_STATUS.PENDING,
+    tags: tags ? (Array.isArray(tags) ? tags : [tags]) : [],
+    ...(media?.duration ? { duration: Math.ceil(media.duration) } : {}),
+    originalFile: buildOriginalFile({ fileInfo, originalName, mimetype, size, media }),
+    transcriptionOptions,
+    ...(summaryTemplate ? { summaryTemplate } : {}),
+  });
+
+  return meeting;
+}
+
+/**
+ * Queue the transcription of a meeting created from an upload
+ */
+async function queueUploadedMeeting(meeting) {
+  // Check WhisperX health before enqueueing
+  const whisperHealth = await checkWhisperHealth();
+  if (whisperHealth.status === 'unhealthy') {
+    logger.warn('WhisperX service is unhealthy, but still enqueueing job for later processing');
+  }
+
+  // Add transcription job to queue
+  // Priority comes from the user's plan and their other queued jobs; the
+  // transcription options are the ones stored on the meeting
+  await addTranscriptionJob({ meetingId: meeting._id.toString() });
+
+  logger.info(`Meeting created and queued for transcription: ${meeting._id}`);
+}
+
+/**
+ * Create the meeting of a file already stored in MinIO and queue its transcription
+ * (parameters as createUploadedMeetingRecord)
+ *
+ * @returns {Promise<Object>} Meeting document
+ */
+async function createUploadedMeeting(params) {
+  const meeting = await createUploadedMeetingRecord(params);
+  await queueUploadedMeeting(meeting);
+  return meeting;
+}
+
+/**
+ * Claim an upload session for completion. A session whose completion failed
+ * part-way (`completing` without `completingAt`) or whose completing process
+ * went away can be claimed again.
+ *
+ * @returns {Promise<Object|null>} Claimed session, null when another request holds it
+ */
+function claimUploadSession(uploadId) {
+  const staleBefore = new Date(Date.now() - config.RESUMABLE_UPLOAD.COMPLETING_TIMEOUT_MS);
+  return UploadSession.findOneAndUpdate(
+    {
+      _id: uploadId,
+      $or: [
+        { status: 'uploading' },
+        { status: 'completing', completingAt: null },
+        { status: 'completing', completingAt: { $lt: staleBefore } },
+      ],
+    },
+    { $set: { status: 'completing', completingAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Finish a claimed upload session: store the file, create the meeting and queue
+ * it. Each step is recorded on the session before the next one runs, so
+ * completing again after a failure or crash resumes where it stopped instead
+ * of storing the file or creating the meeting twice.
+ *
+ * @param {Object} session - Claimed UploadSession document
+ * @param {Object} steps
+ * @param {Function} steps.inspect - async () => sniffMedia result; runs until the meeting exists
+ * @param {Function} steps.store - async () => stored object name; runs until `objectName` is recorded
+ * @returns {Promise<Object>} Meeting document
+ */
+async function finishUploadSession(session, { inspect, store }) {
+  if (!session.meetingId) {
+    const media = await inspect();
+
+    if (!session.objectName) {
+      session.objectName = await store();
+      await UploadSession.updateOne({ _id: session._id }, { $set: { objectName: session.objectName } });
+    }
+
+    const meeting = await createUploadedMeetingRecord({
+      userId: session.userId,
+      fileInfo: { filename: session.objectName, path: `${config.MINIO.bucket}/${session.objectName}` },
+      originalName: session.filename,
+      mimetype: session.mimetype,
+      size: session.size,
+      fields: session.fields,
+      media,
+    });
+    session.meetingId = meeting._id;
+    await UploadSession.updateOne({ _id: session._id }, { $set: { meetingId: meeting._id } });
+  }
+
+  const meeting = await Meeting.findById(session.meetingId);
+  if (!meeting) {
+    throw createHttpError(404, 'Meeting of this upload no longer exists');
+  }
+  // A resumed completion may have queued the meeting already
+  if (meeting.status === MEETING_STATUS.PENDING) {
+    await queueUploadedMeeting(meeting);
+  }
+
+  session.status = 'completed';
+  session.completingAt = null;
+  await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'completed', completingAt: null } });
+  return meeting;
+}
+
+/**
+ * Give up a claim after a failed completion. Without recorded progress the
+ * session goes back to `uploading`; otherwise it stays `completing` so the next
+ * attempt resumes from the stored object or meeting.
+ */
+async function releaseUploadSession(session, { progressed }) {
+  await UploadSession.updateOne(
+    { _id: session._id, status: 'completing' },
+    { $set: { status: progressed ? 'completing' : 'uploading', completingAt: null } }
+  );
+}
+
+/**
+ * Create the meeting of a recording imported from a URL and queue its download.
+ * The import worker stores the file and queues the transcription.
+ *
+ * @param {Object} params - { userId, url, fields }
+ * @returns {Promise<Object>} Meeting document
+ */
+async function createUrlImportMeeting({ userId, url, fields = {} }) {
+  const { title, description, tags } = fields;
+  const transcriptionOptions = await resolveTranscriptionOptions(userId, fields);
+  const summaryTemplate = await resolveMeetingTemplate(userId, fields.summaryTemplateId);
+
+  const meeting = await Meeting.create({
+    userId,
+    title: title || `Meeting - ${new Date().toLocaleDateString()}`,
+    description: description || '',
+    platform: PLATFORM.UPLOAD,
+    type: MEETING_TYPE.UPLOAD,
+    status: MEETING_STATUS.PENDING,
+    tags: tags ? (Array.isArray(tags) ? tags : [tags]) : [],
+    importSource: { url: redactUrl(url), status: 'pending' },
+    transcriptionOptions,
+    ...(summaryTemplate ? { summaryTemplate } : {}),
+  });
+
+  await addUrlImportJob(meeting._id.toString(), url);
+
+  logger.info(`Meeting created and queued for URL import: ${meeting._id} (${redactUrl(url)})`);
+  return meeting;
+}
+
+/**
+ * Store a fully received upload in MinIO, create its meeting and queue the transcription.
+ * Shared by the single-request upload and resumable uploads; the caller removes the local file.
+ *
+ * @param {Object} params - { userId, filePath, originalName, mimetype, size, fields }
+ * @returns {Promise<Object>} { meeting, fileInfo }
+ */
+async function createMeetingFromUpload({ userId, filePath, originalName, mimetype, size, fields = {} }) {
+  // Reject files whose content is not audio/video before anything is stored
+  const media = await sniffMedia(filePath);
+
+  // Upload file to MinIO
+  const fileInfo = await storeFile(fs.createReadStream(filePath), originalName, {
+    mimetype: resolveMimeType(originalName, mimetype),
+    size,
+  });
+
+  const meeting = await createUploadedMeeting({ userId, fileInfo, originalName, mimetype, size, fields, media });
+  return { meeting, fileInfo };
+}
+
+/**
+ * Shape an uploaded meeting for API responses
+ */
+function toUploadResponse(meeting, fileInfo) {
+  return {
+    _id: meeting._id,
+    title: meeting.title,
+    status: meeting.status,
+    platform: meeting.platform,
+    createdAt: meeting.createdAt,
+    filename: fileInfo?.originalName || meeting.originalFile.originalName,
+    size: meeting.originalFile.size,
+    uploadedAt: meeting.originalFile.uploadedAt,
+    transcriptionOptions: meeting.transcriptionOptions,
+    summaryTemplate: meeting.summaryTemplate?.templateId ? { templateId: meeting.summaryTemplate.templateId, name: meeting.summaryTemplate.name } : null,
+  };
+}
+
+module.exports = {
+  pickUploadFields,
+  assertUploadAllowed,
+  assertSummaryTemplate,
+  getUploadSession,
+  buildOriginalFile,
+  createUploadedMeeting,
+  claimUploadSession,
+  finishUploadSession,
+  releaseUploadSession,
+  createUrlImportMeeting,
+  createMeetingFromUpload,
+  toUploadResponse,
+};
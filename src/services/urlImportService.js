@@ -0,0 +1,417 @@
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { Queue, Worker } = require('bullmq');
+const config = require('../config/env');
+const { getRedisClient } = require('../config/redis');
+const { QUEUE_NAMES, MAX_RETRIES, RETRY_DELAY, MIME_TYPE_BY_EXTENSION } = require('../utils/constants');
+const { createHttpError } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+let urlImportQueue = null;
+
+// AbortControllers of imports downloading in this process, by meeting ID
+const activeImports = new Map();
+
+// How often download progress is reported
+const PROGRESS_INTERVAL_MS = 1000;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses an imported URL may not resolve to unless its host is allow-listed:
+// private, loopback, link-local, shared (CGNAT), multicast, reserved and documentation ranges.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges by BlockList itself.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], // Unspecified and loopback
+  ['64:ff9b::', 96], ['64:ff9b:1::', 48], // NAT64, embeds IPv4
+  ['2001:db8::', 32], ['2002::', 16], // Documentation, 6to4 (embeds IPv4)
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// CIDR entries of URL_IMPORT.ALLOWED_HOSTS
+const allowedAddresses = new net.BlockList();
+for (const entry of config.URL_IMPORT.ALLOWED_HOSTS) {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+  if (!family || prefix === undefined) continue;
+  allowedAddresses.addSubnet(address, parseInt(prefix, 10), family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a host may resolve to internal addresses: listed by name, by a
+ * `*.suffix` wildcard, or by a CIDR containing the address
+ */
+function isAllowListed(hostname, address) {
+  const host = hostname.replace(/\.$/, '').toLowerCase();
+  const listedByName = config.URL_IMPORT.ALLOWED_HOSTS.some(entry =>
+    entry === host || (entry.startsWith('*.') && host.endsWith(entry.slice(1))));
+  if (listedByName) return true;
+  return allowedAddresses.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+function assertAddressAllowed(hostname, address) {
+  const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  if (blockedAddresses.check(address, family) && !isAllowListed(hostname, address)) {
+    throw createHttpError(400, `URL host ${hostname} resolves to a private or reserved address`);
+  }
+}
+
+/**
+ * URL without credentials, query or fragment (signed URLs carry their tokens
+ * there), for logs and for what is stored on the meeting and returned by the API
+ */
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    url.username = '';
+    url.password = '';
+    url.search = '';
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return '[invalid url]';
+  }
+}
+
+/**
+ * Parse an import URL: http(s) only, and hosts given as an IP address must be public.
+ * Names are checked when they are resolved (see safeLookup).
+ */
+function parseImportUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw createHttpError(400, 'Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createHttpError(400, 'Only http and https URLs can be imported');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) assertAddressAllowed(hostname, hostname);
+  return url;
+}
+
+/**
+ * Check an import URL before it is accepted, including where its host resolves to.
+ * The download checks again on every connection, so a host that changes its DNS
+ * answer afterwards still cannot reach internal addresses.
+ *
+ * @returns {Promise<URL>}
+ */
+async function assertUrlAllowed(value) {
+  const url = parseImportUrl(value);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return url;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw createHttpError(400, `URL host ${hostname} could not be resolved`);
+  }
+  addresses.forEach(({ address }) => assertAddressAllowed(hostname, address));
+  return url;
+}
+
+/**
+ * dns.lookup for the download connections that rejects internal addresses
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    try {
+      addresses.forEach(({ address }) => assertAddressAllowed(hostname, address));
+    } catch (blocked) {
+      return callback(blocked);
+    }
+    callback(null, addresses);
+  });
+}
+
+/**
+ * Name of the downloaded file: Content-Disposition, else the last path segment.
+ * An extension matching the content type is added when the name has none.
+ */
+function resolveFilename(url, headers, mimetype) {
+  const disposition = String(headers['content-disposition'] || '');
+  const encoded = disposition.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+
+  let name = '';
+  try {
+    if (encoded) name = decodeURIComponent(encoded[1].trim());
+    else if (plain) name = plain[1].trim();
+    else name = decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+  } catch (error) {
+    name = '';
+  }
+  name = path.basename(name).slice(0, 200) || 'recording';
+
+  if (!path.extname(name)) {
+    const ext = Object.keys(MIME_TYPE_BY_EXTENSION).find(key => MIME_TYPE_BY_EXTENSION[key] === mimetype);
+    if (ext) name += ext;
+  }
+  return name;
+}
+
+/**
+ * Download an import URL to a local directory. Redirects are followed manually
+ * so every hop is checked like the original URL. The file may not exceed
+ * MAX_FILE_SIZE; web pages are rejected. Errors with a 4xx `statusCode` will
+ * not succeed on retry.
+ *
+ * @param {string} value - URL to download
+ * @param {string} destDir - Directory the file is written to
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops the download and removes the partial file
+ * @param {Function} options.onProgress - (bytesReceived, totalBytes) while downloading
+ * @returns {Promise<Object>} { path, filename, mimetype, size, finalUrl }
+ */
+async function downloadFromUrl(value, destDir, { signal, onProgress } = {}) {
+  const timeoutSignal = AbortSignal.timeout(config.URL_IMPORT.TIMEOUT_MS);
+  const downloadSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+  let url = parseImportUrl(value);
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    response = await axios.get(url.href, {
+      responseType: 'stream',
+      maxRedirects: 0,
+      proxy: false,
+      lookup: safeLookup,
+      signal: downloadSignal,
+      timeout: 60000, // Per socket inactivity
+      validateStatus: () => true,
+      headers: {
+        Accept: 'audio/*, video/*, application/octet-stream;q=0.9, */*;q=0.5',
+        'User-Agent': 'notu-url-import/1.0',
+      },
+    });
+
+    if (!REDIRECT_STATUSES.includes(response.status)) break;
+    response.data.destroy();
+
+    const location = response.headers.location;
+    if (!location) throw createHttpError(400, `URL redirected (HTTP ${response.status}) without a location`);
+    if (redirects >= config.URL_IMPORT.MAX_REDIRECTS) {
+      throw createHttpError(400, `URL redirected more than ${config.URL_IMPORT.MAX_REDIRECTS} times`);
+    }
+    url = parseImportUrl(new URL(location, url).href);
+  }
+
+  const { status, headers, data } = response;
+  if (status >= 400) {
+    data.destroy();
+    // Server errors and rate limiting may pass; anything else will not
+    if (status >= 500 || status === 429) throw new Error(`URL returned HTTP ${status}`);
+    throw createHttpError(400, `URL returned HTTP ${status}`);
+  }
+
+  const mimetype = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (mimetype === 'text/html') {
+    data.destroy();
+    throw createHttpError(415, 'URL points to a web page, not a media file; use a direct link to the recording');
+  }
+
+  const totalBytes = parseInt(headers['content-length'], 10) || null;
+  if (totalBytes && totalBytes > config.MAX_FILE_SIZE) {
+    data.destroy();
+    throw createHttpError(413, `Maximum file size is ${config.MAX_FILE_SIZE / (1024 * 1024)}MB`);
+  }
+
+  const filename = resolveFilename(url, headers, mimetype);
+  const filePath = path.join(destDir, `source${path.extname(filename)}`);
+  await fs.promises.mkdir(destDir, { recursive: true });
+
+  let received = 0;
+  let lastReportAt = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > config.MAX_FILE_SIZE) {
+        return callback(createHttpError(413, `Maximum file size is ${config.MAX_FILE_SIZE / (1024 * 1024)}MB`));
+      }
+      const now = Date.now();
+      if (onProgress && now - lastReportAt >= PROGRESS_INTERVAL_MS) {
+        lastReportAt = now;
+        onProgress(received, totalBytes);
+      }
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(data, counter, fs.createWriteStream(filePath), { signal: downloadSignal });
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    if (timeoutSignal.aborted && !signal?.aborted) {
+      throw createHttpError(408, `Download did not finish within ${Math.round(config.URL_IMPORT.TIMEOUT_MS / 60000)} minutes`);
+    }
+    throw error;
+  }
+
+  if (totalBytes && received < totalBytes) {
+    await fs.promises.rm(filePath, { force: true });
+    throw new Error(`Download ended after ${received} of ${totalBytes} bytes`);
+  }
+  if (received === 0) {
+    await fs.promises.rm(filePath, { force: true });
+    throw createHttpError(400, 'URL returned an empty file');
+  }
+  if (onProgress) onProgress(received, totalBytes || received);
+
+  return { path: filePath, filename, mimetype, size: received, finalUrl: url.href };
+}
+
+/**
+ * Initialize URL import queue
+ */
+function getUrlImportQueue() {
+  if (urlImportQueue) {
+    return urlImportQueue;
+  }
+
+  urlImportQueue = new Queue(QUEUE_NAMES.URL_IMPORT, {
+    connection: getRedisClient(),
+    defaultJobOptions: {
+      attempts: MAX_RETRIES,
+      backoff: {
+        type: 'exponential',
+        delay: RETRY_DELAY,
+      },
+      removeOnComplete: { count: 100, age: 86400 },
+      removeOnFail: { count: 200, age: 172800 },
+    },
+  });
+
+  urlImportQueue.on('error', (error) => {
+    logger.error('URL import queue error:', error);
+  });
+
+  return urlImportQueue;
+}
+
+/**
+ * Queue the download of a meeting's import URL. Finished jobs of an earlier
+ * attempt are replaced so the import can be retried.
+ */
+async function addUrlImportJob(meetingId, url) {
+  const queue = getUrlImportQueue();
+  const jobId = `url-import-${meetingId}`;
+
+  const existing = await queue.getJob(jobId);
+  if (existing) {
+    const state = await existing.getState();
+    if (state !== 'completed' && state !== 'failed') {
+      logger.info(`URL import job already exists: ${jobId}`);
+      return existing;
+    }
+    await existing.remove();
+  }
+
+  // The full URL (with any credentials or tokens) lives only in the job payload
+  const job = await queue.add('import', { meetingId: String(meetingId), url }, { jobId });
+  logger.info(`URL import job added to queue: ${job.id}`);
+  return job;
+}
+
+/**
+ * Create URL import worker
+ */
+function createUrlImportWorker(processor) {
+  const worker = new Worker(QUEUE_NAMES.URL_IMPORT, processor, {
+    connection: getRedisClient(),
+    concurrency: config.URL_IMPORT.CONCURRENCY,
+  });
+
+  worker.on('completed', (job) => {
+    logger.info(`URL import job completed: ${job.id}`);
+  });
+
+  worker.on('failed', (job, error) => {
+    logger.error(`URL import job failed: ${job?.id}`, error);
+  });
+
+  worker.on('error', (error) => {
+    logger.error('URL import worker error:', error);
+  });
+
+  logger.info('URL import worker started');
+  return worker;
+}
+
+function registerActiveImport(meetingId, controller) {
+  activeImports.set(String(meetingId), controller);
+}
+
+function unregisterActiveImport(meetingId) {
+  activeImports.delete(String(meetingId));
+}
+
+/**
+ * Full import URL of a meeting, kept in its import job while that job exists
+ * @returns {Promise<string|null>}
+ */
+async function getUrlImportSource(meetingId) {
+  const job = await getUrlImportQueue().getJob(`url-import-${meetingId}`);
+  return job?.data?.url || null;
+}
+
+/**
+ * State of a meeting's URL import job, or null when there is none
+ */
+async function getUrlImportState(meetingId) {
+  const job = await getUrlImportQueue().getJob(`url-import-${meetingId}`);
+  return job ? job.getState() : null;
+}
+
+/**
+ * Cancel a meeting's URL import. A queued import is removed; a download running
+ * in this process is aborted (one in another process stops when it sees the
+ * meeting cancelled).
+ *
+ * @returns {Promise<Object>} { jobId, state, removed, signalled }
+ */
+async function cancelUrlImport(meetingId) {
+  const jobId = `url-import-${meetingId}`;
+  const job = await getUrlImportQueue().getJob(jobId);
+  const state = job ? await job.getState() : null;
+
+  if (job && ['waiting', 'delayed', 'prioritized'].includes(state)) {
+    await job.remove();
+    logger.info(`Removed queued URL import job ${jobId}`);
+    return { jobId, state, removed: true, signalled: false };
+  }
+
+  const controller = activeImports.get(String(meetingId));
+  if (controller) controller.abort();
+
+  return { jobId, state, removed: false, signalled: state === 'active' || !!controller };
+}
+
+module.exports = {
+  assertUrlAllowed,
+  downloadFromUrl,
+  redactUrl,
+  getUrlImportQueue,
+  addUrlImportJob,
+  createUrlImportWorker,
+  registerActiveImport,
+  unregisterActiveImport,
+  getUrlImportState,
+  getUrlImportSource,
+  cancelUrlImport,
+};
@@ -2,21 +2,27 @@ const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
 const path = require('path');
 const fs = require('fs');
+const config = require('../config/env');
 const logger = require('../utils/logger');
 
 ffmpeg.setFfmpegPath(ffmpegPath);
+if (config.MEDIA.FFPROBE_PATH) {
+    ffmpeg.setFfprobePath(config.MEDIA.FFPROBE_PATH);
+}
 
 /**
  * Extract audio from video file and convert to WAV
  * @param {string} videoPath - Path to video file (.webm)
  * @param {string} outputPath - Path for output audio (.wav)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
  * @returns {Promise<string>} Path to extracted audio file
  */
-async function extractAudioFromVideo(videoPath, outputPath) {
+async function extractAudioFromVideo(videoPath, outputPath, { signal } = {}) {
     return new Promise((resolve, reject) => {
         logger.info(`[VideoService] Extracting audio from: ${videoPath}`);
         
-        ffmpeg(videoPath)
+        const command = ffmpeg(videoPath)
             .noVideo() // Remove video track
             .audioCodec('pcm_s16le') // WAV format (uncompressed PCM 16-bit little-endian)
             .audioChannels(1) // Mono (Whisper prefers mono)
@@ -31,15 +37,20 @@ async function extractAudioFromVideo(videoPath, outputPath) {
                 }
             })
             .on('end', () => {
+                signal?.removeEventListener('abort', onAbort);
                 const size = fs.statSync(outputPath).size;
                 logger.info(`[VideoService] Audio extracted successfully: ${(size / 1024 / 1024).toFixed(2)} MB`);
                 resolve(outputPath);
             })
             .on('error', (err) => {
+                signal?.removeEventListener('abort', onAbort);
                 logger.error(`[VideoService] FFmpeg error: ${err.message}`);
                 reject(err);
-            })
-            .run();
+            });
+
+        const onAbort = () => command.kill('SIGKILL');
+        signal?.addEventListener('abort', onAbort, { once: true });
+        command.run();
     });
 }
 
@@ -62,7 +73,25 @@ async function getVideoDuration(videoPath) {
     });
 }
 
+/**
+ * Read container and stream information with ffprobe
+ * @param {string} input - Local path or URL
+ * @returns {Promise<Object>} ffprobe metadata ({ format, streams })
+ */
+async function probeMedia(input) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(input, (err, metadata) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(metadata);
+            }
+        });
+    });
+}
+
 module.exports = {
     extractAudioFromVideo,
     getVideoDuration,
+    probeMedia,
 };
@@ -5,6 +5,25 @@ const config = require('../config/env');
 const logger = require('../utils/logger');
 const { WHISPERX_DEFAULTS } = require('../utils/constants');
 const EventSource = require('eventsource');
+const { readStreamBody } = require('./llm/utils');
+const {
+  RESPONSE_EXCERPT_LENGTH,
+  toExcerpt,
+  createAbortedError,
+  appendAudio,
+  formHeaders,
+  vocabularyPrompt,
+} = require('./transcription/utils');
+
+/**
+ * Create an error carrying the WhisperX HTTP status and a response excerpt
+ */
+function createWhisperXError(message, { status = null, body = null } = {}) {
+  const error = new Error(message);
+  error.whisperxStatus = status;
+  error.whisperxResponse = toExcerpt(body);
+  return error;
+}
 
 /**
  * Validate WhisperX API response
@@ -96,38 +115,60 @@ async function transcribeAudio(fileStream, filename, meetingId, options = {}) {
     logger.error('WhisperX API error:', error.message);
     if (error.response) {
       logger.error('WhisperX API response:', error.response.data);
-      throw new Error(`WhisperX API error: ${error.response.data.error || error.message}`);
+      throw createWhisperXError(`WhisperX API error: ${error.response.data?.error || error.message}`, {
+        status: error.response.status,
+        body: error.response.data,
+      });
     }
-    throw new Error(`WhisperX API connection error: ${error.message}`);
+    throw createWhisperXError(`WhisperX API connection error: ${error.message}`);
   }
 }
 
 /**
  * Transcribe audio with streaming progress updates via SSE
- * @param {Buffer} fileBuffer - The audio file buffer
+ * @param {Buffer|stream.Readable|string} audio - Audio buffer, readable stream or local file path
  * @param {string} filename - Original filename
  * @param {string} meetingId - Meeting ID for tracking
  * @param {Object} options - Transcription options
+ * @param {number} options.numSpeakers - Expected speakers (0 = auto-detect)
+ * @param {string} options.language - Language code (omit to auto-detect)
+ * @param {string[]} options.vocabulary - Terms sent as Whisper's initial_prompt
+ * @param {boolean} options.enableSummary - Let WhisperX run AI analysis on the result
+ * @param {AbortSignal} options.signal - Aborts the upload and closes the SSE stream
  * @param {Function} onProgress - Progress callback (stage, progress, message, data)
  * @returns {Promise<Object>} Transcription result
  */
-async function transcribeAudioWithProgress(fileBuffer, filename, meetingId, options = {}, onProgress = null) {
+async function transcribeAudioWithProgress(audio, filename, meetingId, options = {}, onProgress = null) {
   const {
     numSpeakers = WHISPERX_DEFAULTS.NUM_SPEAKERS,
     language = null,
+    vocabulary = [],
+    enableSummary = WHISPERX_DEFAULTS.ENABLE_SUMMARY,
+    signal = null,
   } = options;
 
   const startTime = Date.now();
+  let sourceStream = null;
 
   return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortedError());
+      return;
+    }
+
     // Create form data for file upload
     const formData = new FormData();
-    formData.append('file', fileBuffer, { filename });
+    sourceStream = appendAudio(formData, audio, filename);
     formData.append('meeting_id', meetingId);
     formData.append('num_speakers', numSpeakers.toString());
+    formData.append('enable_summary', enableSummary.toString());
     if (language) {
       formData.append('language', language);
     }
+    const initialPrompt = vocabularyPrompt(vocabulary);
+    if (initialPrompt) {
+      formData.append('initial_prompt', initialPrompt);
+    }
 
     logger.info(`Starting streaming transcription for: ${filename}, Meeting ID: ${meetingId}`);
 
@@ -136,16 +177,29 @@ async function transcribeAudioWithProgress(fileBuffer, filename, meetingId, opti
       `${config.WHISPERX_API_URL}/transcribe/stream`,
       formData,
       {
-        headers: formData.getHeaders(),
+        headers: formHeaders(formData),
         responseType: 'stream',
         maxBodyLength: Infinity,
         maxContentLength: Infinity,
         timeout: 1800000, // 30 minutes
+        signal: signal || undefined,
       }
     ).then(response => {
       let result = null;
+      let streamError = null;
       let buffer = '';
 
+      if (signal) {
+        const onAbort = () => {
+          logger.info(`Aborting streaming transcription for meeting ${meetingId}`);
+          response.data.destroy();
+          reject(createAbortedError());
+        };
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        response.data.on('close', () => signal.removeEventListener('abort', onAbort));
+      }
+
       response.data.on('data', (chunk) => {
         buffer += chunk.toString();
         
@@ -175,13 +229,21 @@ async function transcribeAudioWithProgress(fileBuffer, filename, meetingId, opti
                 logger.info('[SSE] Received complete result');
                 // NOTE: Removed duplicate completed emission - Python SSE already sends stage=completed with progress=100
               } else if (data.type === 'error') {
-                throw new Error(data.error);
+                streamError = createWhisperXError(`WhisperX transcription error: ${data.error}`, {
+                  status: response.status,
+                  body: data,
+                });
               }
             } catch (parseError) {
               logger.warn('Failed to parse SSE message:', parseError.message);
             }
           }
         }
+
+        if (streamError) {
+          response.data.destroy();
+          reject(streamError);
+        }
       });
 
       response.data.on('end', () => {
@@ -194,19 +256,44 @@ async function transcribeAudioWithProgress(fileBuffer, filename, meetingId, opti
             processingTime,
           });
         } else {
-          reject(new Error('No result received from streaming transcription'));
+          reject(createWhisperXError('No result received from streaming transcription', {
+            status: response.status,
+            body: buffer || null,
+          }));
         }
       });
 
       response.data.on('error', (error) => {
+        if (signal?.aborted) {
+          reject(createAbortedError());
+          return;
+        }
         logger.error('SSE stream error:', error);
         reject(error);
       });
 
     }).catch(error => {
+      if (signal?.aborted) {
+        reject(createAbortedError());
+        return;
+      }
       logger.error('Streaming transcription request failed:', error.message);
-      reject(error);
+      if (!error.response) {
+        reject(createWhisperXError(`WhisperX API connection error: ${error.message}`));
+        return;
+      }
+      // Error bodies of streamed requests arrive as a stream too
+      const body = typeof error.response.data?.on === 'function'
+        ? readStreamBody(error.response.data, RESPONSE_EXCERPT_LENGTH).catch(() => null)
+        : Promise.resolve(error.response.data);
+      body.then(data => reject(createWhisperXError(`WhisperX API error (HTTP ${error.response.status}): ${error.message}`, {
+        status: error.response.status,
+        body: data,
+      })));
     });
+  }).finally(() => {
+    // Release the file handle if the upload was cut short
+    if (sourceStream && !sourceStream.destroyed) sourceStream.destroy();
   });
 }
 
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+const { MEETING_STATUS } = require('../utils/constants');
+const { getResourcePermission } = require('../utils/permissions');
+const { createHttpError } = require('../utils/helpers');
+const { parseQueryTerms, buildTermRegex } = require('../utils/textSearch');
+const { buildAccessQuery } = require('./searchService');
+const { selectRelevantAcrossMeetings, buildRetrievalQuery } = require('./retrievalService');
+const llm = require('./llm');
+const { formatSeconds, buildQuestionMessages } = require('./askAiService');
+
+// Meetings loaded per question; the retriever narrows them down further
+const MAX_CANDIDATE_MEETINGS = 30;
+// Meetings whose summaries are used when no transcript window matches
+const FALLBACK_MEETINGS = 10;
+// Total transcript segments placed in the prompt across all meetings
+const MAX_CONTEXT_SEGMENTS = 150;
+const MAX_SUMMARY_LENGTH = 600;
+// "2024-05-31" without a time part
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const WORKSPACE_SYSTEM_PROMPT = `Kamu adalah asisten AI yang menjawab pertanyaan berdasarkan notulensi BANYAK rapat sekaligus.
+
+PANDUAN MENJAWAB:
+1. Jawab dengan jelas, ringkas, dan terstruktur menggunakan markdown
+2. Setiap rapat diberi kode seperti [M1], dan setiap baris transkrip diawali penanda seperti [M1#12]
+3. Untuk setiap klaim, cantumkan sumbernya persis dalam format [M1#12]; jika sumbernya ringkasan rapat, gunakan [M1]
+4. Jika rapat-rapat membahas topik yang sama dengan keputusan berbeda, jelaskan urutannya berdasarkan tanggal
+5. Jika informasi tidak ada dalam konteks, katakan dengan jujur
+6. Jawab dalam bahasa Indonesia`;
+
+/**
+ * Resolve the meeting IDs linked to a board: the meeting it was generated from
+ * plus every meeting its tasks came from.
+ */
+async function getBoardMeetingIds(boardId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(boardId)) {
+    throw createHttpError(400, 'Invalid board ID');
+  }
+
+  const board = await Board.findById(boardId).select('userId collaborators meetingId').lean();
+  if (!board) {
+    throw createHttpError(404, 'Board not found');
+  }
+  if (!getResourcePermission(board, userId).canView) {
+    throw createHttpError(403, 'Access denied to this board');
+  }
+
+  const taskMeetingIds = await Task.distinct('meetingId', { boardId: board._id, meetingId: { $ne: null } });
+  return [board.meetingId, ...taskMeetingIds].filter(Boolean);
+}
+
+/**
+ * Build the meeting filter for a user and optional tag / date / board filters
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string[]} params.tags - Match meetings having any of these tags
+ * @param {Date} params.from - Created on or after
+ * @param {Date} params.to - Created on or before (a date without time includes that whole day)
+ * @param {string} params.boardId - Restrict to meetings linked to this board
+ */
+async function buildScopeQuery({ userId, tags, from, to, boardId }) {
+  const match = {
+    ...buildAccessQuery(userId),
+    status: MEETING_STATUS.COMPLETED,
+  };
+
+  if (Array.isArray(tags) && tags.length > 0) {
+    match.tags = { $in: tags };
+  }
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to && DATE_ONLY_PATTERN.test(String(to))) {
+      // A date-only `to` covers that whole day (dates parse as UTC midnight)
+      const nextDay = new Date(to);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      match.createdAt.$lt = nextDay;
+    } else if (to) {
+      match.createdAt.$lte = new Date(to);
+    }
+  }
+  if (boardId) {
+    match._id = { $in: await getBoardMeetingIds(boardId, userId) };
+  }
+
+  return match;
+}
+
+/**
+ * Load candidate meetings for a question. Meetings whose transcript or summary
+ * mention a query term come first; if none do, the most recent meetings are used.
+ */
+async function findCandidateMeetings(scopeQuery, retrievalQuery) {
+  const fields = 'title createdAt tags transcription.segments transcription.summary';
+  const terms = parseQueryTerms(retrievalQuery);
+
+  if (terms.length > 0) {
+    const termRegex = buildTermRegex(terms);
+    const matched = await Meeting.find({
+      ...scopeQuery,
+      $and: [{
+        $or: [
+          { 'transcription.segments.text': termRegex },
+          { 'transcription.summary': termRegex },
+          { title: termRegex },
+        ],
+      }],
+    })
+      .select(fields)
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATE_MEETINGS)
+      .lean();
+
+    if (matched.length > 0) return matched;
+  }
+
+  return Meeting.find(scopeQuery)
+    .select(fields)
+    .sort({ createdAt: -1 })
+    .limit(FALLBACK_MEETINGS)
+    .lean();
+}
+
+function formatMeetingDate(date) {
+  return new Date(date).toLocaleDateString('id-ID', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function truncate(text, maxLength) {
+  if (!text || text.length <= maxLength) return text || '';
+  return `${text.slice(0, maxLength).trim()}…`;
+}
+
+/**
+ * Build the prompt context from the selected meetings.
+ * Meetings are listed chronologically and labelled M1, M2, ... for citations.
+ *
+ * @returns {Object} { context, refs } where refs[i] is the meeting labelled M(i+1)
+ */
+function buildWorkspaceContext(selections) {
+  const ordered = [...selections].sort((a, b) => new Date(a.meeting.createdAt) - new Date(b.meeting.createdAt));
+  const refs = ordered.map(sel => sel.meeting);
+
+  let context = '';
+  ordered.forEach(({ meeting, indexes }, i) => {
+    const label = `M${i + 1}`;
+    context += `# [${label}] ${meeting.title || 'Untitled Meeting'} (${formatMeetingDate(meeting.createdAt)})\n`;
+    if (meeting.tags && meeting.tags.length > 0) {
+      context += `**Topik:** ${meeting.tags.join(', ')}\n`;
+    }
+
+    const summary = meeting.transcription?.summary;
+    if (summary) {
+      context += `## Ringkasan\n${truncate(summary, MAX_SUMMARY_LENGTH)}\n`;
+    }
+
+    const segments = meeting.transcription?.segments || [];
+    if (indexes.length > 0) {
+      context += `## Kutipan Transkrip\n`;
+      let previous = -1;
+      for (const index of indexes) {
+        if (previous !== -1 && index > previous + 1) context += `...\n`;
+        const seg = segments[index];
+        const timestamp = typeof seg.start === 'number' ? ` ${formatSeconds(seg.start)}` : '';
+        context += `[${label}#${index}${timestamp}] **${seg.speaker || 'Speaker'}**: ${seg.text}\n`;
+        previous = index;
+      }
+    }
+    context += '\n';
+  });
+
+  return { context, refs };
+}
+
+/**
+ * Extract sources ([M1#12] segment citations, [M1] meeting citations) from an answer
+ * @returns {Object[]} Unique sources in order of first appearance
+ */
+function parseWorkspaceCitations(answer, refs) {
+  if (!answer) return [];
+
+  const seen = new Set();
+  const sources = [];
+  const markerRe = /\[([^\]]*M\d+[^\]]*)\]/g;
+  let match;
+
+  while ((match = markerRe.exec(answer)) !== null) {
+    for (const ref of match[1].matchAll(/M(\d+)(?:#(\d+))?/g)) {
+      const meeting = refs[parseInt(ref[1], 10) - 1];
+      if (!meeting) continue;
+
+      const segmentIndex = ref[2] !== undefined ? parseInt(ref[2], 10) : null;
+      const seg = segmentIndex !== null ? meeting.transcription?.segments?.[segmentIndex] : null;
+      if (segmentIndex !== null && !seg) continue;
+
+      const key = `${meeting._id}:${segmentIndex}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      sources.push({
+        meetingId: String(meeting._id),
+        meetingTitle: meeting.title,
+        meetingDate: meeting.createdAt,
+        segmentIndex,
+        speaker: seg?.speaker || null,
+        start: seg?.start ?? null,
+        end: seg?.end ?? null,
+        text: seg?.text || null,
+      });
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Answer a question across every meeting the user can access
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Requesting user ID
+ * @param {string} params.question - User question
+ * @param {Object} params.filters - { tags, from, to, boardId }
+ * @param {Object[]} params.chatHistory - Previous conversation messages (oldest first)
+ * @returns {Promise<Object>} { answer, sources, meetingsSearched, meetingsUsed, llm }
+ */
+async function askAcrossMeetings({ userId, question, filters = {}, chatHistory = [] }) {
+  const scopeQuery = await buildScopeQuery({ userId, ...filters });
+  const candidates = await findCandidateMeetings(scopeQuery, buildRetrievalQuery(question, chatHistory));
+
+  if (candidates.length === 0) {
+    return {
+      answer: 'Tidak ada rapat yang sesuai dengan filter yang dipilih.',
+      sources: [],
+      meetingsSearched: 0,
+      meetingsUsed: 0,
+      llm: null,
+    };
+  }
+
+  let selections = await selectRelevantAcrossMeetings(candidates, question, {
+    chatHistory,
+    maxSegments: MAX_CONTEXT_SEGMENTS,
+  });
+
+  // No transcript window matched: answer from the summaries of the most recent meetings
+  if (selections.length === 0) {
+    selections = candidates.slice(0, FALLBACK_MEETINGS).map(meeting => ({ meeting, indexes: [] }));
+  }
+
+  const { context, refs } = buildWorkspaceContext(selections);
+  const messages = buildQuestionMessages(context, chatHistory, question, {
+    systemPrompt: WORKSPACE_SYSTEM_PROMPT,
+    contextIntro: `Berikut adalah kutipan dari ${refs.length} rapat yang relevan:`,
+  });
+
+  const result = await llm.chat(messages);
+
+  return {
+    answer: result.content,
+    sources: parseWorkspaceCitations(result.content, refs),
+    meetingsSearched: candidates.length,
+    meetingsUsed: refs.length,
+    llm: result,
+  };
+}
+
+module.exports = {
+  buildScopeQuery,
+  buildWorkspaceContext,
+  parseWorkspaceCitations,
+  askAcrossMeetings,
+};
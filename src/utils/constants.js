@@ -6,9 +6,42 @@ module.exports = {
     'audio/wav',         // .wav
     'video/mp4',         // .mp4
     'audio/x-m4a',       // .m4a alternative
+    'audio/x-wav',       // .wav alternative
+    'audio/wave',        // .wav alternative
+    'audio/webm',        // .webm
+    'video/webm',        // .webm
+    'audio/ogg',         // .ogg, .opus
+    'audio/opus',        // .opus
+    'audio/flac',        // .flac
+    'audio/x-flac',      // .flac alternative
+    'video/quicktime',   // .mov
+    'video/x-matroska',  // .mkv
+    'audio/x-matroska',  // .mka
   ],
 
-  ALLOWED_EXTENSIONS: ['.mp3', '.mp4', '.wav', '.m4a'],
+  ALLOWED_EXTENSIONS: ['.mp3', '.mp4', '.wav', '.m4a', '.webm', '.ogg', '.opus', '.flac', '.mov', '.mkv', '.mka'],
+
+  // Sent by browsers for types they do not know (e.g. .mkv); accepted when the
+  // extension is allowed, the content is checked with ffprobe instead
+  GENERIC_MIME_TYPES: ['application/octet-stream', 'binary/octet-stream'],
+
+  // Stored for uploads that arrived with a generic mimetype
+  MIME_TYPE_BY_EXTENSION: {
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/mp4',
+    '.webm': 'video/webm',
+    '.ogg': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.flac': 'audio/flac',
+    '.mov': 'video/quicktime',
+    '.mkv': 'video/x-matroska',
+    '.mka': 'audio/x-matroska',
+  },
+
+  // Container formats reported by ffprobe (format_name) that uploads may have
+  ALLOWED_CONTAINER_FORMATS: ['mp3', 'mov', 'mp4', 'm4a', 'wav', 'matroska', 'webm', 'ogg', 'flac'],
 
   // Meeting status
   MEETING_STATUS: {
@@ -19,13 +52,16 @@ module.exports = {
     PROCESSING: 'processing',
     COMPLETED: 'completed',
     FAILED: 'failed',
+    CANCELLED: 'cancelled',      // Stopped by the user before completion
   },
 
   // Progress weights for stage-based progress (UPLOAD workflow)
   // Ranges are NON-OVERLAPPING: each stage ends just before next starts
   PROGRESS_WEIGHTS: {
+    importing: { start: 0, end: 9 }, // URL imports only; done before the transcription job starts
     starting: { start: 0, end: 9 },
-    downloading: { start: 10, end: 19 },
+    downloading: { start: 10, end: 14 },
+    normalizing: { start: 15, end: 19 },
     transcribing: { start: 20, end: 69 },
     diarization: { start: 70, end: 79 },
     ai_analysis: { start: 80, end: 89 },
@@ -41,6 +77,22 @@ module.exports = {
     completed: { start: 100, end: 100 },
   },
 
+  // Progress weights for AI analysis jobs (analysis only, on an existing transcript)
+  ANALYSIS_PROGRESS_WEIGHTS: {
+    queued: { start: 0, end: 4 },
+    ai_analysis: { start: 5, end: 89 },
+    saving: { start: 90, end: 99 },
+    completed: { start: 100, end: 100 },
+  },
+
+  // What queued an AI analysis job
+  ANALYSIS_TRIGGER: {
+    TRANSCRIPTION: 'transcription',
+    EDIT: 'edit',
+    IMPORT: 'import',
+    MANUAL: 'manual',
+  },
+
   // Meeting types
   MEETING_TYPE: {
     UPLOAD: 'upload',
@@ -61,6 +113,9 @@ module.exports = {
   // Job queue names
   QUEUE_NAMES: {
     TRANSCRIPTION: 'transcription-queue',
+    TRANSCRIPTION_DLQ: 'transcription-dlq',
+    URL_IMPORT: 'url-import-queue',
+    ANALYSIS: 'analysis-queue',
   },
 
   // Job priorities
@@ -70,6 +125,13 @@ module.exports = {
     LOW: 10,
   },
 
+  // Base transcription priority per subscription plan
+  PLAN_JOB_PRIORITY: {
+    enterprise: 1, // JOB_PRIORITY.HIGH
+    pro: 5, // JOB_PRIORITY.NORMAL
+    free: 10, // JOB_PRIORITY.LOW
+  },
+
   // Retry settings
   MAX_RETRIES: 3,
   RETRY_DELAY: 5000, // 5 seconds
@@ -80,6 +142,29 @@ module.exports = {
     DIARIZATION_METHOD: 'multi',
     ENABLE_SUMMARY: true,
   },
+
+  // Limits for per-meeting transcription options (upload / retry)
+  TRANSCRIPTION_OPTION_LIMITS: {
+    MAX_SPEAKERS: 20,
+    MAX_VOCABULARY_TERMS: 100,
+    MAX_TERM_LENGTH: 100,
+  },
+
+  // Transcript files that can be imported as meetings (POST /api/upload/transcript)
+  TRANSCRIPT_IMPORT_FORMATS: ['srt', 'vtt', 'json'],
+  TRANSCRIPT_IMPORT_LIMITS: {
+    MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+    MAX_SEGMENTS: 50000,
+  },
+
+  // User-defined summary templates (sections become the meeting's highlights)
+  SUMMARY_TEMPLATE_LIMITS: {
+    MAX_TEMPLATES: 50,      // Per user
+    MAX_SECTIONS: 12,
+    MAX_KEY_LENGTH: 80,     // Section heading, used as highlights key
+    MAX_INSTRUCTION_LENGTH: 500,
+  },
+
   // Collaborator roles
   COLLABORATOR_ROLES: {
     OWNER: 'owner',
@@ -104,6 +189,13 @@ module.exports = {
     URGENT: 'urgent',
   },
 
+  // AI action item candidate review state
+  ACTION_ITEM_STATE: {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+  },
+
   // Pagination defaults
   PAGINATION: {
     DEFAULT_PAGE: 1,
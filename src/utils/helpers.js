@@ -1,5 +1,11 @@
 const path = require('path');
-const { ALLOWED_EXTENSIONS } = require('./constants');
+const {
+  ALLOWED_EXTENSIONS,
+  ALLOWED_MIME_TYPES,
+  GENERIC_MIME_TYPES,
+  MIME_TYPE_BY_EXTENSION,
+  TRANSCRIPTION_OPTION_LIMITS,
+} = require('./constants');
 
 /**
  * Generate unique filename with timestamp and random string
@@ -19,6 +25,23 @@ function isValidFileExtension(filename) {
   return ALLOWED_EXTENSIONS.includes(ext);
 }
 
+/**
+ * Whether an upload's name and declared type are acceptable. A generic
+ * mimetype passes when the extension is allowed (content is sniffed later).
+ */
+function isAllowedMediaType(filename, mimetype) {
+  if (!isValidFileExtension(filename)) return false;
+  return ALLOWED_MIME_TYPES.includes(mimetype) || GENERIC_MIME_TYPES.includes(mimetype);
+}
+
+/**
+ * Mimetype to store for an upload: the declared one unless it is generic
+ */
+function resolveMimeType(filename, mimetype) {
+  if (mimetype && !GENERIC_MIME_TYPES.includes(mimetype)) return mimetype;
+  return MIME_TYPE_BY_EXTENSION[path.extname(filename).toLowerCase()] || mimetype;
+}
+
 /**
  * Format duration from seconds to human-readable string
  */
@@ -78,12 +101,62 @@ function getErrorMessage(error) {
   return 'Unknown error occurred';
 }
 
+/**
+ * Create an Error carrying an HTTP status code (picked up by errorHandler)
+ */
+function createHttpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normalize a custom vocabulary given as an array or as a comma/newline
+ * separated string (multipart forms send a single field). Empty and duplicate
+ * terms are dropped.
+ */
+function parseVocabulary(value) {
+  if (value === undefined || value === null) return [];
+  const terms = (Array.isArray(value) ? value : String(value).split(/[\n,;]/))
+    .map(term => String(term).trim().slice(0, TRANSCRIPTION_OPTION_LIMITS.MAX_TERM_LENGTH))
+    .filter(Boolean);
+  return [...new Set(terms)].slice(0, TRANSCRIPTION_OPTION_LIMITS.MAX_VOCABULARY_TERMS);
+}
+
+/**
+ * Build the transcription options of a meeting from request fields.
+ * Fields that are not given keep their value from `defaults`; a language of
+ * "auto" is stored as null (let the engine detect it).
+ *
+ * @param {Object} body - Request body (validated)
+ * @param {Object} defaults - { language, numSpeakers, vocabulary, enableSummary }
+ * @returns {Object} { language, numSpeakers, vocabulary, enableSummary }
+ */
+function buildTranscriptionOptions(body = {}, defaults = {}) {
+  const pick = (key) => (body[key] !== undefined && body[key] !== '' ? body[key] : defaults[key]);
+  const language = pick('language');
+  const numSpeakers = Number(pick('numSpeakers'));
+  const enableSummary = pick('enableSummary');
+
+  return {
+    language: language && language !== 'auto' ? String(language).toLowerCase() : null,
+    numSpeakers: Number.isInteger(numSpeakers) && numSpeakers > 0 ? numSpeakers : 0,
+    vocabulary: parseVocabulary(pick('vocabulary')),
+    enableSummary: enableSummary === undefined ? true : enableSummary === true || enableSummary === 'true',
+  };
+}
+
 module.exports = {
   generateUniqueFilename,
   isValidFileExtension,
+  isAllowedMediaType,
+  resolveMimeType,
   formatDuration,
   formatFileSize,
   sanitizeFilename,
   calculateDuration,
   getErrorMessage,
+  createHttpError,
+  parseVocabulary,
+  buildTranscriptionOptions,
 };
@@ -72,7 +72,9 @@ function getStageInfo(stage) {
   const stageLabels = {
     uploading: { label: 'Mengunggah', icon: '📤' },
     queued: { label: 'Dalam Antrian', icon: '⏳' },
+    importing: { label: 'Mengimpor dari URL', icon: '🔗' },
     downloading: { label: 'Mengunduh', icon: '📥' },
+    normalizing: { label: 'Menyiapkan Audio', icon: '🎚️' },
     transcribing: { label: 'Transkripsi', icon: '🎙️' },
     diarization: { label: 'Identifikasi Pembicara', icon: '👥' },
     ai_analysis: { label: 'Analisis AI', icon: '🤖' },
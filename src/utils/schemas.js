@@ -42,7 +42,18 @@ const labelSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Transcript segment schema - used in Meeting transcription and transcript revisions
+ */
+const segmentSchema = new mongoose.Schema({
+  start: { type: Number, required: true },
+  end: { type: Number, required: true },
+  text: { type: String, required: true },
+  speaker: { type: String, required: true },
+}, { _id: false });
+
 module.exports = {
   collaboratorSchema,
   labelSchema,
+  segmentSchema,
 };
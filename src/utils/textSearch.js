@@ -0,0 +1,230 @@
+/**
+ * Text Search Helpers
+ * Tokenization, term matching and snippet highlighting shared by
+ * transcript search and Ask-AI retrieval.
+ */
+
+// Very common Indonesian/English words that add noise to ranking
+const STOPWORDS = new Set([
+  'dan', 'yang', 'di', 'ke', 'dari', 'ini', 'itu', 'untuk', 'dengan', 'pada',
+  'adalah', 'akan', 'ada', 'juga', 'atau', 'tidak', 'sudah', 'kita', 'kami',
+  'saya', 'kamu', 'anda', 'dia', 'ya', 'jadi', 'kalau', 'karena', 'dalam',
+  'the', 'and', 'of', 'to', 'a', 'an', 'in', 'is', 'it', 'that', 'for', 'on',
+  'we', 'you', 'i', 'be', 'are', 'was', 'so', 'this', 'with', 'at', 'as',
+]);
+
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Lowercase and strip diacritics so "Rapat" and "rápat" compare equal
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  if (!text || typeof text !== 'string') return '';
+  return text.normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into normalized word tokens
+ * @param {string} text
+ * @param {Object} options
+ * @param {boolean} options.keepStopwords - Keep stopwords (default: false)
+ * @returns {string[]}
+ */
+function tokenize(text, { keepStopwords = false } = {}) {
+  const tokens = normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (keepStopwords) return tokens;
+  return tokens.filter(t => t.length >= MIN_TERM_LENGTH && !STOPWORDS.has(t));
+}
+
+/**
+ * Parse a user query into unique search terms
+ * @param {string} query
+ * @returns {string[]}
+ */
+function parseQueryTerms(query) {
+  return [...new Set(tokenize(query))];
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Latin letters with diacritics, grouped by the base letter they normalize to
+let accentedVariants = null;
+
+function getAccentedVariants() {
+  if (accentedVariants) return accentedVariants;
+  accentedVariants = {};
+  const ranges = [[0x00c0, 0x024f], [0x1e00, 0x1eff]];
+  for (const [from, to] of ranges) {
+    for (let code = from; code <= to; code++) {
+      const char = String.fromCharCode(code);
+      const base = normalizeText(char);
+      if (/^[a-z]$/.test(base)) accentedVariants[base] = (accentedVariants[base] || '') + char;
+    }
+  }
+  return accentedVariants;
+}
+
+// Combining diacritical marks (decomposed text). Literal characters rather than
+// \u escapes, since MongoDB's regex engine does not understand the latter.
+const COMBINING_MARKS = `[${String.fromCharCode(0x0300)}-${String.fromCharCode(0x036f)}]*`;
+
+/**
+ * Case- and diacritic-insensitive RegExp matching any of the normalized terms
+ * in raw text ("cafe" matches "Café"), usable in MongoDB queries to pre-filter
+ * what is then matched on normalized text
+ *
+ * @param {string[]} terms - Normalized query terms (see parseQueryTerms)
+ * @returns {RegExp}
+ */
+function buildTermRegex(terms) {
+  const variants = getAccentedVariants();
+  const patterns = terms.map(term => [...term].map((char) => {
+    if (!variants[char]) return escapeRegExp(char);
+    return `[${char}${variants[char]}]${COMBINING_MARKS}`;
+  }).join(''));
+  return new RegExp(patterns.join('|'), 'i');
+}
+
+/**
+ * Check whether a token matches a term (exact, or prefix for longer terms
+ * so "migrasi" still finds "migrasinya")
+ */
+function tokenMatchesTerm(token, term) {
+  if (token === term) return true;
+  return term.length >= 3 && token.startsWith(term);
+}
+
+/**
+ * Count how often each term occurs in a list of tokens
+ * @param {string[]} tokens
+ * @param {string[]} terms
+ * @returns {Object} Map of term -> count
+ */
+function countTermMatches(tokens, terms) {
+  const counts = {};
+  for (const term of terms) counts[term] = 0;
+  for (const token of tokens) {
+    for (const term of terms) {
+      if (tokenMatchesTerm(token, term)) counts[term] += 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalize text (see normalizeText) keeping, for every normalized character,
+ * the index of the source character it came from
+ * @returns {Object} { normalized, sourceIndex }
+ */
+function normalizeWithIndex(source) {
+  let normalized = '';
+  const sourceIndex = [];
+  let offset = 0;
+  for (const char of source) {
+    const norm = normalizeText(char);
+    normalized += norm;
+    for (let k = 0; k < norm.length; k++) sourceIndex.push(offset);
+    offset += char.length;
+  }
+  return { normalized, sourceIndex };
+}
+
+/**
+ * Build a short HTML-escaped snippet around the first matching term,
+ * with matches wrapped in <mark> tags. Matches are found on the normalized
+ * text (so "kafe" marks "kafé") and each piece is escaped separately.
+ *
+ * @param {string} text - Source text
+ * @param {string[]} terms - Normalized query terms
+ * @param {Object} options
+ * @param {number} options.maxLength - Maximum snippet length in characters (default: 200)
+ * @returns {string}
+ */
+function buildSnippet(text, terms, { maxLength = 200 } = {}) {
+  if (!text) return '';
+  const source = String(text);
+  const { normalized, sourceIndex } = normalizeWithIndex(source);
+  const toSource = (index) => (index < sourceIndex.length ? sourceIndex[index] : source.length);
+
+  // Highlight ranges in source positions
+  const ranges = [];
+  if (terms.length > 0) {
+    const alternation = terms.map(escapeRegExp).join('|');
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternation})[\\p{L}\\p{N}]*`, 'gu');
+    for (const match of normalized.matchAll(re)) {
+      ranges.push([toSource(match.index), toSource(match.index + match[0].length)]);
+    }
+  }
+
+  // Center the snippet on the earliest term occurrence
+  let firstIndex = -1;
+  for (const term of terms) {
+    const idx = normalized.indexOf(term);
+    if (idx !== -1 && (firstIndex === -1 || idx < firstIndex)) firstIndex = idx;
+  }
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > maxLength) {
+    const center = firstIndex === -1 ? 0 : toSource(firstIndex);
+    start = Math.max(0, center - Math.floor(maxLength / 3));
+    end = Math.min(source.length, start + maxLength);
+    // Snap to word boundaries so we don't cut words in half
+    if (start > 0) {
+      const space = source.indexOf(' ', start);
+      if (space !== -1 && space < center) start = space + 1;
+    }
+    if (end < source.length) {
+      const space = source.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const [from, to] of ranges) {
+    const markStart = Math.max(from, cursor);
+    const markEnd = Math.min(to, end);
+    if (markStart >= markEnd) continue;
+    snippet += escapeHtml(source.slice(cursor, markStart));
+    snippet += `<mark>${escapeHtml(source.slice(markStart, markEnd))}</mark>`;
+    cursor = markEnd;
+  }
+  snippet += escapeHtml(source.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`;
+}
+
+module.exports = {
+  STOPWORDS,
+  normalizeText,
+  tokenize,
+  parseQueryTerms,
+  escapeRegExp,
+  buildTermRegex,
+  tokenMatchesTerm,
+  countTermMatches,
+  escapeHtml,
+  buildSnippet,
+};
@@ -0,0 +1,112 @@
+const { UnrecoverableError } = require('bullmq');
+const Meeting = require('../models/Meeting');
+const llm = require('../services/llm');
+const { applyAnalysisResult, createAnalysisWorker } = require('../services/analysisService');
+const { ANALYSIS_PROGRESS_WEIGHTS } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+let emitToMeeting;
+let emitMeetingAiRegenerated;
+try {
+  ({ emitToMeeting, emitMeetingAiRegenerated } = require('../services/socketService'));
+} catch (e) {
+  emitToMeeting = () => {};
+  emitMeetingAiRegenerated = () => {};
+}
+
+/**
+ * Emit AI analysis progress to the meeting room
+ */
+function emitAnalysisProgress(meetingId, stage, message, extra = {}) {
+  try {
+    emitToMeeting(String(meetingId), 'analysis_progress', {
+      meetingId: String(meetingId),
+      progress: ANALYSIS_PROGRESS_WEIGHTS[stage]?.start ?? 0,
+      message,
+      stage, // 'ai_analysis', 'saving', 'completed', 'failed'
+      timestamp: new Date(),
+      ...extra,
+    });
+  } catch (e) {
+    logger.warn('Failed to emit analysis progress:', e.message);
+  }
+}
+
+function pushLog(message, stage = 'ai_analysis') {
+  return { processingLogs: { message, timestamp: new Date(), stage } };
+}
+
+/**
+ * Run AI analysis on a meeting's saved transcript and store the summary,
+ * highlights, conclusion and action item candidates
+ */
+async function processAnalysis(job) {
+  const { meetingId, trigger, userName } = job.data;
+
+  const meeting = await Meeting.findById(meetingId).select('transcription.transcript summaryTemplate').lean();
+  if (!meeting) {
+    logger.warn(`Analysis skipped, meeting ${meetingId} no longer exists`);
+    return { success: false, meetingId };
+  }
+  if (!meeting.transcription?.transcript) {
+    await Meeting.updateOne({ _id: meetingId }, {
+      $set: { 'analysis.status': 'failed', 'analysis.error': 'No transcript to analyze' },
+    });
+    throw new UnrecoverableError('No transcript to analyze');
+  }
+
+  logger.info(`Analyzing meeting ${meetingId} (trigger ${trigger}, attempt ${job.attemptsMade + 1}${meeting.summaryTemplate?.name ? `, template "${meeting.summaryTemplate.name}"` : ''})`);
+  await Meeting.updateOne({ _id: meetingId }, {
+    $set: { 'analysis.status': 'processing', 'analysis.startedAt': new Date(), 'analysis.error': null },
+    $push: pushLog('Menganalisis transkrip dengan AI...'),
+  });
+  emitAnalysisProgress(meetingId, 'ai_analysis', 'Menganalisis transkrip dengan AI...', { trigger });
+
+  try {
+    const template = meeting.summaryTemplate?.sections?.length > 0 ? meeting.summaryTemplate : null;
+    const result = await llm.analyze(meeting.transcription.transcript, { template });
+    emitAnalysisProgress(meetingId, 'saving', 'Menyimpan hasil analisis...');
+
+    // Targeted updates: edits and action item reviews made while the LLM ran are kept
+    const applied = await applyAnalysisResult(meetingId, result);
+    if (!applied) return { success: false, meetingId };
+
+    await Meeting.updateOne({ _id: meetingId }, {
+      $set: { 'analysis.status': 'completed', 'analysis.completedAt': new Date(), 'analysis.error': null },
+      $push: pushLog('Analisis AI selesai.'),
+    });
+
+    emitAnalysisProgress(meetingId, 'completed', 'Analisis AI selesai.');
+    emitMeetingAiRegenerated(String(meetingId), userName || 'System');
+
+    logger.info(`Analysis completed for meeting ${meetingId}`);
+    return { success: true, meetingId, actionItemsAdded: applied.actionItemsAdded };
+  } catch (error) {
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    logger.error(`Analysis failed for meeting ${meetingId} (attempt ${job.attemptsMade + 1}):`, error);
+
+    await Meeting.updateOne({ _id: meetingId }, {
+      $set: { 'analysis.status': finalAttempt ? 'failed' : 'queued', 'analysis.error': error.message },
+      ...(finalAttempt ? { $push: pushLog('Analisis AI gagal; catatan AI dapat dibuat ulang nanti.') } : {}),
+    }).catch(() => {});
+
+    if (finalAttempt) {
+      try {
+        emitToMeeting(String(meetingId), 'analysis_failed', { meetingId: String(meetingId), error: error.message });
+      } catch (e) {}
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start the AI analysis worker
+ */
+function startAnalysisWorker() {
+  return createAnalysisWorker(processAnalysis);
+}
+
+module.exports = {
+  processAnalysis,
+  startAnalysisWorker,
+};
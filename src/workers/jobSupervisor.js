@@ -0,0 +1,210 @@
+const Meeting = require('../models/Meeting');
+const config = require('../config/env');
+const { getRedisClient } = require('../config/redis');
+const {
+  getTranscriptionQueue,
+  addTranscriptionJob,
+  isRunActive,
+} = require('../services/queueService');
+const { moveToDeadLetter } = require('../services/deadLetterService');
+const { MEETING_STATUS, MAX_RETRIES } = require('../utils/constants');
+const logger = require('../utils/logger');
+
+// Only one API/worker instance scans at a time
+const LOCK_KEY = 'transcription:supervisor:lock';
+
+let emitToMeeting;
+try {
+  emitToMeeting = require('../services/socketService').emitToMeeting;
+} catch (e) {
+  emitToMeeting = () => {};
+}
+
+let intervalId = null;
+let scanning = false;
+
+/**
+ * Meetings stuck in `processing` whose worker heartbeat is older than the cutoff.
+ * Only meetings processed by the queue worker (processingMeta.jobId) are considered;
+ * bot and realtime processing do not heartbeat.
+ */
+function findStalledMeetings(cutoff) {
+  return Meeting.find({
+    status: MEETING_STATUS.PROCESSING,
+    'processingMeta.jobId': { $exists: true, $ne: null },
+    $or: [
+      { 'processingMeta.lastHeartbeat': { $lt: cutoff } },
+      { 'processingMeta.lastHeartbeat': null, updatedAt: { $lt: cutoff } },
+    ],
+  }).select('status retryCount originalFile processingMeta transcription.segments');
+}
+
+function pushLog(message, stage) {
+  return { processingLogs: { message, timestamp: new Date(), stage } };
+}
+
+/**
+ * Re-enqueue a meeting whose job was lost, or mark it failed once retries are used up
+ */
+async function recoverLostJob(meeting, reason, job = null) {
+  const meetingId = String(meeting._id);
+  const retryCount = meeting.retryCount || 0;
+
+  if (retryCount < MAX_RETRIES && meeting.originalFile?.filename) {
+    // Enqueue first: a meeting left `queued` without a job would never be picked up again
+    await addTranscriptionJob({ meetingId, jobId: meeting.processingMeta?.jobId });
+    await Meeting.updateOne(
+      { _id: meeting._id, status: MEETING_STATUS.PROCESSING },
+      {
+        $set: { status: MEETING_STATUS.QUEUED, 'processingMeta.queuedAt': new Date() },
+        $inc: { retryCount: 1 },
+        $push: pushLog(`Pemrosesan terhenti (${reason}); dijadwalkan ulang otomatis.`, 'requeued'),
+      }
+    );
+    logger.warn(`[Supervisor] Re-enqueued stalled meeting ${meetingId} (${reason}), retry ${retryCount + 1}/${MAX_RETRIES}`);
+    return 'requeued';
+  }
+
+  const errorMessage = meeting.originalFile?.filename
+    ? `Transcription stalled (${reason}) and the retry limit of ${MAX_RETRIES} was reached`
+    : `Transcription stalled (${reason}) and no stored file is available to retry`;
+
+  await Meeting.updateOne(
+    { _id: meeting._id, status: MEETING_STATUS.PROCESSING },
+    {
+      $set: { status: MEETING_STATUS.FAILED, errorMessage },
+      $push: pushLog(`❌ ${errorMessage}`, 'error'),
+    }
+  );
+  try {
+    emitToMeeting(meetingId, 'transcription_failed', { meetingId, error: errorMessage });
+  } catch (e) {}
+  try {
+    await moveToDeadLetter(job, { meetingId, failedReason: errorMessage, source: 'supervisor' });
+  } catch (error) {
+    logger.error(`[Supervisor] Failed to dead-letter meeting ${meetingId}:`, error);
+  }
+  logger.error(`[Supervisor] Marked stalled meeting ${meetingId} as failed: ${errorMessage}`);
+  return 'failed';
+}
+
+/**
+ * Reconcile one stalled meeting against its BullMQ job
+ * @returns {Promise<string>} Action taken
+ */
+async function reconcileMeeting(meeting) {
+  const meetingId = String(meeting._id);
+
+  // Running in this process: the heartbeat is merely late
+  if (isRunActive(meetingId)) return 'running_locally';
+
+  const jobId = meeting.processingMeta?.jobId || `transcription-${meetingId}`;
+  const job = await getTranscriptionQueue().getJob(jobId);
+  const state = job ? await job.getState() : 'missing';
+  const lastHeartbeat = meeting.processingMeta?.lastHeartbeat;
+  const reason = lastHeartbeat
+    ? `no heartbeat since ${new Date(lastHeartbeat).toISOString()}`
+    : 'no heartbeat';
+
+  switch (state) {
+    case 'active':
+      // Another worker holds the job lock; BullMQ moves it back to waiting if that worker died
+      logger.warn(`[Supervisor] Meeting ${meetingId} is stale but job ${jobId} is still active; leaving it to BullMQ`);
+      return 'active';
+
+    case 'waiting':
+    case 'delayed':
+    case 'prioritized':
+    case 'waiting-children':
+      // BullMQ already put the job back in the queue; reflect that on the meeting
+      await Meeting.updateOne(
+        { _id: meeting._id, status: MEETING_STATUS.PROCESSING },
+        {
+          $set: { status: MEETING_STATUS.QUEUED },
+          $push: pushLog('Pemrosesan terhenti; menunggu giliran di antrean.', 'requeued'),
+        }
+      );
+      return 'queued';
+
+    case 'completed':
+      if (meeting.transcription?.segments?.length > 0) {
+        await Meeting.updateOne(
+          { _id: meeting._id, status: MEETING_STATUS.PROCESSING },
+          { $set: { status: MEETING_STATUS.COMPLETED } }
+        );
+        return 'completed';
+      }
+      return recoverLostJob(meeting, `${reason}, job finished without saving a transcript`, job);
+
+    default:
+      return recoverLostJob(meeting, job?.failedReason ? `${reason}, job failed: ${job.failedReason}` : `${reason}, job ${state}`, job);
+  }
+}
+
+/**
+ * Scan once for stalled meetings and recover them
+ * @returns {Promise<Object[]>} [{ meetingId, action }]
+ */
+async function scanStalledJobs() {
+  if (scanning) return [];
+  scanning = true;
+
+  try {
+    const { INTERVAL_MS, STALE_AFTER_MS } = config.JOB_SUPERVISOR;
+    const acquired = await getRedisClient().set(LOCK_KEY, String(process.pid), 'PX', Math.max(INTERVAL_MS - 1000, 1000), 'NX');
+    if (!acquired) return [];
+
+    const stalled = await findStalledMeetings(new Date(Date.now() - STALE_AFTER_MS));
+    const results = [];
+
+    for (const meeting of stalled) {
+      try {
+        const action = await reconcileMeeting(meeting);
+        results.push({ meetingId: String(meeting._id), action });
+      } catch (error) {
+        logger.error(`[Supervisor] Failed to reconcile meeting ${meeting._id}:`, error);
+        results.push({ meetingId: String(meeting._id), action: 'error', error: error.message });
+      }
+    }
+
+    if (results.length > 0) {
+      logger.info(`[Supervisor] Reconciled ${results.length} stalled meeting(s): ${results.map(r => `${r.meetingId}=${r.action}`).join(', ')}`);
+    }
+    return results;
+  } catch (error) {
+    logger.error('[Supervisor] Scan failed:', error);
+    return [];
+  } finally {
+    scanning = false;
+  }
+}
+
+/**
+ * Start periodic stalled-job scanning
+ */
+function startJobSupervisor() {
+  if (!config.JOB_SUPERVISOR.ENABLED) {
+    logger.info('Job supervisor disabled');
+    return null;
+  }
+  if (intervalId) return intervalId;
+
+  intervalId = setInterval(scanStalledJobs, config.JOB_SUPERVISOR.INTERVAL_MS);
+  intervalId.unref?.();
+  logger.info(`Job supervisor started (interval ${config.JOB_SUPERVISOR.INTERVAL_MS}ms, stale after ${config.JOB_SUPERVISOR.STALE_AFTER_MS}ms)`);
+  return intervalId;
+}
+
+function stopJobSupervisor() {
+  if (intervalId) {
+    clearInterval(intervalId);
+    intervalId = null;
+  }
+}
+
+module.exports = {
+  scanStalledJobs,
+  reconcileMeeting,
+  startJobSupervisor,
+  stopJobSupervisor,
+};
@@ -1,15 +1,36 @@
 const Meeting = require('../models/Meeting');
 const Task = require('../models/Task');
-const { retrieveFile, removeFile, copyToQuarantine } = require('../services/storageService');
-const { transcribeAudio, transcribeAudioWithProgress } = require('../services/whisperxService');
-const { createTranscriptionWorker } = require('../services/queueService');
-const { MEETING_STATUS } = require('../utils/constants');
+const fs = require('fs');
+const path = require('path');
+const { downloadToFile, removeFile, copyToQuarantine } = require('../services/storageService');
+const { getEngine } = require('../services/transcription');
+const {
+  createTranscriptionWorker,
+  getTranscriptionQueue,
+  isCancellationRequested,
+  clearCancellation,
+  registerActiveRun,
+  unregisterActiveRun,
+  JobCancelledError,
+} = require('../services/queueService');
+const { cleanupMeetingTempFiles } = require('../services/audioService');
+const { moveToDeadLetter } = require('../services/deadLetterService');
+const { scheduleQueueBroadcast } = require('../services/queueEtaService');
+const { transcribeInChunks, clearTranscriptionChunks } = require('../services/chunkedTranscriptionService');
+const { normalizeAudio } = require('../services/mediaService');
+const { addAnalysisJob } = require('../services/analysisService');
+const { clearTranscriptRevisions } = require('../services/transcriptRevisionService');
+const { MEETING_STATUS, ANALYSIS_TRIGGER } = require('../utils/constants');
 const { calculateStageProgress, calculateChunkProgress, getStageStartProgress, getStageInfo } = require('../utils/progressUtils');
+const config = require('../config/env');
 const logger = require('../utils/logger');
 const { normalizeDate } = require('../utils/dateUtils');
+const { buildTranscriptionOptions } = require('../utils/helpers');
 
 // Heartbeat interval in milliseconds
 const HEARTBEAT_INTERVAL = 15000; // 15 seconds
+// How often an active run polls for a cancellation requested from another process
+const CANCEL_CHECK_INTERVAL = 5000;
 
 // Import socket service for real-time progress updates
 let emitToMeeting;
@@ -61,15 +82,29 @@ function emitHeartbeat(meetingId, stage, extra = {}) {
 
 /**
  * Start heartbeat interval for a meeting
- * Heartbeat only emits to socket - does NOT save to database to avoid parallel save conflicts
+ * Heartbeat emits to socket on every tick and persists processingMeta.lastHeartbeat
+ * at a throttled rate (atomic $set, so it never conflicts with the worker's saves).
+ * The job supervisor uses the persisted value to detect stalled jobs.
  * @returns {Object} Heartbeat control object
  */
 function startHeartbeat(meetingId, initialStage) {
   let currentStage = initialStage;
+  let lastPersistedAt = 0;
   
+  const persistHeartbeat = () => {
+    const now = Date.now();
+    if (now - lastPersistedAt < config.JOB_SUPERVISOR.HEARTBEAT_PERSIST_MS) return;
+    lastPersistedAt = now;
+    Meeting.updateOne(
+      { _id: meetingId },
+      { $set: { 'processingMeta.lastHeartbeat': new Date(now) } }
+    ).catch(err => logger.warn(`Failed to persist heartbeat for meeting ${meetingId}: ${err.message}`));
+  };
+
   const sendHeartbeat = () => {
     try {
       emitHeartbeat(String(meetingId), currentStage);
+      persistHeartbeat();
     } catch (e) {
       // Silent fail for heartbeat
     }
@@ -88,6 +123,66 @@ function startHeartbeat(meetingId, initialStage) {
   };
 }
 
+/**
+ * Poll the cancellation flag and abort the run when it is set
+ * @returns {Function} Stops polling
+ */
+function watchCancellation(meetingId, controller) {
+  const intervalId = setInterval(async () => {
+    if (controller.signal.aborted) return;
+    if (await isCancellationRequested(meetingId)) {
+      logger.info(`[Meeting ${meetingId}] Cancellation requested, aborting transcription`);
+      controller.abort();
+    }
+  }, CANCEL_CHECK_INTERVAL);
+  return () => clearInterval(intervalId);
+}
+
+/**
+ * Throw if the run was cancelled (checked between processing stages)
+ */
+function throwIfCancelled(signal) {
+  if (signal.aborted) {
+    throw new JobCancelledError();
+  }
+}
+
+/**
+ * Finish a cancelled run: keep the meeting in `cancelled` state and clean up
+ */
+async function handleCancelledRun(meetingId) {
+  logger.info(`Transcription cancelled for meeting: ${meetingId}`);
+
+  try {
+    const meeting = await Meeting.findById(meetingId);
+    if (meeting) {
+      await addProcessingLog(meeting, 'Transkripsi dibatalkan.', null, 'cancelled');
+      if (meeting.status !== MEETING_STATUS.CANCELLED) {
+        await meeting.updateStatus(MEETING_STATUS.CANCELLED);
+      }
+    }
+  } catch (updateError) {
+    logger.error('Error updating cancelled meeting:', updateError);
+  }
+
+  await cleanupMeetingTempFiles(meetingId);
+  await clearCancellation(meetingId);
+  await clearTranscriptionChunks(meetingId).catch(err =>
+    logger.warn(`Could not clear saved chunks of meeting ${meetingId}: ${err.message}`));
+
+  try {
+    if (emitToMeeting) {
+      emitToMeeting(meetingId, 'transcription_cancelled', { meetingId });
+    }
+  } catch (e) {}
+
+  return {
+    success: false,
+    cancelled: true,
+    meetingId,
+  };
+}
+
 /**
  * Helper to add a log message to the meeting
  * Ensures log save and WebSocket emit are properly synchronized
@@ -122,6 +217,13 @@ async function addProcessingLog(meeting, message, progress = null, stage = null,
   }
 }
 
+/**
+ * Local path the worker downloads a meeting's upload to
+ */
+function getSourcePath(meetingId, filename) {
+  return path.join(config.WORK_DIR, 'transcription_source', String(meetingId), `source${path.extname(filename || '')}`);
+}
+
 /**
  * Process transcription job
  */
@@ -132,8 +234,21 @@ async function processTranscription(job) {
   
   // Heartbeat controller - will be started after meeting is loaded
   let heartbeat = null;
+  // Local copy of the upload, removed when the run ends
+  let sourcePath = null;
+
+  // Aborted by POST /api/meetings/:id/cancel
+  const abortController = new AbortController();
+  const { signal } = abortController;
+  registerActiveRun(meetingId, abortController);
+  const stopCancellationWatch = watchCancellation(meetingId, abortController);
   
   try {
+    if (await isCancellationRequested(meetingId)) {
+      abortController.abort();
+    }
+    throwIfCancelled(signal);
+
     // Update job progress
     await job.updateProgress(getStageStartProgress('downloading'));
 
@@ -143,6 +258,14 @@ async function processTranscription(job) {
     if (!meeting) {
       throw new Error(`Meeting not found: ${meetingId}`);
     }
+    if (meeting.status === MEETING_STATUS.CANCELLED) {
+      throw new JobCancelledError();
+    }
+
+    // Per-job engine (job payload) or the deployment default
+    const engine = getEngine(job.data.engine || config.TRANSCRIPTION.ENGINE);
+    // Options from the job payload; jobs queued before they existed fall back to the meeting
+    const options = buildTranscriptionOptions({}, job.data.transcriptionOptions || meeting.transcriptionOptions?.toObject?.() || {});
     
     // Start heartbeat (pass meetingId, not the document to avoid save conflicts)
     heartbeat = startHeartbeat(meetingId, 'starting');
@@ -163,6 +286,7 @@ async function processTranscription(job) {
     // Populate processingMeta and update status to processing
     meeting.processingMeta = meeting.processingMeta || {};
     meeting.processingMeta.jobId = job.id || `transcription-${meetingId}`;
+    meeting.processingMeta.engine = engine.name;
     meeting.processingMeta.queuedAt = meeting.processingMeta.queuedAt || new Date();
     meeting.processingMeta.processingStartedAt = new Date();
     meeting.processingMeta.lastUpdatedAt = new Date();
@@ -177,15 +301,32 @@ async function processTranscription(job) {
     heartbeat.setStage('downloading');
     logger.info(`Retrieving file from storage: ${meeting.originalFile.filename}`);
     await addProcessingLog(meeting, 'Mengunduh file audio dari storage...', downloadProgress, 'downloading');
-    const fileStream = await retrieveFile(meeting.originalFile.filename);
-    
-    // Convert stream to buffer for streaming API
-    const chunks = [];
-    for await (const chunk of fileStream) {
-      chunks.push(chunk);
+    // Spool to a local file so memory use does not grow with the recording length
+    sourcePath = getSourcePath(meetingId, meeting.originalFile.originalName || meeting.originalFile.filename);
+    const fileSize = await downloadToFile(meeting.originalFile.filename, sourcePath, { signal });
+    throwIfCancelled(signal);
+    logger.info(`File downloaded: ${fileSize} bytes`);
+
+    // Transcode to 16kHz mono WAV so every engine gets the same input;
+    // the original stays in storage for playback
+    let audioPath = sourcePath;
+    let audioFilename = meeting.originalFile.originalName || meeting.originalFile.filename;
+    if (config.MEDIA.NORMALIZE_AUDIO) {
+      const normalizeProgress = getStageStartProgress('normalizing');
+      heartbeat.setStage('normalizing');
+      await job.updateProgress(normalizeProgress);
+      await addProcessingLog(meeting, 'Menyiapkan audio untuk transkripsi...', normalizeProgress, 'normalizing');
+      try {
+        audioPath = await normalizeAudio(sourcePath, path.join(path.dirname(sourcePath), 'audio.wav'), { signal });
+        audioFilename = `${path.parse(audioFilename).name}.wav`;
+      } catch (error) {
+        throwIfCancelled(signal);
+        // The engine may still decode what ffmpeg here could not
+        logger.warn(`Could not normalize audio of meeting ${meetingId}, sending the original file: ${error.message}`);
+      }
+      throwIfCancelled(signal);
     }
-    const fileBuffer = Buffer.concat(chunks);
-    logger.info(`File downloaded: ${fileBuffer.length} bytes`);
+    const normalized = audioPath !== sourcePath;
     
     const transcribeProgress = getStageStartProgress('transcribing');
     await job.updateProgress(transcribeProgress);
@@ -242,15 +383,40 @@ async function processTranscription(job) {
       }
     };
     
-    const transcriptionResult = await transcribeAudioWithProgress(
-      fileBuffer,
-      meeting.originalFile.originalName || meeting.originalFile.filename,
+    // Long recordings are split here and resumed from the last saved chunk on retry.
+    // Skipped when normalization failed: chunking needs the same ffmpeg conversion.
+    let transcriptionResult = config.MEDIA.NORMALIZE_AUDIO && !normalized ? null : await transcribeInChunks({
       meetingId,
-      {
-        numSpeakers: 0, // Auto-detect
-      },
-      onTranscriptionProgress
-    );
+      engine,
+      filePath: audioPath,
+      normalized,
+      options,
+      signal,
+      onProgress: onTranscriptionProgress,
+      mapChunkProgress: calculateChunkProgress,
+    });
+    const chunked = !!transcriptionResult;
+    // The engine's bundled analysis has a fixed shape; summary templates need the analysis job
+    const templated = meeting.summaryTemplate?.sections?.length > 0;
+
+    if (!chunked) {
+      transcriptionResult = await engine.transcribe(audioPath, {
+        filename: audioFilename,
+        meetingId,
+        numSpeakers: options.numSpeakers, // 0 = auto-detect
+        language: options.language,
+        vocabulary: options.vocabulary,
+        enableSummary: options.enableSummary && !templated,
+        signal,
+        onProgress: onTranscriptionProgress,
+      });
+    }
+    throwIfCancelled(signal);
+
+    // Stitched chunks (analysed once for the whole recording), engines that only
+    // transcribe and templated meetings get their AI notes from an analysis job
+    // once the transcript is saved
+    const needsAnalysis = options.enableSummary && (chunked || !engine.analyzes || templated);
     
     // Log chunking info if available (Python SSE handles all progress stages now)
     if (transcriptionResult.metadata?.chunking) {
@@ -261,6 +427,7 @@ async function processTranscription(job) {
         totalChunks: chunking.total_chunks || 1,
         chunkingEnabled: chunking.chunking_used,
         currentChunk: chunking.total_chunks || 1,
+        completedChunks: chunking.total_chunks || 1,
       };
     }
     
@@ -398,9 +565,22 @@ async function processTranscription(job) {
       meeting.duration = Math.ceil(responseDuration);
     }
 
-    // Save all transcription data to MongoDB
+    // Save all transcription data to MongoDB (unless cancelled or deleted meanwhile)
+    throwIfCancelled(signal);
+    const current = await Meeting.findById(meetingId).select('status').lean();
+    if (!current || current.status === MEETING_STATUS.CANCELLED) {
+      throw new JobCancelledError();
+    }
     await addProcessingLog(meeting, 'Menyimpan hasil ke database...', 98, 'saving');
     await meeting.save();
+    // Edits recorded on the previous transcript cannot be undone on the new one
+    await clearTranscriptRevisions(meetingId);
+
+    // The stitched transcript is saved; partial chunk results are no longer needed
+    if (transcriptionResult.metadata?.chunking?.resumed_chunks !== undefined) {
+      await clearTranscriptionChunks(meetingId).catch(err =>
+        logger.warn(`Could not clear saved chunks of meeting ${meetingId}: ${err.message}`));
+    }
 
     // Stop heartbeat before final status update
     if (heartbeat) heartbeat.stop();
@@ -421,6 +601,16 @@ async function processTranscription(job) {
       }
     } catch (e) {}
 
+    if (needsAnalysis) {
+      try {
+        await addAnalysisJob(meetingId, { trigger: ANALYSIS_TRIGGER.TRANSCRIPTION, userName: 'System' });
+        await addProcessingLog(meeting, 'Analisis AI dijadwalkan.');
+      } catch (error) {
+        // The transcript is saved; AI notes can be regenerated later
+        logger.warn(`Could not queue analysis for meeting ${meetingId}: ${error.message}`);
+      }
+    }
+
     logger.info(`Transcription completed successfully for meeting: ${meetingId}`);
     
     return {
@@ -433,9 +623,28 @@ async function processTranscription(job) {
   } catch (error) {
     // Stop heartbeat on error
     if (heartbeat) heartbeat.stop();
+
+    if (error.cancelled || signal.aborted) {
+      return handleCancelledRun(meetingId);
+    }
     
     logger.error(`Transcription job failed for meeting ${meetingId}:`, error);
 
+    // Keep WhisperX details on the job so the dead-letter entry can show them
+    try {
+      await job.updateData({
+        ...job.data,
+        lastFailure: {
+          message: error.message,
+          engine: error.engine ?? job.data.engine ?? null,
+          whisperxStatus: error.whisperxStatus ?? error.engineStatus ?? null,
+          whisperxResponse: error.whisperxResponse ?? error.engineResponse ?? null,
+        },
+      });
+    } catch (e) {
+      logger.warn(`Could not record failure details on job ${job.id}: ${e.message}`);
+    }
+
     // Emit failure event
     try {
       if (emitToMeeting) {
@@ -454,6 +663,8 @@ async function processTranscription(job) {
         if (meeting.retryCount >= 3) {
           await addProcessingLog(meeting, 'Gagal memproses setelah beberapa percobaan.');
           await meeting.updateStatus(MEETING_STATUS.FAILED, error.message);
+          await clearTranscriptionChunks(meetingId).catch(err =>
+            logger.warn(`Could not clear saved chunks of meeting ${meetingId}: ${err.message}`));
 
           // Move file to quarantine instead of immediate deletion to preserve for debugging
           if (meeting.originalFile && meeting.originalFile.filename) {
@@ -475,6 +686,12 @@ async function processTranscription(job) {
     }
 
     throw error;
+  } finally {
+    stopCancellationWatch();
+    unregisterActiveRun(meetingId);
+    if (sourcePath) {
+      await fs.promises.rm(path.dirname(sourcePath), { recursive: true, force: true }).catch(() => {});
+    }
   }
 }
 /**
@@ -482,6 +699,22 @@ async function processTranscription(job) {
  */
 function startTranscriptionWorker() {
   const worker = createTranscriptionWorker(processTranscription);
+
+  // Keep queued meetings informed of their position and ETA
+  worker.on('active', scheduleQueueBroadcast);
+  worker.on('completed', scheduleQueueBroadcast);
+  worker.on('failed', scheduleQueueBroadcast);
+  getTranscriptionQueue().on('waiting', scheduleQueueBroadcast);
+
+  // Jobs that used up their attempts go to the dead-letter queue for admin review
+  worker.on('failed', async (job, error) => {
+    if (!job || job.attemptsMade < (job.opts.attempts || 1)) return;
+    try {
+      await moveToDeadLetter(job, { failedReason: error?.message });
+    } catch (dlqError) {
+      logger.error(`Failed to move job ${job.id} to dead-letter queue:`, dlqError);
+    }
+  });
   
   logger.info('Transcription worker started and listening for jobs');
   
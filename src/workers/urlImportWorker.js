@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { UnrecoverableError } = require('bullmq');
+const Meeting = require('../models/Meeting');
+const config = require('../config/env');
+const { storeFile, removeFile } = require('../services/storageService');
+const { sniffMedia } = require('../services/mediaService');
+const { addTranscriptionJob } = require('../services/queueService');
+const { assertUploadAllowed, buildOriginalFile } = require('../services/uploadService');
+const {
+  downloadFromUrl,
+  redactUrl,
+  createUrlImportWorker,
+  registerActiveImport,
+  unregisterActiveImport,
+  getUrlImportState,
+} = require('../services/urlImportService');
+const { cleanupMeetingTempFiles } = require('../services/audioService');
+const { MEETING_STATUS, ALLOWED_MIME_TYPES } = require('../utils/constants');
+const { calculateStageProgress, getStageStartProgress, getStageEndProgress } = require('../utils/progressUtils');
+const { resolveMimeType } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+let emitToMeeting;
+try {
+  emitToMeeting = require('../services/socketService').emitToMeeting;
+} catch (e) {
+  emitToMeeting = () => {};
+}
+
+/**
+ * Local directory a meeting's import is downloaded to
+ */
+function getImportDir(meetingId) {
+  return path.join(config.WORK_DIR, 'url_imports', String(meetingId));
+}
+
+/**
+ * Record an import step in the meeting's processing log and report it on the
+ * transcription progress channel
+ */
+async function logImportStep(meetingId, message, progress, extra = {}) {
+  try {
+    await Meeting.findByIdAndUpdate(meetingId, {
+      $push: { processingLogs: { message, timestamp: new Date(), progress, stage: 'importing' } },
+      $set: { 'processingMeta.lastUpdatedAt': new Date(), 'processingMeta.currentStage': 'importing' },
+    });
+    logger.info(`[Meeting ${meetingId}] LOG: ${message}`);
+    if (progress === null) return;
+    emitToMeeting(String(meetingId), 'transcription_progress', {
+      meetingId: String(meetingId),
+      progress,
+      message,
+      stage: 'importing',
+      timestamp: new Date(),
+      ...extra,
+    });
+  } catch (error) {
+    logger.warn(`Could not record import progress of meeting ${meetingId}: ${error.message}`);
+  }
+}
+
+/**
+ * Error raised once the user cancelled the meeting during its import
+ */
+function cancelledError() {
+  const error = new Error('URL import cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Download a meeting's recording from its import URL, store it like an upload
+ * and queue the transcription
+ */
+async function processUrlImport(job) {
+  const { meetingId, url } = job.data;
+  const meeting = await Meeting.findById(meetingId);
+  if (!meeting || !url) {
+    logger.warn(`URL import skipped, meeting ${meetingId} or its URL no longer exists`);
+    return { success: false, meetingId };
+  }
+  if (meeting.status === MEETING_STATUS.CANCELLED) {
+    return { success: false, cancelled: true, meetingId };
+  }
+
+  // A previous attempt stored the file but did not queue the transcription
+  if (meeting.originalFile?.filename) {
+    await addTranscriptionJob({ meetingId });
+    return { success: true, meetingId };
+  }
+
+  const controller = new AbortController();
+  registerActiveImport(meetingId, controller);
+  const importDir = getImportDir(meetingId);
+  let stored = null;
+
+  try {
+    // Left behind by an attempt whose process crashed
+    await fs.promises.rm(importDir, { recursive: true, force: true });
+
+    logger.info(`Importing meeting ${meetingId} from ${redactUrl(url)}`);
+    await Meeting.updateOne({ _id: meetingId }, {
+      $set: {
+        'importSource.status': 'downloading',
+        'importSource.startedAt': new Date(),
+        'importSource.error': null,
+        'importSource.bytesReceived': 0,
+      },
+    });
+    await logImportStep(meetingId, 'Mengunduh rekaman dari URL...', getStageStartProgress('importing'));
+
+    // Progress updates also notice a cancellation made from another process
+    const download = await downloadFromUrl(url, importDir, {
+      signal: controller.signal,
+      onProgress: (bytesReceived, totalBytes) => {
+        Meeting.updateOne(
+          { _id: meetingId, status: { $ne: MEETING_STATUS.CANCELLED } },
+          { $set: { 'importSource.bytesReceived': bytesReceived, 'importSource.totalBytes': totalBytes } }
+        ).then(({ matchedCount }) => {
+          if (matchedCount === 0) controller.abort();
+        }).catch(() => {});
+
+        // Ranges within the stage: 0–90% download, then checking and storing
+        const progress = totalBytes
+          ? calculateStageProgress('importing', 0.9 * Math.min(bytesReceived / totalBytes, 1))
+          : getStageStartProgress('importing');
+        emitToMeeting(String(meetingId), 'transcription_progress', {
+          meetingId: String(meetingId),
+          progress,
+          message: 'Mengunduh rekaman dari URL...',
+          stage: 'importing',
+          timestamp: new Date(),
+          bytesReceived,
+          totalBytes,
+        });
+      },
+    });
+    if (controller.signal.aborted) throw cancelledError();
+
+    await logImportStep(meetingId, 'Memeriksa file rekaman...', calculateStageProgress('importing', 0.9));
+    const media = await sniffMedia(download.path);
+    // Without ffprobe only the name and declared type can be checked
+    const mimetype = ALLOWED_MIME_TYPES.includes(download.mimetype)
+      ? download.mimetype
+      : resolveMimeType(download.filename, 'application/octet-stream');
+    if (!media) {
+      assertUploadAllowed({ filename: download.filename, mimetype, size: download.size });
+    }
+
+    stored = await storeFile(fs.createReadStream(download.path), download.filename, {
+      mimetype,
+      size: download.size,
+    });
+
+    const originalFile = buildOriginalFile({
+      fileInfo: stored,
+      originalName: download.filename,
+      mimetype,
+      size: download.size,
+      media,
+    });
+    const result = await Meeting.updateOne(
+      { _id: meetingId, status: { $ne: MEETING_STATUS.CANCELLED } },
+      {
+        $set: {
+          originalFile,
+          ...(media?.duration ? { duration: Math.ceil(media.duration) } : {}),
+          'importSource.status': 'completed',
+          'importSource.finalUrl': redactUrl(download.finalUrl),
+          'importSource.bytesReceived': download.size,
+          'importSource.completedAt': new Date(),
+        },
+      }
+    );
+    if (result.matchedCount === 0) throw cancelledError();
+    stored = null; // Owned by the meeting from here on
+
+    await logImportStep(meetingId, 'Rekaman berhasil diimpor.', getStageEndProgress('importing'));
+    await addTranscriptionJob({ meetingId });
+
+    logger.info(`Meeting ${meetingId} imported from URL (${download.size} bytes) and queued for transcription`);
+    return { success: true, meetingId, size: download.size };
+  } catch (error) {
+    // Stored but not attached to the meeting: a retry stores it again
+    if (stored) {
+      await removeFile(stored.filename).catch(() => {});
+    }
+
+    if (error.cancelled || controller.signal.aborted) {
+      logger.info(`URL import cancelled for meeting: ${meetingId}`);
+      return { success: false, cancelled: true, meetingId };
+    }
+
+    // 4xx errors (bad URL, blocked host, too large, not media) will not pass on retry
+    const permanent = error.statusCode >= 400 && error.statusCode < 500;
+    const finalAttempt = permanent || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    logger.error(`URL import failed for meeting ${meetingId} (attempt ${job.attemptsMade + 1}):`, error);
+
+    await Meeting.updateOne({ _id: meetingId }, {
+      $set: { 'importSource.status': finalAttempt ? 'failed' : 'pending', 'importSource.error': error.message },
+    }).catch(() => {});
+
+    if (finalAttempt) {
+      await logImportStep(meetingId, `❌ Gagal mengimpor rekaman: ${error.message}`, null);
+      await Meeting.updateOne(
+        { _id: meetingId, status: { $ne: MEETING_STATUS.CANCELLED } },
+        { $set: { status: MEETING_STATUS.FAILED, errorMessage: error.message } }
+      ).catch(() => {});
+      emitToMeeting(String(meetingId), 'transcription_failed', { meetingId: String(meetingId), error: error.message });
+    } else {
+      await logImportStep(meetingId, 'Gagal mengunduh rekaman, mencoba lagi...', null);
+    }
+
+    throw permanent ? new UnrecoverableError(error.message) : error;
+  } finally {
+    unregisterActiveImport(meetingId);
+    await fs.promises.rm(importDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Remove the download and other temp files of imports whose worker crashed.
+ * Imports still running (in any process) are left alone.
+ * @returns {Promise<number>} Meetings cleaned up
+ */
+async function cleanupStaleImports() {
+  const root = path.join(config.WORK_DIR, 'url_imports');
+  const meetingIds = await fs.promises.readdir(root).catch(() => []);
+  let removed = 0;
+  for (const meetingId of meetingIds) {
+    try {
+      if (await getUrlImportState(meetingId) === 'active') continue;
+      await cleanupMeetingTempFiles(meetingId);
+      removed++;
+    } catch (error) {
+      logger.warn(`Could not clean up stale import of meeting ${meetingId}: ${error.message}`);
+    }
+  }
+  if (removed > 0) logger.info(`Removed temp files of ${removed} interrupted URL import(s)`);
+  return removed;
+}
+
+/**
+ * Start the URL import worker
+ */
+function startUrlImportWorker() {
+  cleanupStaleImports().catch(error => logger.warn(`URL import temp cleanup failed: ${error.message}`));
+  return createUrlImportWorker(processUrlImport);
+}
+
+module.exports = {
+  processUrlImport,
+  cleanupStaleImports,
+  startUrlImportWorker,
+};
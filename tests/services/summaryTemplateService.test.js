@@ -0,0 +1,40 @@
+const { renderTemplateHighlights } = require('../../src/services/summaryTemplateService');
+
+describe('renderTemplateHighlights', () => {
+  const sections = [{ key: 'Keputusan' }, { key: 'Risiko' }, { key: 'Langkah Berikutnya' }];
+
+  it('keeps exactly the template keys, in template order', () => {
+    const rendered = renderTemplateHighlights({
+      'Langkah Berikutnya': 'Demo minggu depan',
+      Keputusan: 'Rilis ditunda',
+      Tambahan: 'Tidak diminta',
+    }, sections);
+
+    expect(Object.keys(rendered)).toEqual(['Keputusan', 'Risiko', 'Langkah Berikutnya']);
+    expect(rendered.Keputusan).toBe('Rilis ditunda');
+    expect(rendered).not.toHaveProperty('Tambahan');
+  });
+
+  it('matches returned keys case-insensitively', () => {
+    const rendered = renderTemplateHighlights({ ' keputusan ': 'Setuju', RISIKO: 'Jadwal mepet' }, sections);
+
+    expect(rendered.Keputusan).toBe('Setuju');
+    expect(rendered.Risiko).toBe('Jadwal mepet');
+  });
+
+  it('renders lists as bullet lines without doubling bullets', () => {
+    const rendered = renderTemplateHighlights({ Risiko: ['- Server lambat', '* Anggaran', 'Cuti tim'] }, sections);
+
+    expect(rendered.Risiko).toBe('- Server lambat\n- Anggaran\n- Cuti tim');
+  });
+
+  it('fills missing and empty sections with a dash', () => {
+    const rendered = renderTemplateHighlights({ Keputusan: '', Risiko: [] }, sections);
+
+    expect(rendered).toEqual({ Keputusan: '-', Risiko: '-', 'Langkah Berikutnya': '-' });
+  });
+
+  it('accepts missing highlights', () => {
+    expect(renderTemplateHighlights(null, [{ key: 'Ringkasan' }])).toEqual({ Ringkasan: '-' });
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/analysisService', () => ({ addAnalysisJob: jest.fn() }));
+
+const { parseTranscript } = require('../../src/services/transcriptImportService');
+
+describe('parseTranscript', () => {
+  describe('SRT', () => {
+    const srt = [
+      '1',
+      '00:00:01,000 --> 00:00:04,500',
+      'Budi: Selamat pagi semua.',
+      '',
+      '2',
+      '00:00:05,000 --> 00:00:07,250',
+      'Kita mulai',
+      'rapatnya.',
+      '',
+    ].join('\r\n');
+
+    it('parses cues, speaker prefixes and multi-line text', () => {
+      const result = parseTranscript(srt, { filename: 'rapat.srt' });
+
+      expect(result.format).toBe('srt');
+      expect(result.segments).toEqual([
+        { start: 1, end: 4.5, text: 'Selamat pagi semua.', speaker: 'Budi' },
+        { start: 5, end: 7.25, text: 'Kita mulai rapatnya.', speaker: 'SPEAKER_00' },
+      ]);
+    });
+
+    it('detects SRT from the content', () => {
+      expect(parseTranscript(srt).format).toBe('srt');
+    });
+  });
+
+  describe('WebVTT', () => {
+    const vtt = [
+      'WEBVTT',
+      '',
+      'NOTE exported by notu',
+      '',
+      '00:02.000 --> 00:03.500',
+      '<v Ani>Setuju &amp; lanjut</v>',
+      '',
+      '00:00.500 --> 00:01.000',
+      '<v.loud Budi Santoso>Halo</v>',
+      '',
+    ].join('\n');
+
+    it('parses voice tags, entities and short timestamps sorted by start', () => {
+      const result = parseTranscript(vtt);
+
+      expect(result.format).toBe('vtt');
+      expect(result.segments).toEqual([
+        { start: 0.5, end: 1, text: 'Halo', speaker: 'Budi Santoso' },
+        { start: 2, end: 3.5, text: 'Setuju & lanjut', speaker: 'Ani' },
+      ]);
+    });
+
+    it('accepts hour timestamps', () => {
+      const result = parseTranscript('WEBVTT\n\n01:00:00.000 --> 01:00:02.000\nSelesai\n');
+      expect(result.segments[0]).toMatchObject({ start: 3600, end: 3602 });
+    });
+  });
+
+  describe('JSON', () => {
+    it('parses the JSON export with its analysis', () => {
+      const content = JSON.stringify({
+        meeting: { title: 'Sprint review' },
+        transcription: {
+          language: 'id',
+          summary: 'Ringkasan',
+          segments: [{ start: 0, end: 2, text: ' Halo ', speaker: 'SPEAKER_01' }],
+        },
+        actionItems: [{ title: 'Kirim notulen' }],
+      });
+
+      const result = parseTranscript(content, { filename: 'rapat.json' });
+
+      expect(result.format).toBe('json');
+      expect(result.language).toBe('id');
+      expect(result.summary).toBe('Ringkasan');
+      expect(result.meeting).toEqual({ title: 'Sprint review' });
+      expect(result.actionItems).toEqual([{ title: 'Kirim notulen' }]);
+      expect(result.segments).toEqual([{ start: 0, end: 2, text: 'Halo', speaker: 'SPEAKER_01' }]);
+    });
+
+    it('parses a bare segment array', () => {
+      const result = parseTranscript('[{"start":1,"end":2,"text":"Oke"}]');
+      expect(result.segments).toEqual([{ start: 1, end: 2, text: 'Oke', speaker: 'SPEAKER_00' }]);
+    });
+
+    it('rejects invalid JSON', () => {
+      expect(() => parseTranscript('{oops', { format: 'json' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('rejects JSON without segments', () => {
+      expect(() => parseTranscript('{"transcription":{}}')).toThrow('JSON transcript has no segments');
+    });
+  });
+
+  it('rejects a file without segments', () => {
+    expect(() => parseTranscript('WEBVTT\n\n', { format: 'vtt' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('rejects segments that end before they start', () => {
+    const content = JSON.stringify([{ start: 5, end: 2, text: 'Mundur' }]);
+    expect(() => parseTranscript(content)).toThrow(/Invalid segment timing/);
+  });
+});
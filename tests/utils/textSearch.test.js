@@ -0,0 +1,97 @@
+const {
+  normalizeText,
+  tokenize,
+  parseQueryTerms,
+  buildTermRegex,
+  countTermMatches,
+  buildSnippet,
+} = require('../../src/utils/textSearch');
+
+describe('normalizeText', () => {
+  it('lowercases and strips diacritics', () => {
+    expect(normalizeText('Rápat Café')).toBe('rapat cafe');
+  });
+
+  it('returns an empty string for non-strings', () => {
+    expect(normalizeText(null)).toBe('');
+    expect(normalizeText(42)).toBe('');
+  });
+});
+
+describe('tokenize', () => {
+  it('drops stopwords and one-letter tokens', () => {
+    expect(tokenize('Kita akan membahas migrasi dan a database')).toEqual(['membahas', 'migrasi', 'database']);
+  });
+
+  it('keeps stopwords when asked', () => {
+    expect(tokenize('dan yang', { keepStopwords: true })).toEqual(['dan', 'yang']);
+  });
+});
+
+describe('parseQueryTerms', () => {
+  it('returns unique normalized terms', () => {
+    expect(parseQueryTerms('Migrasi migrasi DATABASE')).toEqual(['migrasi', 'database']);
+  });
+});
+
+describe('buildTermRegex', () => {
+  it('matches accented text with an unaccented term', () => {
+    const re = buildTermRegex(parseQueryTerms('cafe'));
+    expect(re.test('Rapat di Café Kopi')).toBe(true);
+  });
+
+  it('matches unaccented text with an accented term', () => {
+    const re = buildTermRegex(parseQueryTerms('café'));
+    expect(re.test('rapat di cafe')).toBe(true);
+  });
+
+  it('matches decomposed text', () => {
+    const re = buildTermRegex(['cafe']);
+    expect(re.test('café'.normalize('NFD'))).toBe(true);
+  });
+
+  it('matches any of the terms and nothing else', () => {
+    const re = buildTermRegex(['budget', 'migrasi']);
+    expect(re.test('Migrasi server')).toBe(true);
+    expect(re.test('Anggaran tahunan')).toBe(false);
+  });
+
+  it('escapes regex characters', () => {
+    const re = buildTermRegex(['c++']);
+    expect(re.test('bahasa c++')).toBe(true);
+    expect(re.test('bahasa cc')).toBe(false);
+  });
+});
+
+describe('countTermMatches', () => {
+  it('counts exact and prefix matches', () => {
+    const counts = countTermMatches(['migrasi', 'migrasinya', 'db'], ['migrasi', 'db']);
+    expect(counts).toEqual({ migrasi: 2, db: 1 });
+  });
+});
+
+describe('buildSnippet', () => {
+  it('marks matches found on normalized text', () => {
+    expect(buildSnippet('Ketemu di kafé besok', ['kafe'])).toBe('Ketemu di <mark>kafé</mark> besok');
+  });
+
+  it('marks the whole word for prefix matches', () => {
+    expect(buildSnippet('Migrasinya selesai', ['migrasi'])).toBe('<mark>Migrasinya</mark> selesai');
+  });
+
+  it('escapes HTML around and inside marks', () => {
+    expect(buildSnippet('<b>budget</b> & plan', ['budget'])).toBe('&lt;b&gt;<mark>budget</mark>&lt;/b&gt; &amp; plan');
+  });
+
+  it('centers long text on the first match', () => {
+    const text = `${'awal '.repeat(40)}target ${'akhir '.repeat(40)}`.trim();
+    const snippet = buildSnippet(text, ['target'], { maxLength: 60 });
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('<mark>target</mark>');
+  });
+
+  it('returns an empty string for empty text', () => {
+    expect(buildSnippet('', ['x'])).toBe('');
+  });
+});
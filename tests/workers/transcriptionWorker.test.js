@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notu-worker-test-'));
+process.env.MEDIA_NORMALIZE_AUDIO = 'true';
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+jest.mock('../../src/services/storageService', () => ({
+  downloadToFile: jest.fn(async (objectName, destPath) => {
+    const fsp = require('fs').promises;
+    await fsp.mkdir(require('path').dirname(destPath), { recursive: true });
+    await fsp.writeFile(destPath, 'audio');
+    return 5;
+  }),
+  removeFile: jest.fn(),
+  copyToQuarantine: jest.fn(),
+}));
+jest.mock('../../src/services/queueService', () => {
+  class JobCancelledError extends Error {
+    constructor() {
+      super('Job cancelled');
+      this.cancelled = true;
+    }
+  }
+  return {
+    createTranscriptionWorker: jest.fn(),
+    getTranscriptionQueue: jest.fn(),
+    isCancellationRequested: jest.fn().mockResolvedValue(false),
+    clearCancellation: jest.fn(),
+    registerActiveRun: jest.fn(),
+    unregisterActiveRun: jest.fn(),
+    JobCancelledError,
+  };
+});
+jest.mock('../../src/services/socketService', () => ({ emitToMeeting: jest.fn() }));
+jest.mock('../../src/services/audioService', () => ({ cleanupMeetingTempFiles: jest.fn() }));
+jest.mock('../../src/services/deadLetterService', () => ({ moveToDeadLetter: jest.fn() }));
+jest.mock('../../src/services/queueEtaService', () => ({ scheduleQueueBroadcast: jest.fn() }));
+jest.mock('../../src/services/chunkedTranscriptionService', () => ({
+  // Recordings short enough for a single request are not chunked
+  transcribeInChunks: jest.fn().mockResolvedValue(null),
+  clearTranscriptionChunks: jest.fn().mockResolvedValue(),
+}));
+jest.mock('../../src/services/mediaService', () => ({
+  normalizeAudio: jest.fn(async (inputPath, outputPath) => outputPath),
+}));
+jest.mock('../../src/services/analysisService', () => ({ addAnalysisJob: jest.fn().mockResolvedValue() }));
+jest.mock('../../src/services/transcriptRevisionService', () => ({ clearTranscriptRevisions: jest.fn().mockResolvedValue() }));
+
+const Meeting = require('../../src/models/Meeting');
+const { emitToMeeting } = require('../../src/services/socketService');
+const { addAnalysisJob } = require('../../src/services/analysisService');
+const { clearTranscriptRevisions } = require('../../src/services/transcriptRevisionService');
+const { processTranscription } = require('../../src/workers/transcriptionWorker');
+const { MEETING_STATUS, MEETING_TYPE, ANALYSIS_TRIGGER } = require('../../src/utils/constants');
+const fixture = require('../../src/services/transcription/fixtures/fake-transcript.json');
+
+describe('processTranscription with the fake engine', () => {
+  let meeting;
+  // What each save() would have written to MongoDB
+  let saved;
+
+  beforeEach(() => {
+    meeting = new Meeting({
+      title: 'Rapat mingguan',
+      type: MEETING_TYPE.UPLOAD,
+      status: MEETING_STATUS.PENDING,
+      originalFile: { filename: 'uploads/rapat.mp3', originalName: 'rapat.mp3' },
+    });
+    saved = [];
+
+    jest.spyOn(Meeting.prototype, 'save').mockImplementation(async function save() {
+      saved.push(this.toObject());
+      return this;
+    });
+    jest.spyOn(Meeting, 'findById').mockImplementation(() => {
+      const query = Promise.resolve(meeting);
+      query.select = () => ({ lean: async () => ({ _id: meeting._id, status: meeting.status }) });
+      return query;
+    });
+    jest.spyOn(Meeting, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Meeting, 'updateOne').mockResolvedValue({ acknowledged: true, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(process.env.WORK_DIR, { recursive: true, force: true });
+  });
+
+  const createJob = () => ({
+    id: `transcription-${meeting._id}`,
+    data: { meetingId: String(meeting._id), engine: 'fake' },
+    updateProgress: jest.fn().mockResolvedValue(),
+    updateData: jest.fn().mockResolvedValue(),
+  });
+
+  it('stores the fixture transcript and completes the meeting', async () => {
+    const result = await processTranscription(createJob());
+
+    expect(result).toEqual({
+      success: true,
+      meetingId: String(meeting._id),
+      transcriptionLength: expect.any(Number),
+      segmentsCount: fixture.segments.length,
+    });
+
+    const stored = saved[saved.length - 1];
+    expect(stored.status).toBe(MEETING_STATUS.COMPLETED);
+    expect(stored.transcription.language).toBe('id');
+    expect(stored.transcription.segments.map(({ start, end, text, speaker }) => ({ start, end, text, speaker })))
+      .toEqual(fixture.segments);
+    expect(stored.transcription.transcript).toBe(fixture.segments.map(seg => seg.text).join(' '));
+    expect(stored.transcription.speakers).toEqual([
+      { speaker: 'SPEAKER_0', start: 0, end: 42.5 },
+      { speaker: 'SPEAKER_1', start: 6.6, end: 35.5 },
+      { speaker: 'SPEAKER_2', start: 21.4, end: 27.8 },
+    ]);
+    expect(stored.duration).toBe(43);
+    expect(stored.participants).toBe(3);
+    expect(stored.processingMeta.engine).toBe('fake');
+  });
+
+  it('moves the meeting through processing before completing it', async () => {
+    await processTranscription(createJob());
+
+    const statuses = saved.map(doc => doc.status).filter((status, i, all) => status !== all[i - 1]);
+    expect(statuses).toEqual([MEETING_STATUS.PENDING, MEETING_STATUS.PROCESSING, MEETING_STATUS.COMPLETED]);
+    expect(emitToMeeting).toHaveBeenCalledWith(String(meeting._id), 'transcription_complete', { meetingId: String(meeting._id) });
+  });
+
+  it('queues the AI analysis since the fake engine only transcribes', async () => {
+    await processTranscription(createJob());
+
+    expect(clearTranscriptRevisions).toHaveBeenCalledWith(String(meeting._id));
+    expect(addAnalysisJob).toHaveBeenCalledWith(String(meeting._id), {
+      trigger: ANALYSIS_TRIGGER.TRANSCRIPTION,
+      userName: 'System',
+    });
+  });
+
+  it('removes the downloaded source when the run ends', async () => {
+    await processTranscription(createJob());
+
+    expect(fs.existsSync(path.join(process.env.WORK_DIR, 'transcription_source', String(meeting._id)))).toBe(false);
+  });
+});